@@ -22,6 +22,12 @@ if (!fs.existsSync(storePath)) {
     fs.mkdirSync(storePath, { recursive: true });
 }
 
+const modsPath = path.join(roamingFolder, "shapez.io", "mods");
+
+if (!fs.existsSync(modsPath)) {
+    fs.mkdirSync(modsPath, { recursive: true });
+}
+
 /** @type {BrowserWindow} */
 let win = null;
 let menu = null;
@@ -279,5 +285,19 @@ ipcMain.on("fs-job", async (event, arg) => {
     event.reply("fs-response", { id: arg.id, result });
 });
 
+ipcMain.handle("get-mods", async () => {
+    const files = fs
+        .readdirSync(modsPath)
+        .filter(filename => filename.endsWith(".js"))
+        .sort();
+
+    return files.map(filename => ({
+        filename,
+        source: fs.readFileSync(path.join(modsPath, filename), "utf8"),
+    }));
+});
+
+ipcMain.handle("open-mods-folder", () => shell.openPath(modsPath));
+
 steam.init(isDev);
 steam.listen();
@@ -0,0 +1,350 @@
+/**
+ * Reference implementation of the puzzle server, which stores everything in a local file.
+ *
+ * Usage: node puzzle_server/index.js
+ *
+ * Environment variables:
+ *   PORT         Port to listen on (default 15001)
+ *   HOST         Address to listen on (default 127.0.0.1, use 0.0.0.0 to make it public)
+ *   PUZZLE_DATA  Directory the puzzles are stored in (default puzzle_server/data)
+ *
+ * Then enter the url of the server in the settings of the game (Advanced > Puzzle Server).
+ */
+
+const http = require("http");
+const path = require("path");
+const { decompressFromEncodedURIComponent } = require("lz-string");
+const { PuzzleStore } = require("./store");
+
+const port = Number(process.env.PORT) || 15001;
+const host = process.env.HOST || "127.0.0.1";
+const store = new PuzzleStore(process.env.PUZZLE_DATA || path.join(__dirname, "data"));
+
+const MAX_BODY_SIZE = 1024 * 1024;
+const MAX_LISTED_PUZZLES = 100;
+
+const SUB_SHAPE_CODES = "RCSW";
+const COLOR_CODES = "rgbypcwu";
+const COLORS = ["red", "green", "blue", "yellow", "purple", "cyan", "white", "uncolored"];
+
+/**
+ * An error which is sent to the client, the code matches the backendErrors translations
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} code
+     */
+    constructor(status, code) {
+        super(code);
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Mirrors ShapeDefinition.isValidShortKey of the game
+ * @param {string} key
+ */
+function isValidShortKey(key) {
+    if (typeof key !== "string") {
+        return false;
+    }
+    const layers = key.split(":");
+    if (layers.length > 4) {
+        return false;
+    }
+    return layers.every(layer => {
+        if (layer.length !== 8) {
+            return false;
+        }
+        let anyFilled = false;
+        for (let quad = 0; quad < 4; ++quad) {
+            const subShape = layer[quad * 2];
+            const color = layer[quad * 2 + 1];
+            if (subShape === "-" && color === "-") {
+                continue;
+            }
+            if (!SUB_SHAPE_CODES.includes(subShape) || !COLOR_CODES.includes(color)) {
+                return false;
+            }
+            anyFilled = true;
+        }
+        return anyFilled;
+    });
+}
+
+/**
+ * Items of constant producers and goal acceptors are either a shape or a color
+ * @param {string} code
+ */
+function isValidItemCode(code) {
+    return typeof code === "string" && (COLORS.includes(code.trim().toLowerCase()) || isValidShortKey(code));
+}
+
+/**
+ * Converts the stored puzzle into what the game expects as PuzzleMetadata
+ * @param {object} puzzle
+ * @param {string} userId The player the metadata is sent to
+ */
+function getMetadata(puzzle, userId) {
+    return {
+        id: puzzle.id,
+        shortKey: puzzle.shortKey,
+        likes: puzzle.likes,
+        downloads: puzzle.downloads,
+        completions: puzzle.completions,
+        difficulty: puzzle.downloads > 0 ? 1 - puzzle.completions / puzzle.downloads : null,
+        averageTime: puzzle.completions > 0 ? puzzle.totalTime / puzzle.completions : null,
+        title: puzzle.title,
+        author: "Player " + puzzle.author.slice(0, 6),
+        completed: puzzle.completedBy.some(entry => entry.userId === userId),
+    };
+}
+
+/**
+ * @param {string} id
+ */
+function findPuzzle(id) {
+    const puzzle = store.getPuzzleById(Number(id));
+    if (!puzzle) {
+        throw new ApiError(404, "not-found");
+    }
+    return puzzle;
+}
+
+/**
+ * Decompresses and checks the puzzle of a submission
+ * @param {string} data
+ */
+function parsePuzzleData(data) {
+    let game;
+    try {
+        game = JSON.parse(decompressFromEncodedURIComponent(data));
+    } catch (ex) {
+        throw new ApiError(400, "bad-payload");
+    }
+
+    if (
+        !game ||
+        !game.bounds ||
+        !Number.isInteger(game.bounds.w) ||
+        !Number.isInteger(game.bounds.h) ||
+        !Array.isArray(game.buildings) ||
+        !Array.isArray(game.excludedBuildings)
+    ) {
+        throw new ApiError(400, "bad-payload");
+    }
+
+    const emitters = game.buildings.filter(building => building.type === "emitter");
+    const goals = game.buildings.filter(building => building.type === "goal");
+    if (emitters.length === 0) {
+        throw new ApiError(400, "no-emitters");
+    }
+    if (goals.length === 0) {
+        throw new ApiError(400, "no-goals");
+    }
+    if (!emitters.every(building => isValidItemCode(building.item))) {
+        throw new ApiError(400, "bad-shape-key-in-emitter");
+    }
+    if (!goals.every(building => isValidItemCode(building.item))) {
+        throw new ApiError(400, "bad-shape-key-in-goal");
+    }
+    return game;
+}
+
+/**
+ * All routes, the handlers get the id of the logged in player, the json body and the
+ * matched url parameters
+ */
+const routes = [
+    {
+        method: "POST",
+        path: /^\/v1\/public\/login$/,
+        public: true,
+        handler: ({ body }) => {
+            if (typeof body.token !== "string" || body.token.length === 0) {
+                throw new ApiError(400, "bad-payload");
+            }
+            return { token: store.createSession(body.token) };
+        },
+    },
+    {
+        method: "GET",
+        path: /^\/v1\/puzzles\/list\/([a-z-]+)$/,
+        handler: ({ userId, params }) => {
+            const puzzles = store.listPuzzles(params[0], userId);
+            if (!puzzles) {
+                throw new ApiError(404, "bad-category");
+            }
+            return puzzles.slice(0, MAX_LISTED_PUZZLES).map(puzzle => getMetadata(puzzle, userId));
+        },
+    },
+    {
+        method: "GET",
+        path: /^\/v1\/puzzles\/download\/([^/]+)$/,
+        handler: ({ userId, params }) => {
+            let key;
+            try {
+                key = decodeURIComponent(params[0]);
+            } catch (ex) {
+                throw new ApiError(400, "bad-short-key");
+            }
+
+            // Ids are numeric, short keys never are
+            let puzzle;
+            if (/^\d+$/.test(key)) {
+                puzzle = findPuzzle(key);
+            } else {
+                if (!isValidShortKey(key)) {
+                    throw new ApiError(400, "bad-short-key");
+                }
+                puzzle = store.getPuzzleByShortKey(key);
+                if (!puzzle) {
+                    throw new ApiError(404, "not-found");
+                }
+            }
+            store.countDownload(puzzle);
+            return { meta: getMetadata(puzzle, userId), game: puzzle.game };
+        },
+    },
+    {
+        method: "POST",
+        path: /^\/v1\/puzzles\/submit$/,
+        handler: ({ userId, body }) => {
+            const title = typeof body.title === "string" ? body.title.trim() : "";
+            if (!/^[a-zA-Z0-9_\- ]{4,20}$/.test(title)) {
+                throw new ApiError(400, "bad-title-too-many-spaces");
+            }
+            if (!isValidShortKey(body.shortKey)) {
+                throw new ApiError(400, "bad-short-key");
+            }
+            if (store.getPuzzleByShortKey(body.shortKey)) {
+                throw new ApiError(400, "short-key-already-taken");
+            }
+            const game = parsePuzzleData(body.data);
+            store.addPuzzle({ title, shortKey: body.shortKey, game, author: userId });
+            return { success: true };
+        },
+    },
+    {
+        method: "POST",
+        path: /^\/v1\/puzzles\/complete\/(\d+)$/,
+        handler: ({ userId, body, params }) => {
+            const time = Number(body.time);
+            if (!Number.isFinite(time) || time < 0) {
+                throw new ApiError(400, "bad-payload");
+            }
+            store.completePuzzle(findPuzzle(params[0]), userId, time, Boolean(body.liked));
+            return { success: true };
+        },
+    },
+    {
+        method: "POST",
+        path: /^\/v1\/puzzles\/report\/(\d+)$/,
+        handler: ({ userId, body, params }) => {
+            const puzzle = findPuzzle(params[0]);
+            if (puzzle.author === userId) {
+                throw new ApiError(400, "can-not-report-your-own-puzzle");
+            }
+            store.reportPuzzle(puzzle, userId, String(body.reason));
+            return { success: true };
+        },
+    },
+    {
+        method: "POST",
+        path: /^\/v1\/puzzles\/delete\/(\d+)$/,
+        handler: ({ userId, params }) => {
+            const puzzle = findPuzzle(params[0]);
+            if (puzzle.author !== userId) {
+                throw new ApiError(403, "no-permission");
+            }
+            store.deletePuzzle(puzzle);
+            return { success: true };
+        },
+    },
+];
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let text = "";
+        req.setEncoding("utf8");
+        req.on("data", chunk => {
+            text += chunk;
+            if (text.length > MAX_BODY_SIZE) {
+                reject(new ApiError(413, "bad-payload"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (ex) {
+                reject(new ApiError(400, "bad-payload"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} data
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(req, res) {
+    // The browser version of the game runs on another origin
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type, x-api-key, x-token");
+    if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    const pathname = new URL(req.url, "http://localhost").pathname;
+    const route = routes.find(route => route.method === req.method && route.path.test(pathname));
+    if (!route) {
+        sendJson(res, 404, { error: "not-found" });
+        return;
+    }
+
+    readBody(req)
+        .then(body => {
+            const userId = store.getUserId(String(req.headers["x-token"] || ""));
+            if (!route.public && !userId) {
+                throw new ApiError(401, req.headers["x-token"] ? "bad-token" : "unauthorized");
+            }
+            const params = route.path.exec(pathname).slice(1);
+            return route.handler({ userId, body, params });
+        })
+        .then(
+            data => sendJson(res, 200, data),
+            err => {
+                if (err instanceof ApiError) {
+                    sendJson(res, err.status, { error: err.code });
+                    return;
+                }
+                console.error("Failed to handle", req.method, pathname, err);
+                sendJson(res, 500, { error: "internal" });
+            }
+        );
+}
+
+http.createServer(handleRequest).listen(port, host, () => {
+    console.log("Puzzle server listening on http://" + host + ":" + port);
+});
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * How many players have to report a puzzle before it is no longer listed
+ */
+const REPORT_LIMIT = 3;
+
+/**
+ * Keeps all puzzles and sessions in a single json file, which is rewritten on every change
+ */
+class PuzzleStore {
+    /**
+     * @param {string} directory Where the data is stored
+     */
+    constructor(directory) {
+        fs.mkdirSync(directory, { recursive: true });
+        this.file = path.join(directory, "puzzles.json");
+
+        if (fs.existsSync(this.file)) {
+            this.data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        } else {
+            this.data = {
+                nextId: 1,
+                sessions: {},
+                puzzles: [],
+            };
+        }
+    }
+
+    save() {
+        // Write to a temporary file first, so a crash never leaves a half written store behind
+        const tempFile = this.file + ".tmp";
+        fs.writeFileSync(tempFile, JSON.stringify(this.data));
+        fs.renameSync(tempFile, this.file);
+    }
+
+    /**
+     * Starts a session for the player identified by the given token. Players keep their session
+     * across logins, so the store does not grow with every login.
+     * @param {string} playerToken
+     * @returns {string} The session token
+     */
+    createSession(playerToken) {
+        const userId = crypto.createHash("sha256").update(playerToken).digest("hex").slice(0, 16);
+        for (const session in this.data.sessions) {
+            if (this.data.sessions[session] === userId) {
+                return session;
+            }
+        }
+
+        const session = crypto.randomBytes(24).toString("hex");
+        this.data.sessions[session] = userId;
+        this.save();
+        return session;
+    }
+
+    /**
+     * @param {string} session
+     * @returns {string|null}
+     */
+    getUserId(session) {
+        return this.data.sessions[session] || null;
+    }
+
+    /**
+     * @param {number} id
+     */
+    getPuzzleById(id) {
+        return this.data.puzzles.find(puzzle => puzzle.id === id) || null;
+    }
+
+    /**
+     * @param {string} shortKey
+     */
+    getPuzzleByShortKey(shortKey) {
+        return this.data.puzzles.find(puzzle => puzzle.shortKey === shortKey) || null;
+    }
+
+    /**
+     * Returns the puzzles of the given category, or null if the category is unknown
+     * @param {string} category
+     * @param {string} userId
+     */
+    listPuzzles(category, userId) {
+        const now = Date.now();
+        const listed = this.data.puzzles.filter(puzzle => puzzle.reports.length < REPORT_LIMIT);
+        const completedSince = (puzzle, maxAge) =>
+            puzzle.completedBy.filter(entry => now - entry.date < maxAge).length;
+        const completionRate = puzzle => puzzle.completions / Math.max(1, puzzle.downloads);
+
+        switch (category) {
+            case "official":
+                return listed.filter(puzzle => puzzle.official);
+            case "new":
+                return listed.sort((a, b) => b.createdAt - a.createdAt);
+            case "top-rated":
+                return listed.sort((a, b) => b.likes - a.likes);
+            case "trending":
+                return listed.sort((a, b) => completedSince(b, 86400000) - completedSince(a, 86400000));
+            case "trending-weekly":
+                return listed.sort(
+                    (a, b) => completedSince(b, 7 * 86400000) - completedSince(a, 7 * 86400000)
+                );
+            case "easy":
+                return listed.filter(puzzle => puzzle.downloads > 0 && completionRate(puzzle) >= 0.8);
+            case "medium":
+                return listed.filter(
+                    puzzle =>
+                        puzzle.downloads > 0 && completionRate(puzzle) >= 0.4 && completionRate(puzzle) < 0.8
+                );
+            case "hard":
+                return listed.filter(puzzle => puzzle.downloads > 0 && completionRate(puzzle) < 0.4);
+            case "mine":
+                return this.data.puzzles.filter(puzzle => puzzle.author === userId);
+            case "completed":
+                return this.data.puzzles.filter(puzzle =>
+                    puzzle.completedBy.some(entry => entry.userId === userId)
+                );
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {object} param0
+     * @param {string} param0.title
+     * @param {string} param0.shortKey
+     * @param {object} param0.game
+     * @param {string} param0.author
+     */
+    addPuzzle({ title, shortKey, game, author }) {
+        const puzzle = {
+            id: this.data.nextId++,
+            title,
+            shortKey,
+            game,
+            author,
+            official: false,
+            createdAt: Date.now(),
+            downloads: 0,
+            completions: 0,
+            totalTime: 0,
+            likes: 0,
+            completedBy: [],
+            likedBy: [],
+            reports: [],
+        };
+        this.data.puzzles.push(puzzle);
+        this.save();
+        return puzzle;
+    }
+
+    countDownload(puzzle) {
+        ++puzzle.downloads;
+        this.save();
+    }
+
+    /**
+     * Records that the player completed the puzzle, only the first completion counts
+     * @param {object} puzzle
+     * @param {string} userId
+     * @param {number} time
+     * @param {boolean} liked
+     */
+    completePuzzle(puzzle, userId, time, liked) {
+        if (!puzzle.completedBy.some(entry => entry.userId === userId)) {
+            puzzle.completedBy.push({ userId, date: Date.now() });
+            ++puzzle.completions;
+            puzzle.totalTime += time;
+        }
+        if (liked && !puzzle.likedBy.includes(userId)) {
+            puzzle.likedBy.push(userId);
+            ++puzzle.likes;
+        }
+        this.save();
+    }
+
+    /**
+     * @param {object} puzzle
+     * @param {string} userId
+     * @param {string} reason
+     */
+    reportPuzzle(puzzle, userId, reason) {
+        if (!puzzle.reports.some(report => report.userId === userId)) {
+            puzzle.reports.push({ userId, reason, date: Date.now() });
+            this.save();
+        }
+    }
+
+    deletePuzzle(puzzle) {
+        this.data.puzzles.splice(this.data.puzzles.indexOf(puzzle), 1);
+        this.save();
+    }
+}
+
+module.exports = { PuzzleStore };
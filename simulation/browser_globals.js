@@ -0,0 +1,73 @@
+/**
+ * The game is written for the browser, and a few modules access browser globals once they are
+ * loaded (e.g. to detect the platform). This defines the minimum of them for running the game
+ * logic in node. Everything which renders or handles input is never called while headless.
+ */
+
+function makeElementStub() {
+    const element = {
+        style: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        children: [],
+        appendChild: child => child,
+        removeChild: child => child,
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute() {},
+        getAttribute: () => null,
+        getContext: () => null,
+        getBoundingClientRect: () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 }),
+    };
+    return element;
+}
+
+function installBrowserGlobals() {
+    const globalObject = /** @type {any} */ (global);
+
+    globalObject.window = globalObject;
+    globalObject.self = globalObject;
+
+    if (typeof globalObject.navigator === "undefined") {
+        globalObject.navigator = {};
+    }
+    Object.assign(globalObject.navigator, {
+        platform: globalObject.navigator.platform || process.platform,
+        userAgent: globalObject.navigator.userAgent || "node",
+        language: "en",
+        languages: ["en"],
+    });
+
+    globalObject.location = {
+        href: "http://localhost/",
+        host: "localhost",
+        hostname: "localhost",
+        protocol: "http:",
+        search: "",
+        hash: "",
+    };
+
+    globalObject.localStorage = {
+        getItem: () => null,
+        setItem() {},
+        removeItem() {},
+    };
+
+    globalObject.document = {
+        hidden: false,
+        body: makeElementStub(),
+        documentElement: makeElementStub(),
+        createElement: makeElementStub,
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {},
+        removeEventListener() {},
+    };
+
+    globalObject.addEventListener = () => {};
+    globalObject.removeEventListener = () => {};
+    globalObject.requestAnimationFrame = callback => setTimeout(callback, 0);
+    globalObject.cancelAnimationFrame = handle => clearTimeout(handle);
+}
+
+module.exports = { installBrowserGlobals };
@@ -0,0 +1,11 @@
+/**
+ * Replaces the compression web worker in the headless build. Simulations never write any files,
+ * so nothing ever gets compressed.
+ */
+module.exports = class HeadlessCompressionWorker {
+    addEventListener() {}
+
+    postMessage() {
+        throw new Error("Compression is not available while headless");
+    }
+};
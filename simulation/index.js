@@ -0,0 +1,285 @@
+/**
+ * Simulates savegames and puzzle solutions without running the game, to regression test
+ * factory designs and to validate puzzle solutions.
+ *
+ * Usage:
+ *   yarn simulate <savegame.bin> [--seconds 60] [--warmup 30] [--expect CuCuCuCu=2.5 ...]
+ *   yarn simulate <puzzle file> --solution <file with the blueprint string> [--seconds 60]
+ *
+ * Savegames are read as exported from the main menu, or as plain json. Puzzles are read
+ * as exported from the puzzle editor, the solution is a blueprint string copied in the puzzle
+ * with all buildings of the solution selected.
+ *
+ * Options:
+ *   --seconds <n>     How long to simulate (default 60)
+ *   --warmup <n>      How long to simulate before the rates get measured (savegames only, default 0)
+ *   --tick-rate <n>   Ticks per second (default: tick rate of the game mode)
+ *   --expect <k=r>    Fail unless the shape <k> is delivered to the hub at least <r> times per second
+ *   --solution <f>    File containing the blueprint string of the solution of the puzzle
+ *   --json            Print the report as json
+ *   --verbose         Print the log of the game
+ *
+ * Exits with 0 if all expectations hold, 1 if not and 2 if the file could not be loaded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const webpack = require("webpack");
+const YAML = require("yaml");
+const { installBrowserGlobals } = require("./browser_globals");
+
+const EXIT_FAILED = 1;
+const EXIT_INVALID = 2;
+
+const buildDir = path.join(__dirname, "build");
+const translationsSourceDir = path.join(__dirname, "..", "translations");
+const translationsJsonDir = path.join(__dirname, "..", "src", "js", "built-temp");
+
+const USAGE = [
+    "Usage:",
+    "  yarn simulate <savegame> [--seconds 60] [--warmup 30] [--expect <shape>=<rate> ...]",
+    "  yarn simulate <puzzle> --solution <blueprint file> [--seconds 60]",
+].join("\n");
+
+/**
+ * An error in the arguments, which prints the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * @param {Array<string>} argv
+ */
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        seconds: 60,
+        warmupSeconds: 0,
+        tickRate: null,
+        expectations: [],
+        solution: null,
+        json: false,
+        verbose: false,
+    };
+
+    const readNumber = (name, value) => {
+        const number = Number(value);
+        if (value === undefined || !Number.isFinite(number) || number < 0) {
+            throw new UsageError(name + " requires a positive number");
+        }
+        return number;
+    };
+
+    for (let i = 0; i < argv.length; ++i) {
+        const arg = argv[i];
+        switch (arg) {
+            case "--seconds":
+                options.seconds = readNumber(arg, argv[++i]);
+                break;
+            case "--warmup":
+                options.warmupSeconds = readNumber(arg, argv[++i]);
+                break;
+            case "--tick-rate":
+                options.tickRate = readNumber(arg, argv[++i]);
+                break;
+            case "--expect": {
+                const value = argv[++i] || "";
+                const separator = value.lastIndexOf("=");
+                if (separator <= 0) {
+                    throw new UsageError("--expect requires <shape>=<rate>, e.g. CuCuCuCu=2.5");
+                }
+                options.expectations.push({
+                    shortKey: value.slice(0, separator),
+                    minRate: readNumber(arg, value.slice(separator + 1)),
+                });
+                break;
+            }
+            case "--solution":
+                options.solution = argv[++i];
+                if (!options.solution) {
+                    throw new UsageError("--solution requires a file");
+                }
+                break;
+            case "--json":
+                options.json = true;
+                break;
+            case "--verbose":
+                options.verbose = true;
+                break;
+            default:
+                if (arg.startsWith("--") || options.file) {
+                    throw new UsageError("Unknown argument: " + arg);
+                }
+                options.file = arg;
+        }
+    }
+
+    if (!options.file) {
+        throw new UsageError("No file given");
+    }
+    return options;
+}
+
+/**
+ * Converts the translations to json, the same way the gulp build does
+ */
+function buildTranslations() {
+    fs.mkdirSync(translationsJsonDir, { recursive: true });
+    fs.readdirSync(translationsSourceDir)
+        .filter(name => name.endsWith(".yaml"))
+        .forEach(name => {
+            const data = YAML.parse(fs.readFileSync(path.join(translationsSourceDir, name), "utf-8"));
+            fs.writeFileSync(
+                path.join(translationsJsonDir, name.replace(".yaml", ".json")),
+                JSON.stringify(data)
+            );
+        });
+}
+
+/**
+ * Builds the game logic for node, so the simulation always runs the current code
+ * @returns {Promise<void>}
+ */
+function buildBundle() {
+    buildTranslations();
+    const config = require("./webpack.config")({ outputPath: buildDir });
+    return new Promise((resolve, reject) => {
+        webpack(config, (err, stats) => {
+            if (err) {
+                reject(err);
+            } else if (stats.hasErrors()) {
+                reject(new Error(stats.toString({ all: false, errors: true })));
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * @param {string} file
+ */
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, "utf-8");
+    } catch (ex) {
+        throw new UsageError("Could not read " + file + ": " + ex.message);
+    }
+}
+
+/**
+ * @param {object} report
+ */
+function printReport(report) {
+    console.log(
+        "Simulated " +
+            report.simulatedSeconds.toFixed(2) +
+            "s (" +
+            report.ticks +
+            " ticks at " +
+            report.tickRate +
+            "/s), measured " +
+            report.measuredSeconds.toFixed(2) +
+            "s"
+    );
+    if (report.puzzleCompleted) {
+        console.log("The puzzle was completed");
+    }
+
+    const keys = Object.keys(report.shapes).sort();
+    if (keys.length > 0) {
+        console.log("Shapes per second (produced / delivered):");
+        for (const key of keys) {
+            const { produced, delivered } = report.shapes[key];
+            console.log("  " + key + "  " + produced.toFixed(2) + " / " + delivered.toFixed(2));
+        }
+    }
+}
+
+/**
+ * The game logs a lot while loading (e.g. about the missing sprites), which would hide the report
+ * @template T
+ * @param {boolean} verbose Whether to show the log
+ * @param {() => T|Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+async function withGameLog(verbose, callback) {
+    if (verbose) {
+        return callback();
+    }
+
+    const original = { ...console };
+    console.log = console.info = console.warn = console.error = console.trace = () => {};
+    try {
+        return await callback();
+    } finally {
+        Object.assign(console, original);
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (ex) {
+        if (ex instanceof UsageError) {
+            console.error(ex.message + "\n\n" + USAGE);
+            return EXIT_INVALID;
+        }
+        throw ex;
+    }
+
+    const contents = readFile(options.file);
+    const solution = options.solution ? readFile(options.solution) : null;
+
+    await buildBundle();
+
+    installBrowserGlobals();
+    const simulation = await withGameLog(options.verbose, () => require(path.join(buildDir, "simulate.js")));
+
+    let result;
+    if (simulation.isPuzzleFile(contents)) {
+        if (!solution) {
+            throw new UsageError("Puzzles require a --solution");
+        }
+        result = await withGameLog(options.verbose, () =>
+            simulation.simulatePuzzle({ contents, solution, seconds: options.seconds })
+        );
+    } else {
+        if (solution) {
+            throw new UsageError("--solution is only supported for puzzles");
+        }
+        result = await withGameLog(options.verbose, () =>
+            simulation.simulateSavegame({
+                contents,
+                seconds: options.seconds,
+                warmupSeconds: options.warmupSeconds,
+                tickRate: options.tickRate,
+                expectations: options.expectations,
+            })
+        );
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    } else if (result.report) {
+        printReport(result.report);
+    }
+
+    if (!result.report) {
+        result.errors.forEach(error => console.error(error));
+        return EXIT_INVALID;
+    }
+    if (result.errors.length > 0) {
+        result.errors.forEach(error => console.error("FAILED: " + error));
+        return EXIT_FAILED;
+    }
+    return 0;
+}
+
+main().then(
+    code => process.exit(code),
+    err => {
+        console.error(err instanceof UsageError ? err.message : err);
+        process.exit(EXIT_INVALID);
+    }
+);
@@ -0,0 +1,89 @@
+// @ts-nocheck
+
+const path = require("path");
+const webpack = require("webpack");
+const { execSync } = require("child_process");
+const fs = require("fs");
+
+/**
+ * Builds the game logic into a bundle which runs in node, see index.js
+ */
+module.exports = ({ outputPath }) => {
+    return {
+        mode: "development",
+        devtool: false,
+        target: "node",
+        entry: path.resolve(__dirname, "..", "src", "js", "headless", "simulate.js"),
+        context: path.resolve(__dirname, ".."),
+        resolve: {
+            alias: {
+                "global-compression": path.resolve(__dirname, "..", "src", "js", "core", "lzstring.js"),
+            },
+        },
+        plugins: [
+            new webpack.DefinePlugin({
+                assert: "window.assert",
+                assertAlways: "window.assert",
+                abstract:
+                    "window.assert(false, 'abstract method called of: ' + (this.name || (this.constructor && this.constructor.name)));",
+                G_HAVE_ASSERT: "true",
+                G_APP_ENVIRONMENT: JSON.stringify("headless"),
+                G_TRACKING_ENDPOINT: JSON.stringify(""),
+                G_CHINA_VERSION: "false",
+                G_WEGAME_VERSION: "false",
+                G_IS_DEV: "false",
+                G_IS_RELEASE: "false",
+                G_IS_MOBILE_APP: "false",
+                G_IS_BROWSER: "false",
+                G_IS_STANDALONE: "true",
+                G_BUILD_TIME: "" + new Date().getTime(),
+                G_BUILD_COMMIT_HASH: JSON.stringify(getRevision()),
+                G_BUILD_VERSION: JSON.stringify(
+                    fs.readFileSync(path.join(__dirname, "..", "version")).toString().trim()
+                ),
+                G_ALL_UI_IMAGES: "[]",
+            }),
+
+            new webpack.NormalModuleReplacementPlugin(
+                /compression\.worker$/,
+                path.resolve(__dirname, "compression_worker.js")
+            ),
+        ],
+        module: {
+            rules: [
+                { test: /\.(png|jpe?g|svg|md)$/, loader: "ignore-loader" },
+                {
+                    test: /\.js$/,
+                    enforce: "pre",
+                    exclude: /node_modules/,
+                    use: [
+                        {
+                            loader: "webpack-strip-block",
+                            options: {
+                                start: "typehints:start",
+                                end: "typehints:end",
+                            },
+                        },
+                    ],
+                },
+            ],
+        },
+        output: {
+            filename: "simulate.js",
+            path: outputPath,
+            libraryTarget: "commonjs2",
+            // Newer versions of node don't support the default md4
+            hashFunction: "sha256",
+        },
+    };
+};
+
+function getRevision() {
+    try {
+        return execSync("git rev-parse --short HEAD", { cwd: __dirname, stdio: "pipe" })
+            .toString("ascii")
+            .trim();
+    } catch (ex) {
+        return "unknown";
+    }
+}
@@ -20,9 +20,14 @@ import { PlatformWrapperImplBrowser } from "./platform/browser/wrapper";
 import { PlatformWrapperImplElectron } from "./platform/electron/wrapper";
 import { PlatformWrapperInterface } from "./platform/wrapper";
 import { ApplicationSettings } from "./profile/application_settings";
+import { BlueprintLibrary } from "./profile/blueprint_library";
+import { PuzzleLibrary } from "./profile/puzzle_library";
+import { AchievementStorage } from "./profile/achievement_storage";
+import { ModLoader } from "./mods/mod_loader";
 import { SavegameManager } from "./savegame/savegame_manager";
 import { AboutState } from "./states/about";
 import { ChangelogState } from "./states/changelog";
+import { AchievementsState } from "./states/achievements";
 import { InGameState } from "./states/ingame";
 import { KeybindingsState } from "./states/keybindings";
 import { MainMenuState } from "./states/main_menu";
@@ -74,9 +79,13 @@ export class Application {
         this.ticker = new AnimationFrame();
         this.stateMgr = new StateManager(this);
         this.savegameMgr = new SavegameManager(this);
+        this.blueprintLibrary = new BlueprintLibrary(this);
+        this.puzzleLibrary = new PuzzleLibrary(this);
+        this.achievementStorage = new AchievementStorage(this);
         this.inputMgr = new InputDistributor(this);
         this.backgroundResourceLoader = new BackgroundResourcesLoader(this);
         this.clientApi = new ClientAPI(this);
+        this.modLoader = new ModLoader(this);
 
         // Restrictions (Like demo etc)
         this.restrictionMgr = new RestrictionManager(this);
@@ -165,6 +174,7 @@ export class Application {
             KeybindingsState,
             AboutState,
             ChangelogState,
+            AchievementsState,
             PuzzleMenuState,
             LoginState,
         ];
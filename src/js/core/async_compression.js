@@ -27,6 +27,68 @@ if (!checkCryptPrefix(compressionPrefix)) {
     }
 }
 
+/**
+ * Separates the compressed object from its binary attachment, it is not part of the
+ * alphabet of compressX64() and base64
+ */
+export const attachmentSeparator = "|";
+
+/**
+ * Returns whether binary data can be compressed, which requires the Compression Streams API
+ * @returns {boolean}
+ */
+export function isBinaryCompressionSupported() {
+    return typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+}
+
+/**
+ * Compresses binary data with deflate and encodes it as base64, so it can be stored as text
+ * @param {Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export function compressBinaryAsync(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Response(stream).arrayBuffer().then(buffer => bytesToBase64(new Uint8Array(buffer)));
+}
+
+/**
+ * Reverts compressBinaryAsync()
+ * @param {string} text
+ * @returns {Promise<Uint8Array>}
+ */
+export function decompressBinaryAsync(text) {
+    if (!isBinaryCompressionSupported()) {
+        return Promise.reject("binary-compression-not-supported");
+    }
+    const stream = new Blob([base64ToBytes(text)]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Response(stream).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, /** @type {any} */ (bytes.subarray(i, i + 0x8000)));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} encoded
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(encoded) {
+    const binary = atob(encoded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; ++i) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
 /**
  * @typedef {{
  *   errorHandler: function(any) : void,
@@ -83,12 +145,15 @@ class AsynCompression {
     /**
      * Compresses any object
      * @param {any} obj
+     * @param {string=} attachment Compressed binary data to store after the object, see compressBinaryAsync()
      */
-    compressObjectAsync(obj) {
+    compressObjectAsync(obj, attachment = "") {
         logger.log("Compressing object async (optimized)");
         return this.internalQueueJob("compressObject", {
             obj,
             compressionPrefix,
+            attachment,
+            attachmentSeparator,
         });
     }
 
@@ -79,6 +79,7 @@ export const globalConfig = {
     puzzleMinBoundsSize: 2,
     puzzleMaxBoundsSize: 20,
     puzzleValidationDurationSeconds: 30,
+    puzzleValidationStableSeconds: 5,
 
     buildingSpeeds: {
         cutter: 1 / 4,
@@ -101,9 +102,15 @@ export const globalConfig = {
     // Global game speed
     gameSpeed: 1,
 
+    // Available multipliers when fast forwarding, in ascending order
+    fastForwardSpeeds: [2, 4, 8],
+
     warmupTimeSecondsFast: 0.5,
     warmupTimeSecondsRegular: 1.5,
 
+    // How long to restore entities per frame when loading a savegame
+    entityLoadingBudgetMs: 12,
+
     smoothing: {
         smoothMainCanvas: smoothCanvas && true,
         quality: "low", // Low is CRUCIAL for mobile performance!
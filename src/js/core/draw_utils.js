@@ -3,6 +3,7 @@
  * @typedef {import("./draw_parameters").DrawParameters} DrawParameters
  */
 
+import { THEME } from "../game/theme";
 import { globalConfig } from "./config";
 import { createLogger } from "./logging";
 import { Rectangle } from "./rectangle";
@@ -119,3 +120,27 @@ export function drawSpriteClipped({ parameters, sprite, x, y, w, h, originalW, o
         intersection.h
     );
 }
+
+/**
+ * Draws a small label on the badge background of the theme, used to show the operation or settings of
+ * buildings which share their sprite with other buildings
+ * @param {object} param0
+ * @param {DrawParameters} param0.parameters
+ * @param {number} param0.x Center of the label
+ * @param {number} param0.y Center of the label
+ * @param {string} param0.text
+ */
+export function drawLabelBadge({ parameters, x, y, text }) {
+    const context = parameters.context;
+    context.font = "bold 7px GameFont";
+    const width = Math.max(10, context.measureText(text).width + 4);
+
+    context.fillStyle = THEME.map.labelBadge.background;
+    context.beginRoundedRect(x - width / 2, y - 4, width, 8, 2);
+    context.fill();
+
+    context.fillStyle = THEME.map.labelBadge.text;
+    context.textAlign = "center";
+    context.fillText(text, x, y + 2.5);
+    context.textAlign = "left";
+}
@@ -29,6 +29,37 @@ export let gGameSpeedRegistry = new Factory("gamespeed");
 /** @type {FactoryTemplate<BaseItem>} */
 export let gItemRegistry = new Factory("item");
 
+// Content added by mods on top of the built-in content, see mods/mod_interface.js
+
+/**
+ * Game systems of mods, inserted before the system with the given id or appended if there is none
+ * @type {Array<{ id: string, systemClass: Class<import("../game/game_system").GameSystem>, before: string|null }>}
+ */
+export let gModGameSystems = [];
+
+/**
+ * HUD parts of mods, created in every game mode
+ * @type {Object.<string, Class<import("../game/hud/base_hud_part").BaseHUDPart>>}
+ */
+export let gModHudParts = {};
+
+/**
+ * Buildings of mods which should be shown in the toolbar of the given layer
+ * @type {Array<{
+ *   metaClass: typeof import("../game/meta_building").MetaBuilding,
+ *   layer: Layer,
+ *   secondary: boolean,
+ *   icon: string|null
+ * }>}
+ */
+export let gModToolbarBuildings = [];
+
+/**
+ * Resolvers of item types added by mods, by item id
+ * @type {Object.<string, function(import("../game/root").GameRoot, any): import("../game/base_item").BaseItem>}
+ */
+export let gModItemResolvers = {};
+
 // Helpers
 
 /**
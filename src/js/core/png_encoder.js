@@ -0,0 +1,121 @@
+import crc32 from "crc/crc32";
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/**
+ * Encodes a png image row by row, which allows to create images which are too big for a canvas.
+ * The rows get compressed while they are added, so only the compressed image is kept in memory.
+ * Requires the CompressionStream of the browser, see isSupported().
+ */
+export class StreamingPngEncoder {
+    /**
+     * Returns whether the browser can encode images this way
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof CompressionStream !== "undefined";
+    }
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.rowsAdded = 0;
+
+        // Png uses the zlib format, which is what the browser calls deflate
+        const stream = new CompressionStream("deflate");
+        this.writer = stream.writable.getWriter();
+
+        // Needs to be read while writing, otherwise the stream stops accepting data
+        this.compressedChunks = readAllChunks(stream.readable);
+    }
+
+    /**
+     * Adds the next rows of the image
+     * @param {Uint8ClampedArray} pixels The rgba pixels of whole rows, as returned by getImageData
+     * @returns {Promise<void>}
+     */
+    addRows(pixels) {
+        const rowBytes = this.width * 4;
+        const numRows = pixels.length / rowBytes;
+        assert(Number.isInteger(numRows), "Pixels do not contain whole rows");
+        assert(this.rowsAdded + numRows <= this.height, "Image has more rows than its height");
+
+        // Every row starts with its filter type, 0 stores the row as it is
+        const data = new Uint8Array(numRows * (rowBytes + 1));
+        for (let row = 0; row < numRows; ++row) {
+            data.set(pixels.subarray(row * rowBytes, (row + 1) * rowBytes), row * (rowBytes + 1) + 1);
+        }
+
+        this.rowsAdded += numRows;
+        return this.writer.write(data);
+    }
+
+    /**
+     * Finishes the image once all rows were added
+     * @returns {Promise<Blob>}
+     */
+    finish() {
+        assert(this.rowsAdded === this.height, "Not all rows of the image were added");
+
+        return this.writer
+            .close()
+            .then(() => this.compressedChunks)
+            .then(chunks => {
+                const header = new Uint8Array(13);
+                const view = new DataView(header.buffer);
+                view.setUint32(0, this.width);
+                view.setUint32(4, this.height);
+                header[8] = 8; // Bits per channel
+                header[9] = 6; // Rgba, compression, filter and interlace methods stay 0
+
+                const parts = [PNG_SIGNATURE, ...makeChunk("IHDR", header)];
+                for (let i = 0; i < chunks.length; ++i) {
+                    parts.push(...makeChunk("IDAT", chunks[i]));
+                }
+                parts.push(...makeChunk("IEND", new Uint8Array(0)));
+                return new Blob(parts, { type: "image/png" });
+            });
+    }
+}
+
+/**
+ * Returns the parts of a png chunk, the data does not get copied
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {Array<Uint8Array>}
+ */
+function makeChunk(type, data) {
+    const head = new Uint8Array(8);
+    const view = new DataView(head.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; ++i) {
+        head[4 + i] = type.charCodeAt(i);
+    }
+
+    // The checksum includes the type, but not the length
+    const crc = new Uint8Array(4);
+    new DataView(crc.buffer).setUint32(0, crc32(data, crc32(head.subarray(4))));
+    return [head, data, crc];
+}
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<Array<Uint8Array>>}
+ */
+function readAllChunks(stream) {
+    const reader = stream.getReader();
+    const chunks = [];
+    const readNext = () =>
+        reader.read().then(({ done, value }) => {
+            if (done) {
+                return chunks;
+            }
+            chunks.push(value);
+            return readNext();
+        });
+    return readNext();
+}
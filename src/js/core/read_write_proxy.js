@@ -9,7 +9,13 @@ import { accessNestedPropertyReverse } from "./utils";
 import { IS_DEBUG, globalConfig } from "./config";
 import { ExplainedResult } from "./explained_result";
 import { decompressX64, compressX64 } from "./lzstring";
-import { asyncCompressor, compressionPrefix } from "./async_compression";
+import {
+    asyncCompressor,
+    attachmentSeparator,
+    compressBinaryAsync,
+    compressionPrefix,
+    decompressBinaryAsync,
+} from "./async_compression";
 import { compressObject, decompressObject } from "../savegame/savegame_compressor";
 
 const debounce = require("debounce-promise");
@@ -18,6 +24,33 @@ const logger = createLogger("read_write_proxy");
 
 const salt = accessNestedPropertyReverse(globalConfig, ["file", "info"]);
 
+/**
+ * Splits compressed text into the compressed object and its attachment, see
+ * ReadWriteProxy.encodeForStorage()
+ * @param {string} text
+ * @returns {[string, string]}
+ */
+function splitAttachment(text) {
+    const index = text.indexOf(attachmentSeparator);
+    return index < 0 ? [text, ""] : [text.slice(0, index), text.slice(index + 1)];
+}
+
+/**
+ * @param {Uint8Array|null} attachment
+ * @returns {Promise<string>}
+ */
+function compressAttachmentAsync(attachment) {
+    return attachment ? compressBinaryAsync(attachment) : Promise.resolve("");
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<Uint8Array|null>}
+ */
+function decompressAttachmentAsync(text) {
+    return text ? decompressBinaryAsync(text) : Promise.resolve(null);
+}
+
 // Helper which only writes / reads if verify() works. Also performs migration
 export class ReadWriteProxy {
     constructor(app, filename) {
@@ -43,6 +76,12 @@ export class ReadWriteProxy {
          * Store a debounced handler to prevent double writes
          */
         this.debouncedWrite = debounce(this.doWriteAsync.bind(this), 50);
+
+        /**
+         * Set if the stored file could neither be read nor backed up, in which case it
+         * must never be overwritten, see backupUnreadableFile()
+         */
+        this.writeProtected = false;
     }
 
     // -- Methods to override
@@ -72,6 +111,26 @@ export class ReadWriteProxy {
         return ExplainedResult.bad();
     }
 
+    /**
+     * Can be overridden to store the data in a different form than it is kept in memory,
+     * must not modify the data. Binary data can be stored as attachment, which is compressed
+     * on its own instead of as part of the json.
+     * @param {object} data
+     * @returns {{ data: object, attachment: Uint8Array|null }}
+     */
+    encodeForStorage(data) {
+        return { data, attachment: null };
+    }
+
+    /**
+     * Reverts encodeForStorage() on data which has just been read, before it gets migrated
+     * (Modify in place)
+     * @param {object} data
+     * @param {Uint8Array|null} attachment
+     * @param {boolean} lenient Whether to restore as much as possible of damaged data instead of failing
+     */
+    decodeFromStorage(data, attachment, lenient) {}
+
     // -- / Methods
 
     // Resets whole data, returns promise
@@ -82,28 +141,35 @@ export class ReadWriteProxy {
     }
 
     /**
-     *
+     * Serializes the object the same way it is written to the storage
      * @param {object} obj
+     * @param {Uint8Array|null=} attachment
+     * @returns {Promise<string>}
      */
-    static serializeObject(obj) {
-        const jsonString = JSON.stringify(compressObject(obj));
-        const checksum = computeCrc(jsonString + salt);
-        return compressionPrefix + compressX64(checksum + jsonString);
+    static serializeObjectAsync(obj, attachment = null) {
+        return compressAttachmentAsync(attachment).then(attachmentText => {
+            const jsonString = JSON.stringify(compressObject(obj));
+            const checksum = computeCrc(jsonString + attachmentText + salt);
+            const compressed = compressionPrefix + compressX64(checksum + jsonString);
+            return attachmentText ? compressed + attachmentSeparator + attachmentText : compressed;
+        });
     }
 
     /**
-     *
-     * @param {object} text
+     * Reverts serializeObjectAsync()
+     * @param {string} text
+     * @returns {Promise<{ data: object, attachment: Uint8Array|null }>}
      */
-    static deserializeObject(text) {
-        const decompressed = decompressX64(text.substr(compressionPrefix.length));
+    static deserializeObjectAsync(text) {
+        const [compressed, attachmentText] = splitAttachment(text);
+        const decompressed = decompressX64(compressed.substr(compressionPrefix.length));
         if (!decompressed) {
             // LZ string decompression failure
-            throw new Error("bad-content / decompression-failed");
+            return Promise.reject(new Error("bad-content / decompression-failed"));
         }
         if (decompressed.length < 40) {
             // String too short
-            throw new Error("bad-content / payload-too-small");
+            return Promise.reject(new Error("bad-content / payload-too-small"));
         }
 
         // Compare stored checksum with actual checksum
@@ -111,17 +177,18 @@ export class ReadWriteProxy {
         const jsonString = decompressed.substr(40);
 
         const desiredChecksum = checksum.startsWith(CRC_PREFIX)
-            ? computeCrc(jsonString + salt)
-            : sha1(jsonString + salt);
+            ? computeCrc(jsonString + attachmentText + salt)
+            : sha1(jsonString + attachmentText + salt);
 
         if (desiredChecksum !== checksum) {
             // Checksum mismatch
-            throw new Error("bad-content / checksum-mismatch");
+            return Promise.reject(new Error("bad-content / checksum-mismatch"));
         }
 
-        const parsed = JSON.parse(jsonString);
-        const decoded = decompressObject(parsed);
-        return decoded;
+        return decompressAttachmentAsync(attachmentText).then(attachment => ({
+            data: decompressObject(JSON.parse(jsonString)),
+            attachment,
+        }));
     }
 
     /**
@@ -130,6 +197,10 @@ export class ReadWriteProxy {
      * @returns {Promise<void>}
      */
     writeAsync() {
+        if (this.writeProtected) {
+            return Promise.reject("The stored " + this.filename + " could not be read, not overwriting it");
+        }
+
         const verifyResult = this.internalVerifyEntry(this.currentData);
 
         if (!verifyResult.result) {
@@ -140,13 +211,31 @@ export class ReadWriteProxy {
         return this.debouncedWrite();
     }
 
+    /**
+     * Called when the stored file can not be read. Keeps a copy of it, so its contents are not
+     * lost once the file gets written again. If the copy fails, the file gets write protected.
+     * @returns {Promise<void>}
+     */
+    backupUnreadableFile() {
+        const backupFilename = this.filename + ".unreadable-" + Date.now();
+        return this.app.storage
+            .readFileAsync(this.filename)
+            .then(contents => this.app.storage.writeFileAsync(backupFilename, contents))
+            .then(() => logger.warn("Stored unreadable", this.filename, "as", backupFilename))
+            .catch(err => {
+                logger.error("Failed to back up unreadable", this.filename, ":", err);
+                this.writeProtected = true;
+            });
+    }
+
     /**
      * Actually writes the data asychronously
      * @returns {Promise<void>}
      */
     doWriteAsync() {
-        return asyncCompressor
-            .compressObjectAsync(this.currentData)
+        const { data, attachment } = this.encodeForStorage(this.currentData);
+        return compressAttachmentAsync(attachment)
+            .then(attachmentText => asyncCompressor.compressObjectAsync(data, attachmentText))
             .then(compressed => {
                 return this.app.storage.writeFileAsync(this.filename, compressed);
             })
@@ -183,11 +272,12 @@ export class ReadWriteProxy {
                 .then(rawData => {
                     if (rawData == null) {
                         // So, the file has not been found, use default data
-                        return JSON.stringify(compressObject(this.getDefaultData()));
+                        return { jsonString: JSON.stringify(compressObject(this.getDefaultData())) };
                     }
 
                     if (rawData.startsWith(compressionPrefix)) {
-                        const decompressed = decompressX64(rawData.substr(compressionPrefix.length));
+                        const [compressed, attachmentText] = splitAttachment(rawData);
+                        const decompressed = decompressX64(compressed.substr(compressionPrefix.length));
                         if (!decompressed) {
                             // LZ string decompression failure
                             return Promise.reject("bad-content / decompression-failed");
@@ -202,8 +292,8 @@ export class ReadWriteProxy {
                         const jsonString = decompressed.substr(40);
 
                         const desiredChecksum = checksum.startsWith(CRC_PREFIX)
-                            ? computeCrc(jsonString + salt)
-                            : sha1(jsonString + salt);
+                            ? computeCrc(jsonString + attachmentText + salt)
+                            : sha1(jsonString + attachmentText + salt);
 
                         if (desiredChecksum !== checksum) {
                             // Checksum mismatch
@@ -211,19 +301,20 @@ export class ReadWriteProxy {
                                 "bad-content / checksum-mismatch: " + desiredChecksum + " vs " + checksum
                             );
                         }
-                        return jsonString;
+                        return { jsonString, attachmentText };
                     } else {
                         if (!G_IS_DEV) {
                             return Promise.reject("bad-content / missing-compression");
                         }
                     }
-                    return rawData;
+                    return { jsonString: rawData };
                 })
 
                 // Parse JSON, this could throw but that's fine
-                .then(res => {
+                .then(({ jsonString, attachmentText = "" }) => {
+                    let parsed;
                     try {
-                        return JSON.parse(res);
+                        parsed = JSON.parse(jsonString);
                     } catch (ex) {
                         logger.error(
                             "Failed to parse file content of",
@@ -231,15 +322,23 @@ export class ReadWriteProxy {
                             ":",
                             ex,
                             "(content was:",
-                            res,
+                            jsonString,
                             ")"
                         );
                         throw new Error("invalid-serialized-data");
                     }
+                    return decompressAttachmentAsync(attachmentText).then(attachment => ({
+                        compressed: parsed,
+                        attachment,
+                    }));
                 })
 
                 // Decompress
-                .then(compressed => decompressObject(compressed))
+                .then(({ compressed, attachment }) => {
+                    const contents = decompressObject(compressed);
+                    this.decodeFromStorage(contents, attachment, false);
+                    return contents;
+                })
 
                 // Verify basic structure
                 .then(contents => {
@@ -302,6 +401,58 @@ export class ReadWriteProxy {
         );
     }
 
+    /**
+     * Reads the data without comparing its checksum and without verifying it, which allows
+     * to recover damaged files. The data still gets migrated, but is not stored.
+     * @returns {Promise<any>}
+     */
+    readUnverifiedAsync() {
+        return this.app.storage
+            .readFileAsync(this.filename)
+            .then(rawData => {
+                let jsonString = rawData;
+                let attachmentText = "";
+                if (rawData.startsWith(compressionPrefix)) {
+                    const [compressed, attachment] = splitAttachment(rawData);
+                    attachmentText = attachment;
+                    const decompressed = decompressX64(compressed.substr(compressionPrefix.length));
+                    if (!decompressed || decompressed.length < 40) {
+                        throw "bad-content / decompression-failed";
+                    }
+
+                    // Skip the checksum
+                    jsonString = decompressed.substr(40);
+                }
+
+                const contents = decompressObject(JSON.parse(jsonString));
+                return decompressAttachmentAsync(attachmentText).then(attachment => {
+                    this.decodeFromStorage(contents, attachment, true);
+                    return contents;
+                });
+            })
+            .then(contents => {
+                const result = this.internalVerifyBasicStructure(contents);
+                if (!result.isGood()) {
+                    throw "verify-failed: " + result.reason;
+                }
+
+                if (contents.version > this.getCurrentVersion()) {
+                    throw "stored-data-is-newer";
+                }
+
+                if (contents.version < this.getCurrentVersion()) {
+                    const migrationResult = this.migrate(contents); // modify in place
+                    if (migrationResult.isBad()) {
+                        throw "migration-failed: " + migrationResult.reason;
+                    }
+                }
+                return contents;
+            })
+            .catch(err => {
+                return Promise.reject("Failed to read " + this.filename + ": " + err);
+            });
+    }
+
     /**
      * Deletes the file
      * @returns {Promise<void>}
@@ -38,6 +38,12 @@ export class AchievementProxy {
             return;
         }
 
+        if (this.root.replayPlayer) {
+            logger.log("Disabling achievements while watching a replay");
+            this.disabled = true;
+            return;
+        }
+
         this.provider
             .onLoad(this.root)
             .then(() => {
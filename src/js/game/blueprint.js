@@ -1,17 +1,63 @@
 import { globalConfig } from "../core/config";
 import { DrawParameters } from "../core/draw_parameters";
+import { gMetaBuildingRegistry } from "../core/global_registries";
+import { compressX64, decompressX64 } from "../core/lzstring";
 import { findNiceIntegerValue } from "../core/utils";
 import { Vector } from "../core/vector";
+import { BaseItem } from "./base_item";
 import { Entity } from "./entity";
 import { ACHIEVEMENTS } from "../platform/achievement_provider";
+import { ClockComponent } from "./components/clock";
+import { DelayComponent } from "./components/delay";
+import { enumLatchMode } from "./components/latch";
+import { T } from "../translations";
+import { getBuildingDataFromCode, isKnownBuildingVariant } from "./building_codes";
+import { isValidSerializedItem, itemResolverSingleton, typeItemSingleton } from "./item_resolver";
+import { MetaBuilding } from "./meta_building";
 import { GameRoot } from "./root";
 
+/**
+ * Prefix of all shareable blueprint strings
+ */
+const BLUEPRINT_STRING_PREFIX = "SHAPEZBP";
+
+/**
+ * Version of the shareable blueprint format, increase this when the format changes
+ * and keep the import of older versions working
+ */
+const BLUEPRINT_STRING_VERSION = 1;
+
+/**
+ * @typedef {{
+ *   building: string,
+ *   variant: string,
+ *   rotationVariant: number,
+ *   x: number,
+ *   y: number,
+ *   rotation: number,
+ *   originalRotation: number,
+ *   signal?: { $: string, data: any },
+ *   goalItem?: { $: string, data: any },
+ *   filterItem?: { $: string, data: any },
+ *   toggled?: boolean,
+ *   latchMode?: string,
+ *   clockPeriod?: number,
+ *   clockPulseLength?: number,
+ *   delayTicks?: number
+ * }} SerializedBlueprintEntity
+ */
+
 export class Blueprint {
     /**
      * @param {Array<Entity>} entities
+     * @param {Vector=} origin The tile the blueprint was copied from, if known
+     * @param {Map<Entity, BaseItem>=} filterItems The wire value of each filter when it was copied,
+     * only stored in the blueprint string since the filters are configured by their wire input
      */
-    constructor(entities) {
+    constructor(entities, origin = null, filterItems = new Map()) {
         this.entities = entities;
+        this.origin = origin;
+        this.filterItems = filterItems;
     }
 
     /**
@@ -32,6 +78,7 @@ export class Blueprint {
      */
     static fromUids(root, uids) {
         const newEntities = [];
+        const filterItems = new Map();
 
         let averagePosition = new Vector();
 
@@ -43,6 +90,14 @@ export class Blueprint {
             const clone = entity.clone();
             newEntities.push(clone);
 
+            // Filters are configured by their wire input, which the blueprint doesn't contain
+            if (entity.components.Filter) {
+                const network = entity.components.WiredPins.slots[0].linkedNetwork;
+                if (network && network.hasValue()) {
+                    filterItems.set(clone, network.currentValue);
+                }
+            }
+
             const pos = entity.components.StaticMapEntity.getTileSpaceBounds().getCenter();
             averagePosition.addInplace(pos);
         }
@@ -55,7 +110,254 @@ export class Blueprint {
         }
 
         // Now, make sure the origin is 0,0
-        return new Blueprint(newEntities);
+        return new Blueprint(newEntities, blueprintOrigin, filterItems);
+    }
+
+    /**
+     * Serializes the blueprint into a string which can be shared with other players
+     * @returns {string}
+     */
+    serializeToString() {
+        /** @type {Array<SerializedBlueprintEntity>} */
+        const entities = [];
+
+        for (let i = 0; i < this.entities.length; ++i) {
+            const entity = this.entities[i];
+            entities.push(Blueprint.serializeEntity(entity, this.filterItems.get(entity)));
+        }
+
+        // The origin allows to place the blueprint where it was copied from, which
+        // is used to simulate puzzle solutions
+        const origin = this.origin ? { x: this.origin.x, y: this.origin.y } : undefined;
+
+        const payload = compressX64(JSON.stringify({ entities, origin }));
+        return BLUEPRINT_STRING_PREFIX + ":" + BLUEPRINT_STRING_VERSION + ":" + payload;
+    }
+
+    /**
+     * Serializes a single entity, only storing what is required to place it again
+     * @param {Entity} entity
+     * @param {BaseItem=} filterItem The item the filter was configured with, if it is a filter
+     * @returns {SerializedBlueprintEntity}
+     */
+    static serializeEntity(entity, filterItem = null) {
+        const staticComp = entity.components.StaticMapEntity;
+        const buildingData = getBuildingDataFromCode(staticComp.code);
+
+        /** @type {SerializedBlueprintEntity} */
+        const data = {
+            building: staticComp.getMetaBuilding().getId(),
+            variant: buildingData.variant,
+            rotationVariant: buildingData.rotationVariant,
+            x: staticComp.origin.x,
+            y: staticComp.origin.y,
+            rotation: staticComp.rotation,
+            originalRotation: staticComp.originalRotation,
+        };
+
+        const signalComp = entity.components.ConstantSignal;
+        if (signalComp && signalComp.signal) {
+            data.signal = typeItemSingleton.serialize(signalComp.signal);
+        }
+
+        const goalComp = entity.components.GoalAcceptor;
+        if (goalComp && goalComp.item) {
+            data.goalItem = typeItemSingleton.serialize(goalComp.item);
+        }
+
+        if (entity.components.Filter && filterItem) {
+            data.filterItem = typeItemSingleton.serialize(filterItem);
+        }
+
+        const leverComp = entity.components.Lever;
+        if (leverComp) {
+            data.toggled = leverComp.toggled;
+        }
+
+        const latchComp = entity.components.Latch;
+        if (latchComp) {
+            data.latchMode = latchComp.mode;
+        }
+
+        const clockComp = entity.components.Clock;
+        if (clockComp) {
+            data.clockPeriod = clockComp.period;
+            data.clockPulseLength = clockComp.pulseLength;
+        }
+
+        const delayComp = entity.components.Delay;
+        if (delayComp) {
+            data.delayTicks = delayComp.delay;
+        }
+
+        return data;
+    }
+
+    /**
+     * Applies the settings of latches, clocks and delays, skipping invalid values
+     * @param {Entity} entity
+     * @param {SerializedBlueprintEntity} data
+     */
+    static applyTimingSettings(entity, data) {
+        const { Latch: latchComp, Clock: clockComp, Delay: delayComp } = entity.components;
+        if (
+            latchComp &&
+            latchComp.mode !== data.latchMode &&
+            Object.values(enumLatchMode).includes(data.latchMode)
+        ) {
+            // The stored item has a different meaning in the other mode
+            latchComp.mode = data.latchMode;
+            latchComp.clear();
+        }
+        if (clockComp && ClockComponent.isValidTiming(data.clockPeriod, data.clockPulseLength)) {
+            clockComp.period = data.clockPeriod;
+            clockComp.pulseLength = data.clockPulseLength;
+        }
+        if (delayComp && DelayComponent.isValidDelay(data.delayTicks)) {
+            delayComp.delay = data.delayTicks;
+        }
+    }
+
+    /**
+     * Parses a blueprint string, as created by serializeToString. Returns the error as
+     * a translated string if the blueprint can not be imported.
+     * @param {GameRoot} root
+     * @param {string} str
+     * @returns {{ blueprint?: Blueprint, error?: string }}
+     */
+    static deserializeFromString(root, str) {
+        const errors = T.dialogs.blueprintImportFailed;
+        const parts = str.trim().split(":");
+        if (parts.length !== 3 || parts[0] !== BLUEPRINT_STRING_PREFIX) {
+            return { error: errors.invalidFormat };
+        }
+
+        const version = Number(parts[1]);
+        if (!Number.isInteger(version) || version < 1) {
+            return { error: errors.invalidFormat };
+        }
+        if (version > BLUEPRINT_STRING_VERSION) {
+            return { error: errors.unsupportedVersion };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(decompressX64(parts[2]));
+        } catch (ex) {
+            return { error: errors.invalidFormat };
+        }
+
+        if (!data || !Array.isArray(data.entities) || data.entities.length === 0) {
+            return { error: errors.invalidFormat };
+        }
+
+        const entities = [];
+        const filterItems = new Map();
+        for (let i = 0; i < data.entities.length; ++i) {
+            const entityData = data.entities[i];
+            const result = Blueprint.deserializeEntity(root, entityData);
+            if (typeof result === "string") {
+                return { error: result };
+            }
+            entities.push(result);
+
+            // Kept so exporting the blueprint again doesn't lose it, the filter itself stays unconfigured
+            if (result.components.Filter && entityData.filterItem !== undefined) {
+                if (!isValidSerializedItem(entityData.filterItem)) {
+                    return {
+                        error: errors.unknownItem.replace("<item>", JSON.stringify(entityData.filterItem)),
+                    };
+                }
+                filterItems.set(result, itemResolverSingleton(root, entityData.filterItem));
+            }
+        }
+
+        // Blueprints can only be placed on one layer at once
+        const layer = entities[0].layer;
+        if (entities.some(entity => entity.layer !== layer)) {
+            return { error: errors.invalidFormat };
+        }
+
+        let origin = null;
+        if (data.origin && Number.isInteger(data.origin.x) && Number.isInteger(data.origin.y)) {
+            origin = new Vector(data.origin.x, data.origin.y);
+        }
+
+        return { blueprint: new Blueprint(entities, origin, filterItems) };
+    }
+
+    /**
+     * Creates an entity from its serialized blueprint data
+     * @param {GameRoot} root
+     * @param {SerializedBlueprintEntity} data
+     * @returns {Entity|string} The entity or a translated error
+     */
+    static deserializeEntity(root, data) {
+        const errors = T.dialogs.blueprintImportFailed;
+        if (!data || typeof data !== "object") {
+            return errors.invalidFormat;
+        }
+
+        if (typeof data.building !== "string" || !gMetaBuildingRegistry.hasId(data.building)) {
+            return errors.unknownBuilding.replace("<building>", String(data.building));
+        }
+
+        /** @type {MetaBuilding} */
+        const metaBuilding = gMetaBuildingRegistry.findById(data.building);
+        if (!isKnownBuildingVariant(metaBuilding, data.variant, data.rotationVariant)) {
+            return errors.unknownBuilding.replace(
+                "<building>",
+                data.building + " (" + data.variant + "/" + data.rotationVariant + ")"
+            );
+        }
+
+        // Never allow importing buildings like the hub
+        if (!metaBuilding.getIsRemovable(root)) {
+            return errors.buildingNotAllowed.replace("<building>", data.building);
+        }
+
+        const isValidRotation = angle =>
+            Number.isInteger(angle) && angle >= 0 && angle < 360 && angle % 90 === 0;
+        if (
+            !Number.isInteger(data.x) ||
+            !Number.isInteger(data.y) ||
+            !isValidRotation(data.rotation) ||
+            !isValidRotation(data.originalRotation)
+        ) {
+            return errors.invalidFormat;
+        }
+
+        const entity = metaBuilding.createEntity({
+            root,
+            origin: new Vector(data.x, data.y),
+            rotation: data.rotation,
+            originalRotation: data.originalRotation,
+            rotationVariant: data.rotationVariant,
+            variant: data.variant,
+        });
+
+        const itemFields = [
+            { item: data.signal, component: entity.components.ConstantSignal, key: "signal" },
+            { item: data.goalItem, component: entity.components.GoalAcceptor, key: "item" },
+        ];
+        for (let i = 0; i < itemFields.length; ++i) {
+            const { item, component, key } = itemFields[i];
+            if (item === undefined || !component) {
+                continue;
+            }
+            if (!isValidSerializedItem(item)) {
+                return errors.unknownItem.replace("<item>", JSON.stringify(item));
+            }
+            component[key] = itemResolverSingleton(root, item);
+        }
+
+        if (entity.components.Lever && typeof data.toggled === "boolean") {
+            entity.components.Lever.toggled = data.toggled;
+        }
+
+        Blueprint.applyTimingSettings(entity, data);
+
+        return entity;
     }
 
     /**
@@ -68,11 +370,43 @@ export class Blueprint {
         return findNiceIntegerValue(4 * Math.pow(this.entities.length, 1.1));
     }
 
+    /**
+     * Returns the names of all buildings in this blueprint which can not be placed, either
+     * because the current game mode excludes them or because they are not unlocked yet
+     * @param {GameRoot} root
+     * @returns {{ excluded: Array<string>, locked: Array<string> }}
+     */
+    getRestrictedBuildings(root) {
+        const excluded = new Set();
+        const locked = new Set();
+
+        for (let i = 0; i < this.entities.length; ++i) {
+            const staticComp = this.entities[i].components.StaticMapEntity;
+            const metaBuilding = staticComp.getMetaBuilding();
+            const variant = getBuildingDataFromCode(staticComp.code).variant;
+            const name = T.buildings[metaBuilding.getId()][variant].name;
+
+            const metaClass = /** @type {typeof MetaBuilding} */ (metaBuilding.constructor);
+            if (root.gameMode.isBuildingExcluded(metaClass)) {
+                excluded.add(name);
+            } else if (
+                !metaBuilding.getIsUnlocked(root) ||
+                metaBuilding.getAvailableVariants(root).indexOf(variant) < 0
+            ) {
+                locked.add(name);
+            }
+        }
+
+        return { excluded: Array.from(excluded), locked: Array.from(locked) };
+    }
+
     /**
      * Draws the blueprint at the given origin
      * @param {DrawParameters} parameters
+     * @param {Vector} tile
+     * @param {boolean=} showPlacementStatus Whether to fade out entities which can not be placed
      */
-    draw(parameters, tile) {
+    draw(parameters, tile, showPlacementStatus = true) {
         parameters.context.globalAlpha = 0.8;
         for (let i = 0; i < this.entities.length; ++i) {
             const entity = this.entities[i];
@@ -82,7 +416,7 @@ export class Blueprint {
             const rect = staticComp.getTileSpaceBounds();
             rect.moveBy(tile.x, tile.y);
 
-            if (!parameters.root.logic.checkCanPlaceEntity(entity, tile)) {
+            if (showPlacementStatus && !parameters.root.logic.checkCanPlaceEntity(entity, tile)) {
                 parameters.context.globalAlpha = 0.3;
             } else {
                 parameters.context.globalAlpha = 1;
@@ -93,3 +93,14 @@ export function getCodeFromBuildingData(metaBuilding, variant, rotationVariant)
     }
     return result;
 }
+
+/**
+ * Returns whether there is a building code for the given variant, used to validate untrusted input
+ * @param {MetaBuilding} metaBuilding
+ * @param {string} variant
+ * @param {number} rotationVariant
+ * @returns {boolean}
+ */
+export function isKnownBuildingVariant(metaBuilding, variant, rotationVariant) {
+    return variantsCache.has(metaBuilding.getId() + "/" + variant + "/" + rotationVariant);
+}
@@ -0,0 +1,129 @@
+import { Loader } from "../../core/loader";
+import { enumDirection, Vector } from "../../core/vector";
+import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
+import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { Entity } from "../entity";
+import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
+import { GameRoot } from "../root";
+import { enumHubGoalRewards } from "../tutorial_goals";
+
+/** @enum {string} */
+export const enumArithmeticGateVariants = {
+    subtract: "subtract",
+    multiply: "multiply",
+    greater: "greater",
+    counter: "counter",
+};
+
+/** @enum {string} */
+export const enumVariantToGate = {
+    [defaultBuildingVariant]: enumLogicGateType.add,
+    [enumArithmeticGateVariants.subtract]: enumLogicGateType.subtract,
+    [enumArithmeticGateVariants.multiply]: enumLogicGateType.multiply,
+    [enumArithmeticGateVariants.greater]: enumLogicGateType.greater,
+    [enumArithmeticGateVariants.counter]: enumLogicGateType.counter,
+};
+
+const colors = {
+    [defaultBuildingVariant]: "#5b7de8",
+    [enumArithmeticGateVariants.subtract]: "#5b9ee8",
+    [enumArithmeticGateVariants.multiply]: "#5bbfe8",
+    [enumArithmeticGateVariants.greater]: "#7a5be8",
+    [enumArithmeticGateVariants.counter]: "#a05be8",
+};
+
+/**
+ * Computes numbers on the wires layer. All variants share the sprites of the comparator,
+ * the operation is drawn on top of it by the logic gate system.
+ */
+export class MetaArithmeticGateBuilding extends MetaBuilding {
+    constructor() {
+        super("arithmetic_gate");
+    }
+
+    getSilhouetteColor(variant) {
+        return colors[variant];
+    }
+
+    /**
+     * @param {GameRoot} root
+     */
+    getIsUnlocked(root) {
+        return root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_logic_gates);
+    }
+
+    /** @returns {"wires"} **/
+    getLayer() {
+        return "wires";
+    }
+
+    getDimensions() {
+        return new Vector(1, 1);
+    }
+
+    getAvailableVariants() {
+        return [
+            defaultBuildingVariant,
+            enumArithmeticGateVariants.subtract,
+            enumArithmeticGateVariants.multiply,
+            enumArithmeticGateVariants.greater,
+            enumArithmeticGateVariants.counter,
+        ];
+    }
+
+    getRenderPins() {
+        // We already have it included
+        return false;
+    }
+
+    getSprite() {
+        return Loader.getSprite("sprites/buildings/comparator.png");
+    }
+
+    getPreviewSprite() {
+        return Loader.getSprite("sprites/buildings/comparator.png");
+    }
+
+    getBlueprintSprite() {
+        return Loader.getSprite("sprites/blueprints/comparator.png");
+    }
+
+    /**
+     *
+     * @param {Entity} entity
+     * @param {number} rotationVariant
+     */
+    updateVariants(entity, rotationVariant, variant) {
+        entity.components.LogicGate.type = enumVariantToGate[variant];
+    }
+
+    /**
+     * Creates the entity at the given location
+     * @param {Entity} entity
+     */
+    setupEntityComponents(entity) {
+        entity.addComponent(
+            new WiredPinsComponent({
+                slots: [
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.top,
+                        type: enumPinSlotType.logicalEjector,
+                    },
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.left,
+                        type: enumPinSlotType.logicalAcceptor,
+                    },
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.right,
+                        type: enumPinSlotType.logicalAcceptor,
+                    },
+                ],
+            })
+        );
+
+        entity.addComponent(new LogicGateComponent({}));
+    }
+}
@@ -0,0 +1,80 @@
+import { Loader } from "../../core/loader";
+import { generateMatrixRotations } from "../../core/utils";
+import { enumDirection, Vector } from "../../core/vector";
+import { ClockComponent } from "../components/clock";
+import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { Entity } from "../entity";
+import { MetaBuilding } from "../meta_building";
+import { GameRoot } from "../root";
+import { enumHubGoalRewards } from "../tutorial_goals";
+
+const overlayMatrix = generateMatrixRotations([0, 1, 0, 1, 1, 1, 1, 1, 1]);
+
+/**
+ * Emits a pulse every few ticks. Shares the sprites of the constant signal, the period
+ * is drawn on top of it by the clock system.
+ */
+export class MetaClockBuilding extends MetaBuilding {
+    constructor() {
+        super("clock");
+    }
+
+    getSilhouetteColor() {
+        return "#2bc5fd";
+    }
+
+    /**
+     * @param {GameRoot} root
+     */
+    getIsUnlocked(root) {
+        return root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_logic_gates);
+    }
+
+    /** @returns {"wires"} **/
+    getLayer() {
+        return "wires";
+    }
+
+    getDimensions() {
+        return new Vector(1, 1);
+    }
+
+    getRenderPins() {
+        return false;
+    }
+
+    getSpecialOverlayRenderMatrix(rotation) {
+        return overlayMatrix[rotation];
+    }
+
+    getSprite() {
+        return Loader.getSprite("sprites/buildings/constant_signal.png");
+    }
+
+    getPreviewSprite() {
+        return Loader.getSprite("sprites/buildings/constant_signal.png");
+    }
+
+    getBlueprintSprite() {
+        return Loader.getSprite("sprites/blueprints/constant_signal.png");
+    }
+
+    /**
+     * Creates the entity at the given location
+     * @param {Entity} entity
+     */
+    setupEntityComponents(entity) {
+        entity.addComponent(
+            new WiredPinsComponent({
+                slots: [
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.top,
+                        type: enumPinSlotType.logicalEjector,
+                    },
+                ],
+            })
+        );
+        entity.addComponent(new ClockComponent({}));
+    }
+}
@@ -0,0 +1,87 @@
+import { Loader } from "../../core/loader";
+import { generateMatrixRotations } from "../../core/utils";
+import { enumDirection, Vector } from "../../core/vector";
+import { DelayComponent } from "../components/delay";
+import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { Entity } from "../entity";
+import { MetaBuilding } from "../meta_building";
+import { GameRoot } from "../root";
+import { enumHubGoalRewards } from "../tutorial_goals";
+
+const overlayMatrix = generateMatrixRotations([0, 1, 0, 0, 1, 0, 0, 1, 0]);
+
+/**
+ * Emits its input again after a configurable amount of ticks. Shares the sprites of the
+ * NOT gate, the delay is drawn on top of it by the delay system.
+ */
+export class MetaDelayBuilding extends MetaBuilding {
+    constructor() {
+        super("delay");
+    }
+
+    getSilhouetteColor() {
+        return "#c441f4";
+    }
+
+    /**
+     * @param {GameRoot} root
+     */
+    getIsUnlocked(root) {
+        return root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_logic_gates);
+    }
+
+    /** @returns {"wires"} **/
+    getLayer() {
+        return "wires";
+    }
+
+    getDimensions() {
+        return new Vector(1, 1);
+    }
+
+    getRenderPins() {
+        // We already have it included
+        return false;
+    }
+
+    getSpecialOverlayRenderMatrix(rotation) {
+        return overlayMatrix[rotation];
+    }
+
+    getSprite() {
+        return Loader.getSprite("sprites/buildings/logic_gate-not.png");
+    }
+
+    getPreviewSprite() {
+        return Loader.getSprite("sprites/buildings/logic_gate-not.png");
+    }
+
+    getBlueprintSprite() {
+        return Loader.getSprite("sprites/blueprints/logic_gate-not.png");
+    }
+
+    /**
+     * Creates the entity at the given location
+     * @param {Entity} entity
+     */
+    setupEntityComponents(entity) {
+        entity.addComponent(
+            new WiredPinsComponent({
+                slots: [
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.top,
+                        type: enumPinSlotType.logicalEjector,
+                    },
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.bottom,
+                        type: enumPinSlotType.logicalAcceptor,
+                    },
+                ],
+            })
+        );
+
+        entity.addComponent(new DelayComponent({}));
+    }
+}
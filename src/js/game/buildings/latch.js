@@ -0,0 +1,85 @@
+import { Loader } from "../../core/loader";
+import { enumDirection, Vector } from "../../core/vector";
+import { LatchComponent } from "../components/latch";
+import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
+import { Entity } from "../entity";
+import { MetaBuilding } from "../meta_building";
+import { GameRoot } from "../root";
+import { enumHubGoalRewards } from "../tutorial_goals";
+
+/**
+ * Stores an item on the wires layer. Shares the sprites of the comparator, the mode is
+ * drawn on top of it by the latch system.
+ */
+export class MetaLatchBuilding extends MetaBuilding {
+    constructor() {
+        super("latch");
+    }
+
+    getSilhouetteColor() {
+        return "#38b28c";
+    }
+
+    /**
+     * @param {GameRoot} root
+     */
+    getIsUnlocked(root) {
+        return root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_logic_gates);
+    }
+
+    /** @returns {"wires"} **/
+    getLayer() {
+        return "wires";
+    }
+
+    getDimensions() {
+        return new Vector(1, 1);
+    }
+
+    getRenderPins() {
+        // We already have it included
+        return false;
+    }
+
+    getSprite() {
+        return Loader.getSprite("sprites/buildings/comparator.png");
+    }
+
+    getPreviewSprite() {
+        return Loader.getSprite("sprites/buildings/comparator.png");
+    }
+
+    getBlueprintSprite() {
+        return Loader.getSprite("sprites/blueprints/comparator.png");
+    }
+
+    /**
+     * Creates the entity at the given location
+     * @param {Entity} entity
+     */
+    setupEntityComponents(entity) {
+        entity.addComponent(
+            new WiredPinsComponent({
+                slots: [
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.top,
+                        type: enumPinSlotType.logicalEjector,
+                    },
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.left,
+                        type: enumPinSlotType.logicalAcceptor,
+                    },
+                    {
+                        pos: new Vector(0, 0),
+                        direction: enumDirection.right,
+                        type: enumPinSlotType.logicalAcceptor,
+                    },
+                ],
+            })
+        );
+
+        entity.addComponent(new LatchComponent({}));
+    }
+}
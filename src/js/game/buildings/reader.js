@@ -4,15 +4,26 @@ import { ItemEjectorComponent } from "../components/item_ejector";
 import { enumItemProcessorTypes, ItemProcessorComponent } from "../components/item_processor";
 import { enumPinSlotType, WiredPinsComponent } from "../components/wired_pins";
 import { Entity } from "../entity";
-import { MetaBuilding } from "../meta_building";
+import { defaultBuildingVariant, MetaBuilding } from "../meta_building";
 import { GameRoot } from "../root";
 import { BeltUnderlaysComponent } from "../components/belt_underlays";
-import { BeltReaderComponent } from "../components/belt_reader";
+import { BeltReaderComponent, enumBeltReaderMode } from "../components/belt_reader";
 import { enumHubGoalRewards } from "../tutorial_goals";
 import { generateMatrixRotations } from "../../core/utils";
 
 const overlayMatrix = generateMatrixRotations([0, 1, 0, 0, 1, 0, 0, 1, 0]);
 
+/** @enum {string} */
+export const enumReaderVariants = {
+    throughput: "throughput",
+};
+
+/** @enum {enumBeltReaderMode} */
+export const enumVariantToReaderMode = {
+    [defaultBuildingVariant]: enumBeltReaderMode.boolean,
+    [enumReaderVariants.throughput]: enumBeltReaderMode.throughput,
+};
+
 export class MetaReaderBuilding extends MetaBuilding {
     constructor() {
         super("reader");
@@ -33,6 +44,24 @@ export class MetaReaderBuilding extends MetaBuilding {
         return new Vector(1, 1);
     }
 
+    getAvailableVariants() {
+        return [defaultBuildingVariant, enumReaderVariants.throughput];
+    }
+
+    // The variants only differ in their wired output, so they share the sprites
+
+    getSprite() {
+        return super.getSprite(0, defaultBuildingVariant);
+    }
+
+    getPreviewSprite() {
+        return super.getPreviewSprite(0, defaultBuildingVariant);
+    }
+
+    getBlueprintSprite() {
+        return super.getBlueprintSprite(0, defaultBuildingVariant);
+    }
+
     getShowWiresLayerPreview() {
         return true;
     }
@@ -112,4 +141,14 @@ export class MetaReaderBuilding extends MetaBuilding {
 
         entity.addComponent(new BeltReaderComponent());
     }
+
+    /**
+     *
+     * @param {Entity} entity
+     * @param {number} rotationVariant
+     * @param {string} variant
+     */
+    updateVariants(entity, rotationVariant, variant) {
+        entity.components.BeltReader.mode = enumVariantToReaderMode[variant];
+    }
 }
@@ -20,6 +20,9 @@ import { BeltReaderComponent } from "./components/belt_reader";
 import { FilterComponent } from "./components/filter";
 import { ItemProducerComponent } from "./components/item_producer";
 import { GoalAcceptorComponent } from "./components/goal_acceptor";
+import { LatchComponent } from "./components/latch";
+import { ClockComponent } from "./components/clock";
+import { DelayComponent } from "./components/delay";
 
 export function initComponentRegistry() {
     gComponentRegistry.register(StaticMapEntityComponent);
@@ -43,6 +46,9 @@ export function initComponentRegistry() {
     gComponentRegistry.register(FilterComponent);
     gComponentRegistry.register(ItemProducerComponent);
     gComponentRegistry.register(GoalAcceptorComponent);
+    gComponentRegistry.register(LatchComponent);
+    gComponentRegistry.register(ClockComponent);
+    gComponentRegistry.register(DelayComponent);
 
     // IMPORTANT ^^^^^ UPDATE ENTITY COMPONENT STORAGE AFTERWARDS
 
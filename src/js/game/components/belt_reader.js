@@ -9,6 +9,17 @@ export const enumBeltReaderType = {
     wireless: "wireless",
 };
 
+/**
+ * What the reader outputs on its wired pin next to the item output
+ * @enum {string}
+ */
+export const enumBeltReaderMode = {
+    /** Boolean "1" while items are passing */
+    boolean: "boolean",
+    /** The throughput in items per minute */
+    throughput: "throughput",
+};
+
 export class BeltReaderComponent extends Component {
     static getId() {
         return "BeltReader";
@@ -20,8 +31,13 @@ export class BeltReaderComponent extends Component {
         };
     }
 
-    constructor() {
+    /**
+     * @param {object} param0
+     * @param {enumBeltReaderMode=} param0.mode
+     */
+    constructor({ mode = enumBeltReaderMode.boolean } = {}) {
         super();
+        this.mode = mode;
         this.clear();
     }
 
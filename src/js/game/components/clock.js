@@ -0,0 +1,67 @@
+import { types } from "../../savegame/serialization";
+import { Component } from "../component";
+
+/**
+ * Limits of the clock period in ticks
+ */
+export const MIN_CLOCK_PERIOD = 2;
+export const MAX_CLOCK_PERIOD = 10000;
+
+export class ClockComponent extends Component {
+    static getId() {
+        return "Clock";
+    }
+
+    static getSchema() {
+        return {
+            period: types.uint,
+            pulseLength: types.uint,
+            tick: types.uint,
+        };
+    }
+
+    /**
+     * Returns whether the clock can run with the given timing
+     * @param {any} period
+     * @param {any} pulseLength
+     * @returns {boolean}
+     */
+    static isValidTiming(period, pulseLength) {
+        return (
+            Number.isInteger(period) &&
+            Number.isInteger(pulseLength) &&
+            period >= MIN_CLOCK_PERIOD &&
+            period <= MAX_CLOCK_PERIOD &&
+            pulseLength >= 1 &&
+            pulseLength < period
+        );
+    }
+
+    /**
+     * Copy the current state to another component
+     * @param {ClockComponent} otherComponent
+     */
+    copyAdditionalStateTo(otherComponent) {
+        otherComponent.period = this.period;
+        otherComponent.pulseLength = this.pulseLength;
+    }
+
+    /**
+     * @param {object} param0
+     * @param {number=} param0.period How many ticks a cycle takes
+     * @param {number=} param0.pulseLength For how many ticks of each cycle the clock emits "1"
+     */
+    constructor({ period = 60, pulseLength = 1 }) {
+        super();
+        this.period = period;
+        this.pulseLength = pulseLength;
+        this.clear();
+    }
+
+    clear() {
+        /**
+         * The current tick within the cycle
+         */
+        this.tick = 0;
+    }
+}
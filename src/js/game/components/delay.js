@@ -0,0 +1,58 @@
+import { types } from "../../savegame/serialization";
+import { BaseItem } from "../base_item";
+import { Component } from "../component";
+import { typeItemSingleton } from "../item_resolver";
+
+/**
+ * Limits of the delay in ticks
+ */
+export const MIN_DELAY_TICKS = 1;
+export const MAX_DELAY_TICKS = 1000;
+
+export class DelayComponent extends Component {
+    static getId() {
+        return "Delay";
+    }
+
+    static getSchema() {
+        return {
+            delay: types.uint,
+            buffer: types.array(types.nullable(typeItemSingleton)),
+        };
+    }
+
+    /**
+     * Returns whether the given delay is allowed
+     * @param {any} delay
+     * @returns {boolean}
+     */
+    static isValidDelay(delay) {
+        return Number.isInteger(delay) && delay >= MIN_DELAY_TICKS && delay <= MAX_DELAY_TICKS;
+    }
+
+    /**
+     * Copy the current state to another component
+     * @param {DelayComponent} otherComponent
+     */
+    copyAdditionalStateTo(otherComponent) {
+        otherComponent.delay = this.delay;
+    }
+
+    /**
+     * @param {object} param0
+     * @param {number=} param0.delay After how many ticks the input is emitted again
+     */
+    constructor({ delay = 10 }) {
+        super();
+        this.delay = delay;
+        this.clear();
+    }
+
+    clear() {
+        /**
+         * The inputs of the last ticks, oldest first
+         * @type {Array<BaseItem>}
+         */
+        this.buffer = [];
+    }
+}
@@ -0,0 +1,57 @@
+import { types } from "../../savegame/serialization";
+import { BaseItem } from "../base_item";
+import { Component } from "../component";
+import { typeItemSingleton } from "../item_resolver";
+
+/** @enum {string} */
+export const enumLatchMode = {
+    /** Stores the left input whenever the right input becomes truthy */
+    data: "data",
+    /** Stores the left input while it is truthy, a truthy right input clears it */
+    setReset: "setReset",
+};
+
+export class LatchComponent extends Component {
+    static getId() {
+        return "Latch";
+    }
+
+    static getSchema() {
+        return {
+            mode: types.enum(enumLatchMode),
+            storedItem: types.nullable(typeItemSingleton),
+            lastClock: types.bool,
+        };
+    }
+
+    /**
+     * Copy the current state to another component
+     * @param {LatchComponent} otherComponent
+     */
+    copyAdditionalStateTo(otherComponent) {
+        otherComponent.mode = this.mode;
+    }
+
+    /**
+     * @param {object} param0
+     * @param {enumLatchMode=} param0.mode
+     */
+    constructor({ mode = enumLatchMode.data }) {
+        super();
+        this.mode = mode;
+        this.clear();
+    }
+
+    clear() {
+        /**
+         * The item the latch currently outputs
+         * @type {BaseItem}
+         */
+        this.storedItem = null;
+
+        /**
+         * Whether the clock input was truthy in the last tick, to detect rising edges
+         */
+        this.lastClock = false;
+    }
+}
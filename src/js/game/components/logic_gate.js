@@ -1,3 +1,4 @@
+import { types } from "../../savegame/serialization";
 import { Component } from "../component";
 
 /** @enum {string} */
@@ -15,6 +16,12 @@ export const enumLogicGateType = {
     compare: "compare",
     stacker: "stacker",
     painter: "painter",
+
+    add: "add",
+    subtract: "subtract",
+    multiply: "multiply",
+    greater: "greater",
+    counter: "counter",
 };
 
 export class LogicGateComponent extends Component {
@@ -22,6 +29,13 @@ export class LogicGateComponent extends Component {
         return "LogicGate";
     }
 
+    static getSchema() {
+        return {
+            counterValue: types.int,
+            counterInput: types.bool,
+        };
+    }
+
     /**
      *
      * @param {object} param0
@@ -30,5 +44,18 @@ export class LogicGateComponent extends Component {
     constructor({ type = enumLogicGateType.and }) {
         super();
         this.type = type;
+        this.clear();
+    }
+
+    clear() {
+        /**
+         * How often the counter input changed to truthy since the last reset
+         */
+        this.counterValue = 0;
+
+        /**
+         * Whether the counter input was truthy in the last tick, to only count rising edges
+         */
+        this.counterInput = false;
     }
 }
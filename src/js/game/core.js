@@ -19,6 +19,7 @@ import { lerp, randomInt, round2Digits } from "../core/utils";
 import { Vector } from "../core/vector";
 import { Savegame } from "../savegame/savegame";
 import { SavegameSerializer } from "../savegame/savegame_serializer";
+import { SavegameRecovery } from "../savegame/savegame_recovery";
 import { AutomaticSave } from "./automatic_save";
 import { MetaHubBuilding } from "./buildings/hub";
 import { Camera } from "./camera";
@@ -38,6 +39,10 @@ import { ShapeDefinitionManager } from "./shape_definition_manager";
 import { AchievementProxy } from "./achievement_proxy";
 import { SoundProxy } from "./sound_proxy";
 import { GameTime } from "./time/game_time";
+import { UndoHistory } from "./undo_history";
+import { ReplayRecorder } from "./replay_recorder";
+import { ReplayPlayer } from "./replay_player";
+import { getDefaultMapGenerationSettings } from "./map_generation_settings";
 
 const logger = createLogger("ingame/core");
 
@@ -102,29 +107,25 @@ export class GameCore {
         // This isn't nice, but we need it right here
         root.keyMapper = new KeyActionMapper(root, this.root.gameState.inputReciever);
 
-        // Init game mode
-        root.gameMode = GameMode.create(root, gameModeId, parentState.creationPayload.gameModeParameters);
+        // Init everything required to simulate the game
+        GameCore.initializeLogic(root, gameModeId, parentState.creationPayload.gameModeParameters);
 
-        // Needs to come first
-        root.dynamicTickrate = new DynamicTickrate(root);
+        // When watching a replay, the replay performs the ticks
+        const replay = parentState.creationPayload.replay;
+        if (replay) {
+            root.replayPlayer = new ReplayPlayer(this, replay);
+            this.boundInternalTick = root.replayPlayer.tick.bind(root.replayPlayer);
+        }
 
-        // Init classes
+        // Init everything which renders or reacts to the player
         root.camera = new Camera(root);
-        root.map = new MapView(root);
-        root.logic = new GameLogic(root);
         root.hud = new GameHUD(root);
-        root.time = new GameTime(root);
         root.achievementProxy = new AchievementProxy(root);
         root.automaticSave = new AutomaticSave(root);
         root.soundProxy = new SoundProxy(root);
-
-        // Init managers
-        root.entityMgr = new EntityManager(root);
-        root.systemMgr = new GameSystemManager(root);
-        root.shapeDefinitionMgr = new ShapeDefinitionManager(root);
-        root.hubGoals = new HubGoals(root);
-        root.productionAnalytics = new ProductionAnalytics(root);
         root.buffers = new BufferMaintainer(root);
+        root.undoHistory = new UndoHistory(root);
+        root.replayRecorder = new ReplayRecorder(root);
 
         // Initialize the hud once everything is loaded
         this.root.hud.initialize();
@@ -163,14 +164,58 @@ export class GameCore {
         logger.log("root initialized");
     }
 
+    /**
+     * Initializes a root without canvas, camera and HUD, which can only be used to
+     * simulate the game (see SimulationRunner)
+     * @param {string} gameModeId
+     * @param {object=} gameModeParameters
+     */
+    initializeHeadlessRoot(gameModeId, gameModeParameters) {
+        logger.log("initializing headless root");
+
+        this.root = new GameRoot(this.app);
+        this.root.headless = true;
+        GameCore.initializeLogic(this.root, gameModeId, gameModeParameters);
+    }
+
+    /**
+     * Creates the parts of the root which simulate the game. Nothing created here may depend
+     * on the canvas, the camera or the HUD, so the game can also run headless.
+     * @param {GameRoot} root
+     * @param {string} gameModeId
+     * @param {object=} gameModeParameters
+     */
+    static initializeLogic(root, gameModeId, gameModeParameters) {
+        // Init game mode
+        root.gameMode = GameMode.create(root, gameModeId, gameModeParameters);
+
+        // Needs to come first
+        root.dynamicTickrate = new DynamicTickrate(root);
+
+        // Init classes
+        root.map = new MapView(root);
+        root.logic = new GameLogic(root);
+        root.time = new GameTime(root);
+
+        // Init managers
+        root.entityMgr = new EntityManager(root);
+        root.systemMgr = new GameSystemManager(root);
+        root.shapeDefinitionMgr = new ShapeDefinitionManager(root);
+        root.hubGoals = new HubGoals(root);
+        root.productionAnalytics = new ProductionAnalytics(root);
+    }
+
     /**
      * Initializes a new game, this means creating a new map and centering on the
      * playerbase
+     * @param {number=} seed The map seed, random by default
+     * @param {import("./map_generation_settings").MapGenerationSettings=} generationSettings
      * */
-    initNewGame() {
+    initNewGame(seed = randomInt(0, 100000), generationSettings = getDefaultMapGenerationSettings()) {
         logger.log("Initializing new game");
         this.root.gameIsFresh = true;
-        this.root.map.seed = randomInt(0, 100000);
+        this.root.map.seed = seed;
+        this.root.map.generationSettings = generationSettings;
 
         if (!this.root.gameMode.hasHub()) {
             return;
@@ -192,13 +237,14 @@ export class GameCore {
     /**
      * Inits an existing game by loading the raw savegame data and deserializing it.
      * Also runs basic validity checks.
+     * @param {import("../savegame/savegame_typedefs").SerializedGame=} dump Defaults to the dump of the savegame
      */
-    initExistingGame() {
+    initExistingGame(dump = this.root.savegame.getCurrentDump()) {
         logger.log("Initializing existing game");
         const serializer = new SavegameSerializer();
 
         try {
-            const status = serializer.deserialize(this.root.savegame.getCurrentDump(), this.root);
+            const status = serializer.deserialize(dump, this.root);
             if (!status.isGood()) {
                 logger.error("savegame-deserialize-failed:" + status.reason);
                 return false;
@@ -211,6 +257,50 @@ export class GameCore {
         return true;
     }
 
+    /**
+     * Initializes an existing game like initExistingGame(), but restores the entities over
+     * multiple frames
+     * @param {function(number) : void=} onProgress Called with the progress from 0 to 1
+     * @param {import("../savegame/savegame_typedefs").SerializedGame} dump
+     * @returns {Promise<boolean>}
+     */
+    initExistingGameAsync(onProgress = null, dump = this.root.savegame.getCurrentDump()) {
+        logger.log("Initializing existing game");
+        const serializer = new SavegameSerializer();
+
+        return serializer.deserializeAsync(dump, this.root, onProgress).then(
+            status => {
+                if (!status.isGood()) {
+                    logger.error("savegame-deserialize-failed:" + status.reason);
+                    return false;
+                }
+                this.root.gameIsFresh = false;
+                return true;
+            },
+            ex => {
+                logger.error("Exception during deserialization:", ex);
+                return false;
+            }
+        );
+    }
+
+    /**
+     * Initializes a damaged game, restoring as much of it as possible
+     * @param {import("../savegame/savegame_typedefs").SerializedGame} dump
+     * @returns {import("../savegame/savegame_recovery").SavegameRecoveryReport|null}
+     */
+    recoverExistingGame(dump = this.root.savegame.getCurrentDump()) {
+        logger.warn("Recovering damaged game");
+        try {
+            const report = new SavegameRecovery(this.root).recover(dump);
+            this.root.gameIsFresh = false;
+            return report;
+        } catch (ex) {
+            logger.error("Exception during recovery:", ex);
+            return null;
+        }
+    }
+
     /**
      * Initializes the render canvas
      */
@@ -262,7 +352,7 @@ export class GameCore {
      * Destructs the root, freeing all resources
      */
     destruct() {
-        if (lastCanvas && lastCanvas.parentElement) {
+        if (!this.root.headless && lastCanvas && lastCanvas.parentElement) {
             lastCanvas.parentElement.removeChild(lastCanvas);
         }
 
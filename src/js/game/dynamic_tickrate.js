@@ -23,6 +23,11 @@ export class DynamicTickrate {
 
         this.averageFps = 60;
 
+        // How many logic ticks were actually performed per real second, this is lower than
+        // the tick rate times the game speed if the computer can not keep up
+        this.accumulatedTicks = 0;
+        this.averageTicksPerSecond = 0;
+
         const fixedRate = this.root.gameMode.getFixedTickrate();
         if (fixedRate) {
             logger.log("Setting fixed tickrate of", fixedRate);
@@ -45,6 +50,8 @@ export class DynamicTickrate {
             const avgFps = (this.accumulatedFps / fpsAccumulationTime) * 1000;
             this.averageFps = avgFps;
             this.accumulatedFps = 0;
+            this.averageTicksPerSecond = (this.accumulatedTicks / timeDuration) * 1000;
+            this.accumulatedTicks = 0;
             this.accumulatedFpsLastUpdate = now;
         }
     }
@@ -125,5 +132,6 @@ export class DynamicTickrate {
         const duration = performance.now() - this.currentTickStart;
         this.capturedTicks.push(duration);
         this.currentTickStart = null;
+        ++this.accumulatedTicks;
     }
 }
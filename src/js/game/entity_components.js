@@ -20,6 +20,9 @@ import { BeltReaderComponent } from "./components/belt_reader";
 import { FilterComponent } from "./components/filter";
 import { ItemProducerComponent } from "./components/item_producer";
 import { GoalAcceptorComponent } from "./components/goal_acceptor";
+import { LatchComponent } from "./components/latch";
+import { ClockComponent } from "./components/clock";
+import { DelayComponent } from "./components/delay";
 /* typehints:end */
 
 /**
@@ -93,6 +96,15 @@ export class EntityComponentStorage {
         /** @type {GoalAcceptorComponent} */
         this.GoalAcceptor;
 
+        /** @type {LatchComponent} */
+        this.Latch;
+
+        /** @type {ClockComponent} */
+        this.Clock;
+
+        /** @type {DelayComponent} */
+        this.Delay;
+
         /* typehints:end */
     }
 }
@@ -0,0 +1,109 @@
+import { types } from "../savegame/serialization";
+import { enumColors } from "./colors";
+import { enumSubShape } from "./shape_definition";
+
+/** @enum {string} */
+export const enumFreeplaySymmetry = {
+    radial: "radial",
+    horizontal: "horizontal",
+    vertical: "vertical",
+    diagonal: "diagonal",
+};
+
+/**
+ * The quadrant groups of each symmetry, all quadrants of a group are the same. Some symmetries
+ * have multiple variants, e.g. the diagonal symmetry can use either diagonal as axis.
+ * @type {Object<enumFreeplaySymmetry, Array<Array<Array<number>>>>}
+ */
+export const FREEPLAY_SYMMETRIES = {
+    [enumFreeplaySymmetry.radial]: [
+        [
+            [0, 2],
+            [1, 3],
+        ],
+    ],
+    [enumFreeplaySymmetry.horizontal]: [
+        [
+            [0, 3],
+            [1, 2],
+        ],
+    ],
+    [enumFreeplaySymmetry.vertical]: [
+        [
+            [0, 1],
+            [2, 3],
+        ],
+    ],
+    [enumFreeplaySymmetry.diagonal]: [
+        [[0, 2], [1], [3]],
+        [[1, 3], [0], [2]],
+    ],
+};
+
+/**
+ * All colors which can be part of freeplay goals
+ */
+export const FREEPLAY_COLORS = [
+    enumColors.red,
+    enumColors.yellow,
+    enumColors.green,
+    enumColors.cyan,
+    enumColors.blue,
+    enumColors.purple,
+    enumColors.white,
+    enumColors.uncolored,
+];
+
+/**
+ * Maximum amount of layers of freeplay goals, 0 means the layer count depends on the level
+ */
+export const MAX_FREEPLAY_LAYERS = 4;
+
+/**
+ * How many upcoming freeplay goals are known in advance, including the current one
+ */
+export const FREEPLAY_QUEUE_SIZE = 5;
+
+/**
+ * Controls which shapes are generated as freeplay goals. With the default settings the
+ * goals are the same as before the settings existed.
+ * @typedef {{
+ *   layerCount: number,
+ *   subShapes: Array<enumSubShape>,
+ *   colors: Array<enumColors>,
+ *   symmetries: Array<enumFreeplaySymmetry>
+ * }} FreeplaySettings
+ *
+ * A goal in the queue of upcoming freeplay goals
+ * @typedef {{
+ *   level: number,
+ *   shape: string,
+ *   custom: boolean
+ * }} FreeplayQueueEntry
+ */
+
+/**
+ * Returns the default settings, which allow every shape
+ * @returns {FreeplaySettings}
+ */
+export function getDefaultFreeplaySettings() {
+    return {
+        layerCount: 0,
+        subShapes: Object.values(enumSubShape),
+        colors: FREEPLAY_COLORS.slice(),
+        symmetries: Object.values(enumFreeplaySymmetry),
+    };
+}
+
+export const typeFreeplaySettings = types.structured({
+    layerCount: types.uint,
+    subShapes: types.array(types.enum(enumSubShape)),
+    colors: types.array(types.enum(enumColors)),
+    symmetries: types.array(types.enum(enumFreeplaySymmetry)),
+});
+
+export const typeFreeplayQueueEntry = types.structured({
+    level: types.uint,
+    shape: types.string,
+    custom: types.bool,
+});
@@ -17,6 +17,9 @@ export class GameLoadingOverlay {
 
         /** @type {HTMLElement} */
         this.element = null;
+
+        /** @type {HTMLElement} */
+        this.progressBar = null;
     }
 
     /**
@@ -26,6 +29,7 @@ export class GameLoadingOverlay {
         if (this.element) {
             this.element.remove();
             this.element = null;
+            this.progressBar = null;
         }
     }
 
@@ -48,6 +52,25 @@ export class GameLoadingOverlay {
         this.internalAddHint(this.element);
     }
 
+    /**
+     * Shows a progress bar below the loading text, e.g. while restoring the entities of a savegame
+     * @param {number} progress The progress from 0 to 1
+     */
+    setProgress(progress) {
+        if (!this.element) {
+            return;
+        }
+
+        if (!this.progressBar) {
+            const bar = document.createElement("div");
+            bar.classList.add("progressBar");
+            this.progressBar = document.createElement("span");
+            bar.appendChild(this.progressBar);
+            this.element.insertBefore(bar, this.element.querySelector(".prefab_GameHint"));
+        }
+        this.progressBar.style.width = Math.round(progress * 100) + "%";
+    }
+
     /**
      * Adds a text with 'loading' and a spinner
      * @param {HTMLElement} element
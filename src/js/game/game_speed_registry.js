@@ -1,8 +1,10 @@
 import { RegularGameSpeed } from "./time/regular_game_speed";
+import { FastForwardGameSpeed } from "./time/fast_forward_game_speed";
+import { PausedGameSpeed } from "./time/paused_game_speed";
 import { gGameSpeedRegistry } from "../core/global_registries";
 
 export function initGameSpeedRegistry() {
     gGameSpeedRegistry.register(RegularGameSpeed);
-
-    // Others are disabled for now
+    gGameSpeedRegistry.register(FastForwardGameSpeed);
+    gGameSpeedRegistry.register(PausedGameSpeed);
 }
@@ -2,6 +2,7 @@
 import { GameRoot } from "./root";
 /* typehints:end */
 
+import { gModGameSystems } from "../core/global_registries";
 import { createLogger } from "../core/logging";
 import { BeltSystem } from "./systems/belt";
 import { ItemEjectorSystem } from "./systems/item_ejector";
@@ -22,6 +23,10 @@ import { LeverSystem } from "./systems/lever";
 import { DisplaySystem } from "./systems/display";
 import { ItemProcessorOverlaysSystem } from "./systems/item_processor_overlays";
 import { BeltReaderSystem } from "./systems/belt_reader";
+import { LatchSystem } from "./systems/latch";
+import { ClockSystem } from "./systems/clock";
+import { DelaySystem } from "./systems/delay";
+import { LogicAnalyzerSystem } from "./systems/logic_analyzer";
 import { FilterSystem } from "./systems/filter";
 import { ItemProducerSystem } from "./systems/item_producer";
 import { ConstantProducerSystem } from "./systems/constant_producer";
@@ -97,6 +102,18 @@ export class GameSystemManager {
             /** @type {BeltReaderSystem} */
             beltReader: null,
 
+            /** @type {LatchSystem} */
+            latch: null,
+
+            /** @type {ClockSystem} */
+            clock: null,
+
+            /** @type {DelaySystem} */
+            delay: null,
+
+            /** @type {LogicAnalyzerSystem} */
+            logicAnalyzer: null,
+
             /** @type {FilterSystem} */
             filter: null,
 
@@ -174,8 +191,12 @@ export class GameSystemManager {
         // processors etc. In phase 2 we propagate it through the wires network
         add("logicGate", LogicGateSystem);
         add("beltReader", BeltReaderSystem);
+        add("latch", LatchSystem);
+        add("clock", ClockSystem);
+        add("delay", DelaySystem);
 
         add("display", DisplaySystem);
+        add("logicAnalyzer", LogicAnalyzerSystem);
 
         add("itemProcessorOverlays", ItemProcessorOverlaysSystem);
 
@@ -187,6 +208,20 @@ export class GameSystemManager {
             add("zone", ZoneSystem);
         }
 
+        // Mod systems, placed relative to the built-in ones
+        for (let i = 0; i < gModGameSystems.length; ++i) {
+            const { id, systemClass, before } = gModGameSystems[i];
+            assert(!this.systems[id], "Duplicate game system id: " + id);
+            this.systems[id] = new systemClass(this.root);
+
+            const index = before ? this.systemUpdateOrder.indexOf(before) : -1;
+            if (index >= 0) {
+                this.systemUpdateOrder.splice(index, 0, id);
+            } else {
+                this.systemUpdateOrder.push(id);
+            }
+        }
+
         logger.log("📦 There are", this.systemUpdateOrder.length, "game systems");
     }
 
@@ -4,9 +4,18 @@ import { clamp } from "../core/utils";
 import { BasicSerializableObject, types } from "../savegame/serialization";
 import { enumColors } from "./colors";
 import { enumItemProcessorTypes } from "./components/item_processor";
+import {
+    enumFreeplaySymmetry,
+    FREEPLAY_COLORS,
+    FREEPLAY_QUEUE_SIZE,
+    FREEPLAY_SYMMETRIES,
+    getDefaultFreeplaySettings,
+    typeFreeplayQueueEntry,
+    typeFreeplaySettings,
+} from "./freeplay_goals";
 import { enumAnalyticsDataSource } from "./production_analytics";
 import { GameRoot } from "./root";
-import { enumSubShape, ShapeDefinition } from "./shape_definition";
+import { ShapeDefinition } from "./shape_definition";
 import { enumHubGoalRewards } from "./tutorial_goals";
 
 export class HubGoals extends BasicSerializableObject {
@@ -19,6 +28,9 @@ export class HubGoals extends BasicSerializableObject {
             level: types.uint,
             storedShapes: types.keyValueMap(types.uint),
             upgradeLevels: types.keyValueMap(types.uint),
+            freeplaySettings: typeFreeplaySettings,
+            freeplayQueue: types.array(typeFreeplayQueueEntry),
+            freeplayRerolls: types.uint,
         };
     }
 
@@ -98,6 +110,23 @@ export class HubGoals extends BasicSerializableObject {
          */
         this.upgradeImprovements = {};
 
+        /**
+         * Which shapes are generated as freeplay goals
+         * @type {import("./freeplay_goals").FreeplaySettings}
+         */
+        this.freeplaySettings = getDefaultFreeplaySettings();
+
+        /**
+         * The upcoming freeplay goals, sorted by level
+         * @type {Array<import("./freeplay_goals").FreeplayQueueEntry>}
+         */
+        this.freeplayQueue = [];
+
+        /**
+         * How often a freeplay goal was rerolled, so every reroll generates a new shape
+         */
+        this.freeplayRerolls = 0;
+
         // Reset levels first
         const upgrades = this.root.gameMode.getUpgrades();
         for (const key in upgrades) {
@@ -151,7 +180,19 @@ export class HubGoals extends BasicSerializableObject {
         assert(amount >= 0, "Amount < 0 for " + key);
         assert(Number.isInteger(amount), "Invalid amount: " + amount);
         this.storedShapes[key] = (this.storedShapes[key] || 0) - amount;
-        return;
+        this.root.signals.storedShapesChanged.dispatch(key, -amount);
+    }
+
+    /**
+     * Puts shapes back into the hub, e.g. when refunding a blueprint
+     * @param {string} key
+     * @param {number} amount
+     */
+    putShapeByKey(key, amount) {
+        assert(amount >= 0, "Amount < 0 for " + key);
+        assert(Number.isInteger(amount), "Invalid amount: " + amount);
+        this.storedShapes[key] = (this.storedShapes[key] || 0) + amount;
+        this.root.signals.storedShapesChanged.dispatch(key, amount);
     }
 
     /**
@@ -242,16 +283,115 @@ export class HubGoals extends BasicSerializableObject {
             return;
         }
 
+        this.updateFreeplayQueue();
+
         //Floor Required amount to remove confusion
         const required = Math.min(200, Math.floor(4 + (this.level - 27) * 0.25));
         this.currentGoal = {
-            definition: this.computeFreeplayShape(this.level),
+            definition: this.root.shapeDefinitionMgr.getShapeFromShortKey(this.freeplayQueue[0].shape),
             required,
             reward: enumHubGoalRewards.no_reward_freeplay,
             throughputOnly: true,
         };
     }
 
+    /**
+     * Makes sure the queue contains the goals of the next freeplay levels
+     */
+    updateFreeplayQueue() {
+        const firstLevel = Math.max(this.level, this.root.gameMode.getLevelDefinitions().length + 1);
+        const lastLevel = firstLevel + FREEPLAY_QUEUE_SIZE - 1;
+
+        this.freeplayQueue = this.freeplayQueue.filter(
+            entry => entry.level >= firstLevel && entry.level <= lastLevel
+        );
+        for (let level = firstLevel; level <= lastLevel; ++level) {
+            if (!this.freeplayQueue.some(entry => entry.level === level)) {
+                this.freeplayQueue.push({
+                    level,
+                    shape: this.computeFreeplayShape(level).getHash(),
+                    custom: false,
+                });
+            }
+        }
+        this.freeplayQueue.sort((a, b) => a.level - b.level);
+    }
+
+    /**
+     * Returns the queued goal of the given freeplay level
+     * @param {number} level
+     */
+    getFreeplayQueueEntry(level) {
+        const entry = this.freeplayQueue.find(entry => entry.level === level);
+        assert(entry, "Level is not queued: " + level);
+        return entry;
+    }
+
+    /**
+     * Changes which shapes are generated, all upcoming goals which are not custom get regenerated
+     * @param {import("./freeplay_goals").FreeplaySettings} settings
+     */
+    setFreeplaySettings(settings) {
+        const defaults = getDefaultFreeplaySettings();
+        assert(
+            settings.subShapes.length > 0 && settings.colors.length > 0 && settings.symmetries.length > 0,
+            "Freeplay settings need to allow at least one option of each kind"
+        );
+
+        // Keep the order of the options, so the same settings always generate the same shapes
+        this.freeplaySettings = {
+            layerCount: settings.layerCount,
+            subShapes: defaults.subShapes.filter(subShape => settings.subShapes.includes(subShape)),
+            colors: defaults.colors.filter(color => settings.colors.includes(color)),
+            symmetries: defaults.symmetries.filter(symmetry => settings.symmetries.includes(symmetry)),
+        };
+
+        // The current goal stays, so the progress is not lost
+        this.updateFreeplayQueue();
+        for (let i = 0; i < this.freeplayQueue.length; ++i) {
+            const entry = this.freeplayQueue[i];
+            if (entry.level > this.level && !entry.custom) {
+                entry.shape = this.computeFreeplayShape(entry.level, this.freeplayRerolls).getHash();
+            }
+        }
+        this.root.signals.freeplayGoalsChanged.dispatch();
+    }
+
+    /**
+     * Replaces the goal of the given freeplay level by a new random shape
+     * @param {number} level
+     */
+    rerollFreeplayGoal(level) {
+        const entry = this.getFreeplayQueueEntry(level);
+        ++this.freeplayRerolls;
+        entry.shape = this.computeFreeplayShape(level, this.freeplayRerolls).getHash();
+        entry.custom = false;
+        this.onFreeplayQueueChanged();
+    }
+
+    /**
+     * Sets the goal of the given freeplay level to the given shape
+     * @param {number} level
+     * @param {string} shortKey
+     */
+    setCustomFreeplayGoal(level, shortKey) {
+        assert(ShapeDefinition.isValidShortKey(shortKey), "Invalid shape key: " + shortKey);
+        const entry = this.getFreeplayQueueEntry(level);
+        entry.shape = shortKey;
+        entry.custom = true;
+        this.onFreeplayQueueChanged();
+    }
+
+    /**
+     * Updates the current goal after the queue changed
+     */
+    onFreeplayQueueChanged() {
+        if (this.level > this.root.gameMode.getLevelDefinitions().length) {
+            this.computeNextGoal();
+        }
+        this.root.signals.freeplayGoalsChanged.dispatch();
+    }
+
     /**
      * Called when the level was completed
      */
@@ -381,59 +521,44 @@ export class HubGoals extends BasicSerializableObject {
     }
 
     /**
-     * Creates a (seeded) random shape
+     * Creates a (seeded) random shape, based on the freeplay settings
      * @param {number} level
+     * @param {number=} reroll How often the shape was rerolled
      * @returns {ShapeDefinition}
      */
-    computeFreeplayShape(level) {
-        const layerCount = clamp(this.level / 25, 2, 4);
+    computeFreeplayShape(level, reroll = 0) {
+        const settings = this.freeplaySettings;
+        const layerCount = settings.layerCount || clamp(level / 25, 2, 4);
 
         /** @type {Array<import("./shape_definition").ShapeLayer>} */
         let layers = [];
 
-        const rng = new RandomNumberGenerator(this.root.map.seed + "/" + level);
+        const rng = new RandomNumberGenerator(
+            this.root.map.seed + "/" + level + (reroll > 0 ? "/" + reroll : "")
+        );
 
-        const colors = this.generateRandomColorSet(rng, level > 35);
+        const colors =
+            settings.colors.length === FREEPLAY_COLORS.length
+                ? this.generateRandomColorSet(rng, level > 35)
+                : settings.colors;
 
         let pickedSymmetry = null; // pairs of quadrants that must be the same
-        let availableShapes = [enumSubShape.rect, enumSubShape.circle, enumSubShape.star];
-        if (rng.next() < 0.5) {
-            pickedSymmetry = [
-                // radial symmetry
-                [0, 2],
-                [1, 3],
-            ];
-            availableShapes.push(enumSubShape.windmill); // windmill looks good only in radial symmetry
+        if (settings.symmetries.length === Object.keys(enumFreeplaySymmetry).length) {
+            if (rng.next() < 0.5) {
+                pickedSymmetry = FREEPLAY_SYMMETRIES[enumFreeplaySymmetry.radial][0];
+            } else {
+                pickedSymmetry = rng.choice([
+                    ...FREEPLAY_SYMMETRIES[enumFreeplaySymmetry.horizontal],
+                    ...FREEPLAY_SYMMETRIES[enumFreeplaySymmetry.vertical],
+                    ...FREEPLAY_SYMMETRIES[enumFreeplaySymmetry.diagonal],
+                ]);
+            }
         } else {
-            const symmetries = [
-                [
-                    // horizontal axis
-                    [0, 3],
-                    [1, 2],
-                ],
-                [
-                    // vertical axis
-                    [0, 1],
-                    [2, 3],
-                ],
-                [
-                    // diagonal axis
-                    [0, 2],
-                    [1],
-                    [3],
-                ],
-                [
-                    // other diagonal axis
-                    [1, 3],
-                    [0],
-                    [2],
-                ],
-            ];
-            pickedSymmetry = rng.choice(symmetries);
+            pickedSymmetry = rng.choice(FREEPLAY_SYMMETRIES[rng.choice(settings.symmetries)]);
         }
 
         const randomColor = () => rng.choice(colors);
-        const randomShape = () => rng.choice(Object.values(enumSubShape));
+        const randomShape = () => rng.choice(settings.subShapes);
 
         let anyIsMissingTwo = false;
 
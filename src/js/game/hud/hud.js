@@ -1,5 +1,6 @@
 import { globalConfig } from "../../core/config";
 import { DrawParameters } from "../../core/draw_parameters";
+import { gModHudParts } from "../../core/global_registries";
 import { Signal } from "../../core/signal";
 import { KEYMAPPINGS } from "../key_action_mapper";
 import { MetaBuilding } from "../meta_building";
@@ -14,8 +15,10 @@ import { HUDChangesDebugger } from "./parts/debug_changes";
 import { HUDDebugInfo } from "./parts/debug_info";
 import { HUDEntityDebugger } from "./parts/entity_debugger";
 import { HUDModalDialogs } from "./parts/modal_dialogs";
+import { HUDReplayProgress } from "./parts/replay_progress";
 import { enumNotificationType } from "./parts/notifications";
 import { HUDSettingsMenu } from "./parts/settings_menu";
+import { HUDUndoRedo } from "./parts/undo_redo";
 import { HUDVignetteOverlay } from "./parts/vignette_overlay";
 import { TrailerMaker } from "./trailer_maker";
 
@@ -40,6 +43,7 @@ export class GameHUD {
             buildingsSelectedForCopy: /** @type {TypedSignal<[Array<number>]>} */ (new Signal()),
             pasteBlueprintRequested: /** @type {TypedSignal<[]>} */ (new Signal()),
             viewShapeDetailsRequested: /** @type {TypedSignal<[ShapeDefinition]>} */ (new Signal()),
+            viewShapeRecipeRequested: /** @type {TypedSignal<[ShapeDefinition]>} */ (new Signal()),
             unlockNotificationFinished: /** @type {TypedSignal<[]>} */ (new Signal()),
         };
 
@@ -48,6 +52,7 @@ export class GameHUD {
 
             blueprintPlacer: new HUDBlueprintPlacer(this.root),
             buildingPlacer: new HUDBuildingPlacer(this.root),
+            undoRedo: new HUDUndoRedo(this.root),
 
             // Must always exist
             settingsMenu: new HUDSettingsMenu(this.root),
@@ -81,11 +86,20 @@ export class GameHUD {
             this.parts.betaOverlay = new HUDBetaOverlay(this.root);
         }
 
+        if (this.root.replayPlayer) {
+            this.parts.replayProgress = new HUDReplayProgress(this.root);
+        }
+
         const additionalParts = this.root.gameMode.additionalHudParts;
         for (const [partId, part] of Object.entries(additionalParts)) {
             this.parts[partId] = new part(this.root);
         }
 
+        for (const [partId, part] of Object.entries(gModHudParts)) {
+            assert(!this.parts[partId], "Duplicate hud part id: " + partId);
+            this.parts[partId] = new part(this.root);
+        }
+
         const frag = document.createDocumentFragment();
         for (const key in this.parts) {
             this.parts[key].createElements(frag);
@@ -184,11 +198,13 @@ export class GameHUD {
     draw(parameters) {
         const partsOrder = [
             "massSelector",
+            "productionCalculator",
             "buildingPlacer",
             "blueprintPlacer",
             "colorBlindHelper",
             "changesDebugger",
             "minerHighlight",
+            ...Object.keys(gModHudParts),
         ];
 
         for (let i = 0; i < partsOrder.length; ++i) {
@@ -203,7 +219,7 @@ export class GameHUD {
      * @param {DrawParameters} parameters
      */
     drawOverlays(parameters) {
-        const partsOrder = ["waypoints", "watermark", "wireInfo"];
+        const partsOrder = ["waypoints", "watermark", "wireInfo", ...Object.keys(gModHudParts)];
 
         for (let i = 0; i < partsOrder.length; ++i) {
             if (this.parts[partsOrder[i]]) {
@@ -1,4 +1,4 @@
-import { gMetaBuildingRegistry } from "../../../core/global_registries";
+import { gMetaBuildingRegistry, gModToolbarBuildings } from "../../../core/global_registries";
 import { STOP_PROPAGATION } from "../../../core/signal";
 import { makeDiv, safeModulo } from "../../../core/utils";
 import { MetaBlockBuilding } from "../../buildings/block";
@@ -27,8 +27,17 @@ export class HUDBaseToolbar extends BaseHUDPart {
     ) {
         super(root);
 
-        this.primaryBuildings = this.filterBuildings(primaryBuildings);
-        this.secondaryBuildings = this.filterBuildings(secondaryBuildings);
+        const modBuildings = gModToolbarBuildings.filter(entry => entry.layer === layer);
+        this.primaryBuildings = this.filterBuildings(
+            primaryBuildings.concat(
+                modBuildings.filter(entry => !entry.secondary).map(entry => entry.metaClass)
+            )
+        );
+        this.secondaryBuildings = this.filterBuildings(
+            secondaryBuildings.concat(
+                modBuildings.filter(entry => entry.secondary).map(entry => entry.metaClass)
+            )
+        );
         this.visibilityCondition = visibilityCondition;
         this.htmlElementId = htmlElementId;
         this.layer = layer;
@@ -114,6 +123,11 @@ export class HUDBaseToolbar extends BaseHUDPart {
 
             const icon = makeDiv(itemContainer, null, ["icon"]);
 
+            const modEntry = gModToolbarBuildings.find(entry => entry.metaClass === allBuildings[i]);
+            if (modEntry && modEntry.icon) {
+                icon.style.backgroundImage = "url('" + modEntry.icon + "')";
+            }
+
             this.trackClicks(icon, () => this.selectBuildingForPlacement(metaBuilding), {
                 clickSound: null,
             });
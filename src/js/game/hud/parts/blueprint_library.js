@@ -0,0 +1,432 @@
+import { ClickDetector } from "../../../core/click_detector";
+import { globalConfig } from "../../../core/config";
+import { DrawParameters } from "../../../core/draw_parameters";
+import { InputReceiver } from "../../../core/input_receiver";
+import { createLogger } from "../../../core/logging";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementInput } from "../../../core/modal_dialog_forms";
+import { makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { Vector } from "../../../core/vector";
+import { T } from "../../../translations";
+import { Blueprint } from "../../blueprint";
+import { KeyActionMapper, KEYMAPPINGS } from "../../key_action_mapper";
+import { enumHubGoalRewards } from "../../tutorial_goals";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+import { enumNotificationType } from "./notifications";
+
+/**
+ * @typedef {import("../../../profile/blueprint_library").BlueprintLibraryEntry} BlueprintLibraryEntry
+ */
+
+const logger = createLogger("blueprint_library");
+
+/**
+ * Size of the blueprint previews in pixels
+ */
+const PREVIEW_SIZE = 128;
+
+export class HUDBlueprintLibrary extends BaseHUDPart {
+    createElements(parent) {
+        this.background = makeDiv(parent, "ingame_HUD_BlueprintLibrary", ["ingameDialog"]);
+
+        // DIALOG Inner / Wrapper
+        this.dialogInner = makeDiv(this.background, null, ["dialogInner"]);
+        this.title = makeDiv(this.dialogInner, null, ["title"], T.ingame.blueprintLibrary.title);
+        this.closeButton = makeDiv(this.title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        this.header = makeDiv(this.dialogInner, null, ["header"]);
+        this.tagFilters = makeDiv(this.header, null, ["tagFilters"]);
+        this.saveButton = makeButton(
+            this.header,
+            ["styledButton", "saveBlueprint"],
+            T.ingame.blueprintLibrary.saveBlueprint
+        );
+        this.trackClicks(this.saveButton, this.showSaveDialog);
+
+        this.contentDiv = makeDiv(this.dialogInner, null, ["content"]);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.background, {
+            attachClass: "visible",
+        });
+
+        this.inputReciever = new InputReceiver("blueprint_library");
+        this.keyActionMapper = new KeyActionMapper(this.root, this.inputReciever);
+
+        this.keyActionMapper.getBinding(KEYMAPPINGS.general.back).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuClose).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuOpenBlueprintLibrary).add(this.close, this);
+
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.menuOpenBlueprintLibrary).add(this.show, this);
+
+        /**
+         * The tag to filter by, or null to show all blueprints
+         * @type {string|null}
+         */
+        this.activeTag = null;
+
+        /**
+         * Click detectors of the rendered entries, they get recreated on every rerender
+         * @type {Array<ClickDetector>}
+         */
+        this.entryClickDetectors = [];
+
+        this.close();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.clearEntries();
+    }
+
+    get library() {
+        return this.root.app.blueprintLibrary;
+    }
+
+    isBlockingOverlay() {
+        return this.visible;
+    }
+
+    show() {
+        if (!this.root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_blueprints)) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.dialogs.blueprintsNotUnlocked.title,
+                T.dialogs.blueprintsNotUnlocked.desc
+            );
+            return;
+        }
+
+        this.visible = true;
+        this.root.app.inputMgr.makeSureAttachedAndOnTop(this.inputReciever);
+        this.rerender();
+        this.update();
+    }
+
+    close() {
+        this.visible = false;
+        this.root.app.inputMgr.makeSureDetached(this.inputReciever);
+        this.clearEntries();
+        this.update();
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+    }
+
+    /**
+     * Removes all rendered tag filters and entries
+     */
+    clearEntries() {
+        this.entryClickDetectors.forEach(detector => detector.cleanup());
+        this.entryClickDetectors = [];
+        removeAllChildren(this.tagFilters);
+        removeAllChildren(this.contentDiv);
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @param {function} handler
+     */
+    trackEntryClicks(element, handler) {
+        const detector = new ClickDetector(element, {});
+        detector.click.add(handler, this);
+        this.entryClickDetectors.push(detector);
+    }
+
+    /**
+     * Regenerates the tag filters and the list of blueprints
+     */
+    rerender() {
+        this.clearEntries();
+
+        const tags = this.library.getAllTags();
+        if (this.activeTag !== null && tags.indexOf(this.activeTag) < 0) {
+            this.activeTag = null;
+        }
+
+        const filters = [null].concat(tags);
+        for (let i = 0; i < filters.length; ++i) {
+            const tag = filters[i];
+            const button = makeButton(this.tagFilters, ["tagFilter"]);
+            button.innerText = tag === null ? T.ingame.blueprintLibrary.allTags : tag;
+            button.classList.toggle("active", tag === this.activeTag);
+            this.trackEntryClicks(button, () => {
+                this.activeTag = tag;
+                this.rerender();
+            });
+        }
+
+        const entries = this.library
+            .getEntries()
+            .filter(entry => this.activeTag === null || entry.tags.indexOf(this.activeTag) >= 0);
+
+        this.contentDiv.classList.toggle("hasEntries", entries.length > 0);
+        if (entries.length === 0) {
+            makeDiv(this.contentDiv, null, ["noEntries"], T.ingame.blueprintLibrary.noEntries);
+            return;
+        }
+
+        for (let i = 0; i < entries.length; ++i) {
+            this.renderEntry(entries[i]);
+        }
+    }
+
+    /**
+     * @param {BlueprintLibraryEntry} entry
+     */
+    renderEntry(entry) {
+        const texts = T.ingame.blueprintLibrary;
+        const element = makeDiv(this.contentDiv, null, ["entry"]);
+        element.setAttribute("data-layer", entry.layer);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = PREVIEW_SIZE;
+        canvas.height = PREVIEW_SIZE;
+        canvas.classList.add("preview");
+        element.appendChild(canvas);
+
+        const info = makeDiv(element, null, ["info"]);
+        makeDiv(info, null, ["name"]).innerText = entry.name;
+        if (entry.tags.length > 0) {
+            makeDiv(info, null, ["tags"]).innerText = entry.tags.join(", ");
+        }
+
+        const { blueprint, error } = Blueprint.deserializeFromString(this.root, entry.data);
+        let canPlace = !error;
+
+        if (error) {
+            makeDiv(info, null, ["warning"]).innerText = texts.invalid.replace("<reason>", error);
+        } else {
+            this.renderPreview(canvas, blueprint);
+            makeDiv(
+                info,
+                null,
+                ["details"],
+                texts.details.replace("<entities>", "" + blueprint.entities.length)
+            );
+
+            const { excluded, locked } = blueprint.getRestrictedBuildings(this.root);
+            if (excluded.length > 0) {
+                makeDiv(info, null, ["warning"]).innerText = texts.excludedBuildings.replace(
+                    "<buildings>",
+                    excluded.join(", ")
+                );
+            }
+            if (locked.length > 0) {
+                makeDiv(info, null, ["warning"]).innerText = texts.lockedBuildings.replace(
+                    "<buildings>",
+                    locked.join(", ")
+                );
+            }
+            canPlace = excluded.length === 0 && locked.length === 0;
+        }
+
+        const actions = makeDiv(element, null, ["actions"]);
+        const placeButton = makeButton(actions, ["styledButton", "place"], texts.place);
+        placeButton.classList.toggle("disabled", !canPlace);
+        if (canPlace) {
+            this.trackEntryClicks(placeButton, () => this.pickForPlacement(entry));
+        }
+
+        const renameButton = makeButton(actions, ["styledButton", "rename"], texts.rename);
+        this.trackEntryClicks(renameButton, () => this.showRenameDialog(entry));
+
+        const tagsButton = makeButton(actions, ["styledButton", "editTags"], texts.editTags);
+        this.trackEntryClicks(tagsButton, () => this.showTagsDialog(entry));
+
+        const deleteButton = makeButton(actions, ["styledButton", "delete"], texts.delete);
+        this.trackEntryClicks(deleteButton, () => this.showDeleteDialog(entry));
+    }
+
+    /**
+     * Renders the given blueprint so it fits the canvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {Blueprint} blueprint
+     */
+    renderPreview(canvas, blueprint) {
+        let bounds = null;
+        for (let i = 0; i < blueprint.entities.length; ++i) {
+            const entityBounds = blueprint.entities[i].components.StaticMapEntity.getTileSpaceBounds();
+            bounds = bounds ? bounds.getUnion(entityBounds) : entityBounds;
+        }
+
+        const worldBounds = bounds.allScaled(globalConfig.tileSize);
+        const scale = canvas.width / Math.max(worldBounds.w, worldBounds.h);
+
+        const context = canvas.getContext("2d");
+        context.clearRect(0, 0, canvas.width, canvas.height);
+
+        const parameters = new DrawParameters({
+            context,
+            visibleRect: worldBounds,
+            desiredAtlasScale: "0.5",
+            zoomLevel: scale,
+            root: this.root,
+        });
+
+        // Center the blueprint within the canvas
+        context.save();
+        context.translate(
+            (canvas.width - worldBounds.w * scale) / 2,
+            (canvas.height - worldBounds.h * scale) / 2
+        );
+        context.scale(scale, scale);
+        context.translate(-worldBounds.x, -worldBounds.y);
+        blueprint.draw(parameters, new Vector(0, 0), false);
+        context.restore();
+    }
+
+    /**
+     * Closes the library and starts placing the given blueprint
+     * @param {BlueprintLibraryEntry} entry
+     */
+    pickForPlacement(entry) {
+        if (this.root.hud.parts.blueprintPlacer.importBlueprint(entry.data)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Asks for a name and stores the current (or last) blueprint in the library
+     */
+    showSaveDialog() {
+        const placer = this.root.hud.parts.blueprintPlacer;
+        const blueprint = placer.currentBlueprint.get() || placer.lastBlueprintUsed;
+        if (!blueprint) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.dialogs.noBlueprintToSave.title,
+                T.dialogs.noBlueprintToSave.desc
+            );
+            return;
+        }
+
+        const nameInput = new FormElementInput({
+            id: "blueprintName",
+            placeholder: "",
+            defaultValue: "",
+            validator: val => val.trim().length > 0 && val.length <= 64,
+        });
+        const tagsInput = new FormElementInput({
+            id: "blueprintTags",
+            label: T.dialogs.saveBlueprint.tagsLabel,
+            placeholder: "",
+            defaultValue: this.activeTag || "",
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.saveBlueprint.title,
+            desc: T.dialogs.saveBlueprint.desc,
+            formElements: [nameInput, tagsInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.library
+                .addEntry({
+                    name: nameInput.getValue().trim(),
+                    layer: blueprint.layer,
+                    data: blueprint.serializeToString(),
+                    tags: tagsInput.getValue().split(","),
+                })
+                .then(() => {
+                    this.root.hud.signals.notification.dispatch(
+                        T.ingame.blueprintLibrary.saved,
+                        enumNotificationType.success
+                    );
+                    if (this.visible) {
+                        this.rerender();
+                    }
+                })
+                .catch(err => this.showWriteError(err));
+        });
+    }
+
+    /**
+     * Tells the player that the library could not be stored
+     * @param {any} err
+     */
+    showWriteError(err) {
+        logger.error("Failed to store blueprint library:", err);
+        this.root.hud.parts.dialogs.showWarning(
+            T.dialogs.blueprintLibraryWriteFailed.title,
+            T.dialogs.blueprintLibraryWriteFailed.desc + "<br><br>" + err
+        );
+        if (this.visible) {
+            this.rerender();
+        }
+    }
+
+    /**
+     * @param {BlueprintLibraryEntry} entry
+     */
+    showRenameDialog(entry) {
+        const nameInput = new FormElementInput({
+            id: "blueprintName",
+            placeholder: "",
+            defaultValue: entry.name,
+            validator: val => val.trim().length > 0 && val.length <= 64,
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.renameBlueprint.title,
+            desc: T.dialogs.renameBlueprint.desc,
+            formElements: [nameInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.library
+                .renameEntry(entry.id, nameInput.getValue().trim())
+                .then(() => this.rerender())
+                .catch(err => this.showWriteError(err));
+        });
+    }
+
+    /**
+     * @param {BlueprintLibraryEntry} entry
+     */
+    showTagsDialog(entry) {
+        const tagsInput = new FormElementInput({
+            id: "blueprintTags",
+            placeholder: "",
+            defaultValue: entry.tags.join(", "),
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.editBlueprintTags.title,
+            desc: T.dialogs.editBlueprintTags.desc,
+            formElements: [tagsInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.library
+                .setEntryTags(entry.id, tagsInput.getValue().split(","))
+                .then(() => this.rerender())
+                .catch(err => this.showWriteError(err));
+        });
+    }
+
+    /**
+     * @param {BlueprintLibraryEntry} entry
+     */
+    showDeleteDialog(entry) {
+        const { delete: deleteSignal } = this.root.hud.parts.dialogs.showWarning(
+            T.dialogs.deleteBlueprint.title,
+            T.dialogs.deleteBlueprint.desc.replace("<name>", entry.name),
+            ["cancel:good", "delete:bad"]
+        );
+        deleteSignal.add(() => {
+            this.library
+                .deleteEntry(entry.id)
+                .then(() => this.rerender())
+                .catch(err => this.showWriteError(err));
+        });
+    }
+}
@@ -1,4 +1,6 @@
 import { DrawParameters } from "../../../core/draw_parameters";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementInput } from "../../../core/modal_dialog_forms";
 import { STOP_PROPAGATION } from "../../../core/signal";
 import { TrackedState } from "../../../core/tracked_state";
 import { makeDiv } from "../../../core/utils";
@@ -8,8 +10,12 @@ import { T } from "../../../translations";
 import { Blueprint } from "../../blueprint";
 import { enumMouseButton } from "../../camera";
 import { KEYMAPPINGS } from "../../key_action_mapper";
+import { enumHubGoalRewards } from "../../tutorial_goals";
 import { BaseHUDPart } from "../base_hud_part";
 import { DynamicDomAttach } from "../dynamic_dom_attach";
+import { enumNotificationType } from "./notifications";
+
+const copy = require("clipboard-copy");
 
 export class HUDBlueprintPlacer extends BaseHUDPart {
     createElements(parent) {
@@ -39,6 +45,8 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
         keyActionMapper.getBinding(KEYMAPPINGS.placement.pipette).add(this.abortPlacement, this);
         keyActionMapper.getBinding(KEYMAPPINGS.placement.rotateWhilePlacing).add(this.rotateBlueprint, this);
         keyActionMapper.getBinding(KEYMAPPINGS.massSelect.pasteLastBlueprint).add(this.pasteBlueprint, this);
+        keyActionMapper.getBinding(KEYMAPPINGS.massSelect.exportBlueprint).add(this.exportBlueprint, this);
+        keyActionMapper.getBinding(KEYMAPPINGS.massSelect.importBlueprint).add(this.showImportDialog, this);
 
         this.root.camera.downPreHandler.add(this.onMouseDown, this);
         this.root.camera.movePreHandler.add(this.onMouseMove, this);
@@ -127,9 +135,10 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
 
             const worldPos = this.root.camera.screenToWorld(pos);
             const tile = worldPos.toTileSpace();
-            if (blueprint.tryPlace(this.root, tile)) {
-                if (!this.getHasFreeCopyPaste()) {
-                    const cost = blueprint.getCost();
+            const cost = this.getHasFreeCopyPaste() ? 0 : blueprint.getCost();
+            const placed = this.root.undoHistory.record(() => blueprint.tryPlace(this.root, tile), cost);
+            if (placed) {
+                if (cost > 0) {
                     this.root.hubGoals.takeShapeByKey(this.root.gameMode.getBlueprintShapeKey(), cost);
                 }
                 this.root.soundProxy.playUi(SOUNDS.placeBuilding);
@@ -190,6 +199,91 @@ export class HUDBlueprintPlacer extends BaseHUDPart {
         }
     }
 
+    /**
+     * Copies the current (or last) blueprint to the clipboard as text
+     */
+    exportBlueprint() {
+        const blueprint = this.currentBlueprint.get() || this.lastBlueprintUsed;
+        if (!blueprint) {
+            this.root.soundProxy.playUiError();
+            return;
+        }
+
+        copy(blueprint.serializeToString());
+        this.root.soundProxy.playUiClick();
+        this.root.hud.signals.notification.dispatch(
+            T.ingame.blueprintPlacer.copiedToClipboard,
+            enumNotificationType.success
+        );
+    }
+
+    /**
+     * Shows the dialog to import a blueprint from text
+     */
+    showImportDialog() {
+        if (!this.root.hubGoals.isRewardUnlocked(enumHubGoalRewards.reward_blueprints)) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.dialogs.blueprintsNotUnlocked.title,
+                T.dialogs.blueprintsNotUnlocked.desc
+            );
+            return;
+        }
+
+        const blueprintInput = new FormElementInput({
+            id: "blueprintString",
+            placeholder: "",
+            validator: val => val.trim().length > 0,
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.importBlueprint.title,
+            desc: T.dialogs.importBlueprint.desc,
+            formElements: [blueprintInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+        dialog.buttonSignals.ok.add(() => this.importBlueprint(blueprintInput.getValue()));
+    }
+
+    /**
+     * Tries to import the given blueprint string and starts placing it
+     * @param {string} str
+     * @returns {boolean} Whether the blueprint could be imported
+     */
+    importBlueprint(str) {
+        const errors = T.dialogs.blueprintImportFailed;
+        const { blueprint, error } = Blueprint.deserializeFromString(this.root, str);
+        if (error) {
+            this.root.hud.parts.dialogs.showWarning(errors.title, error);
+            return false;
+        }
+
+        const { excluded, locked } = blueprint.getRestrictedBuildings(this.root);
+        if (excluded.length > 0) {
+            this.root.hud.parts.dialogs.showWarning(
+                errors.title,
+                errors.buildingNotAllowed.replace("<building>", excluded.join(", "))
+            );
+            return false;
+        }
+        if (locked.length > 0) {
+            this.root.hud.parts.dialogs.showWarning(
+                errors.title,
+                errors.buildingLocked.replace("<building>", locked.join(", "))
+            );
+            return false;
+        }
+
+        if (blueprint.layer !== this.root.currentLayer) {
+            this.root.hud.parts.dialogs.showWarning(errors.title, errors.wrongLayer);
+            return false;
+        }
+
+        this.root.hud.signals.pasteBlueprintRequested.dispatch();
+        this.currentBlueprint.set(blueprint);
+        return true;
+    }
+
     /**
      *
      * @param {DrawParameters} parameters
@@ -75,6 +75,12 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
          */
         this.currentlyDeleting = false;
 
+        /**
+         * Whether the undo history currently records the drag operation
+         * @type {boolean}
+         */
+        this.historyGroupOpen = false;
+
         /**
          * Stores which variants for each building we prefer, this is based on what
          * the user last selected
@@ -255,6 +261,22 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
         this.currentlyDeleting = false;
         this.initialPlacementVector = null;
         this.lastDragTile = null;
+
+        if (this.historyGroupOpen) {
+            // Everything placed or deleted while dragging is undone at once
+            this.historyGroupOpen = false;
+            this.root.undoHistory.commitGroup();
+        }
+    }
+
+    /**
+     * Starts recording the placements and deletions of the current drag operation
+     */
+    beginHistoryGroup() {
+        if (!this.historyGroupOpen) {
+            this.historyGroupOpen = true;
+            this.root.undoHistory.beginGroup();
+        }
     }
 
     /**
@@ -692,6 +714,7 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
             this.currentlyDragging = true;
             this.currentlyDeleting = false;
             this.lastDragTile = this.root.camera.screenToWorld(pos).toTileSpace();
+            this.beginHistoryGroup();
 
             // Place initial building, but only if direction lock is not active
             if (!this.isDirectionLockActive) {
@@ -710,6 +733,7 @@ export class HUDBuildingPlacerLogic extends BaseHUDPart {
             this.currentlyDragging = true;
             this.currentlyDeleting = true;
             this.lastDragTile = this.root.camera.screenToWorld(pos).toTileSpace();
+            this.beginHistoryGroup();
             if (this.deleteBelowCursor()) {
                 return STOP_PROPAGATION;
             }
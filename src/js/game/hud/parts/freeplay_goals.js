@@ -0,0 +1,301 @@
+import { ClickDetector } from "../../../core/click_detector";
+import { InputReceiver } from "../../../core/input_receiver";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementInput } from "../../../core/modal_dialog_forms";
+import { makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { T } from "../../../translations";
+import { FREEPLAY_COLORS, MAX_FREEPLAY_LAYERS, enumFreeplaySymmetry } from "../../freeplay_goals";
+import { KeyActionMapper, KEYMAPPINGS } from "../../key_action_mapper";
+import { enumSubShape, ShapeDefinition } from "../../shape_definition";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * @typedef {import("../../freeplay_goals").FreeplaySettings} FreeplaySettings
+ * @typedef {import("../../freeplay_goals").FreeplayQueueEntry} FreeplayQueueEntry
+ */
+
+/**
+ * Size of the goal previews in pixels
+ */
+const PREVIEW_SIZE = 128;
+
+/**
+ * Allows to configure which shapes are generated as freeplay goals, and to reroll
+ * or replace the upcoming goals
+ */
+export class HUDFreeplayGoals extends BaseHUDPart {
+    createElements(parent) {
+        this.background = makeDiv(parent, "ingame_HUD_FreeplayGoals", ["ingameDialog"]);
+
+        // DIALOG Inner / Wrapper
+        this.dialogInner = makeDiv(this.background, null, ["dialogInner"]);
+        this.title = makeDiv(this.dialogInner, null, ["title"], T.ingame.freeplayGoals.title);
+        this.closeButton = makeDiv(this.title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        this.settingsDiv = makeDiv(this.dialogInner, null, ["settings"]);
+        this.contentDiv = makeDiv(this.dialogInner, null, ["content"]);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.background, {
+            attachClass: "visible",
+        });
+
+        this.inputReciever = new InputReceiver("freeplay_goals");
+        this.keyActionMapper = new KeyActionMapper(this.root, this.inputReciever);
+
+        this.keyActionMapper.getBinding(KEYMAPPINGS.general.back).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuClose).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.ingame.menuOpenFreeplayGoals).add(this.close, this);
+
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.menuOpenFreeplayGoals).add(this.show, this);
+        this.root.signals.freeplayGoalsChanged.add(this.onGoalsChanged, this);
+        this.root.signals.storyGoalCompleted.add(this.onGoalsChanged, this);
+
+        /**
+         * Click detectors of the rendered options and entries, they get recreated on every rerender
+         * @type {Array<ClickDetector>}
+         */
+        this.entryClickDetectors = [];
+
+        this.close();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.clearEntries();
+    }
+
+    isBlockingOverlay() {
+        return this.visible;
+    }
+
+    show() {
+        if (!this.root.gameMode.getIsFreeplayAvailable()) {
+            this.root.hud.parts.dialogs.showInfo(
+                T.ingame.freeplayGoals.title,
+                T.ingame.freeplayGoals.notAvailable
+            );
+            return;
+        }
+
+        this.visible = true;
+        this.root.app.inputMgr.makeSureAttachedAndOnTop(this.inputReciever);
+        this.root.hubGoals.updateFreeplayQueue();
+        this.rerender();
+        this.update();
+    }
+
+    close() {
+        this.visible = false;
+        this.root.app.inputMgr.makeSureDetached(this.inputReciever);
+        this.clearEntries();
+        this.update();
+    }
+
+    onGoalsChanged() {
+        if (this.visible) {
+            this.root.hubGoals.updateFreeplayQueue();
+            this.rerender();
+        }
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+    }
+
+    /**
+     * Removes all rendered options and entries
+     */
+    clearEntries() {
+        this.entryClickDetectors.forEach(detector => detector.cleanup());
+        this.entryClickDetectors = [];
+        removeAllChildren(this.settingsDiv);
+        removeAllChildren(this.contentDiv);
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @param {function} handler
+     */
+    trackEntryClicks(element, handler) {
+        const detector = new ClickDetector(element, {});
+        detector.click.add(handler, this);
+        this.entryClickDetectors.push(detector);
+    }
+
+    /**
+     * Regenerates the settings and the goal queue
+     */
+    rerender() {
+        this.clearEntries();
+
+        const texts = T.ingame.freeplayGoals;
+        const settings = this.root.hubGoals.freeplaySettings;
+
+        const layerOptions = [0];
+        for (let i = 1; i <= MAX_FREEPLAY_LAYERS; ++i) {
+            layerOptions.push(i);
+        }
+        this.renderOptionRow(
+            texts.layers,
+            layerOptions.map(layerCount => ({
+                label: layerCount === 0 ? texts.automatic : "" + layerCount,
+                active: settings.layerCount === layerCount,
+                toggle: () => ({ ...settings, layerCount }),
+            }))
+        );
+
+        this.renderOptionRow(
+            texts.subShapes,
+            Object.values(enumSubShape).map(subShape => ({
+                label: texts.subShapeNames[subShape],
+                active: settings.subShapes.includes(subShape),
+                toggle: () => ({ ...settings, subShapes: this.toggleOption(settings.subShapes, subShape) }),
+            }))
+        );
+
+        this.renderOptionRow(
+            texts.colors,
+            FREEPLAY_COLORS.map(color => ({
+                label: T.ingame.colors[color],
+                active: settings.colors.includes(color),
+                toggle: () => ({ ...settings, colors: this.toggleOption(settings.colors, color) }),
+            }))
+        );
+
+        this.renderOptionRow(
+            texts.symmetries,
+            Object.values(enumFreeplaySymmetry).map(symmetry => ({
+                label: texts.symmetryNames[symmetry],
+                active: settings.symmetries.includes(symmetry),
+                toggle: () => ({
+                    ...settings,
+                    symmetries: this.toggleOption(settings.symmetries, symmetry),
+                }),
+            }))
+        );
+
+        const firstFreeplayLevel = this.root.gameMode.getLevelDefinitions().length + 1;
+        if (this.root.hubGoals.level < firstFreeplayLevel) {
+            makeDiv(
+                this.contentDiv,
+                null,
+                ["notFreeplayYet"],
+                texts.notFreeplayYet.replace("<level>", "" + firstFreeplayLevel)
+            );
+        }
+
+        const queue = this.root.hubGoals.freeplayQueue;
+        for (let i = 0; i < queue.length; ++i) {
+            this.renderEntry(queue[i]);
+        }
+    }
+
+    /**
+     * Returns the options with the given option added or removed
+     * @template T
+     * @param {Array<T>} options
+     * @param {T} option
+     * @returns {Array<T>}
+     */
+    toggleOption(options, option) {
+        if (options.includes(option)) {
+            return options.filter(other => other !== option);
+        }
+        return options.concat([option]);
+    }
+
+    /**
+     * @param {string} label
+     * @param {Array<{ label: string, active: boolean, toggle: () => FreeplaySettings }>} options
+     */
+    renderOptionRow(label, options) {
+        const row = makeDiv(this.settingsDiv, null, ["optionRow"]);
+        makeDiv(row, null, ["label"], label);
+        const buttons = makeDiv(row, null, ["options"]);
+
+        for (let i = 0; i < options.length; ++i) {
+            const option = options[i];
+            const button = makeButton(buttons, ["option"]);
+            button.innerText = option.label;
+            button.classList.toggle("active", option.active);
+            this.trackEntryClicks(button, () => {
+                const settings = option.toggle();
+                if (
+                    settings.subShapes.length === 0 ||
+                    settings.colors.length === 0 ||
+                    settings.symmetries.length === 0
+                ) {
+                    // At least one option of each kind is required
+                    return;
+                }
+                this.root.hubGoals.setFreeplaySettings(settings);
+            });
+        }
+    }
+
+    /**
+     * @param {FreeplayQueueEntry} entry
+     */
+    renderEntry(entry) {
+        const texts = T.ingame.freeplayGoals;
+        const element = makeDiv(this.contentDiv, null, ["entry"]);
+        element.classList.toggle("current", entry.level === this.root.hubGoals.level);
+
+        const canvas = document.createElement("canvas");
+        canvas.width = PREVIEW_SIZE;
+        canvas.height = PREVIEW_SIZE;
+        canvas.classList.add("preview");
+        element.appendChild(canvas);
+
+        const definition = this.root.shapeDefinitionMgr.getShapeFromShortKey(entry.shape);
+        this.root.shapeDefinitionMgr
+            .getShapeItemFromDefinition(definition)
+            .drawFullSizeOnCanvas(canvas.getContext("2d"), PREVIEW_SIZE);
+
+        const info = makeDiv(element, null, ["info"]);
+        let title = texts.level.replace("<level>", "" + entry.level);
+        if (entry.level === this.root.hubGoals.level) {
+            title += " " + texts.current;
+        }
+        makeDiv(info, null, ["name"]).innerText = title;
+        makeDiv(info, null, ["details"]).innerText = entry.custom
+            ? texts.custom.replace("<shape>", entry.shape)
+            : entry.shape;
+
+        const actions = makeDiv(element, null, ["actions"]);
+        const rerollButton = makeButton(actions, ["styledButton", "reroll"], texts.reroll);
+        this.trackEntryClicks(rerollButton, () => this.root.hubGoals.rerollFreeplayGoal(entry.level));
+
+        const setShapeButton = makeButton(actions, ["styledButton", "setShape"], texts.setShape);
+        this.trackEntryClicks(setShapeButton, () => this.showSetShapeDialog(entry));
+    }
+
+    /**
+     * Asks for a shape code and uses it as goal of the given level
+     * @param {FreeplayQueueEntry} entry
+     */
+    showSetShapeDialog(entry) {
+        const shapeInput = new FormElementInput({
+            id: "shapeCode",
+            placeholder: "",
+            defaultValue: entry.shape,
+            validator: val => ShapeDefinition.isValidShortKey(val.trim()),
+        });
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.setFreeplayGoal.title,
+            desc: T.dialogs.setFreeplayGoal.desc.replace("<level>", "" + entry.level),
+            formElements: [shapeInput],
+            buttons: ["cancel", "ok:good"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.root.hubGoals.setCustomFreeplayGoal(entry.level, shapeInput.getValue().trim());
+        });
+    }
+}
@@ -0,0 +1,190 @@
+import { globalConfig } from "../../../core/config";
+import { makeButton, makeDiv } from "../../../core/utils";
+import { T } from "../../../translations";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { BaseGameSpeed } from "../../time/base_game_speed";
+import { FastForwardGameSpeed } from "../../time/fast_forward_game_speed";
+import { PausedGameSpeed } from "../../time/paused_game_speed";
+import { RegularGameSpeed } from "../../time/regular_game_speed";
+import { BaseHUDPart } from "../base_hud_part";
+
+/**
+ * If the game runs slower than this fraction of the selected speed, the actual speed is shown
+ */
+const LAGGING_THRESHOLD = 0.9;
+
+/**
+ * Shows the current game speed and allows to pause, fast forward and step single ticks
+ */
+export class HUDGameSpeed extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_GameSpeed");
+        this.labelElement = makeDiv(this.element, null, ["label"]);
+        const buttons = makeDiv(this.element, null, ["buttons"]);
+
+        this.pauseButton = makeButton(buttons, ["pause"]);
+        this.trackClicks(this.pauseButton, this.togglePause);
+
+        /** @type {Array<{ multiplier: number, button: HTMLButtonElement }>} */
+        this.speedButtons = [];
+        const multipliers = [1].concat(globalConfig.fastForwardSpeeds);
+        for (let i = 0; i < multipliers.length; ++i) {
+            const multiplier = multipliers[i];
+            const button = makeButton(
+                buttons,
+                ["speed"],
+                T.ingame.gameSpeed.multiplier.replace("<x>", "" + multiplier)
+            );
+            this.trackClicks(button, () => this.setMultiplier(multiplier));
+            this.speedButtons.push({ multiplier, button });
+        }
+
+        this.stepButton = makeButton(buttons, ["step"], T.ingame.gameSpeed.step);
+        this.trackClicks(this.stepButton, this.stepTick);
+    }
+
+    initialize() {
+        /**
+         * The multiplier to restore when unpausing the game
+         */
+        this.multiplierBeforePause = 1;
+
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleGamePause).add(this.togglePause, this);
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.stepGameTick).add(this.stepTick, this);
+        this.root.keyMapper
+            .getBinding(KEYMAPPINGS.ingame.decreaseGameSpeed)
+            .add(() => this.changeMultiplier(-1));
+        this.root.keyMapper
+            .getBinding(KEYMAPPINGS.ingame.increaseGameSpeed)
+            .add(() => this.changeMultiplier(1));
+
+        this.pauseButton.title = this.getTooltip("toggleGamePause");
+        this.stepButton.title = this.getTooltip("stepGameTick");
+
+        this.root.signals.gameSpeedChanged.add(this.rerender, this);
+
+        /**
+         * The last rendered label, to avoid touching the DOM every frame
+         */
+        this.lastLabel = null;
+
+        this.rerender();
+    }
+
+    /**
+     * @param {string} id Id of the keybinding in the ingame category
+     */
+    getTooltip(id) {
+        return (
+            T.keybindings.mappings[id] +
+            " (" +
+            this.root.keyMapper.getBinding(KEYMAPPINGS.ingame[id]).getKeyCodeString() +
+            ")"
+        );
+    }
+
+    /**
+     * Returns the multiplier of the current speed, 0 if paused
+     * @returns {number}
+     */
+    getMultiplier() {
+        return this.root.time.getSpeed().getTimeMultiplier();
+    }
+
+    /**
+     * @param {number} multiplier 0 to pause, 1 for the regular speed or one of the fast forward speeds
+     */
+    setMultiplier(multiplier) {
+        if (multiplier === this.getMultiplier()) {
+            return;
+        }
+
+        /** @type {BaseGameSpeed} */
+        let speed;
+        if (multiplier === 0) {
+            this.multiplierBeforePause = this.getMultiplier();
+            speed = new PausedGameSpeed(this.root);
+        } else if (multiplier === 1) {
+            speed = new RegularGameSpeed(this.root);
+        } else {
+            speed = new FastForwardGameSpeed(this.root, multiplier);
+        }
+        this.root.time.setSpeed(speed);
+    }
+
+    togglePause() {
+        if (this.root.time.getIsPaused()) {
+            this.setMultiplier(this.multiplierBeforePause);
+        } else {
+            this.setMultiplier(0);
+        }
+    }
+
+    /**
+     * Selects the next slower or faster speed, starting from the regular speed when paused
+     * @param {number} direction -1 or 1
+     */
+    changeMultiplier(direction) {
+        const multipliers = [1].concat(globalConfig.fastForwardSpeeds);
+        const index = multipliers.indexOf(this.getMultiplier());
+        if (index < 0) {
+            this.setMultiplier(1);
+            return;
+        }
+        const newIndex = Math.max(0, Math.min(multipliers.length - 1, index + direction));
+        this.setMultiplier(multipliers[newIndex]);
+    }
+
+    /**
+     * Performs a single logic tick, only possible while paused
+     */
+    stepTick() {
+        if (!this.root.time.getIsPaused()) {
+            return;
+        }
+        this.root.time.performSingleTick(this.root.gameState.core.boundInternalTick);
+    }
+
+    rerender() {
+        const multiplier = this.getMultiplier();
+        const paused = multiplier === 0;
+
+        this.element.classList.toggle("paused", paused);
+        this.pauseButton.classList.toggle("active", paused);
+        this.pauseButton.innerText = paused ? T.ingame.gameSpeed.resume : T.ingame.gameSpeed.pause;
+        this.stepButton.classList.toggle("disabled", !paused);
+        for (let i = 0; i < this.speedButtons.length; ++i) {
+            const { multiplier: buttonMultiplier, button } = this.speedButtons[i];
+            button.classList.toggle("active", buttonMultiplier === multiplier);
+        }
+    }
+
+    update() {
+        const texts = T.ingame.gameSpeed;
+        const multiplier = this.getMultiplier();
+
+        let label;
+        if (multiplier === 0) {
+            label = texts.paused;
+        } else {
+            label = texts.multiplier.replace("<x>", "" + multiplier);
+
+            // Show the actual speed if the computer can't keep up
+            const tickrate = this.root.dynamicTickrate;
+            const actualMultiplier = tickrate.averageTicksPerSecond / tickrate.currentTickRate;
+            if (
+                multiplier > 1 &&
+                tickrate.averageTicksPerSecond > 0 &&
+                !this.root.hud.shouldPauseGame() &&
+                actualMultiplier < multiplier * LAGGING_THRESHOLD
+            ) {
+                label += " " + texts.actual.replace("<x>", actualMultiplier.toFixed(1));
+            }
+        }
+
+        if (label !== this.lastLabel) {
+            this.lastLabel = label;
+            this.labelElement.innerText = label;
+        }
+    }
+}
@@ -220,6 +220,13 @@ export class HUDKeybindingOverlay extends BaseHUDPart {
                 condition: () => !this.blueprintPlacementActive && this.lastBlueprintAvailable,
             },
 
+            {
+                // Copy the blueprint as text
+                label: T.ingame.keybindingsOverlay.exportBlueprint,
+                keys: [k.massSelect.exportBlueprint],
+                condition: () => this.blueprintPlacementActive,
+            },
+
             {
                 // Belt planner
                 label: T.ingame.keybindingsOverlay.lockBeltDirection,
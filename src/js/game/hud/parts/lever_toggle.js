@@ -20,9 +20,10 @@ export class HUDLeverToggle extends BaseHUDPart {
             if (leverComp) {
                 if (button === enumMouseButton.left) {
                     leverComp.toggled = !leverComp.toggled;
+                    this.root.signals.entityConfigured.dispatch(contents);
                     return STOP_PROPAGATION;
                 } else if (button === enumMouseButton.right) {
-                    this.root.logic.tryDeleteBuilding(contents);
+                    this.root.undoHistory.record(() => this.root.logic.tryDeleteBuilding(contents));
                     return STOP_PROPAGATION;
                 }
             }
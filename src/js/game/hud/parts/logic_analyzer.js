@@ -0,0 +1,470 @@
+import { ClickDetector } from "../../../core/click_detector";
+import { generateFileDownload, makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { T } from "../../../translations";
+import { BaseItem } from "../../base_item";
+import { enumColorsToHexCode } from "../../colors";
+import { ColorItem } from "../../items/color_item";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { RECORDING_SECONDS, SAMPLE_CONFLICT, SAMPLE_DISCONNECTED } from "../../systems/logic_analyzer";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * @typedef {import("../../systems/logic_analyzer").ProbeSample} ProbeSample
+ * @typedef {import("../../systems/logic_analyzer").WireProbe} WireProbe
+ */
+
+/**
+ * Which time spans the timeline can show, in seconds
+ */
+const WINDOW_OPTIONS = [1, 5, 15, RECORDING_SECONDS];
+
+/**
+ * Size of the timeline in css pixels, it gets scaled with the ui
+ */
+const TIMELINE_WIDTH = 400;
+const LABEL_WIDTH = 20;
+const ROW_HEIGHT = 26;
+const AXIS_HEIGHT = 14;
+const ICON_SIZE = 16;
+
+/**
+ * Resolution of the scrub slider
+ */
+const SCRUB_STEPS = 1000;
+
+/**
+ * Plots the values of the probed wire networks over time. The recording continues while
+ * the timeline is paused, so it can be scrubbed while the game keeps running.
+ */
+export class HUDLogicAnalyzer extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_LogicAnalyzer");
+
+        const title = makeDiv(this.element, null, ["title"], T.ingame.logicAnalyzer.title);
+        this.closeButton = makeDiv(title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        const controls = makeDiv(this.element, null, ["controls"]);
+        this.pauseButton = makeButton(controls, ["pause"]);
+        this.trackClicks(this.pauseButton, this.togglePause);
+
+        /** @type {Array<{ seconds: number, button: HTMLButtonElement }>} */
+        this.windowButtons = [];
+        for (let i = 0; i < WINDOW_OPTIONS.length; ++i) {
+            const seconds = WINDOW_OPTIONS[i];
+            const button = makeButton(controls, ["window"], seconds + "s");
+            this.trackClicks(button, () => this.setWindowSeconds(seconds));
+            this.windowButtons.push({ seconds, button });
+        }
+
+        this.exportButton = makeButton(controls, ["export"], T.ingame.logicAnalyzer.exportCsv);
+        this.trackClicks(this.exportButton, this.exportCsv);
+
+        this.probesDiv = makeDiv(this.element, null, ["probes"]);
+        this.hintElement = makeDiv(this.element, null, ["hint"]);
+
+        /** @type {HTMLCanvasElement} */
+        this.canvas = document.createElement("canvas");
+        this.element.appendChild(this.canvas);
+
+        /** @type {HTMLInputElement} */
+        this.scrubInput = document.createElement("input");
+        this.scrubInput.type = "range";
+        this.scrubInput.min = "0";
+        this.scrubInput.max = "" + SCRUB_STEPS;
+        this.scrubInput.value = "" + SCRUB_STEPS;
+        this.scrubInput.classList.add("scrub");
+        this.element.appendChild(this.scrubInput);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.element, {
+            attachClass: "visible",
+        });
+
+        this.visible = false;
+        this.windowSeconds = WINDOW_OPTIONS[1];
+
+        /**
+         * Whether the timeline is frozen at pausedEndTime, the recording continues anyways
+         */
+        this.paused = false;
+        this.pausedEndTime = 0;
+
+        /**
+         * Click detectors of the probe list, they get recreated when the probes change
+         * @type {Array<ClickDetector>}
+         */
+        this.probeClickDetectors = [];
+        this.renderedProbesKey = null;
+
+        this.scrubInput.addEventListener("input", () => this.onScrub());
+
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleLogicAnalyzer).add(this.toggle, this);
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleWireProbe).add(this.toggleHoveredProbe, this);
+
+        this.hintElement.innerText = T.ingame.logicAnalyzer.hint.replace(
+            "<key>",
+            this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleWireProbe).getKeyCodeString()
+        );
+
+        this.rerenderControls();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.clearProbeList();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+    }
+
+    close() {
+        this.visible = false;
+    }
+
+    /**
+     * @returns {import("../../systems/logic_analyzer").LogicAnalyzerSystem}
+     */
+    getSystem() {
+        return this.root.systemMgr.systems.logicAnalyzer;
+    }
+
+    /**
+     * Attaches or removes a probe at the hovered wire
+     */
+    toggleHoveredProbe() {
+        if (this.root.currentLayer !== "wires") {
+            return;
+        }
+
+        const mousePos = this.root.app.mousePosition;
+        if (!mousePos) {
+            return;
+        }
+
+        const tile = this.root.camera.screenToWorld(mousePos).toTileSpace();
+        if (!this.getSystem().toggleProbe(tile)) {
+            this.root.soundProxy.playUiError();
+            return;
+        }
+
+        this.root.soundProxy.playUiClick();
+        this.visible = true;
+    }
+
+    togglePause() {
+        if (this.paused) {
+            this.paused = false;
+        } else {
+            this.paused = true;
+            this.pausedEndTime = this.getLatestTime();
+        }
+        this.rerenderControls();
+    }
+
+    /**
+     * @param {number} seconds
+     */
+    setWindowSeconds(seconds) {
+        this.windowSeconds = seconds;
+        this.rerenderControls();
+    }
+
+    /**
+     * Returns the time of the newest sample
+     * @returns {number}
+     */
+    getLatestTime() {
+        const times = this.getSystem().sampleTimes;
+        return times.length > 0 ? times[times.length - 1] : this.root.time.now();
+    }
+
+    /**
+     * Returns the time of the oldest sample which can be at the end of the timeline
+     * @returns {number}
+     */
+    getEarliestEndTime() {
+        const times = this.getSystem().sampleTimes;
+        const oldest = times.length > 0 ? times[0] : this.root.time.now();
+        return Math.min(oldest + this.windowSeconds, this.getLatestTime());
+    }
+
+    /**
+     * Returns the time shown at the right edge of the timeline
+     * @returns {number}
+     */
+    getViewEndTime() {
+        if (!this.paused) {
+            return this.getLatestTime();
+        }
+
+        // Old samples get dropped while paused
+        return Math.max(this.getEarliestEndTime(), this.pausedEndTime);
+    }
+
+    onScrub() {
+        const earliest = this.getEarliestEndTime();
+        const latest = this.getLatestTime();
+        this.pausedEndTime = earliest + ((latest - earliest) * Number(this.scrubInput.value)) / SCRUB_STEPS;
+        if (!this.paused) {
+            this.paused = true;
+            this.rerenderControls();
+        }
+    }
+
+    rerenderControls() {
+        this.pauseButton.innerText = this.paused
+            ? T.ingame.logicAnalyzer.resume
+            : T.ingame.logicAnalyzer.pause;
+        this.pauseButton.classList.toggle("active", this.paused);
+        for (let i = 0; i < this.windowButtons.length; ++i) {
+            const { seconds, button } = this.windowButtons[i];
+            button.classList.toggle("active", seconds === this.windowSeconds);
+        }
+    }
+
+    clearProbeList() {
+        this.probeClickDetectors.forEach(detector => detector.cleanup());
+        this.probeClickDetectors = [];
+        removeAllChildren(this.probesDiv);
+    }
+
+    /**
+     * Regenerates the list of probes, which allows to remove them
+     */
+    rerenderProbeList() {
+        this.clearProbeList();
+
+        const probes = this.getSystem().probes;
+        for (let i = 0; i < probes.length; ++i) {
+            const probe = probes[i];
+            const button = makeButton(this.probesDiv, ["probe"], probe.label);
+            button.title = T.ingame.logicAnalyzer.removeProbe;
+
+            const detector = new ClickDetector(button, {});
+            detector.click.add(() => this.getSystem().removeProbe(probe));
+            this.probeClickDetectors.push(detector);
+        }
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+        if (!this.visible) {
+            return;
+        }
+
+        const probes = this.getSystem().probes;
+        const probesKey = probes.map(probe => probe.label).join();
+        if (probesKey !== this.renderedProbesKey) {
+            this.renderedProbesKey = probesKey;
+            this.rerenderProbeList();
+        }
+        this.hintElement.classList.toggle("visible", probes.length === 0);
+
+        if (this.paused) {
+            const earliest = this.getEarliestEndTime();
+            const range = this.getLatestTime() - earliest;
+            const progress = range > 0 ? (this.getViewEndTime() - earliest) / range : 1;
+            this.scrubInput.value = "" + Math.round(progress * SCRUB_STEPS);
+        } else {
+            this.scrubInput.value = "" + SCRUB_STEPS;
+        }
+
+        this.renderTimeline();
+    }
+
+    /**
+     * Draws the recorded values of all probes
+     */
+    renderTimeline() {
+        const system = this.getSystem();
+        const probes = system.probes;
+
+        const height = Math.max(1, probes.length) * ROW_HEIGHT + AXIS_HEIGHT;
+        const scale = window.devicePixelRatio || 1;
+        if (this.canvas.width !== TIMELINE_WIDTH * scale || this.canvas.height !== height * scale) {
+            this.canvas.width = TIMELINE_WIDTH * scale;
+            this.canvas.height = height * scale;
+        }
+
+        const context = this.canvas.getContext("2d");
+        context.setTransform(scale, 0, 0, scale, 0, 0);
+        context.clearRect(0, 0, TIMELINE_WIDTH, height);
+
+        const endTime = this.getViewEndTime();
+        const startTime = endTime - this.windowSeconds;
+        const plotWidth = TIMELINE_WIDTH - LABEL_WIDTH;
+        const timeToX = time =>
+            LABEL_WIDTH + Math.max(0, Math.min(1, (time - startTime) / this.windowSeconds)) * plotWidth;
+
+        // The sample before the window is still visible until the next one
+        const firstIndex = Math.max(0, system.findSampleIndex(startTime) - 1);
+        const endIndex = system.findSampleIndex(endTime + 1e-6);
+
+        for (let i = 0; i < probes.length; ++i) {
+            const top = i * ROW_HEIGHT;
+            context.fillStyle = "rgba(255, 255, 255, 0.05)";
+            context.fillRect(LABEL_WIDTH, top + 2, plotWidth, ROW_HEIGHT - 4);
+
+            context.fillStyle = "#fff";
+            context.font = "bold 11px GameFont";
+            context.textAlign = "center";
+            context.fillText(probes[i].label, LABEL_WIDTH / 2, top + ROW_HEIGHT / 2 + 4);
+
+            this.renderProbeRow(context, probes[i], top, firstIndex, endIndex, endTime, timeToX);
+        }
+
+        // Time axis, relative to the newest sample
+        const latest = this.getLatestTime();
+        context.fillStyle = "rgba(255, 255, 255, 0.6)";
+        context.font = "9px GameFont";
+        context.textAlign = "left";
+        context.fillText(this.formatRelativeTime(startTime - latest), LABEL_WIDTH, height - 3);
+        context.textAlign = "right";
+        context.fillText(this.formatRelativeTime(endTime - latest), TIMELINE_WIDTH, height - 3);
+        context.textAlign = "left";
+    }
+
+    /**
+     * Draws the runs of equal values of a single probe
+     * @param {CanvasRenderingContext2D} context
+     * @param {WireProbe} probe
+     * @param {number} top
+     * @param {number} firstIndex
+     * @param {number} endIndex
+     * @param {number} endTime
+     * @param {function(number): number} timeToX
+     */
+    renderProbeRow(context, probe, top, firstIndex, endIndex, endTime, timeToX) {
+        const times = this.getSystem().sampleTimes;
+        const highY = top + 5;
+        const lowY = top + ROW_HEIGHT - 5;
+
+        /**
+         * The level of the previous run, to connect booleans to a square wave
+         * @type {number|null}
+         */
+        let lastLevel = null;
+
+        let index = firstIndex;
+        while (index < endIndex) {
+            const sample = probe.samples[index];
+            let next = index + 1;
+            while (next < endIndex && this.isSameSample(sample, probe.samples[next])) {
+                ++next;
+            }
+
+            const x1 = timeToX(times[index]);
+            const x2 = timeToX(next < times.length ? times[next] : endTime);
+            index = next;
+
+            if (sample === SAMPLE_DISCONNECTED) {
+                lastLevel = null;
+                continue;
+            }
+
+            if (sample === SAMPLE_CONFLICT) {
+                context.fillStyle = "rgba(239, 80, 114, 0.7)";
+                context.fillRect(x1, highY, x2 - x1, lowY - highY);
+                lastLevel = null;
+                continue;
+            }
+
+            const item = /** @type {BaseItem|null} */ (sample);
+            if (!item || item.getItemType() === "boolean") {
+                // Square wave, empty networks are drawn as a faint low level
+                const level =
+                    item && /** @type {import("../../items/boolean_item").BooleanItem} */ (item).value
+                        ? highY
+                        : lowY;
+                context.strokeStyle = item ? "#66f2a6" : "rgba(255, 255, 255, 0.3)";
+                context.lineWidth = 2;
+                context.beginPath();
+                context.moveTo(x1, lastLevel === null ? level : lastLevel);
+                context.lineTo(x1, level);
+                context.lineTo(x2, level);
+                context.stroke();
+                lastLevel = level;
+                continue;
+            }
+
+            // Colors, shapes and numbers are drawn as a band with the item at its start
+            context.fillStyle =
+                item.getItemType() === "color"
+                    ? enumColorsToHexCode[/** @type {ColorItem} */ (item).color]
+                    : "rgba(255, 255, 255, 0.25)";
+            context.globalAlpha = 0.6;
+            context.fillRect(x1, highY, x2 - x1, lowY - highY);
+            context.globalAlpha = 1;
+            context.strokeStyle = "rgba(0, 0, 0, 0.5)";
+            context.lineWidth = 1;
+            context.strokeRect(x1 + 0.5, highY + 0.5, x2 - x1 - 1, lowY - highY - 1);
+
+            if (x2 - x1 >= ICON_SIZE + 2) {
+                context.save();
+                context.translate(x1 + 1, top + (ROW_HEIGHT - ICON_SIZE) / 2);
+                item.drawFullSizeOnCanvas(context, ICON_SIZE);
+                context.restore();
+            }
+            lastLevel = null;
+        }
+    }
+
+    /**
+     * @param {ProbeSample} a
+     * @param {ProbeSample} b
+     */
+    isSameSample(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (a instanceof BaseItem && b instanceof BaseItem) {
+            return a.equals(b);
+        }
+        return false;
+    }
+
+    /**
+     * @param {number} seconds Negative offset to the newest sample
+     */
+    formatRelativeTime(seconds) {
+        return seconds > -0.05 ? "0s" : seconds.toFixed(1) + "s";
+    }
+
+    /**
+     * Downloads the whole recording, one row per tick and one column per probe
+     */
+    exportCsv() {
+        const system = this.getSystem();
+        const probes = system.probes;
+        if (probes.length === 0) {
+            this.root.soundProxy.playUiError();
+            return;
+        }
+
+        const lines = [["time"].concat(probes.map(probe => probe.label)).join(",")];
+        for (let i = 0; i < system.sampleTimes.length; ++i) {
+            const values = probes.map(probe => this.formatSample(probe.samples[i]));
+            lines.push([system.sampleTimes[i].toFixed(3)].concat(values).join(","));
+        }
+
+        generateFileDownload("logic_analyzer.csv", lines.join("\n"));
+    }
+
+    /**
+     * @param {ProbeSample} sample
+     * @returns {string}
+     */
+    formatSample(sample) {
+        if (sample === SAMPLE_CONFLICT) {
+            return "conflict";
+        }
+        if (!sample || sample === SAMPLE_DISCONNECTED) {
+            return "";
+        }
+        return /** @type {BaseItem} */ (sample).getAsCopyableKey();
+    }
+}
@@ -11,7 +11,6 @@ import { Blueprint } from "../../blueprint";
 import { MetaBlockBuilding } from "../../buildings/block";
 import { MetaConstantProducerBuilding } from "../../buildings/constant_producer";
 import { enumMouseButton } from "../../camera";
-import { Component } from "../../component";
 import { Entity } from "../../entity";
 import { KEYMAPPINGS } from "../../key_action_mapper";
 import { THEME } from "../../theme";
@@ -105,24 +104,26 @@ export class HUDMassSelector extends BaseHUDPart {
         const mapUidToEntity = this.root.entityMgr.getFrozenUidSearchMap();
 
         let count = 0;
-        this.root.logic.performBulkOperation(() => {
-            for (let i = 0; i < entityUids.length; ++i) {
-                const uid = entityUids[i];
-                const entity = mapUidToEntity.get(uid);
-                if (!entity) {
-                    logger.error("Entity not found by uid:", uid);
-                    continue;
-                }
+        this.root.undoHistory.record(() =>
+            this.root.logic.performBulkOperation(() => {
+                for (let i = 0; i < entityUids.length; ++i) {
+                    const uid = entityUids[i];
+                    const entity = mapUidToEntity.get(uid);
+                    if (!entity) {
+                        logger.error("Entity not found by uid:", uid);
+                        continue;
+                    }
 
-                if (!this.root.logic.tryDeleteBuilding(entity)) {
-                    logger.error("Error in mass delete, could not remove building");
-                } else {
-                    count++;
+                    if (!this.root.logic.tryDeleteBuilding(entity)) {
+                        logger.error("Error in mass delete, could not remove building");
+                    } else {
+                        count++;
+                    }
                 }
-            }
 
-            this.root.signals.achievementCheck.dispatch(ACHIEVEMENTS.destroy1000, count);
-        });
+                this.root.signals.achievementCheck.dispatch(ACHIEVEMENTS.destroy1000, count);
+            })
+        );
 
         // Clear uids later
         this.selectedUids = new Set();
@@ -146,12 +147,11 @@ export class HUDMassSelector extends BaseHUDPart {
     }
 
     clearBelts() {
+        const entities = [];
         for (const uid of this.selectedUids) {
-            const entity = this.root.entityMgr.findByUid(uid);
-            for (const component of Object.values(entity.components)) {
-                /** @type {Component} */ (component).clear();
-            }
+            entities.push(this.root.entityMgr.findByUid(uid));
         }
+        this.root.undoHistory.recordClearContents(entities);
         this.selectedUids = new Set();
     }
 
@@ -187,14 +187,16 @@ export class HUDMassSelector extends BaseHUDPart {
                 // copy code relies on entities still existing, so must copy before deleting.
                 this.root.hud.signals.buildingsSelectedForCopy.dispatch(entityUids);
 
-                for (let i = 0; i < entityUids.length; ++i) {
-                    const uid = entityUids[i];
-                    const entity = this.root.entityMgr.findByUid(uid);
-                    if (!this.root.logic.tryDeleteBuilding(entity)) {
-                        logger.error("Error in mass cut, could not remove building");
-                        this.selectedUids.delete(uid);
+                this.root.undoHistory.record(() => {
+                    for (let i = 0; i < entityUids.length; ++i) {
+                        const uid = entityUids[i];
+                        const entity = this.root.entityMgr.findByUid(uid);
+                        if (!this.root.logic.tryDeleteBuilding(entity)) {
+                            logger.error("Error in mass cut, could not remove building");
+                            this.selectedUids.delete(uid);
+                        }
                     }
-                }
+                });
             };
 
             const blueprint = Blueprint.fromUids(this.root, entityUids);
@@ -0,0 +1,313 @@
+import { freeCanvas, makeOffscreenBuffer } from "../../../core/buffer_utils";
+import { globalConfig } from "../../../core/config";
+import { Rectangle } from "../../../core/rectangle";
+import { makeDiv } from "../../../core/utils";
+import { Vector } from "../../../core/vector";
+import { getBuildingDataFromCode } from "../../building_codes";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { MapChunkView } from "../../map_chunk_view";
+import { THEME } from "../../theme";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * How many pixels a chunk occupies on the minimap, per axis
+ */
+const PIXELS_PER_CHUNK = 4;
+
+/**
+ * How many tiles a single pixel of the minimap covers, per axis
+ */
+const TILES_PER_PIXEL = globalConfig.mapChunkSize / PIXELS_PER_CHUNK;
+
+/**
+ * Resolution of the minimap canvas, it gets scaled via css
+ */
+const MINIMAP_RESOLUTION = 256;
+
+/**
+ * Shows all explored chunks of the map. Each chunk is only rendered once and then
+ * updated whenever its contents change, so the minimap stays cheap for big factories.
+ */
+export class HUDMinimap extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_Minimap");
+
+        const [canvas, context] = makeOffscreenBuffer(MINIMAP_RESOLUTION, MINIMAP_RESOLUTION, {
+            smooth: false,
+            reusable: false,
+            label: "minimap",
+        });
+        this.canvas = canvas;
+        this.context = context;
+        this.element.appendChild(canvas);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.element, {
+            attachClass: "visible",
+        });
+
+        this.visible = false;
+
+        /**
+         * The explored area in chunk space
+         * @type {Rectangle}
+         */
+        this.bounds = null;
+
+        /**
+         * Contains all explored chunks, one chunk is PIXELS_PER_CHUNK pixels wide
+         * @type {HTMLCanvasElement}
+         */
+        this.mapCanvas = null;
+
+        /** @type {CanvasRenderingContext2D} */
+        this.mapContext = null;
+
+        /**
+         * All chunks which are already drawn to the map canvas
+         * @type {Set<MapChunkView>}
+         */
+        this.drawnChunks = new Set();
+
+        /**
+         * Chunks which changed since they were drawn
+         * @type {Set<MapChunkView>}
+         */
+        this.dirtyChunks = new Set();
+
+        /**
+         * Where the map canvas is drawn on the minimap
+         */
+        this.mapTransform = { scale: 1, offsetX: 0, offsetY: 0 };
+
+        this.root.signals.mapChunkChanged.add(this.onChunkChanged, this);
+        this.root.signals.aboutToDestruct.add(this.freeMapCanvas, this);
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleMinimap).add(this.toggle, this);
+
+        this.trackClicks(this.canvas, this.onMinimapClicked, { preventDefault: true });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+    }
+
+    /**
+     * @param {MapChunkView} chunk
+     */
+    onChunkChanged(chunk) {
+        if (this.drawnChunks.has(chunk)) {
+            this.dirtyChunks.add(chunk);
+        }
+    }
+
+    freeMapCanvas() {
+        if (this.mapCanvas) {
+            freeCanvas(this.mapCanvas);
+            this.mapCanvas = null;
+            this.mapContext = null;
+        }
+    }
+
+    /**
+     * Makes sure all explored chunks are on the map canvas and up to date
+     */
+    updateMapCanvas() {
+        const chunks = this.root.map.chunksById;
+
+        if (chunks.size !== this.drawnChunks.size) {
+            /** @type {Rectangle} */
+            let bounds = null;
+            chunks.forEach(chunk => {
+                const chunkRect = new Rectangle(chunk.x, chunk.y, 1, 1);
+                bounds = bounds ? bounds.getUnion(chunkRect) : chunkRect;
+            });
+
+            if (!this.bounds || !this.bounds.equalsEpsilon(bounds, 0.5)) {
+                // The explored area grew, redraw everything
+                this.bounds = bounds;
+                this.freeMapCanvas();
+                [this.mapCanvas, this.mapContext] = makeOffscreenBuffer(
+                    bounds.w * PIXELS_PER_CHUNK,
+                    bounds.h * PIXELS_PER_CHUNK,
+                    { smooth: false, reusable: false, label: "minimap-chunks" }
+                );
+                this.drawnChunks.clear();
+                this.dirtyChunks.clear();
+            }
+
+            chunks.forEach(chunk => {
+                if (!this.drawnChunks.has(chunk)) {
+                    this.drawChunk(chunk);
+                    this.drawnChunks.add(chunk);
+                }
+            });
+        }
+
+        this.dirtyChunks.forEach(chunk => this.drawChunk(chunk));
+        this.dirtyChunks.clear();
+    }
+
+    /**
+     * Draws a single chunk to the map canvas
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(chunk) {
+        const context = this.mapContext;
+        const baseX = (chunk.x - this.bounds.x) * PIXELS_PER_CHUNK;
+        const baseY = (chunk.y - this.bounds.y) * PIXELS_PER_CHUNK;
+
+        context.fillStyle =
+            chunk.containedEntities.length > 0
+                ? THEME.map.chunkOverview.filled
+                : THEME.map.chunkOverview.empty;
+        context.fillRect(baseX, baseY, PIXELS_PER_CHUNK, PIXELS_PER_CHUNK);
+
+        for (let px = 0; px < PIXELS_PER_CHUNK; ++px) {
+            for (let py = 0; py < PIXELS_PER_CHUNK; ++py) {
+                const color = this.getPixelColor(chunk, px * TILES_PER_PIXEL, py * TILES_PER_PIXEL);
+                if (color) {
+                    context.fillStyle = color;
+                    context.fillRect(baseX + px, baseY + py, 1, 1);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the color of the pixel covering the given tiles, buildings are preferred
+     * over resources
+     * @param {MapChunkView} chunk
+     * @param {number} startX Local tile in the chunk
+     * @param {number} startY Local tile in the chunk
+     * @returns {string|null}
+     */
+    getPixelColor(chunk, startX, startY) {
+        let resourceColor = null;
+        for (let x = startX; x < startX + TILES_PER_PIXEL; ++x) {
+            for (let y = startY; y < startY + TILES_PER_PIXEL; ++y) {
+                const content = chunk.contents[x][y];
+                if (content) {
+                    const staticComp = content.components.StaticMapEntity;
+                    const data = getBuildingDataFromCode(staticComp.code);
+                    const color = data.metaInstance.getSilhouetteColor(data.variant, data.rotationVariant);
+                    if (color) {
+                        return color;
+                    }
+                }
+
+                const lowerContent = chunk.lowerLayer[x][y];
+                if (lowerContent && !resourceColor) {
+                    resourceColor = lowerContent.getBackgroundColorAsResource();
+                }
+            }
+        }
+        return resourceColor;
+    }
+
+    /**
+     * Converts a world position to a position on the minimap canvas
+     * @param {number} worldX
+     * @param {number} worldY
+     * @returns {Vector}
+     */
+    worldToMinimap(worldX, worldY) {
+        const { scale, offsetX, offsetY } = this.mapTransform;
+        const pixelsPerWorldUnit = PIXELS_PER_CHUNK / globalConfig.mapChunkWorldSize;
+        return new Vector(
+            (worldX * pixelsPerWorldUnit - this.bounds.x * PIXELS_PER_CHUNK) * scale + offsetX,
+            (worldY * pixelsPerWorldUnit - this.bounds.y * PIXELS_PER_CHUNK) * scale + offsetY
+        );
+    }
+
+    /**
+     * Converts a position on the minimap canvas to a world position
+     * @param {number} x
+     * @param {number} y
+     * @returns {Vector}
+     */
+    minimapToWorld(x, y) {
+        const { scale, offsetX, offsetY } = this.mapTransform;
+        const worldUnitsPerPixel = globalConfig.mapChunkWorldSize / PIXELS_PER_CHUNK;
+        return new Vector(
+            ((x - offsetX) / scale + this.bounds.x * PIXELS_PER_CHUNK) * worldUnitsPerPixel,
+            ((y - offsetY) / scale + this.bounds.y * PIXELS_PER_CHUNK) * worldUnitsPerPixel
+        );
+    }
+
+    /**
+     * Moves the camera to the clicked position
+     * @param {Vector} pos Client position of the click
+     */
+    onMinimapClicked(pos) {
+        if (!this.bounds) {
+            return;
+        }
+        const rect = this.canvas.getBoundingClientRect();
+        const x = ((pos.x - rect.left) / rect.width) * MINIMAP_RESOLUTION;
+        const y = ((pos.y - rect.top) / rect.height) * MINIMAP_RESOLUTION;
+        this.root.camera.setDesiredCenter(this.minimapToWorld(x, y));
+    }
+
+    /**
+     * Renders the minimap including the viewport and all waypoints
+     */
+    renderMinimap() {
+        const context = this.context;
+        context.clearRect(0, 0, MINIMAP_RESOLUTION, MINIMAP_RESOLUTION);
+
+        // Fit the explored area into the minimap
+        const scale = Math.min(
+            MINIMAP_RESOLUTION / this.mapCanvas.width,
+            MINIMAP_RESOLUTION / this.mapCanvas.height
+        );
+        const width = this.mapCanvas.width * scale;
+        const height = this.mapCanvas.height * scale;
+        this.mapTransform = {
+            scale,
+            offsetX: (MINIMAP_RESOLUTION - width) / 2,
+            offsetY: (MINIMAP_RESOLUTION - height) / 2,
+        };
+        context.drawImage(
+            this.mapCanvas,
+            this.mapTransform.offsetX,
+            this.mapTransform.offsetY,
+            width,
+            height
+        );
+
+        // Waypoints
+        const waypoints = this.root.hud.parts.waypoints;
+        if (waypoints) {
+            context.fillStyle = THEME.map.zone.borderSolid;
+            for (let i = 0; i < waypoints.waypoints.length; ++i) {
+                const center = waypoints.waypoints[i].center;
+                const pos = this.worldToMinimap(center.x, center.y);
+                context.beginPath();
+                context.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+                context.fill();
+            }
+        }
+
+        // Viewport
+        const visibleRect = this.root.camera.getVisibleRect();
+        const topLeft = this.worldToMinimap(visibleRect.x, visibleRect.y);
+        const bottomRight = this.worldToMinimap(visibleRect.right(), visibleRect.bottom());
+        context.strokeStyle = "#fff";
+        context.lineWidth = 2;
+        context.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+        if (!this.visible) {
+            return;
+        }
+
+        this.updateMapCanvas();
+        if (this.mapCanvas) {
+            this.renderMinimap();
+        }
+    }
+}
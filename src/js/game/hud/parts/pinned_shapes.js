@@ -30,6 +30,7 @@ export class HUDPinnedShapes extends BaseHUDPart {
          *  element: HTMLElement,
          *  detector?: ClickDetector,
          *  infoDetector?: ClickDetector,
+         *  recipeDetector?: ClickDetector,
          *  throughputOnly?: boolean
          * }>}
          */
@@ -66,6 +67,7 @@ export class HUDPinnedShapes extends BaseHUDPart {
     initialize() {
         // Connect to any relevant signals
         this.root.signals.storyGoalCompleted.add(this.rerenderFull, this);
+        this.root.signals.freeplayGoalsChanged.add(this.rerenderFull, this);
         this.root.signals.upgradePurchased.add(this.updateShapesAfterUpgrade, this);
         this.root.signals.postLoadHook.add(this.rerenderFull, this);
         this.root.hud.signals.shapePinRequested.add(this.pinNewShape, this);
@@ -167,6 +169,10 @@ export class HUDPinnedShapes extends BaseHUDPart {
             if (infoDetector) {
                 infoDetector.cleanup();
             }
+            const recipeDetector = this.handles[i].recipeDetector;
+            if (recipeDetector) {
+                recipeDetector.cleanup();
+            }
         }
         this.handles = [];
 
@@ -242,6 +248,17 @@ export class HUDPinnedShapes extends BaseHUDPart {
         });
         infoDetector.click.add(() => this.root.hud.signals.viewShapeDetailsRequested.dispatch(definition));
 
+        // And another one to plan how to produce it
+        const recipeButton = document.createElement("button");
+        recipeButton.classList.add("recipeButton");
+        element.appendChild(recipeButton);
+        const recipeDetector = new ClickDetector(recipeButton, {
+            consumeEvents: true,
+            preventDefault: true,
+            targetOnly: true,
+        });
+        recipeDetector.click.add(() => this.root.hud.signals.viewShapeRecipeRequested.dispatch(definition));
+
         const amountLabel = makeDiv(element, null, ["amountLabel"], "");
 
         const goal = this.findGoalValueForShape(key);
@@ -257,6 +274,7 @@ export class HUDPinnedShapes extends BaseHUDPart {
             lastRenderedValue: "",
             detector,
             infoDetector,
+            recipeDetector,
             throughputOnly,
         });
     }
@@ -0,0 +1,198 @@
+import { globalConfig } from "../../../core/config";
+import { DrawParameters } from "../../../core/draw_parameters";
+import { formatItemsPerSecond, makeDiv } from "../../../core/utils";
+import { T } from "../../../translations";
+import { Entity } from "../../entity";
+import { ProductionCalculator } from "../../production_calculator";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * How often the rates are recomputed while the selection stays the same, in seconds
+ */
+const RECALCULATE_INTERVAL = 1;
+
+/**
+ * How many bottlenecks are listed at most
+ */
+const MAX_LISTED_BOTTLENECKS = 5;
+
+/**
+ * Shows the theoretical production rates of the current mass selection and highlights
+ * buildings which are over capacity
+ */
+export class HUDProductionCalculator extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_ProductionCalculator");
+        makeDiv(this.element, null, ["title"], T.ingame.productionCalculator.title);
+        this.contentDiv = makeDiv(this.element, null, ["content"]);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.element, {
+            attachClass: "visible",
+        });
+
+        this.calculator = new ProductionCalculator(this.root);
+
+        /** @type {import("../../production_calculator").ProductionRates} */
+        this.rates = null;
+
+        /**
+         * The selection the rates were computed for
+         * @type {Set<number>}
+         */
+        this.calculatedSelection = null;
+        this.calculatedSelectionSize = 0;
+        this.lastCalculation = 0;
+        this.dirty = true;
+
+        this.root.signals.entityAdded.add(this.markDirty, this);
+        this.root.signals.entityChanged.add(this.markDirty, this);
+        this.root.signals.entityDestroyed.add(this.markDirty, this);
+        this.root.signals.upgradePurchased.add(this.markDirty, this);
+    }
+
+    markDirty() {
+        this.dirty = true;
+    }
+
+    /**
+     * Returns the currently selected entities
+     * @returns {Array<Entity>}
+     */
+    getSelectedEntities() {
+        const entities = [];
+        this.root.hud.parts.massSelector.selectedUids.forEach(uid => {
+            const entity = this.root.entityMgr.findByUid(uid, false);
+            if (entity) {
+                entities.push(entity);
+            }
+        });
+        return entities;
+    }
+
+    update() {
+        const massSelector = this.root.hud.parts.massSelector;
+        const selection = massSelector ? massSelector.selectedUids : null;
+        const visible = Boolean(selection) && selection.size > 0;
+        this.domAttach.update(visible);
+
+        if (!visible) {
+            this.rates = null;
+            this.calculatedSelection = null;
+            return;
+        }
+
+        const now = this.root.time.realtimeNow();
+        if (
+            this.dirty ||
+            selection !== this.calculatedSelection ||
+            selection.size !== this.calculatedSelectionSize ||
+            now - this.lastCalculation > RECALCULATE_INTERVAL
+        ) {
+            this.dirty = false;
+            this.calculatedSelection = selection;
+            this.calculatedSelectionSize = selection.size;
+            this.lastCalculation = now;
+            this.rates = this.calculator.calculate(this.getSelectedEntities());
+            this.rerender();
+        }
+    }
+
+    /**
+     * @param {string} label
+     * @param {string} value
+     * @param {Array<string>=} classes
+     */
+    formatRow(label, value, classes = []) {
+        return `
+            <div class="row ${classes.join(" ")}">
+                <span class="label">${label}</span>
+                <span class="value">${value}</span>
+            </div>`;
+    }
+
+    rerender() {
+        const rates = this.rates;
+        const texts = T.ingame.productionCalculator;
+        let html = "";
+
+        html += `<strong>${texts.inputs}</strong>`;
+        rates.mined.forEach(({ rate }, key) => {
+            html += this.formatRow(texts.mined.replace("<item>", key), formatItemsPerSecond(rate));
+        });
+        html += this.formatRow(texts.fromOutside, formatItemsPerSecond(rates.externalInput));
+
+        html += `<strong>${texts.outputs}</strong>`;
+        html += this.formatRow(texts.toOutside, formatItemsPerSecond(rates.externalOutput));
+        if (rates.consumed > 0) {
+            html += this.formatRow(texts.consumed, formatItemsPerSecond(rates.consumed));
+        }
+
+        html += `<strong>${texts.buildings}</strong>`;
+        rates.buildings.forEach(({ count, throughput, capacity }, name) => {
+            const utilization =
+                capacity > 0
+                    ? texts.utilization.replace("<x>", "" + Math.round((throughput / capacity) * 100))
+                    : "";
+            html += this.formatRow(count + "x " + name, utilization);
+        });
+
+        html += `<strong>${texts.bottlenecks}</strong>`;
+        if (rates.bottlenecks.length === 0) {
+            html += `<div class="row noBottlenecks">${texts.noBottlenecks}</div>`;
+        }
+        for (let i = 0; i < Math.min(rates.bottlenecks.length, MAX_LISTED_BOTTLENECKS); ++i) {
+            const { entity, name, load, capacity } = rates.bottlenecks[i];
+            const origin = entity.components.StaticMapEntity.origin;
+            html += this.formatRow(
+                texts.bottleneckLocation
+                    .replace("<building>", name)
+                    .replace("<x>", "" + origin.x)
+                    .replace("<y>", "" + origin.y),
+                texts.overCapacity
+                    .replace("<load>", formatItemsPerSecond(load))
+                    .replace("<capacity>", formatItemsPerSecond(capacity)),
+                ["bottleneck"]
+            );
+        }
+        if (rates.bottlenecks.length > MAX_LISTED_BOTTLENECKS) {
+            html += `<div class="row">${texts.moreBottlenecks.replace(
+                "<x>",
+                "" + (rates.bottlenecks.length - MAX_LISTED_BOTTLENECKS)
+            )}</div>`;
+        }
+
+        this.contentDiv.innerHTML = html;
+    }
+
+    /**
+     * Highlights all buildings which are over capacity
+     * @param {DrawParameters} parameters
+     */
+    draw(parameters) {
+        if (!this.rates || this.rates.bottlenecks.length === 0) {
+            return;
+        }
+
+        const context = parameters.context;
+        const border = 2;
+        context.fillStyle = "rgba(239, 80, 114, 0.4)";
+        for (let i = 0; i < this.rates.bottlenecks.length; ++i) {
+            const entity = this.rates.bottlenecks[i].entity;
+            if (entity.destroyed) {
+                continue;
+            }
+            const bounds = entity.components.StaticMapEntity.getTileSpaceBounds();
+            context.beginRoundedRect(
+                bounds.x * globalConfig.tileSize + border,
+                bounds.y * globalConfig.tileSize + border,
+                bounds.w * globalConfig.tileSize - 2 * border,
+                bounds.h * globalConfig.tileSize - 2 * border,
+                2
+            );
+            context.fill();
+        }
+    }
+}
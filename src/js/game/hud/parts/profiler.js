@@ -0,0 +1,207 @@
+import { generateFileDownload, makeButton, makeDiv } from "../../../core/utils";
+import { T } from "../../../translations";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { SystemProfiler } from "../../system_profiler";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * @typedef {import("../../system_profiler").SystemProfile} SystemProfile
+ */
+
+/**
+ * The columns of the table, the id is the property of the profile to sort by
+ * @type {Array<keyof SystemProfile>}
+ */
+const COLUMNS = ["id", "updateAvg", "drawAvg", "totalAvg", "totalMax", "spikes"];
+
+const UPDATE_INTERVAL_SECONDS = 0.5;
+
+/**
+ * Systems which spiked within this many frames are highlighted
+ */
+const RECENT_SPIKE_FRAMES = 60;
+
+/**
+ * Shows how long each game system takes per frame, to find out what slows down large factories
+ */
+export class HUDProfiler extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_Profiler");
+
+        const title = makeDiv(this.element, null, ["title"], T.ingame.profiler.title);
+        this.closeButton = makeDiv(title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        const controls = makeDiv(this.element, null, ["controls"]);
+        this.resetButton = makeButton(controls, ["reset"], T.ingame.profiler.reset);
+        this.trackClicks(this.resetButton, this.reset);
+        this.exportButton = makeButton(controls, ["export"], T.ingame.profiler.exportJson);
+        this.trackClicks(this.exportButton, this.exportProfile);
+
+        this.summaryElement = makeDiv(this.element, null, ["summary"]);
+
+        const table = document.createElement("table");
+        this.element.appendChild(table);
+
+        const headerRow = document.createElement("tr");
+        table.appendChild(headerRow);
+
+        /** @type {Object<string, HTMLElement>} */
+        this.headerCells = {};
+        for (let i = 0; i < COLUMNS.length; ++i) {
+            const column = COLUMNS[i];
+            const cell = document.createElement("th");
+            cell.innerText = T.ingame.profiler.columns[column];
+            headerRow.appendChild(cell);
+            this.trackClicks(cell, () => this.sortBy(column));
+            this.headerCells[column] = cell;
+        }
+
+        this.tableBody = document.createElement("tbody");
+        table.appendChild(this.tableBody);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.element, {
+            attachClass: "visible",
+        });
+
+        this.visible = false;
+        this.lastRender = 0;
+        this.profiler = new SystemProfiler(this.root);
+
+        /** @type {keyof SystemProfile} */
+        this.sortColumn = "totalAvg";
+        this.sortDescending = true;
+
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.toggleProfiler).add(this.toggle, this);
+        this.rerenderHeader();
+    }
+
+    cleanup() {
+        super.cleanup();
+        this.profiler.setEnabled(false);
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+    }
+
+    close() {
+        this.visible = false;
+    }
+
+    reset() {
+        this.profiler.reset();
+        this.lastRender = 0;
+    }
+
+    /**
+     * Sorts by the given column, or reverses the order if it is already sorted by it
+     * @param {keyof SystemProfile} column
+     */
+    sortBy(column) {
+        if (column === this.sortColumn) {
+            this.sortDescending = !this.sortDescending;
+        } else {
+            this.sortColumn = column;
+            this.sortDescending = column !== "id";
+        }
+        this.rerenderHeader();
+        this.lastRender = 0;
+    }
+
+    rerenderHeader() {
+        for (const column in this.headerCells) {
+            const cell = this.headerCells[column];
+            cell.classList.toggle("sorted", column === this.sortColumn);
+            cell.classList.toggle("descending", column === this.sortColumn && this.sortDescending);
+        }
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+        this.profiler.setEnabled(this.visible);
+        if (!this.visible) {
+            return;
+        }
+
+        const now = this.root.time.realtimeNow();
+        if (now - this.lastRender > UPDATE_INTERVAL_SECONDS) {
+            this.lastRender = now;
+            this.rerenderSummary();
+            this.rerenderTable();
+        }
+    }
+
+    rerenderSummary() {
+        const profiler = this.profiler;
+        const systems = this.root.systemMgr.systems;
+        const beltPaths = systems.belt.beltPaths.length;
+        const wireNetworks = systems.wire.networks.length;
+
+        this.summaryElement.innerHTML = [
+            T.ingame.profiler.frames
+                .replace("<frames>", String(profiler.frames.length))
+                .replace("<ms>", profiler.getAverageFrameMs().toFixed(2)),
+            T.ingame.profiler.beltPaths
+                .replace("<count>", String(beltPaths))
+                .replace("<cost>", this.formatCostPerUnit(profiler.getTotalAverage("belt"), beltPaths)),
+            T.ingame.profiler.wireNetworks
+                .replace("<count>", String(wireNetworks))
+                .replace("<cost>", this.formatCostPerUnit(profiler.getTotalAverage("wire"), wireNetworks)),
+        ]
+            .map(line => "<span>" + line + "</span>")
+            .join("");
+    }
+
+    /**
+     * @param {number} ms
+     * @param {number} count
+     * @returns {string}
+     */
+    formatCostPerUnit(ms, count) {
+        if (count === 0) {
+            return "-";
+        }
+        return ((ms / count) * 1000).toFixed(2) + " µs";
+    }
+
+    rerenderTable() {
+        const column = this.sortColumn;
+        const direction = this.sortDescending ? -1 : 1;
+        const profiles = this.profiler.computeProfiles().sort((a, b) => {
+            if (a[column] === b[column]) {
+                return 0;
+            }
+            return a[column] > b[column] ? direction : -direction;
+        });
+
+        let html = "";
+        for (let i = 0; i < profiles.length; ++i) {
+            const profile = profiles[i];
+            const recentSpike = this.profiler.hadRecentSpike(profile, RECENT_SPIKE_FRAMES);
+            html += `
+                <tr class="${recentSpike ? "recentSpike" : ""}">
+                    <td>${profile.id}</td>
+                    <td>${profile.updateAvg.toFixed(3)}</td>
+                    <td>${profile.drawAvg.toFixed(3)}</td>
+                    <td>${profile.totalAvg.toFixed(3)}</td>
+                    <td>${profile.totalMax.toFixed(2)}</td>
+                    <td>${profile.spikes > 0 ? `<span class="spikeMarker">${profile.spikes}</span>` : ""}</td>
+                </tr>
+            `;
+        }
+        this.tableBody.innerHTML = html;
+    }
+
+    exportProfile() {
+        if (this.profiler.frames.length === 0) {
+            this.root.soundProxy.playUiError();
+            return;
+        }
+
+        generateFileDownload("profile.json", JSON.stringify(this.profiler.exportProfile(), null, 2));
+    }
+}
@@ -39,7 +39,10 @@ export class HUDPuzzleCompleteNotification extends BaseHUDPart {
         this.elemContents = makeDiv(dialog, null, ["contents"]);
         this.elemActions = makeDiv(dialog, null, ["actions"]);
 
+        // Local puzzles can not be rated
+        const mode = /** @type {PuzzlePlayGameMode} */ (this.root.gameMode);
         const stepLike = makeDiv(this.elemContents, null, ["step", "stepLike"]);
+        stepLike.classList.toggle("hidden", mode.isLocalPuzzle());
         makeDiv(stepLike, null, ["title"], T.ingame.puzzleCompletion.titleLike);
 
         const likeButtons = makeDiv(stepLike, null, ["buttons"]);
@@ -3,7 +3,8 @@ import { createLogger } from "../../../core/logging";
 import { DialogWithForm } from "../../../core/modal_dialog_elements";
 import { FormElementInput, FormElementItemChooser } from "../../../core/modal_dialog_forms";
 import { STOP_PROPAGATION } from "../../../core/signal";
-import { fillInLinkIntoTranslation, makeDiv } from "../../../core/utils";
+import { fillInLinkIntoTranslation, generateFileDownload, makeDiv } from "../../../core/utils";
+import { PUZZLE_FILE_EXTENSION, PuzzleLibrary } from "../../../profile/puzzle_library";
 import { PuzzleSerializer } from "../../../savegame/puzzle_serializer";
 import { T } from "../../../translations";
 import { ConstantSignalComponent } from "../../components/constant_signal";
@@ -11,6 +12,7 @@ import { GoalAcceptorComponent } from "../../components/goal_acceptor";
 import { StaticMapEntityComponent } from "../../components/static_map_entity";
 import { ShapeItem } from "../../items/shape_item";
 import { ShapeDefinition } from "../../shape_definition";
+import { enumPuzzleVerificationResult, PuzzleVerifier } from "../../puzzle_verifier";
 import { BaseHUDPart } from "../base_hud_part";
 
 const trim = require("trim");
@@ -31,11 +33,38 @@ export class HUDPuzzleEditorReview extends BaseHUDPart {
         this.element.appendChild(this.button);
 
         this.trackClicks(this.button, this.startReview);
+
+        this.exportButton = document.createElement("button");
+        this.exportButton.classList.add("button", "export");
+        this.exportButton.textContent = T.puzzleMenu.exportPuzzle;
+        this.element.appendChild(this.exportButton);
+
+        this.trackClicks(this.exportButton, this.startExport);
     }
 
-    initialize() {}
+    initialize() {
+        /**
+         * How many buildings the last verified solution used
+         * @type {number|null}
+         */
+        this.parBuildingCount = null;
+    }
 
     startReview() {
+        this.validateBySimulation(() => this.startSubmit());
+    }
+
+    startExport() {
+        this.validateBySimulation(() =>
+            this.askForMetadata(T.dialogs.exportPuzzle.title, "", "", this.doExportPuzzle)
+        );
+    }
+
+    /**
+     * Verifies the solution of the author and calls the handler if it solves the puzzle
+     * @param {function() : void} onValid
+     */
+    validateBySimulation(onValid) {
         const validationError = this.validatePuzzle();
         if (validationError) {
             this.root.hud.parts.dialogs.showWarning(T.puzzleMenu.validation.title, validationError);
@@ -46,60 +75,79 @@ export class HUDPuzzleEditorReview extends BaseHUDPart {
 
         // Wait a bit, so the user sees the puzzle actually got validated
         setTimeout(() => {
-            // Manually simulate ticks
-            this.root.logic.clearAllBeltsAndItems();
+            const { excludedBuildings } = new PuzzleSerializer().generateDumpFromGameRoot(this.root);
 
-            const maxTicks =
-                this.root.gameMode.getFixedTickrate() * globalConfig.puzzleValidationDurationSeconds;
-            const deltaMs = this.root.dynamicTickrate.deltaMs;
-            logger.log("Simulating up to", maxTicks, "ticks, start=", this.root.time.now().toFixed(1));
             const now = performance.now();
+            const verification = new PuzzleVerifier(this.root).verify(excludedBuildings);
+            logger.log("Verified puzzle in", (performance.now() - now).toFixed(2), "ms:", verification);
+            closeLoading();
 
-            let simulatedTicks = 0;
-            for (let i = 0; i < maxTicks; ++i) {
-                // Perform logic tick
-                this.root.time.performTicks(deltaMs, this.root.gameState.core.boundInternalTick);
-                simulatedTicks++;
-
-                if (simulatedTicks % 100 == 0 && !this.validatePuzzle()) {
-                    break;
-                }
+            const verificationError = this.getVerificationError(verification.result);
+            if (verificationError) {
+                this.root.hud.parts.dialogs.showWarning(T.puzzleMenu.validation.title, verificationError);
+                return;
             }
 
-            const duration = performance.now() - now;
-            logger.log(
-                "Simulated",
-                simulatedTicks,
-                "ticks, end=",
-                this.root.time.now().toFixed(1),
-                "duration=",
-                duration.toFixed(2),
-                "ms"
-            );
-
-            console.log("duration: " + duration);
-            closeLoading();
+            this.parBuildingCount = verification.buildingCount;
 
-            //if it took so little ticks that it must have autocompeted
-            if (simulatedTicks <= 500) {
-                this.root.hud.parts.dialogs.showWarning(
-                    T.puzzleMenu.validation.title,
-                    T.puzzleMenu.validation.autoComplete
+            if (verification.excludedBuildingsUsed.length > 0) {
+                const { continue: confirmed } = this.root.hud.parts.dialogs.showWarning(
+                    T.dialogs.puzzleExcludedBuildingsUsed.title,
+                    T.dialogs.puzzleExcludedBuildingsUsed.desc.replace(
+                        "<buildings>",
+                        verification.excludedBuildingsUsed.join(", ")
+                    ),
+                    ["cancel:good", "continue:bad"]
                 );
+                confirmed.add(onValid);
                 return;
             }
 
-            //if we reached maximum ticks and the puzzle still isn't completed
-            const validationError = this.validatePuzzle();
-            if (simulatedTicks == maxTicks && validationError) {
-                this.root.hud.parts.dialogs.showWarning(T.puzzleMenu.validation.title, validationError);
-                return;
-            }
-            this.startSubmit();
+            onValid();
         }, 750);
     }
 
+    /**
+     * @param {enumPuzzleVerificationResult} result
+     * @returns {string|null}
+     */
+    getVerificationError(result) {
+        switch (result) {
+            case enumPuzzleVerificationResult.solved:
+                return null;
+            case enumPuzzleVerificationResult.notSolved:
+                return T.puzzleMenu.validation.goalAcceptorRateNotMet;
+            case enumPuzzleVerificationResult.unstable:
+                return T.puzzleMenu.validation.unstable;
+            case enumPuzzleVerificationResult.autoComplete:
+                return T.puzzleMenu.validation.autoComplete;
+            default:
+                return T.puzzleMenu.validation.simulationFailed;
+        }
+    }
+
+    /**
+     * Serializes the puzzle, including the building count of the verified solution as par
+     * @returns {import("../../../savegame/savegame_typedefs").PuzzleGameData}
+     */
+    serializePuzzle() {
+        const game = new PuzzleSerializer().generateDumpFromGameRoot(this.root);
+        game.par = this.parBuildingCount;
+        return game;
+    }
+
     startSubmit(title = "", shortKey = "") {
+        this.askForMetadata(T.dialogs.submitPuzzle.title, title, shortKey, this.doSubmitPuzzle);
+    }
+
+    /**
+     * Asks for the title and the icon of the puzzle
+     * @param {string} dialogTitle
+     * @param {string} title
+     * @param {string} shortKey
+     * @param {function(string, string) : void} handler Called with the title and the icon
+     */
+    askForMetadata(dialogTitle, title, shortKey, handler) {
         const regex = /^[a-zA-Z0-9_\- ]{4,20}$/;
         const nameInput = new FormElementInput({
             id: "nameInput",
@@ -140,7 +188,7 @@ export class HUDPuzzleEditorReview extends BaseHUDPart {
 
         const dialog = new DialogWithForm({
             app: this.root.app,
-            title: T.dialogs.submitPuzzle.title,
+            title: dialogTitle,
             desc: "",
             formElements: [nameInput, itemInput, shapeKeyInput],
             buttons: ["ok:good:enter"],
@@ -155,12 +203,25 @@ export class HUDPuzzleEditorReview extends BaseHUDPart {
         dialog.buttonSignals.ok.add(() => {
             const title = trim(nameInput.getValue());
             const shortKey = trim(shapeKeyInput.getValue());
-            this.doSubmitPuzzle(title, shortKey);
+            handler.call(this, title, shortKey);
         });
     }
 
+    /**
+     * Downloads the puzzle as a file, which can be imported in the puzzle menu
+     * @param {string} title
+     * @param {string} shortKey
+     */
+    doExportPuzzle(title, shortKey) {
+        const game = this.serializePuzzle();
+        const data = PuzzleLibrary.serializePuzzleFile({ title, shortKey, game });
+
+        logger.log("Exporting puzzle, title=", title, "shortKey=", shortKey);
+        generateFileDownload(title.replace(/ /g, "_") + PUZZLE_FILE_EXTENSION, data);
+    }
+
     doSubmitPuzzle(title, shortKey) {
-        const serialized = new PuzzleSerializer().generateDumpFromGameRoot(this.root);
+        const serialized = this.serializePuzzle();
 
         logger.log("Submitting puzzle, title=", title, "shortKey=", shortKey);
         if (G_IS_DEV) {
@@ -20,6 +20,11 @@ export class HUDPuzzlePlayMetadata extends BaseHUDPart {
         this.puzzleNameElement.innerText = puzzle.meta.title;
 
         this.element = makeDiv(parent, "ingame_HUD_PuzzlePlayMetadata");
+        if (mode.isLocalPuzzle()) {
+            this.renderLocalMetadata(puzzle.meta.localId);
+            return;
+        }
+
         this.element.innerHTML = `
 
             <div class="plays">
@@ -44,6 +49,7 @@ export class HUDPuzzlePlayMetadata extends BaseHUDPart {
                         : "-"
                 }</span>
             </div>
+            ${this.getParHtml()}
 
             <div class="buttons">
                 <button class="styledButton share">${T.ingame.puzzleEditorSettings.share}</button>
@@ -58,6 +64,46 @@ export class HUDPuzzlePlayMetadata extends BaseHUDPart {
             puzzle.meta.author;
     }
 
+    /**
+     * Puzzles from the local library only have the results of the player
+     * @param {string} localId
+     */
+    renderLocalMetadata(localId) {
+        const entry = this.root.app.puzzleLibrary.getEntryById(localId);
+        const texts = T.ingame.puzzleMetadata;
+        const bestBuildingCount = entry && entry.bestBuildingCount !== null ? entry.bestBuildingCount : null;
+        const bestTime = entry && entry.bestTime !== null ? entry.bestTime : null;
+
+        this.element.innerHTML = `
+            <div class="info local"><label>${texts.localPuzzle}</label></div>
+            <div class="info rating">
+                <label>${texts.bestBuildingCount}</label>
+                <span>${bestBuildingCount !== null ? formatBigNumberFull(bestBuildingCount) : "-"}</span>
+            </div>
+            <div class="info rating">
+                <label>${texts.bestTime}</label>
+                <span>${bestTime !== null ? formatSeconds(bestTime) : "-"}</span>
+            </div>
+            ${this.getParHtml()}
+            `;
+    }
+
+    /**
+     * Shows how many buildings the solution of the author needed, older puzzles don't know it
+     * @returns {string}
+     */
+    getParHtml() {
+        const mode = /** @type {PuzzlePlayGameMode} */ (this.root.gameMode);
+        const par = mode.puzzle.game.par;
+        if (typeof par !== "number") {
+            return "";
+        }
+        return `
+            <div class="info par">
+                <label>${T.ingame.puzzleMetadata.par}</label><span>${formatBigNumberFull(par)}</span>
+            </div>`;
+    }
+
     initialize() {}
 
     share() {
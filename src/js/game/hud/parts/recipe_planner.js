@@ -0,0 +1,233 @@
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementInput } from "../../../core/modal_dialog_forms";
+import { formatItemsPerSecond, makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
+import { T } from "../../../translations";
+import { enumColorsToHexCode } from "../../colors";
+import { enumItemProcessorTypes } from "../../components/item_processor";
+import { enumRecipeOperation, RecipePlanner } from "../../recipe_planner";
+import { enumSubShape, ShapeDefinition } from "../../shape_definition";
+import { BaseHUDPart } from "../base_hud_part";
+import { DynamicDomAttach } from "../dynamic_dom_attach";
+
+/**
+ * @typedef {import("../../recipe_planner").RecipeNode} RecipeNode
+ */
+
+/**
+ * The largest rate which can be entered, in shapes per second
+ */
+const MAX_TARGET_RATE = 1000;
+
+/**
+ * Returns the name of the building which runs the given processor, null is the extractor
+ * @param {enumItemProcessorTypes|null} processor
+ * @returns {string}
+ */
+function getProcessorBuildingName(processor) {
+    switch (processor) {
+        case null:
+            return T.buildings.miner.default.name;
+        case enumItemProcessorTypes.cutter:
+            return T.buildings.cutter.default.name;
+        case enumItemProcessorTypes.cutterQuad:
+            return T.buildings.cutter.quad.name;
+        case enumItemProcessorTypes.rotater:
+            return T.buildings.rotater.default.name;
+        case enumItemProcessorTypes.rotaterCCW:
+            return T.buildings.rotater.ccw.name;
+        case enumItemProcessorTypes.rotater180:
+            return T.buildings.rotater.rotate180.name;
+        case enumItemProcessorTypes.stacker:
+            return T.buildings.stacker.default.name;
+        case enumItemProcessorTypes.painter:
+            return T.buildings.painter.default.name;
+        case enumItemProcessorTypes.mixer:
+            return T.buildings.mixer.default.name;
+        default:
+            assertAlways(false, "No building name for " + processor);
+    }
+}
+
+/**
+ * Shows how a shape can be produced from the resources on the map, and how many buildings
+ * are needed for it
+ */
+export class HUDRecipePlanner extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_RecipePlanner");
+
+        const title = makeDiv(this.element, null, ["title"], T.ingame.recipePlanner.title);
+        this.closeButton = makeDiv(title, null, ["closeButton"]);
+        this.trackClicks(this.closeButton, this.close);
+
+        this.contentDiv = makeDiv(this.element, null, ["content"]);
+    }
+
+    initialize() {
+        this.domAttach = new DynamicDomAttach(this.root, this.element, {
+            attachClass: "visible",
+        });
+
+        this.planner = new RecipePlanner(this.root);
+        this.visible = false;
+
+        /** @type {ShapeDefinition} */
+        this.definition = null;
+
+        /** @type {RecipeNode|null} */
+        this.recipe = null;
+
+        /**
+         * How many shapes per second should be produced
+         */
+        this.targetRate = 1;
+
+        /** @type {HTMLElement} */
+        this.buildingsDiv = null;
+
+        /** @type {HTMLButtonElement} */
+        this.rateButton = null;
+
+        this.root.hud.signals.viewShapeRecipeRequested.add(this.planForShape, this);
+        this.root.signals.upgradePurchased.add(this.renderBuildings, this);
+    }
+
+    update() {
+        this.domAttach.update(this.visible);
+    }
+
+    close() {
+        this.visible = false;
+    }
+
+    /**
+     * Computes and shows the recipe for the given shape
+     * @param {ShapeDefinition} definition
+     */
+    planForShape(definition) {
+        this.visible = true;
+        this.definition = definition;
+        this.recipe = this.planner.plan(definition);
+        this.rerender();
+    }
+
+    rerender() {
+        const texts = T.ingame.recipePlanner;
+        removeAllChildren(this.contentDiv);
+        this.buildingsDiv = null;
+        this.rateButton = null;
+
+        const header = makeDiv(this.contentDiv, null, ["header"]);
+        header.appendChild(this.definition.generateAsCanvas(60));
+        makeDiv(header, null, ["key"], this.definition.getHash());
+
+        if (!this.recipe) {
+            makeDiv(this.contentDiv, null, ["impossible"], texts.impossible);
+            return;
+        }
+
+        const rateRow = makeDiv(this.contentDiv, null, ["rate"]);
+        makeDiv(rateRow, null, ["label"], texts.targetRate);
+        this.rateButton = makeButton(rateRow, ["styledButton"]);
+        this.trackClicks(this.rateButton, this.editTargetRate);
+
+        makeDiv(this.contentDiv, null, ["heading"], texts.buildings);
+        this.buildingsDiv = makeDiv(this.contentDiv, null, ["buildings"]);
+        this.renderBuildings();
+
+        makeDiv(this.contentDiv, null, ["heading"], texts.steps);
+        this.renderNode(makeDiv(this.contentDiv, null, ["tree"]), this.recipe);
+    }
+
+    /**
+     * Shows the building estimate for the current target rate
+     */
+    renderBuildings() {
+        if (!this.buildingsDiv) {
+            return;
+        }
+
+        this.rateButton.innerText = formatItemsPerSecond(this.targetRate);
+
+        removeAllChildren(this.buildingsDiv);
+        const counts = this.planner.estimateBuildings(this.recipe, this.targetRate);
+        counts.sort((a, b) => b.count - a.count);
+        for (let i = 0; i < counts.length; ++i) {
+            const { processor, count } = counts[i];
+            const row = makeDiv(this.buildingsDiv, null, ["row"]);
+            makeDiv(row, null, ["label"], getProcessorBuildingName(processor));
+            makeDiv(row, null, ["value"], count + "x");
+        }
+    }
+
+    /**
+     * Renders a step and everything it requires
+     * @param {HTMLElement} parent
+     * @param {RecipeNode} node
+     */
+    renderNode(parent, node) {
+        const texts = T.ingame.recipePlanner.operations;
+        const element = makeDiv(parent, null, ["node"]);
+        const row = makeDiv(element, null, ["step"]);
+
+        if (node.shape) {
+            const canvas = node.shape.generateAsCanvas(40);
+            canvas.title = node.shape.getHash();
+            row.appendChild(canvas);
+        } else {
+            const swatch = makeDiv(row, null, ["color"]);
+            swatch.style.backgroundColor = enumColorsToHexCode[node.color];
+        }
+
+        let label = texts[node.operation];
+        if (
+            node.operation === enumRecipeOperation.mine &&
+            node.shape &&
+            node.shape.layers[0].some(item => item && item.subShape === enumSubShape.windmill)
+        ) {
+            label = texts.mineWindmill;
+        }
+        makeDiv(row, null, ["operation"], label);
+
+        if (node.inputs.length > 0) {
+            const children = makeDiv(element, null, ["inputs"]);
+            for (let i = 0; i < node.inputs.length; ++i) {
+                this.renderNode(children, node.inputs[i]);
+            }
+        }
+    }
+
+    /**
+     * Asks for the amount of shapes per second the buildings are estimated for
+     */
+    editTargetRate() {
+        const texts = T.ingame.recipePlanner;
+        const isValid = value => Number.isFinite(value) && value > 0 && value <= MAX_TARGET_RATE;
+
+        const rateInput = new FormElementInput({
+            id: "targetRate",
+            label: texts.targetRateLabel.replace("<max>", "" + MAX_TARGET_RATE),
+            placeholder: "",
+            defaultValue: "" + this.targetRate,
+            validator: val => isValid(Number(val)),
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: texts.targetRate,
+            desc: "",
+            formElements: [rateInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+            closeButton: false,
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            const rate = Number(rateInput.getValue());
+            if (isValid(rate)) {
+                this.targetRate = rate;
+                this.renderBuildings();
+            }
+        });
+    }
+}
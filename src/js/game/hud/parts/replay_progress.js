@@ -0,0 +1,43 @@
+import { makeDiv } from "../../../core/utils";
+import { T } from "../../../translations";
+import { BaseHUDPart } from "../base_hud_part";
+
+const UPDATE_INTERVAL_SECONDS = 0.5;
+
+/**
+ * Shows how much of the replay has been watched, see ReplayPlayer
+ */
+export class HUDReplayProgress extends BaseHUDPart {
+    createElements(parent) {
+        this.element = makeDiv(parent, "ingame_HUD_ReplayProgress");
+        makeDiv(this.element, null, ["title"], T.ingame.replay.title);
+        this.progressElement = makeDiv(this.element, null, ["progress"]);
+        this.barElement = makeDiv(makeDiv(this.element, null, ["bar"]), null, ["fill"]);
+        this.desyncsElement = makeDiv(this.element, null, ["desyncs"]);
+    }
+
+    initialize() {
+        this.lastRender = -1e10;
+    }
+
+    update() {
+        const now = this.root.time.realtimeNow();
+        if (now - this.lastRender < UPDATE_INTERVAL_SECONDS) {
+            return;
+        }
+        this.lastRender = now;
+
+        const player = this.root.replayPlayer;
+        const progress = player.getProgress();
+
+        this.progressElement.innerText = player.getIsFinished()
+            ? T.ingame.replay.finished
+            : T.ingame.replay.progress.replace("<percent>", String(Math.floor(progress * 100)));
+        this.barElement.style.width = progress * 100 + "%";
+
+        this.desyncsElement.innerText =
+            player.numDesyncs > 0
+                ? T.ingame.replay.desyncs.replace("<count>", String(player.numDesyncs))
+                : "";
+    }
+}
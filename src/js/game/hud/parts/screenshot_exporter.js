@@ -1,21 +1,80 @@
-import { makeOffscreenBuffer } from "../../../core/buffer_utils";
+import { freeCanvas, makeOffscreenBuffer } from "../../../core/buffer_utils";
 import { globalConfig } from "../../../core/config";
 import { DrawParameters } from "../../../core/draw_parameters";
 import { createLogger } from "../../../core/logging";
+import { DialogWithForm } from "../../../core/modal_dialog_elements";
+import { FormElementCheckbox, FormElementInput } from "../../../core/modal_dialog_forms";
+import { StreamingPngEncoder } from "../../../core/png_encoder";
 import { Rectangle } from "../../../core/rectangle";
-import { Vector } from "../../../core/vector";
+import { ORIGINAL_SPRITE_SCALE } from "../../../core/sprites";
+import { round2Digits } from "../../../core/utils";
 import { T } from "../../../translations";
 import { StaticMapEntityComponent } from "../../components/static_map_entity";
 import { KEYMAPPINGS } from "../../key_action_mapper";
+import { THEME } from "../../theme";
 import { BaseHUDPart } from "../base_hud_part";
 
 const logger = createLogger("screenshot_exporter");
 
+/**
+ * The exported image is rendered in parts of at most this many pixels per axis
+ */
+const MAX_RENDER_TILE_PIXELS = 2048;
+
+/**
+ * Maximum size of the exported image, when it has to fit into a single canvas because the
+ * browser can not encode it in parts (see StreamingPngEncoder)
+ */
+const MAX_CANVAS_EXPORT_PIXELS = 16384;
+const MAX_CANVAS_EXPORT_AREA = 16384 * 16384;
+
+/**
+ * Maximum size of the exported image when it is encoded in parts, which is only limited by
+ * the memory for the compressed image
+ */
+const MAX_STREAMED_EXPORT_PIXELS = 65536;
+const MAX_STREAMED_EXPORT_AREA = 32768 * 32768;
+
+/**
+ * How many bytes of pixels get encoded at once when encoding in parts
+ */
+const MAX_STREAMED_STRIP_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Allowed range of pixels per tile
+ */
+const MIN_PIXELS_PER_TILE = 1;
+const MAX_PIXELS_PER_TILE = 64;
+
+/**
+ * @typedef {"base"|"viewport"|"selection"} ScreenshotRegion
+ *
+ * @typedef {{
+ *   pixelsPerTile: number,
+ *   wires: boolean,
+ *   resources: boolean,
+ *   grid: boolean,
+ *   transparent: boolean
+ * }} ScreenshotSettings
+ */
+
 export class HUDScreenshotExporter extends BaseHUDPart {
     createElements() {}
 
     initialize() {
         this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.exportScreenshot).add(this.startExport, this);
+
+        /**
+         * The settings of the last export
+         * @type {ScreenshotSettings}
+         */
+        this.settings = {
+            pixelsPerTile: 8,
+            wires: false,
+            resources: true,
+            grid: true,
+            transparent: false,
+        };
     }
 
     startExport() {
@@ -24,88 +83,362 @@ export class HUDScreenshotExporter extends BaseHUDPart {
             return;
         }
 
-        const { ok } = this.root.hud.parts.dialogs.showInfo(
+        const buttons = ["cancel:bad:escape", "exportViewport:good"];
+        const massSelector = this.root.hud.parts.massSelector;
+        const hasSelection = massSelector && massSelector.selectedUids.size > 0;
+        if (hasSelection) {
+            buttons.push("exportSelection:good");
+        }
+        buttons.push("exportBase:good:enter");
+
+        const signals = this.root.hud.parts.dialogs.showInfo(
             T.dialogs.exportScreenshotWarning.title,
             T.dialogs.exportScreenshotWarning.desc,
-            ["cancel:good", "ok:bad"]
+            buttons
         );
-        ok.add(this.doExport, this);
+        signals.exportBase.add(() => this.requestSettings("base"));
+        signals.exportViewport.add(() => this.requestSettings("viewport"));
+        if (hasSelection) {
+            signals.exportSelection.add(() => this.requestSettings("selection"));
+        }
     }
 
-    doExport() {
-        logger.log("Starting export ...");
+    /**
+     * Asks for the resolution and layers of the export
+     * @param {ScreenshotRegion} region
+     */
+    requestSettings(region) {
+        const resolutionInput = new FormElementInput({
+            id: "pixelsPerTile",
+            label: T.dialogs.exportScreenshotSettings.pixelsPerTile
+                .replace("<min>", "" + MIN_PIXELS_PER_TILE)
+                .replace("<max>", "" + MAX_PIXELS_PER_TILE),
+            placeholder: "",
+            defaultValue: "" + this.settings.pixelsPerTile,
+            validator: val => {
+                const value = Number(val);
+                return (
+                    Number.isInteger(value) && value >= MIN_PIXELS_PER_TILE && value <= MAX_PIXELS_PER_TILE
+                );
+            },
+        });
+        const wiresInput = new FormElementCheckbox({
+            id: "wires",
+            label: T.dialogs.exportScreenshotSettings.wires,
+            defaultValue: this.settings.wires,
+        });
+        const resourcesInput = new FormElementCheckbox({
+            id: "resources",
+            label: T.dialogs.exportScreenshotSettings.resources,
+            defaultValue: this.settings.resources,
+        });
+        const gridInput = new FormElementCheckbox({
+            id: "grid",
+            label: T.dialogs.exportScreenshotSettings.grid,
+            defaultValue: this.settings.grid,
+        });
+        const transparentInput = new FormElementCheckbox({
+            id: "transparent",
+            label: T.dialogs.exportScreenshotSettings.transparent,
+            defaultValue: this.settings.transparent,
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.exportScreenshotSettings.title,
+            desc: T.dialogs.exportScreenshotSettings.desc,
+            formElements: [resolutionInput, wiresInput, resourcesInput, gridInput, transparentInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            this.settings = {
+                pixelsPerTile: Number(resolutionInput.getValue()),
+                wires: wiresInput.getValue(),
+                resources: resourcesInput.getValue(),
+                grid: gridInput.getValue(),
+                transparent: transparentInput.getValue(),
+            };
+            const area = this.getRegionTileArea(region);
+            if (area) {
+                this.doExport(area, this.settings);
+            }
+        });
+    }
 
-        // Find extends
-        const staticEntities = this.root.entityMgr.getAllWithComponent(StaticMapEntityComponent);
+    /**
+     * Returns the area of the region in tile space
+     * @param {ScreenshotRegion} region
+     * @returns {Rectangle|null}
+     */
+    getRegionTileArea(region) {
+        if (region === "viewport") {
+            return this.root.camera.getVisibleRect().toTileCullRectangle();
+        }
 
-        const minTile = new Vector(0, 0);
-        const maxTile = new Vector(0, 0);
-        for (let i = 0; i < staticEntities.length; ++i) {
-            const bounds = staticEntities[i].components.StaticMapEntity.getTileSpaceBounds();
-            minTile.x = Math.min(minTile.x, bounds.x);
-            minTile.y = Math.min(minTile.y, bounds.y);
+        /** @type {Array<import("../../entity").Entity>} */
+        let entities;
+        if (region === "selection") {
+            entities = [];
+            this.root.hud.parts.massSelector.selectedUids.forEach(uid => {
+                const entity = this.root.entityMgr.findByUid(uid, false);
+                if (entity) {
+                    entities.push(entity);
+                }
+            });
+        } else {
+            entities = this.root.entityMgr.getAllWithComponent(StaticMapEntityComponent);
+        }
 
-            maxTile.x = Math.max(maxTile.x, bounds.x + bounds.w);
-            maxTile.y = Math.max(maxTile.y, bounds.y + bounds.h);
+        /** @type {Rectangle} */
+        let area = null;
+        for (let i = 0; i < entities.length; ++i) {
+            const bounds = entities[i].components.StaticMapEntity.getTileSpaceBounds();
+            area = area ? area.getUnion(bounds) : bounds;
         }
+        return area;
+    }
 
-        const minChunk = minTile.divideScalar(globalConfig.mapChunkSize).floor();
-        const maxChunk = maxTile.divideScalar(globalConfig.mapChunkSize).ceil();
+    /**
+     * Renders the given area and offers it as download, after asking whether a lower resolution
+     * is fine if the image would get too big
+     * @param {Rectangle} tileArea The area to export in tile space
+     * @param {ScreenshotSettings} settings
+     */
+    doExport(tileArea, settings) {
+        logger.log("Starting export of", tileArea.toString(), "with", settings);
 
-        const dimensions = maxChunk.sub(minChunk);
-        logger.log("Dimensions:", dimensions);
+        const streamed = StreamingPngEncoder.isSupported();
+        const maxPixels = streamed ? MAX_STREAMED_EXPORT_PIXELS : MAX_CANVAS_EXPORT_PIXELS;
+        const maxArea = streamed ? MAX_STREAMED_EXPORT_AREA : MAX_CANVAS_EXPORT_AREA;
 
-        let chunkSizePixels = 128;
-        const maxDimensions = Math.max(dimensions.x, dimensions.y);
+        const pixelsPerTile = Math.min(
+            settings.pixelsPerTile,
+            maxPixels / tileArea.w,
+            maxPixels / tileArea.h,
+            Math.sqrt(maxArea / (tileArea.w * tileArea.h))
+        );
 
-        if (maxDimensions > 128) {
-            chunkSizePixels = Math.max(1, Math.floor(128 * (128 / maxDimensions)));
+        if (pixelsPerTile >= settings.pixelsPerTile) {
+            this.exportImage(tileArea, settings, pixelsPerTile, streamed);
+            return;
         }
-        logger.log("ChunkSizePixels:", chunkSizePixels);
 
-        const chunkScale = chunkSizePixels / globalConfig.mapChunkWorldSize;
-        logger.log("Scale:", chunkScale);
+        logger.warn("Export too big, reducing pixels per tile to", pixelsPerTile);
+        const { ok } = this.root.hud.parts.dialogs.showWarning(
+            T.dialogs.exportScreenshotReduced.title,
+            T.dialogs.exportScreenshotReduced.desc
+                .replace("<requested>", String(settings.pixelsPerTile))
+                .replace("<reduced>", String(round2Digits(pixelsPerTile))),
+            ["cancel:bad:escape", "ok:good:enter"]
+        );
+        ok.add(() => this.exportImage(tileArea, settings, pixelsPerTile, streamed));
+    }
+
+    /**
+     * @param {Rectangle} tileArea
+     * @param {ScreenshotSettings} settings
+     * @param {number} pixelsPerTile
+     * @param {boolean} streamed Whether to encode the image in parts, see StreamingPngEncoder
+     */
+    exportImage(tileArea, settings, pixelsPerTile, streamed) {
+        const width = Math.max(1, Math.floor(tileArea.w * pixelsPerTile));
+        const height = Math.max(1, Math.floor(tileArea.h * pixelsPerTile));
+        logger.log("Dimensions:", width, "x", height, streamed ? "(streamed)" : "");
 
-        logger.log("Allocating buffer, if the factory grew too big it will crash here");
-        const [canvas, context] = makeOffscreenBuffer(
-            dimensions.x * chunkSizePixels,
-            dimensions.y * chunkSizePixels,
+        const worldArea = tileArea.allScaled(globalConfig.tileSize);
+        const scale = pixelsPerTile / globalConfig.tileSize;
+
+        // Render in parts, since drawing everything at once exceeds the canvas limits on big factories
+        const [tileCanvas, tileContext] = makeOffscreenBuffer(
+            Math.min(width, MAX_RENDER_TILE_PIXELS),
+            Math.min(height, MAX_RENDER_TILE_PIXELS),
             {
                 smooth: true,
                 reusable: false,
-                label: "export-buffer",
+                label: "export-tile-buffer",
             }
         );
-        logger.log("Got buffer, rendering now ...");
 
-        const visibleRect = new Rectangle(
-            minChunk.x * globalConfig.mapChunkWorldSize,
-            minChunk.y * globalConfig.mapChunkWorldSize,
-            dimensions.x * globalConfig.mapChunkWorldSize,
-            dimensions.y * globalConfig.mapChunkWorldSize
+        /**
+         * Renders the part of the image at the given pixel position into the tile canvas
+         * @param {number} x
+         * @param {number} y
+         * @param {number} w
+         * @param {number} h
+         */
+        const renderTile = (x, y, w, h) => {
+            const visibleRect = new Rectangle(
+                worldArea.x + x / scale,
+                worldArea.y + y / scale,
+                w / scale,
+                h / scale
+            );
+            this.renderPart(tileContext, visibleRect, scale, settings);
+        };
+
+        const closeLoading = this.root.hud.parts.dialogs.showLoadingDialog();
+        const imagePromise = streamed
+            ? this.encodeStreamed(width, height, tileContext, renderTile)
+            : this.encodeCanvas(width, height, tileCanvas, renderTile);
+
+        imagePromise
+            .then(
+                blob => {
+                    logger.log("Encoded image with", blob.size, "bytes, exporting ...");
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement("a");
+                    link.download = "base.png";
+                    link.href = url;
+                    link.click();
+                    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+                    logger.log("Done!");
+                },
+                err => {
+                    logger.error("Failed to export screenshot:", err);
+                    this.root.hud.parts.dialogs.showWarning(
+                        T.dialogs.exportScreenshotFailed.title,
+                        T.dialogs.exportScreenshotFailed.desc + "<br><br>" + err
+                    );
+                }
+            )
+            .then(() => {
+                freeCanvas(tileCanvas);
+                closeLoading();
+            });
+    }
+
+    /**
+     * Encodes the image in strips of rows, so it never has to fit into a single canvas
+     * @param {number} width
+     * @param {number} height
+     * @param {CanvasRenderingContext2D} tileContext
+     * @param {function(number, number, number, number) : void} renderTile
+     * @returns {Promise<Blob>}
+     */
+    encodeStreamed(width, height, tileContext, renderTile) {
+        const encoder = new StreamingPngEncoder(width, height);
+        const stripHeight = Math.max(
+            1,
+            Math.min(MAX_RENDER_TILE_PIXELS, Math.floor(MAX_STREAMED_STRIP_BYTES / (width * 4)))
         );
+        const strip = new Uint8ClampedArray(width * stripHeight * 4);
+
+        const encodeStrip = y => {
+            if (y >= height) {
+                return encoder.finish();
+            }
+
+            const h = Math.min(stripHeight, height - y);
+            for (let x = 0; x < width; x += MAX_RENDER_TILE_PIXELS) {
+                const w = Math.min(MAX_RENDER_TILE_PIXELS, width - x);
+                renderTile(x, y, w, h);
+
+                // Copy the rows of the tile into the rows of the whole image
+                const pixels = tileContext.getImageData(0, 0, w, h).data;
+                for (let row = 0; row < h; ++row) {
+                    strip.set(pixels.subarray(row * w * 4, (row + 1) * w * 4), (row * width + x) * 4);
+                }
+            }
+
+            return encoder.addRows(strip.subarray(0, width * h * 4)).then(() => encodeStrip(y + h));
+        };
+
+        return encodeStrip(0);
+    }
+
+    /**
+     * Draws the image into a single canvas and encodes it, for browsers which can not encode in parts
+     * @param {number} width
+     * @param {number} height
+     * @param {HTMLCanvasElement} tileCanvas
+     * @param {function(number, number, number, number) : void} renderTile
+     * @returns {Promise<Blob>}
+     */
+    encodeCanvas(width, height, tileCanvas, renderTile) {
+        logger.log("Allocating buffer, if the factory grew too big it will crash here");
+        const [canvas, context] = makeOffscreenBuffer(width, height, {
+            smooth: true,
+            reusable: false,
+            label: "export-buffer",
+        });
+
+        for (let x = 0; x < width; x += MAX_RENDER_TILE_PIXELS) {
+            for (let y = 0; y < height; y += MAX_RENDER_TILE_PIXELS) {
+                const w = Math.min(MAX_RENDER_TILE_PIXELS, width - x);
+                const h = Math.min(MAX_RENDER_TILE_PIXELS, height - y);
+                renderTile(x, y, w, h);
+                context.drawImage(tileCanvas, 0, 0, w, h, x, y, w, h);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                freeCanvas(canvas);
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error("The image could not be encoded"));
+                }
+            }, "image/png");
+        });
+    }
+
+    /**
+     * Renders a part of the export
+     * @param {CanvasRenderingContext2D} context
+     * @param {Rectangle} visibleRect The part to render in world space
+     * @param {number} scale
+     * @param {ScreenshotSettings} settings
+     */
+    renderPart(context, visibleRect, scale, settings) {
+        const map = this.root.map;
+        const systems = this.root.systemMgr.systems;
+
+        let desiredAtlasScale = "0.25";
+        if (scale > 0.5) {
+            desiredAtlasScale = ORIGINAL_SPRITE_SCALE;
+        } else if (scale > 0.35) {
+            desiredAtlasScale = "0.5";
+        }
+
         const parameters = new DrawParameters({
             context,
             visibleRect,
-            desiredAtlasScale: 0.25,
+            desiredAtlasScale,
             root: this.root,
-            zoomLevel: chunkScale,
+            zoomLevel: scale,
         });
 
-        context.scale(chunkScale, chunkScale);
+        context.save();
+        context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+        context.scale(scale, scale);
         context.translate(-visibleRect.x, -visibleRect.y);
 
-        // Render all relevant chunks
-        this.root.map.drawBackground(parameters);
-        this.root.map.drawForeground(parameters);
-
-        // Offer export
-        logger.log("Rendered buffer, exporting ...");
-        const image = canvas.toDataURL("image/png");
-        const link = document.createElement("a");
-        link.download = "base.png";
-        link.href = image;
-        link.click();
-        logger.log("Done!");
+        // Background, the grid is part of the themed background
+        if (!settings.transparent) {
+            if (settings.grid) {
+                map.drawTileGrid(parameters);
+            } else {
+                context.fillStyle = THEME.map.background;
+                context.fillRect(visibleRect.x, visibleRect.y, visibleRect.w, visibleRect.h);
+            }
+        }
+
+        if (settings.resources) {
+            map.drawResources(parameters);
+        }
+        map.drawBuildingsBackground(parameters);
+
+        systems.belt.drawBeltItems(parameters);
+        map.drawForeground(parameters);
+        systems.hub.draw(parameters);
+
+        if (settings.wires) {
+            map.drawWiresForegroundLayer(parameters);
+        }
+
+        context.restore();
     }
 }
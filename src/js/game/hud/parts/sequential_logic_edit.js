@@ -0,0 +1,43 @@
+import { STOP_PROPAGATION } from "../../../core/signal";
+import { Vector } from "../../../core/vector";
+import { enumMouseButton } from "../../camera";
+import { BaseHUDPart } from "../base_hud_part";
+
+/**
+ * Opens the settings of latches, clocks and delays when clicking them on the wires layer
+ */
+export class HUDSequentialLogicEdit extends BaseHUDPart {
+    initialize() {
+        this.root.camera.downPreHandler.add(this.downPreHandler, this);
+    }
+
+    /**
+     * @param {Vector} pos
+     * @param {enumMouseButton} button
+     */
+    downPreHandler(pos, button) {
+        if (this.root.currentLayer !== "wires" || button !== enumMouseButton.left) {
+            return;
+        }
+
+        const tile = this.root.camera.screenToWorld(pos).toTileSpace();
+        const contents = this.root.map.getLayerContentXY(tile.x, tile.y, "wires");
+        if (!contents) {
+            return;
+        }
+
+        const systems = this.root.systemMgr.systems;
+        if (contents.components.Latch) {
+            systems.latch.editLatch(contents);
+            return STOP_PROPAGATION;
+        }
+        if (contents.components.Clock) {
+            systems.clock.editClock(contents);
+            return STOP_PROPAGATION;
+        }
+        if (contents.components.Delay) {
+            systems.delay.editDelay(contents);
+            return STOP_PROPAGATION;
+        }
+    }
+}
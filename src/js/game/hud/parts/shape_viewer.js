@@ -1,6 +1,9 @@
+import trim from "trim";
+import { ClickDetector } from "../../../core/click_detector";
 import { InputReceiver } from "../../../core/input_receiver";
-import { makeDiv, removeAllChildren } from "../../../core/utils";
+import { makeButton, makeDiv, removeAllChildren } from "../../../core/utils";
 import { T } from "../../../translations";
+import { enumColors, enumColorsToHexCode } from "../../colors";
 import { KeyActionMapper, KEYMAPPINGS } from "../../key_action_mapper";
 import { ShapeDefinition } from "../../shape_definition";
 import { BaseHUDPart } from "../base_hud_part";
@@ -8,6 +11,22 @@ import { DynamicDomAttach } from "../dynamic_dom_attach";
 
 const copy = require("clipboard-copy");
 
+/**
+ * How many steps the workbench remembers
+ */
+const MAX_HISTORY_STEPS = 20;
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   results: Array<ShapeDefinition>
+ * }} WorkbenchStep
+ */
+
+/**
+ * Shows the layers of a shape, and allows to process it like the buildings would, to plan
+ * how to produce complex shapes
+ */
 export class HUDShapeViewer extends BaseHUDPart {
     createElements(parent) {
         this.background = makeDiv(parent, "ingame_HUD_ShapeViewer", ["ingameDialog"]);
@@ -27,6 +46,62 @@ export class HUDShapeViewer extends BaseHUDPart {
         this.copyButton.classList.add("styledButton", "copyKey");
         this.copyButton.innerText = T.ingame.shapeViewer.copyKey;
         this.infoArea.appendChild(this.copyButton);
+
+        this.recipeButton = makeButton(
+            this.infoArea,
+            ["styledButton", "planRecipe"],
+            T.ingame.shapeViewer.planRecipe
+        );
+
+        this.createWorkbenchElements();
+    }
+
+    /**
+     * Creates the controls which allow to process the shape
+     */
+    createWorkbenchElements() {
+        const texts = T.ingame.shapeViewer.workbench;
+        this.workbench = makeDiv(this.contentDiv, null, ["workbench"]);
+
+        const keyRow = makeDiv(this.workbench, null, ["row", "keyRow"]);
+
+        /** @type {HTMLInputElement} */
+        this.keyInput = document.createElement("input");
+        this.keyInput.type = "text";
+        this.keyInput.classList.add("keyInput");
+        this.keyInput.placeholder = texts.keyPlaceholder;
+        keyRow.appendChild(this.keyInput);
+
+        this.trackClicks(makeButton(keyRow, ["load"], texts.load), this.loadFromInput);
+        this.trackClicks(makeButton(keyRow, ["stack"], texts.stack), this.stackFromInput);
+
+        const operationsRow = makeDiv(this.workbench, null, ["row", "operations"]);
+        const operations = [
+            { id: "cut", handler: this.cutHalf },
+            { id: "cutQuad", handler: this.cutQuad },
+            { id: "rotateCW", handler: this.rotateCW },
+            { id: "rotateCCW", handler: this.rotateCCW },
+            { id: "rotate180", handler: this.rotate180 },
+        ];
+        for (let i = 0; i < operations.length; ++i) {
+            const { id, handler } = operations[i];
+            this.trackClicks(makeButton(operationsRow, [id], texts.operations[id]), handler);
+        }
+
+        const paintRow = makeDiv(this.workbench, null, ["row", "paint"]);
+        makeDiv(paintRow, null, ["label"], texts.paint);
+        for (const color in enumColors) {
+            if (color === enumColors.uncolored) {
+                continue;
+            }
+            const swatch = makeButton(paintRow, ["color"]);
+            swatch.style.backgroundColor = enumColorsToHexCode[color];
+            swatch.title = T.ingame.colors[color];
+            this.trackClicks(swatch, () => this.paint(color));
+        }
+
+        this.errorElement = makeDiv(this.workbench, null, ["error"]);
+        this.historyElement = makeDiv(this.workbench, null, ["history"]);
     }
 
     initialize() {
@@ -38,20 +113,60 @@ export class HUDShapeViewer extends BaseHUDPart {
 
         this.currentShapeKey = null;
 
+        /** @type {ShapeDefinition} */
+        this.currentDefinition = null;
+
+        /**
+         * All processing steps, the first one is the shape the viewer got opened with
+         * @type {Array<WorkbenchStep>}
+         */
+        this.history = [];
+
+        /**
+         * Click detectors of the history, they get recreated on every rerender
+         * @type {Array<ClickDetector>}
+         */
+        this.historyClickDetectors = [];
+
         this.inputReciever = new InputReceiver("shape_viewer");
         this.keyActionMapper = new KeyActionMapper(this.root, this.inputReciever);
 
         this.keyActionMapper.getBinding(KEYMAPPINGS.general.back).add(this.close, this);
+        this.keyActionMapper.getBinding(KEYMAPPINGS.general.confirm).add(() => {
+            if (trim(this.keyInput.value).length > 0) {
+                this.loadFromInput();
+            }
+        });
+        this.root.keyMapper
+            .getBinding(KEYMAPPINGS.ingame.menuOpenShapeViewer)
+            .add(() => this.renderForShape(this.getDefaultDefinition()));
 
         this.trackClicks(this.copyButton, this.onCopyKeyRequested);
+        this.trackClicks(this.recipeButton, this.onPlanRecipeRequested);
 
         this.close();
     }
 
+    cleanup() {
+        super.cleanup();
+        this.clearHistoryElements();
+    }
+
     isBlockingOverlay() {
         return this.visible;
     }
 
+    /**
+     * Returns the shape to show when the viewer is opened without one
+     * @returns {ShapeDefinition}
+     */
+    getDefaultDefinition() {
+        if (this.root.gameMode.hasHub()) {
+            return this.root.hubGoals.currentGoal.definition;
+        }
+        return this.root.shapeDefinitionMgr.getShapeFromShortKey(this.root.gameMode.getBlueprintShapeKey());
+    }
+
     /**
      * Called when the copying of a key was requested
      */
@@ -62,6 +177,17 @@ export class HUDShapeViewer extends BaseHUDPart {
         }
     }
 
+    /**
+     * Called when the recipe of the selected shape was requested
+     */
+    onPlanRecipeRequested() {
+        if (this.currentShapeKey) {
+            const definition = this.root.shapeDefinitionMgr.getShapeFromShortKey(this.currentShapeKey);
+            this.close();
+            this.root.hud.signals.viewShapeRecipeRequested.dispatch(definition);
+        }
+    }
+
     /**
      * Closes the dialog
      */
@@ -72,16 +198,27 @@ export class HUDShapeViewer extends BaseHUDPart {
     }
 
     /**
-     * Shows the viewer for a given definition
+     * Shows the viewer for a given definition, starting a new history
      * @param {ShapeDefinition} definition
      */
     renderForShape(definition) {
         this.visible = true;
         this.root.app.inputMgr.makeSureAttachedAndOnTop(this.inputReciever);
 
+        this.history = [];
+        this.keyInput.value = "";
+        this.addStep(T.ingame.shapeViewer.workbench.start, [definition]);
+    }
+
+    /**
+     * Renders the layers of the given definition and makes it the input of the next operation
+     * @param {ShapeDefinition} definition
+     */
+    selectDefinition(definition) {
         removeAllChildren(this.renderArea);
 
         this.currentShapeKey = definition.getHash();
+        this.currentDefinition = definition;
 
         const layers = definition.layers;
         this.contentDiv.setAttribute("data-layers", layers.length);
@@ -122,6 +259,157 @@ export class HUDShapeViewer extends BaseHUDPart {
         }
     }
 
+    /**
+     * Returns the shape of the key input, or null after showing an error
+     * @returns {ShapeDefinition|null}
+     */
+    getInputDefinition() {
+        const key = trim(this.keyInput.value);
+        if (!ShapeDefinition.isValidShortKey(key)) {
+            this.showError(T.ingame.shapeViewer.workbench.invalidKey);
+            return null;
+        }
+        return this.root.shapeDefinitionMgr.getShapeFromShortKey(key);
+    }
+
+    /**
+     * @param {string} text
+     */
+    showError(text) {
+        this.errorElement.innerText = text;
+        this.root.soundProxy.playUiError();
+    }
+
+    loadFromInput() {
+        const definition = this.getInputDefinition();
+        if (definition) {
+            this.addStep(T.ingame.shapeViewer.workbench.loaded, [definition]);
+        }
+    }
+
+    stackFromInput() {
+        const upper = this.getInputDefinition();
+        if (upper) {
+            const stacked = this.root.shapeDefinitionMgr.shapeActionStack(this.currentDefinition, upper);
+            this.addStep(T.ingame.shapeViewer.workbench.stacked.replace("<shape>", upper.getHash()), [
+                stacked,
+            ]);
+        }
+    }
+
+    cutHalf() {
+        this.addStep(
+            T.ingame.shapeViewer.workbench.operations.cut,
+            this.root.shapeDefinitionMgr.shapeActionCutHalf(this.currentDefinition)
+        );
+    }
+
+    cutQuad() {
+        this.addStep(
+            T.ingame.shapeViewer.workbench.operations.cutQuad,
+            this.root.shapeDefinitionMgr.shapeActionCutQuad(this.currentDefinition)
+        );
+    }
+
+    rotateCW() {
+        this.addStep(T.ingame.shapeViewer.workbench.operations.rotateCW, [
+            this.root.shapeDefinitionMgr.shapeActionRotateCW(this.currentDefinition),
+        ]);
+    }
+
+    rotateCCW() {
+        this.addStep(T.ingame.shapeViewer.workbench.operations.rotateCCW, [
+            this.root.shapeDefinitionMgr.shapeActionRotateCCW(this.currentDefinition),
+        ]);
+    }
+
+    rotate180() {
+        this.addStep(T.ingame.shapeViewer.workbench.operations.rotate180, [
+            this.root.shapeDefinitionMgr.shapeActionRotate180(this.currentDefinition),
+        ]);
+    }
+
+    /**
+     * @param {enumColors} color
+     */
+    paint(color) {
+        this.addStep(T.ingame.shapeViewer.workbench.painted.replace("<color>", T.ingame.colors[color]), [
+            this.root.shapeDefinitionMgr.shapeActionPaintWith(this.currentDefinition, color),
+        ]);
+    }
+
+    /**
+     * Adds the results of an operation to the history and selects the first one. Empty results,
+     * like the missing half when cutting, are dropped just like the cutter does.
+     * @param {string} label
+     * @param {Array<ShapeDefinition>} results
+     */
+    addStep(label, results) {
+        const nonEmptyResults = results.filter(definition => !definition.isEntirelyEmpty());
+        if (nonEmptyResults.length === 0) {
+            this.showError(T.ingame.shapeViewer.workbench.emptyResult);
+            return;
+        }
+
+        this.errorElement.innerText = "";
+        this.history.push({ label, results: nonEmptyResults });
+        if (this.history.length > MAX_HISTORY_STEPS) {
+            this.history.shift();
+        }
+
+        this.selectDefinition(nonEmptyResults[0]);
+        this.renderHistory();
+    }
+
+    clearHistoryElements() {
+        this.historyClickDetectors.forEach(detector => detector.cleanup());
+        this.historyClickDetectors = [];
+        removeAllChildren(this.historyElement);
+    }
+
+    /**
+     * @param {HTMLElement} element
+     * @param {function} handler
+     */
+    trackHistoryClicks(element, handler) {
+        const detector = new ClickDetector(element, { consumeEvents: true, preventDefault: true });
+        detector.click.add(handler, this);
+        this.historyClickDetectors.push(detector);
+    }
+
+    /**
+     * Lists all steps, newest first, with their results to select or copy
+     */
+    renderHistory() {
+        this.clearHistoryElements();
+
+        for (let i = this.history.length - 1; i >= 0; --i) {
+            const { label, results } = this.history[i];
+            const stepElement = makeDiv(this.historyElement, null, ["step"]);
+            makeDiv(stepElement, null, ["label"], label);
+
+            const resultsElement = makeDiv(stepElement, null, ["results"]);
+            for (let k = 0; k < results.length; ++k) {
+                const definition = results[k];
+                const resultElement = makeDiv(resultsElement, null, ["result"]);
+                resultElement.classList.toggle("selected", definition === this.currentDefinition);
+                resultElement.title = definition.getHash();
+                resultElement.appendChild(definition.generateAsCanvas(40));
+                this.trackHistoryClicks(resultElement, () => {
+                    this.selectDefinition(definition);
+                    this.renderHistory();
+                });
+
+                const copyButton = makeDiv(resultElement, null, ["copy"]);
+                copyButton.title = T.ingame.shapeViewer.copyKey;
+                this.trackHistoryClicks(copyButton, () => {
+                    copy(definition.getHash());
+                    this.root.soundProxy.playUiClick();
+                });
+            }
+        }
+    }
+
     update() {
         this.domAttach.update(this.visible);
     }
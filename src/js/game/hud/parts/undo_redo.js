@@ -0,0 +1,43 @@
+import { STOP_PROPAGATION } from "../../../core/signal";
+import { KEYMAPPINGS } from "../../key_action_mapper";
+import { BaseHUDPart } from "../base_hud_part";
+
+export class HUDUndoRedo extends BaseHUDPart {
+    initialize() {
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.undo).add(this.undo, this);
+        this.root.keyMapper.getBinding(KEYMAPPINGS.ingame.redo).add(this.redo, this);
+    }
+
+    /**
+     * Returns whether the modifier for undo / redo is held down
+     */
+    isModifierPressed() {
+        return this.root.keyMapper.getBinding(KEYMAPPINGS.massSelect.massSelectStart).pressed;
+    }
+
+    undo() {
+        if (!this.isModifierPressed()) {
+            return;
+        }
+
+        if (this.root.undoHistory.undo()) {
+            this.root.soundProxy.playUiClick();
+        } else {
+            this.root.soundProxy.playUiError();
+        }
+        return STOP_PROPAGATION;
+    }
+
+    redo() {
+        if (!this.isModifierPressed()) {
+            return;
+        }
+
+        if (this.root.undoHistory.redo()) {
+            this.root.soundProxy.playUiClick();
+        } else {
+            this.root.soundProxy.playUiError();
+        }
+        return STOP_PROPAGATION;
+    }
+}
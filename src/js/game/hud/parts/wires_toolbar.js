@@ -8,6 +8,10 @@ import { MetaVirtualProcessorBuilding } from "../../buildings/virtual_processor"
 import { MetaTransistorBuilding } from "../../buildings/transistor";
 import { MetaAnalyzerBuilding } from "../../buildings/analyzer";
 import { MetaComparatorBuilding } from "../../buildings/comparator";
+import { MetaArithmeticGateBuilding } from "../../buildings/arithmetic_gate";
+import { MetaLatchBuilding } from "../../buildings/latch";
+import { MetaClockBuilding } from "../../buildings/clock";
+import { MetaDelayBuilding } from "../../buildings/delay";
 import { MetaReaderBuilding } from "../../buildings/reader";
 import { MetaFilterBuilding } from "../../buildings/filter";
 import { MetaDisplayBuilding } from "../../buildings/display";
@@ -25,6 +29,10 @@ export class HUDWiresToolbar extends HUDBaseToolbar {
                 MetaAnalyzerBuilding,
                 MetaComparatorBuilding,
                 MetaTransistorBuilding,
+                MetaArithmeticGateBuilding,
+                MetaLatchBuilding,
+                MetaClockBuilding,
+                MetaDelayBuilding,
             ],
             secondaryBuildings: [
                 MetaStorageBuilding,
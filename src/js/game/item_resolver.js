@@ -1,8 +1,10 @@
 import { types } from "../savegame/serialization";
-import { gItemRegistry } from "../core/global_registries";
+import { gItemRegistry, gModItemResolvers } from "../core/global_registries";
 import { BooleanItem, BOOL_TRUE_SINGLETON, BOOL_FALSE_SINGLETON } from "./items/boolean_item";
 import { ShapeItem } from "./items/shape_item";
 import { ColorItem, COLOR_ITEM_SINGLETONS } from "./items/color_item";
+import { getNumberItem, NumberItem } from "./items/number_item";
+import { ShapeDefinition } from "./shape_definition";
 
 /**
  * Resolves items so we share instances
@@ -23,11 +25,50 @@ export function itemResolverSingleton(root, data) {
         case ColorItem.getId(): {
             return COLOR_ITEM_SINGLETONS[itemData];
         }
+        case NumberItem.getId(): {
+            return getNumberItem(itemData);
+        }
 
         default: {
+            if (gModItemResolvers[itemType]) {
+                return gModItemResolvers[itemType](root, itemData);
+            }
             assertAlways(false, "Unknown item type: " + itemType);
         }
     }
 }
 
 export const typeItemSingleton = types.obj(gItemRegistry, itemResolverSingleton);
+
+/**
+ * Checks if the given data can be resolved to an item. Use this before calling
+ * the resolver on untrusted data, since it asserts on unknown items.
+ * @param {any} data
+ * @returns {boolean}
+ */
+export function isValidSerializedItem(data) {
+    if (!data || typeof data !== "object" || typeItemSingleton.verifySerializedValue(data)) {
+        return false;
+    }
+
+    const itemData = data.data;
+    switch (data.$) {
+        case BooleanItem.getId(): {
+            return itemData === 0 || itemData === 1;
+        }
+        case ShapeItem.getId(): {
+            return typeof itemData === "string" && ShapeDefinition.isValidShortKey(itemData);
+        }
+        case ColorItem.getId(): {
+            return typeof itemData === "string" && !!COLOR_ITEM_SINGLETONS[itemData];
+        }
+        case NumberItem.getId(): {
+            return Number.isInteger(itemData) && itemData === (itemData | 0);
+        }
+
+        default: {
+            // Items of mods can't be validated
+            return !!gModItemResolvers[data.$];
+        }
+    }
+}
@@ -93,7 +93,7 @@ export function isTrueItem(item) {
 }
 
 /**
- * Returns whether the item is truthy
+ * Returns whether the item is truthy, which is every item except boolean "0" and the number 0
  * @param {BaseItem} item
  * @returns {boolean}
  */
@@ -102,7 +102,8 @@ export function isTruthyItem(item) {
         return false;
     }
 
-    if (item.getItemType() === "boolean") {
+    const itemType = item.getItemType();
+    if (itemType === "boolean" || itemType === "number") {
         return !!(/** @type {BooleanItem} */ (item).value);
     }
 
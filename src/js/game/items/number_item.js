@@ -0,0 +1,143 @@
+import { globalConfig } from "../../core/config";
+import { DrawParameters } from "../../core/draw_parameters";
+import { formatBigNumber } from "../../core/utils";
+import { types } from "../../savegame/serialization";
+import { BaseItem } from "../base_item";
+import { THEME } from "../theme";
+
+/**
+ * Numbers in this range share their instances
+ */
+const MAX_CACHED_NUMBER = 1024;
+
+/**
+ * A 32 bit integer signal on the wires layer. Overflows wrap around.
+ */
+export class NumberItem extends BaseItem {
+    static getId() {
+        return "number_item";
+    }
+
+    static getSchema() {
+        return types.int;
+    }
+
+    serialize() {
+        return this.value;
+    }
+
+    deserialize(data) {
+        this.value = data | 0;
+    }
+
+    /** @returns {"number"} **/
+    getItemType() {
+        return "number";
+    }
+
+    /**
+     * @returns {string}
+     */
+    getAsCopyableKey() {
+        return "#" + this.value;
+    }
+
+    /**
+     * @param {number} value
+     */
+    constructor(value) {
+        super();
+        this.value = value | 0;
+    }
+
+    /**
+     * @param {BaseItem} other
+     */
+    equalsImpl(other) {
+        return this.value === /** @type {NumberItem} */ (other).value;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     * @param {number} diameter
+     * @param {DrawParameters} parameters
+     */
+    drawItemCenteredImpl(x, y, parameters, diameter = globalConfig.defaultItemDiameter) {
+        this.drawNumber(parameters.context, x, y, diameter);
+    }
+
+    /**
+     * Draws the item to a canvas
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} size
+     */
+    drawFullSizeOnCanvas(context, size) {
+        this.drawNumber(context, size / 2, size / 2, size);
+    }
+
+    /**
+     * Draws the number in a circle, shrinking the text until it fits
+     * @param {CanvasRenderingContext2D} context
+     * @param {number} x
+     * @param {number} y
+     * @param {number} diameter
+     */
+    drawNumber(context, x, y, diameter) {
+        const text = formatBigNumber(this.value);
+
+        context.fillStyle = THEME.items.numberBackground;
+        context.beginCircle(x, y, diameter / 2);
+        context.fill();
+
+        const fontSize = diameter * Math.min(0.6, 1.6 / Math.max(1, text.length));
+        context.fillStyle = THEME.items.numberText;
+        context.textAlign = "center";
+        context.font = "bold " + fontSize + "px GameFont";
+        context.fillText(text, x, y + fontSize * 0.35);
+        context.textAlign = "left";
+    }
+}
+
+/** @type {Map<number, NumberItem>} */
+const numberItemCache = new Map();
+
+/**
+ * Returns the item for the given number, sharing instances of small numbers
+ * @param {number} value
+ * @returns {NumberItem}
+ */
+export function getNumberItem(value) {
+    value |= 0;
+    if (Math.abs(value) > MAX_CACHED_NUMBER) {
+        return new NumberItem(value);
+    }
+
+    let item = numberItemCache.get(value);
+    if (!item) {
+        item = new NumberItem(value);
+        numberItemCache.set(value, item);
+    }
+    return item;
+}
+
+/**
+ * Returns the numeric value of the item, booleans count as 0 or 1. Returns null for
+ * all other items.
+ * @param {BaseItem} item
+ * @returns {number|null}
+ */
+export function getItemNumericValue(item) {
+    if (!item) {
+        return null;
+    }
+
+    switch (item.getItemType()) {
+        case "number":
+            return /** @type {NumberItem} */ (item).value;
+        case "boolean":
+            return /** @type {import("./boolean_item").BooleanItem} */ (item).value;
+        default:
+            return null;
+    }
+}
@@ -25,13 +25,30 @@ export const KEYMAPPINGS = {
     ingame: {
         menuOpenShop: { keyCode: key("F") },
         menuOpenStats: { keyCode: key("G") },
+        menuOpenBlueprintLibrary: { keyCode: key("H") },
+        menuOpenFreeplayGoals: { keyCode: key("L") },
+        menuOpenShapeViewer: { keyCode: 121 }, // F10
         menuClose: { keyCode: key("Q") },
+        toggleMinimap: { keyCode: key("N") },
 
         toggleHud: { keyCode: 113 }, // F2
         exportScreenshot: { keyCode: 114 }, // F3PS
         toggleFPSInfo: { keyCode: 115 }, // F4
+        toggleProfiler: { keyCode: 112 }, // F1
+
+        toggleGamePause: { keyCode: 117 }, // F6
+        stepGameTick: { keyCode: 118 }, // F7
+        decreaseGameSpeed: { keyCode: 188 }, // ","
+        increaseGameSpeed: { keyCode: 190 }, // "."
+
+        toggleLogicAnalyzer: { keyCode: 119 }, // F8
+        toggleWireProbe: { keyCode: 120 }, // F9
 
         switchLayers: { keyCode: key("E") },
+
+        // Only triggered while holding the mass select modifier (CTRL)
+        undo: { keyCode: key("Z") },
+        redo: { keyCode: key("Y") },
     },
 
     navigation: {
@@ -85,6 +102,10 @@ export const KEYMAPPINGS = {
         analyzer: { keyCode: key("6") },
         comparator: { keyCode: key("7") },
         transistor: { keyCode: key("8") },
+        arithmetic_gate: { keyCode: key("9") },
+        latch: { keyCode: key("0") },
+        clock: { keyCode: 219 }, // [
+        delay: { keyCode: 221 }, // ]
     },
 
     placement: {
@@ -110,6 +131,8 @@ export const KEYMAPPINGS = {
         massSelectClear: { keyCode: key("B") },
         confirmMassDelete: { keyCode: 46 }, // DEL
         pasteLastBlueprint: { keyCode: key("V") },
+        exportBlueprint: { keyCode: key("K") },
+        importBlueprint: { keyCode: key("J") },
     },
 
     placementModifiers: {
@@ -50,6 +50,15 @@ export class GameLogic {
         this.root = root;
     }
 
+    /**
+     * Returns whether buildings may be placed and removed. While watching a replay, only the
+     * replay may change the map, otherwise it would go out of sync.
+     * @returns {boolean}
+     */
+    getIsMapEditable() {
+        return !this.root.replayPlayer || this.root.replayPlayer.applyingAction;
+    }
+
     /**
      * Checks if the given entity can be placed
      * @param {Entity} entity
@@ -57,6 +66,10 @@ export class GameLogic {
      * @returns {boolean} true if the entity could be placed there
      */
     checkCanPlaceEntity(entity, offset = null) {
+        if (!this.getIsMapEditable()) {
+            return false;
+        }
+
         // Compute area of the building
         const rect = entity.components.StaticMapEntity.getTileSpaceBounds();
         if (offset) {
@@ -197,6 +210,9 @@ export class GameLogic {
      * @param {Entity} building
      */
     canDeleteBuilding(building) {
+        if (!this.getIsMapEditable()) {
+            return false;
+        }
         const staticComp = building.components.StaticMapEntity;
         return staticComp.getMetaBuilding().getIsRemovable(this.root);
     }
@@ -5,6 +5,7 @@ import { BaseItem } from "./base_item";
 import { Entity } from "./entity";
 import { MapChunkView } from "./map_chunk_view";
 import { GameRoot } from "./root";
+import { getDefaultMapGenerationSettings, typeMapGenerationSettings } from "./map_generation_settings";
 
 export class BaseMap extends BasicSerializableObject {
     static getId() {
@@ -14,6 +15,7 @@ export class BaseMap extends BasicSerializableObject {
     static getSchema() {
         return {
             seed: types.uint,
+            generationSettings: typeMapGenerationSettings,
         };
     }
 
@@ -27,6 +29,9 @@ export class BaseMap extends BasicSerializableObject {
 
         this.seed = 0;
 
+        /** @type {import("./map_generation_settings").MapGenerationSettings} */
+        this.generationSettings = getDefaultMapGenerationSettings();
+
         /**
          * Mapping of 'X|Y' to chunk
          * @type {Map<string, MapChunkView>} */
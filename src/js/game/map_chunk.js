@@ -10,6 +10,7 @@ import { COLOR_ITEM_SINGLETONS } from "./items/color_item";
 import { GameRoot } from "./root";
 import { enumSubShape } from "./shape_definition";
 import { Rectangle } from "../core/rectangle";
+import { MAX_PATCH_SIZE } from "./map_generation_settings";
 
 const logger = createLogger("map_chunk");
 
@@ -183,6 +184,7 @@ export class MapChunk {
         let subShapes = null;
 
         let weights = {};
+        const { complexShapeDistance, windmills } = this.root.map.generationSettings;
 
         // Later there is a mix of everything
         weights = {
@@ -192,17 +194,21 @@ export class MapChunk {
             [enumSubShape.windmill]: Math.round(6 + clamp(distanceToOriginInChunks / 2, 0, 20)),
         };
 
-        if (distanceToOriginInChunks < 7) {
+        if (distanceToOriginInChunks < complexShapeDistance) {
             // Initial chunks can not spawn the good stuff
             weights[enumSubShape.star] = 0;
             weights[enumSubShape.windmill] = 0;
         }
 
-        if (distanceToOriginInChunks < 10) {
+        if (!windmills) {
+            weights[enumSubShape.windmill] = 0;
+        }
+
+        if (distanceToOriginInChunks < complexShapeDistance + 3) {
             // Initial chunk patches always have the same shape
             const subShape = this.internalGenerateRandomSubShape(rng, weights);
             subShapes = [subShape, subShape, subShape, subShape];
-        } else if (distanceToOriginInChunks < 15) {
+        } else if (distanceToOriginInChunks < complexShapeDistance + 8) {
             // Later patches can also have mixed ones
             const subShapeA = this.internalGenerateRandomSubShape(rng, weights);
             const subShapeB = this.internalGenerateRandomSubShape(rng, weights);
@@ -273,20 +279,35 @@ export class MapChunk {
 
         const chunkCenter = new Vector(this.x, this.y).addScalar(0.5);
         const distanceToOriginInChunks = Math.round(chunkCenter.length());
+        const settings = this.root.map.generationSettings;
 
-        // Determine how likely it is that there is a color patch
-        const colorPatchChance = 0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5;
+        // Patches get bigger the further away they are
+        const patchSize = clamp(
+            Math.round((1 + clamp(distanceToOriginInChunks / 8, 0, 4)) * settings.patchSize),
+            2,
+            MAX_PATCH_SIZE
+        );
 
-        if (rng.next() < colorPatchChance / 4) {
-            const colorPatchSize = Math.max(2, Math.round(1 + clamp(distanceToOriginInChunks / 8, 0, 4)));
-            this.internalGenerateColorPatch(rng, colorPatchSize, distanceToOriginInChunks);
+        // Determine how likely it is that there is a color patch, the settings can push it above 100%
+        const colorPatchChance = Math.min(
+            1,
+            ((0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5) *
+                settings.resourceAbundance *
+                settings.colorPatchFrequency) /
+                4
+        );
+
+        if (rng.next() < colorPatchChance) {
+            this.internalGenerateColorPatch(rng, patchSize, distanceToOriginInChunks);
         }
 
         // Determine how likely it is that there is a shape patch
-        const shapePatchChance = 0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5;
-        if (rng.next() < shapePatchChance / 4) {
-            const shapePatchSize = Math.max(2, Math.round(1 + clamp(distanceToOriginInChunks / 8, 0, 4)));
-            this.internalGenerateShapePatch(rng, shapePatchSize, distanceToOriginInChunks);
+        const shapePatchChance = Math.min(
+            1,
+            ((0.9 - clamp(distanceToOriginInChunks / 25, 0, 1) * 0.5) * settings.resourceAbundance) / 4
+        );
+        if (rng.next() < shapePatchChance) {
+            this.internalGenerateShapePatch(rng, patchSize, distanceToOriginInChunks);
         }
     }
 
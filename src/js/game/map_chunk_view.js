@@ -40,6 +40,15 @@ export class MapChunkView extends MapChunk {
      * @param {DrawParameters} parameters
      */
     drawBackgroundLayer(parameters) {
+        this.drawResourcesLayer(parameters);
+        this.drawBuildingsBackgroundLayer(parameters);
+    }
+
+    /**
+     * Draws the zone and the resource patches
+     * @param {DrawParameters} parameters
+     */
+    drawResourcesLayer(parameters) {
         const systems = this.root.systemMgr.systems;
         if (systems.zone) {
             systems.zone.drawChunk(parameters, this);
@@ -48,7 +57,14 @@ export class MapChunkView extends MapChunk {
         if (this.root.gameMode.hasResources()) {
             systems.mapResources.drawChunk(parameters, this);
         }
+    }
 
+    /**
+     * Draws the parts of the buildings which are below everything else, like belts
+     * @param {DrawParameters} parameters
+     */
+    drawBuildingsBackgroundLayer(parameters) {
+        const systems = this.root.systemMgr.systems;
         systems.beltUnderlays.drawChunk(parameters, this);
         systems.belt.drawChunk(parameters, this);
     }
@@ -302,6 +318,11 @@ export class MapChunkView extends MapChunk {
         const systems = this.root.systemMgr.systems;
         systems.wire.drawChunk(parameters, this);
         systems.staticMapEntities.drawWiresChunk(parameters, this);
+        systems.logicGate.drawChunk(parameters, this);
+        systems.latch.drawChunk(parameters, this);
+        systems.clock.drawChunk(parameters, this);
+        systems.delay.drawChunk(parameters, this);
+        systems.logicAnalyzer.drawChunk(parameters, this);
         systems.wiredPins.drawChunk(parameters, this);
     }
 }
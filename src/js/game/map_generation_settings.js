@@ -0,0 +1,69 @@
+import { clamp } from "../core/utils";
+import { types } from "../savegame/serialization";
+
+/**
+ * Settings which control how the resources of the map are generated. They are stored
+ * in the savegame, so the same seed always generates the same map.
+ * @typedef {{
+ *   resourceAbundance: number,
+ *   patchSize: number,
+ *   colorPatchFrequency: number,
+ *   complexShapeDistance: number,
+ *   windmills: boolean
+ * }} MapGenerationSettings
+ */
+
+/**
+ * Allowed range of each numeric setting. The patch size is limited so that patches still fit
+ * into a chunk. The chance of a patch per chunk is capped at 100%, which the color patch chance
+ * already reaches with a high abundance and color frequency (see MapChunk.generateLowerLayer).
+ * @type {Object<string, { min: number, max: number }>}
+ */
+export const MAP_GENERATION_LIMITS = {
+    resourceAbundance: { min: 0.25, max: 4 },
+    patchSize: { min: 0.5, max: 2 },
+    colorPatchFrequency: { min: 0, max: 4 },
+    complexShapeDistance: { min: 0, max: 30 },
+};
+
+/**
+ * The largest patch which still fits into a chunk, see MapChunk.internalGeneratePatch
+ */
+export const MAX_PATCH_SIZE = 6;
+
+/**
+ * Returns the default settings, which generate the regular map
+ * @returns {MapGenerationSettings}
+ */
+export function getDefaultMapGenerationSettings() {
+    return {
+        resourceAbundance: 1,
+        patchSize: 1,
+        colorPatchFrequency: 1,
+        complexShapeDistance: 7,
+        windmills: true,
+    };
+}
+
+/**
+ * Clamps all settings to their allowed range
+ * @param {MapGenerationSettings} settings
+ * @returns {MapGenerationSettings}
+ */
+export function clampMapGenerationSettings(settings) {
+    const result = { ...settings };
+    for (const key in MAP_GENERATION_LIMITS) {
+        const { min, max } = MAP_GENERATION_LIMITS[key];
+        result[key] = clamp(result[key], min, max);
+    }
+    result.complexShapeDistance = Math.round(result.complexShapeDistance);
+    return result;
+}
+
+export const typeMapGenerationSettings = types.structured({
+    resourceAbundance: types.ufloat,
+    patchSize: types.ufloat,
+    colorPatchFrequency: types.ufloat,
+    complexShapeDistance: types.uint,
+    windmills: types.bool,
+});
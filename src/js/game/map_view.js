@@ -20,13 +20,13 @@ export class MapView extends BaseMap {
         this.backgroundCacheDPI = 2;
 
         /**
-         * The cached background sprite, containing the flat background
+         * The cached background sprite, containing the flat background. Only gets created
+         * once the map is drawn for the first time, since headless games never render.
          * @type {HTMLCanvasElement} */
         this.cachedBackgroundCanvas = null;
 
         /** @type {CanvasRenderingContext2D} */
         this.cachedBackgroundContext = null;
-        this.internalInitializeCachedBackgroundCanvases();
         this.root.signals.aboutToDestruct.add(this.cleanup, this);
 
         this.root.signals.entityAdded.add(this.onEntityChanged, this);
@@ -35,8 +35,10 @@ export class MapView extends BaseMap {
     }
 
     cleanup() {
-        freeCanvas(this.cachedBackgroundCanvas);
-        this.cachedBackgroundCanvas = null;
+        if (this.cachedBackgroundCanvas) {
+            freeCanvas(this.cachedBackgroundCanvas);
+            this.cachedBackgroundCanvas = null;
+        }
     }
 
     /**
@@ -46,12 +48,16 @@ export class MapView extends BaseMap {
     onEntityChanged(entity) {
         const staticComp = entity.components.StaticMapEntity;
         if (staticComp) {
+            const changedChunks = new Set();
             const rect = staticComp.getTileSpaceBounds();
             for (let x = rect.x; x <= rect.right(); ++x) {
                 for (let y = rect.y; y <= rect.bottom(); ++y) {
-                    this.root.map.getOrCreateChunkAtTile(x, y).markDirty();
+                    const chunk = this.root.map.getOrCreateChunkAtTile(x, y);
+                    chunk.markDirty();
+                    changedChunks.add(chunk);
                 }
             }
+            changedChunks.forEach(chunk => this.root.signals.mapChunkChanged.dispatch(chunk));
         }
     }
 
@@ -187,22 +193,50 @@ export class MapView extends BaseMap {
     drawBackground(parameters) {
         // Render tile grid
         if (!this.root.app.settings.getAllSettings().disableTileGrid || !this.root.gameMode.hasResources()) {
-            const dpi = this.backgroundCacheDPI;
-            parameters.context.scale(1 / dpi, 1 / dpi);
-
-            parameters.context.fillStyle = parameters.context.createPattern(
-                this.cachedBackgroundCanvas,
-                "repeat"
-            );
-            parameters.context.fillRect(
-                parameters.visibleRect.x * dpi,
-                parameters.visibleRect.y * dpi,
-                parameters.visibleRect.w * dpi,
-                parameters.visibleRect.h * dpi
-            );
-            parameters.context.scale(dpi, dpi);
+            this.drawTileGrid(parameters);
         }
 
         this.drawVisibleChunks(parameters, MapChunkView.prototype.drawBackgroundLayer);
     }
+
+    /**
+     * Draws the resource patches of the map, without the buildings
+     * @param {DrawParameters} parameters
+     */
+    drawResources(parameters) {
+        this.drawVisibleChunks(parameters, MapChunkView.prototype.drawResourcesLayer);
+    }
+
+    /**
+     * Draws the background parts of the buildings, like belts, without the resources
+     * @param {DrawParameters} parameters
+     */
+    drawBuildingsBackground(parameters) {
+        this.drawVisibleChunks(parameters, MapChunkView.prototype.drawBuildingsBackgroundLayer);
+    }
+
+    /**
+     * Fills the visible area with the themed background including the tile grid
+     * @param {DrawParameters} parameters
+     */
+    drawTileGrid(parameters) {
+        if (!this.cachedBackgroundCanvas) {
+            this.internalInitializeCachedBackgroundCanvases();
+        }
+
+        const dpi = this.backgroundCacheDPI;
+        parameters.context.scale(1 / dpi, 1 / dpi);
+
+        parameters.context.fillStyle = parameters.context.createPattern(
+            this.cachedBackgroundCanvas,
+            "repeat"
+        );
+        parameters.context.fillRect(
+            parameters.visibleRect.x * dpi,
+            parameters.visibleRect.y * dpi,
+            parameters.visibleRect.w * dpi,
+            parameters.visibleRect.h * dpi
+        );
+        parameters.context.scale(dpi, dpi);
+    }
 }
@@ -2,6 +2,10 @@ import { gMetaBuildingRegistry } from "../core/global_registries";
 import { createLogger } from "../core/logging";
 import { T } from "../translations";
 import { MetaAnalyzerBuilding } from "./buildings/analyzer";
+import { enumArithmeticGateVariants, MetaArithmeticGateBuilding } from "./buildings/arithmetic_gate";
+import { MetaClockBuilding } from "./buildings/clock";
+import { MetaDelayBuilding } from "./buildings/delay";
+import { MetaLatchBuilding } from "./buildings/latch";
 import { enumBalancerVariants, MetaBalancerBuilding } from "./buildings/balancer";
 import { MetaBeltBuilding } from "./buildings/belt";
 import { MetaBlockBuilding } from "./buildings/block";
@@ -19,7 +23,7 @@ import { enumLogicGateVariants, MetaLogicGateBuilding } from "./buildings/logic_
 import { enumMinerVariants, MetaMinerBuilding } from "./buildings/miner";
 import { MetaMixerBuilding } from "./buildings/mixer";
 import { enumPainterVariants, MetaPainterBuilding } from "./buildings/painter";
-import { MetaReaderBuilding } from "./buildings/reader";
+import { enumReaderVariants, MetaReaderBuilding } from "./buildings/reader";
 import { enumRotaterVariants, MetaRotaterBuilding } from "./buildings/rotater";
 import { MetaStackerBuilding } from "./buildings/stacker";
 import { MetaStorageBuilding } from "./buildings/storage";
@@ -62,6 +66,10 @@ export function initMetaBuildingRegistry() {
     gMetaBuildingRegistry.register(MetaTransistorBuilding);
     gMetaBuildingRegistry.register(MetaAnalyzerBuilding);
     gMetaBuildingRegistry.register(MetaComparatorBuilding);
+    gMetaBuildingRegistry.register(MetaArithmeticGateBuilding);
+    gMetaBuildingRegistry.register(MetaLatchBuilding);
+    gMetaBuildingRegistry.register(MetaClockBuilding);
+    gMetaBuildingRegistry.register(MetaDelayBuilding);
     gMetaBuildingRegistry.register(MetaItemProducerBuilding);
     gMetaBuildingRegistry.register(MetaConstantProducerBuilding);
     gMetaBuildingRegistry.register(MetaBlockBuilding);
@@ -167,6 +175,7 @@ export function initMetaBuildingRegistry() {
 
     // Reader
     registerBuildingVariant(49, MetaReaderBuilding);
+    registerBuildingVariant(70, MetaReaderBuilding, enumReaderVariants.throughput);
 
     // Item producer
     registerBuildingVariant(61, MetaItemProducerBuilding);
@@ -180,6 +189,18 @@ export function initMetaBuildingRegistry() {
     // Block
     registerBuildingVariant(64, MetaBlockBuilding);
 
+    // Arithmetic gate
+    registerBuildingVariant(65, MetaArithmeticGateBuilding);
+    registerBuildingVariant(66, MetaArithmeticGateBuilding, enumArithmeticGateVariants.subtract);
+    registerBuildingVariant(67, MetaArithmeticGateBuilding, enumArithmeticGateVariants.multiply);
+    registerBuildingVariant(68, MetaArithmeticGateBuilding, enumArithmeticGateVariants.greater);
+    registerBuildingVariant(69, MetaArithmeticGateBuilding, enumArithmeticGateVariants.counter);
+
+    // Latch, clock and delay
+    registerBuildingVariant(71, MetaLatchBuilding);
+    registerBuildingVariant(72, MetaClockBuilding);
+    registerBuildingVariant(73, MetaDelayBuilding);
+
     // Propagate instances
     for (const key in gBuildingVariants) {
         gBuildingVariants[key].metaInstance = gMetaBuildingRegistry.findByClass(
@@ -8,6 +8,11 @@ import { enumGameModeTypes, GameMode } from "../game_mode";
 import { HUDPuzzleBackToMenu } from "../hud/parts/puzzle_back_to_menu";
 import { HUDPuzzleDLCLogo } from "../hud/parts/puzzle_dlc_logo";
 import { HUDMassSelector } from "../hud/parts/mass_selector";
+import { gMetaBuildingRegistry } from "../../core/global_registries";
+import { MetaBlockBuilding } from "../buildings/block";
+import { MetaConstantProducerBuilding } from "../buildings/constant_producer";
+import { MetaGoalAcceptorBuilding } from "../buildings/goal_acceptor";
+import { StaticMapEntityComponent } from "../components/static_map_entity";
 
 export class PuzzleGameMode extends GameMode {
     static getType() {
@@ -46,6 +51,10 @@ export class PuzzleGameMode extends GameMode {
     }
 
     getSaveData() {
+        if (!this.root.savegame) {
+            // Headless roots (see SimulationRunner) get their data deserialized afterwards
+            return {};
+        }
         const save = this.root.savegame.getCurrentDump();
         if (!save) {
             return {};
@@ -53,6 +62,23 @@ export class PuzzleGameMode extends GameMode {
         return save.gameMode.data;
     }
 
+    /**
+     * Returns how many buildings were placed to solve the puzzle, the buildings which
+     * make up the puzzle itself are not counted
+     * @returns {number}
+     */
+    getPlacedBuildingCount() {
+        const puzzleBuildings = [
+            MetaConstantProducerBuilding,
+            MetaGoalAcceptorBuilding,
+            MetaBlockBuilding,
+        ].map(metaClass => gMetaBuildingRegistry.findByClass(metaClass));
+        return this.root.entityMgr
+            .getAllWithComponent(StaticMapEntityComponent)
+            .filter(entity => !puzzleBuildings.includes(entity.components.StaticMapEntity.getMetaBuilding()))
+            .length;
+    }
+
     getCameraBounds() {
         return Rectangle.centered(this.zoneWidth + 20, this.zoneHeight + 20);
     }
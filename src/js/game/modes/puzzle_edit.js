@@ -18,6 +18,10 @@ import { MetaLogicGateBuilding } from "../buildings/logic_gate";
 import { MetaVirtualProcessorBuilding } from "../buildings/virtual_processor";
 import { MetaAnalyzerBuilding } from "../buildings/analyzer";
 import { MetaComparatorBuilding } from "../buildings/comparator";
+import { MetaArithmeticGateBuilding } from "../buildings/arithmetic_gate";
+import { MetaLatchBuilding } from "../buildings/latch";
+import { MetaClockBuilding } from "../buildings/clock";
+import { MetaDelayBuilding } from "../buildings/delay";
 import { MetaTransistorBuilding } from "../buildings/transistor";
 import { HUDPuzzleEditorControls } from "../hud/parts/puzzle_editor_controls";
 import { HUDPuzzleEditorReview } from "../hud/parts/puzzle_editor_review";
@@ -53,6 +57,10 @@ export class PuzzleEditGameMode extends PuzzleGameMode {
             MetaAnalyzerBuilding,
             MetaComparatorBuilding,
             MetaTransistorBuilding,
+            MetaArithmeticGateBuilding,
+            MetaLatchBuilding,
+            MetaClockBuilding,
+            MetaDelayBuilding,
         ];
 
         this.additionalHudParts.puzzleEditorControls = HUDPuzzleEditorControls;
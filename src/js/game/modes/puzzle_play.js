@@ -18,6 +18,10 @@ import { MetaLogicGateBuilding } from "../buildings/logic_gate";
 import { MetaVirtualProcessorBuilding } from "../buildings/virtual_processor";
 import { MetaAnalyzerBuilding } from "../buildings/analyzer";
 import { MetaComparatorBuilding } from "../buildings/comparator";
+import { MetaArithmeticGateBuilding } from "../buildings/arithmetic_gate";
+import { MetaLatchBuilding } from "../buildings/latch";
+import { MetaClockBuilding } from "../buildings/clock";
+import { MetaDelayBuilding } from "../buildings/delay";
 import { MetaTransistorBuilding } from "../buildings/transistor";
 import { MetaConstantProducerBuilding } from "../buildings/constant_producer";
 import { MetaGoalAcceptorBuilding } from "../buildings/goal_acceptor";
@@ -69,6 +73,10 @@ export class PuzzlePlayGameMode extends PuzzleGameMode {
             MetaAnalyzerBuilding,
             MetaComparatorBuilding,
             MetaTransistorBuilding,
+            MetaArithmeticGateBuilding,
+            MetaLatchBuilding,
+            MetaClockBuilding,
+            MetaDelayBuilding,
         ];
 
         if (puzzle.game.excludedBuildings) {
@@ -110,6 +118,9 @@ export class PuzzlePlayGameMode extends PuzzleGameMode {
         }
 
         if (errorText) {
+            if (this.root.headless) {
+                throw new Error("Failed to load puzzle: " + errorText);
+            }
             this.root.gameState.moveToState("PuzzleMenuState", {
                 error: {
                     title: T.dialogs.puzzleLoadError.title,
@@ -124,12 +135,30 @@ export class PuzzlePlayGameMode extends PuzzleGameMode {
         }
     }
 
+    /**
+     * Whether the puzzle is from the local library instead of the puzzle server
+     */
+    isLocalPuzzle() {
+        return Boolean(this.puzzle.meta.localId);
+    }
+
     /**
      *
      * @param {boolean} liked
      * @param {number} time
      */
     trackCompleted(liked, time) {
+        if (this.isLocalPuzzle()) {
+            return this.root.app.puzzleLibrary
+                .recordCompletion(this.puzzle.meta.localId, {
+                    buildingCount: this.getPlacedBuildingCount(),
+                    time,
+                })
+                .catch(err => {
+                    logger.warn("Failed to store the puzzle result:", err);
+                });
+        }
+
         const closeLoading = this.root.hud.parts.dialogs.showLoadingDialog();
 
         return this.root.app.clientApi
@@ -14,10 +14,16 @@ import { HUDUnlockNotification } from "../hud/parts/unlock_notification";
 import { HUDMassSelector } from "../hud/parts/mass_selector";
 import { HUDShop } from "../hud/parts/shop";
 import { HUDWaypoints } from "../hud/parts/waypoints";
+import { HUDMinimap } from "../hud/parts/minimap";
+import { HUDGameSpeed } from "../hud/parts/game_speed";
+import { HUDProductionCalculator } from "../hud/parts/production_calculator";
 import { HUDStatistics } from "../hud/parts/statistics";
+import { HUDBlueprintLibrary } from "../hud/parts/blueprint_library";
+import { HUDFreeplayGoals } from "../hud/parts/freeplay_goals";
 import { HUDWireInfo } from "../hud/parts/wire_info";
 import { HUDLeverToggle } from "../hud/parts/lever_toggle";
 import { HUDPinnedShapes } from "../hud/parts/pinned_shapes";
+import { HUDRecipePlanner } from "../hud/parts/recipe_planner";
 import { HUDNotifications } from "../hud/parts/notifications";
 import { HUDScreenshotExporter } from "../hud/parts/screenshot_exporter";
 import { HUDWiresOverlay } from "../hud/parts/wires_overlay";
@@ -27,6 +33,9 @@ import { HUDTutorialVideoOffer } from "../hud/parts/tutorial_video_offer";
 import { HUDMinerHighlight } from "../hud/parts/miner_highlight";
 import { HUDGameMenu } from "../hud/parts/game_menu";
 import { HUDConstantSignalEdit } from "../hud/parts/constant_signal_edit";
+import { HUDSequentialLogicEdit } from "../hud/parts/sequential_logic_edit";
+import { HUDLogicAnalyzer } from "../hud/parts/logic_analyzer";
+import { HUDProfiler } from "../hud/parts/profiler";
 import { IS_MOBILE } from "../../core/config";
 import { HUDKeybindingOverlay } from "../hud/parts/keybinding_overlay";
 import { HUDWatermark } from "../hud/parts/watermark";
@@ -547,12 +556,20 @@ export class RegularGameMode extends GameMode {
             wiresToolbar: HUDWiresToolbar,
             unlockNotification: HUDUnlockNotification,
             massSelector: HUDMassSelector,
+            productionCalculator: HUDProductionCalculator,
             shop: HUDShop,
             statistics: HUDStatistics,
+            blueprintLibrary: HUDBlueprintLibrary,
+            freeplayGoals: HUDFreeplayGoals,
             waypoints: HUDWaypoints,
+            minimap: HUDMinimap,
+            gameSpeed: HUDGameSpeed,
             wireInfo: HUDWireInfo,
+            logicAnalyzer: HUDLogicAnalyzer,
+            profiler: HUDProfiler,
             leverToggle: HUDLeverToggle,
             pinnedShapes: HUDPinnedShapes,
+            recipePlanner: HUDRecipePlanner,
             notifications: HUDNotifications,
             screenshotExporter: HUDScreenshotExporter,
             wiresOverlay: HUDWiresOverlay,
@@ -562,6 +579,7 @@ export class RegularGameMode extends GameMode {
             tutorialVideoOffer: HUDTutorialVideoOffer,
             gameMenu: HUDGameMenu,
             constantSignalEdit: HUDConstantSignalEdit,
+            sequentialLogicEdit: HUDSequentialLogicEdit,
         };
 
         if (!IS_MOBILE) {
@@ -125,6 +125,40 @@ export class ProductionAnalytics extends BasicSerializableObject {
         return baseValues;
     }
 
+    /**
+     * Returns the average rates per second of all shapes over the last completed slices
+     * which together cover (at most) the given duration
+     * @param {enumAnalyticsDataSource} dataSource
+     * @param {number} seconds
+     * @returns {Object<string, number>}
+     */
+    getAverageShapeRates(dataSource, seconds) {
+        const slices = this.history[dataSource];
+        const numSlices = Math.min(
+            Math.floor(seconds / globalConfig.analyticsSliceDurationSeconds),
+            slices.length - 1
+        );
+
+        /** @type {Object<string, number>} */
+        const rates = {};
+        if (numSlices <= 0) {
+            return rates;
+        }
+
+        // The last slice is still in progress, so skip it
+        for (let i = 0; i < numSlices; ++i) {
+            const slice = slices[slices.length - 2 - i];
+            for (const key in slice) {
+                rates[key] = (rates[key] || 0) + slice[key];
+            }
+        }
+
+        for (const key in rates) {
+            rates[key] /= numSlices * globalConfig.analyticsSliceDurationSeconds;
+        }
+        return rates;
+    }
+
     update() {
         if (this.root.time.now() - this.lastAnalyticsSlice > globalConfig.analyticsSliceDurationSeconds) {
             this.lastAnalyticsSlice = this.root.time.now();
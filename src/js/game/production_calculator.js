@@ -0,0 +1,462 @@
+import { globalConfig } from "../core/config";
+import { enumDirection, enumDirectionToVector, Vector } from "../core/vector";
+import { T } from "../translations";
+import { BaseItem } from "./base_item";
+import { getBuildingDataFromCode } from "./building_codes";
+import { enumItemProcessorTypes } from "./components/item_processor";
+import { enumUndergroundBeltMode } from "./components/underground_belt";
+import { Entity } from "./entity";
+import { GameRoot } from "./root";
+
+/**
+ * Rates which differ by less than this are considered equal
+ */
+const EPSILON = 1e-4;
+
+/**
+ * Processors which are at least this fast only consume items (hub, trash, ...)
+ */
+const SINK_SPEED = 1e29;
+
+/**
+ * How many items a processor outputs per charge, defaults to 1
+ * @type {Object<string, number>}
+ */
+const OUTPUTS_PER_CHARGE = {
+    [enumItemProcessorTypes.cutter]: 2,
+    [enumItemProcessorTypes.cutterQuad]: 4,
+    [enumItemProcessorTypes.painterDouble]: 2,
+    [enumItemProcessorTypes.trash]: 0,
+    [enumItemProcessorTypes.hub]: 0,
+    [enumItemProcessorTypes.goal]: 0,
+};
+
+/**
+ * @typedef {{ node: ProductionNode, slot: number }} ProductionEdge
+ *
+ * @typedef {{
+ *   entity: Entity,
+ *   capacity: number,
+ *   inputs: Array<number>,
+ *   internallyFed: Array<boolean>,
+ *   externallyFed: Array<boolean>,
+ *   outputs: Array<ProductionEdge|null>,
+ *   remainingSources: number,
+ *   processed: boolean,
+ *   throughput: number,
+ * }} ProductionNode
+ *
+ * @typedef {{
+ *   entity: Entity,
+ *   name: string,
+ *   load: number,
+ *   capacity: number
+ * }} ProductionBottleneck
+ *
+ * @typedef {{
+ *   mined: Map<string, { item: BaseItem, rate: number }>,
+ *   externalInput: number,
+ *   externalOutput: number,
+ *   consumed: number,
+ *   buildings: Map<string, { count: number, throughput: number, capacity: number }>,
+ *   bottlenecks: Array<ProductionBottleneck>
+ * }} ProductionRates
+ */
+
+/**
+ * Computes the theoretical item flow through a group of buildings, based on the current upgrade
+ * levels. Items entering the group from outside are assumed to be supplied as fast as the
+ * buildings can process them, so the result shows what the group could do at most.
+ */
+export class ProductionCalculator {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * Computes the rates of the given entities
+     * @param {Array<Entity>} entities
+     * @returns {ProductionRates}
+     */
+    calculate(entities) {
+        /** @type {ProductionRates} */
+        const result = {
+            mined: new Map(),
+            externalInput: 0,
+            externalOutput: 0,
+            consumed: 0,
+            buildings: new Map(),
+            bottlenecks: [],
+        };
+
+        /** @type {Map<Entity, ProductionNode>} */
+        const nodes = new Map();
+        for (let i = 0; i < entities.length; ++i) {
+            const entity = entities[i];
+            if (entity.layer === "regular" && this.getNumInputSlots(entity) !== null) {
+                nodes.set(entity, this.createNode(entity));
+            }
+        }
+
+        // Connect all buildings
+        nodes.forEach(node => {
+            node.outputs = this.findTargets(node.entity).map(target => {
+                const targetNode = target && nodes.get(target.entity);
+                if (!targetNode) {
+                    return null;
+                }
+                targetNode.internallyFed[target.slot] = true;
+                ++targetNode.remainingSources;
+                return { node: targetNode, slot: target.slot };
+            });
+        });
+
+        nodes.forEach(node => {
+            for (let slot = 0; slot < node.inputs.length; ++slot) {
+                node.externallyFed[slot] =
+                    !node.internallyFed[slot] && this.getHasExternalSupplier(node.entity, slot, nodes);
+            }
+        });
+
+        // Process the buildings in the order the items flow through them. Loops are broken up by
+        // processing the first remaining building with the items it received so far.
+        const allNodes = Array.from(nodes.values());
+        const queue = allNodes.filter(node => node.remainingSources === 0);
+        let numProcessed = 0;
+        let nextUnprocessed = 0;
+        while (numProcessed < allNodes.length) {
+            let node = queue.pop();
+            if (!node) {
+                while (allNodes[nextUnprocessed].processed) {
+                    ++nextUnprocessed;
+                }
+                node = allNodes[nextUnprocessed];
+            }
+            if (node.processed) {
+                continue;
+            }
+
+            this.processNode(node, result);
+            ++numProcessed;
+
+            const share = node.outputs.length > 0 ? node.throughput / node.outputs.length : 0;
+            for (let i = 0; i < node.outputs.length; ++i) {
+                const edge = node.outputs[i];
+                if (!edge) {
+                    result.externalOutput += share;
+                    continue;
+                }
+                edge.node.inputs[edge.slot] += share;
+                if (--edge.node.remainingSources === 0 && !edge.node.processed) {
+                    queue.push(edge.node);
+                }
+            }
+        }
+
+        // Collect the statistics per building
+        nodes.forEach(node => {
+            const name = this.getBuildingName(node.entity);
+            const entry = result.buildings.get(name) || { count: 0, throughput: 0, capacity: 0 };
+            ++entry.count;
+            if (Number.isFinite(node.capacity) && node.capacity < SINK_SPEED) {
+                entry.throughput += node.throughput;
+                entry.capacity += node.capacity;
+            }
+            result.buildings.set(name, entry);
+        });
+
+        result.bottlenecks.sort((a, b) => b.load / b.capacity - a.load / a.capacity);
+        return result;
+    }
+
+    /**
+     * Returns how many inputs the building has, or null if items do not flow through it
+     * @param {Entity} entity
+     * @returns {number|null}
+     */
+    getNumInputSlots(entity) {
+        const components = entity.components;
+        if (components.Belt || components.Miner) {
+            return 1;
+        }
+        if (
+            components.UndergroundBelt &&
+            components.UndergroundBelt.mode === enumUndergroundBeltMode.receiver
+        ) {
+            return 1;
+        }
+        if (components.ItemAcceptor && (components.ItemEjector || components.ItemProcessor)) {
+            return components.ItemAcceptor.slots.length;
+        }
+        return null;
+    }
+
+    /**
+     * @param {Entity} entity
+     * @returns {ProductionNode}
+     */
+    createNode(entity) {
+        const numInputs = this.getNumInputSlots(entity);
+        return {
+            entity,
+            capacity: this.getCapacity(entity),
+            inputs: new Array(numInputs).fill(0),
+            internallyFed: new Array(numInputs).fill(false),
+            externallyFed: new Array(numInputs).fill(false),
+            outputs: [],
+            remainingSources: 0,
+            processed: false,
+            throughput: 0,
+        };
+    }
+
+    /**
+     * Returns how many items per second the building can process at most
+     * @param {Entity} entity
+     */
+    getCapacity(entity) {
+        const hubGoals = this.root.hubGoals;
+        const components = entity.components;
+        if (components.Belt) {
+            return hubGoals.getBeltBaseSpeed();
+        }
+        if (components.UndergroundBelt) {
+            return hubGoals.getUndergroundBeltBaseSpeed();
+        }
+        if (components.ItemProcessor) {
+            return hubGoals.getProcessorBaseSpeed(components.ItemProcessor.type);
+        }
+        return Infinity;
+    }
+
+    /**
+     * Returns the localized name of the building
+     * @param {Entity} entity
+     */
+    getBuildingName(entity) {
+        const data = getBuildingDataFromCode(entity.components.StaticMapEntity.code);
+        return T.buildings[data.metaInstance.getId()][data.variant].name;
+    }
+
+    /**
+     * Finds the buildings the given building passes its items to, one entry per output
+     * @param {Entity} entity
+     * @returns {Array<{ entity: Entity, slot: number }|null>}
+     */
+    findTargets(entity) {
+        const staticComp = entity.components.StaticMapEntity;
+        const systems = this.root.systemMgr.systems;
+
+        if (entity.components.Belt) {
+            const followUp = systems.belt.findFollowUpEntity(entity);
+            if (followUp) {
+                return [{ entity: followUp, slot: 0 }];
+            }
+            const direction = staticComp.localDirectionToWorld(entity.components.Belt.direction);
+            return [this.findAcceptingTarget(staticComp.origin, direction)];
+        }
+
+        const undergroundComp = entity.components.UndergroundBelt;
+        if (undergroundComp && undergroundComp.mode === enumUndergroundBeltMode.sender) {
+            const receiver = systems.undergroundBelt.findRecieverForSender(entity).entity;
+            return [receiver ? { entity: receiver, slot: 0 } : null];
+        }
+
+        const minerComp = entity.components.Miner;
+        if (minerComp && minerComp.chainable) {
+            const chainedMiner = systems.miner.findChainedMiner(entity);
+            if (chainedMiner) {
+                return [{ entity: chainedMiner, slot: 0 }];
+            }
+        }
+
+        const ejectorComp = entity.components.ItemEjector;
+        if (!ejectorComp) {
+            return [];
+        }
+        return ejectorComp.slots.map(slot =>
+            this.findAcceptingTarget(
+                staticComp.localTileToWorld(slot.pos),
+                staticComp.localDirectionToWorld(slot.direction)
+            )
+        );
+    }
+
+    /**
+     * Finds the building which accepts items ejected from the given tile into the given direction,
+     * see ItemEjectorSystem.recomputeSingleEntityCache
+     * @param {Vector} tile
+     * @param {enumDirection} direction
+     * @returns {{ entity: Entity, slot: number }|null}
+     */
+    findAcceptingTarget(tile, direction) {
+        const targetTile = tile.add(enumDirectionToVector[direction]);
+        const target = this.root.map.getLayerContentXY(targetTile.x, targetTile.y, "regular");
+        if (!target) {
+            return null;
+        }
+
+        const targetStaticComp = target.components.StaticMapEntity;
+        if (target.components.Belt) {
+            const acceptingDirection = targetStaticComp.localDirectionToWorld(enumDirection.top);
+            return acceptingDirection === direction ? { entity: target, slot: 0 } : null;
+        }
+
+        const acceptorComp = target.components.ItemAcceptor;
+        if (!acceptorComp) {
+            return null;
+        }
+        const matchingSlot = acceptorComp.findMatchingSlot(
+            targetStaticComp.worldToLocalTile(targetTile),
+            targetStaticComp.worldDirectionToLocal(direction)
+        );
+        return matchingSlot ? { entity: target, slot: matchingSlot.index } : null;
+    }
+
+    /**
+     * Returns whether a building outside of the calculated group is next to the given input
+     * @param {Entity} entity
+     * @param {number} slot
+     * @param {Map<Entity, ProductionNode>} nodes
+     */
+    getHasExternalSupplier(entity, slot, nodes) {
+        const staticComp = entity.components.StaticMapEntity;
+        const isOutside = (/** @type {Entity} */ supplier) => Boolean(supplier) && !nodes.has(supplier);
+
+        if (entity.components.Belt) {
+            const behind = staticComp.localTileToWorld(enumDirectionToVector[enumDirection.bottom]);
+            return isOutside(this.root.map.getLayerContentXY(behind.x, behind.y, "regular"));
+        }
+
+        const undergroundComp = entity.components.UndergroundBelt;
+        if (undergroundComp && undergroundComp.mode === enumUndergroundBeltMode.receiver) {
+            return isOutside(this.findSenderForReceiver(entity));
+        }
+
+        if (entity.components.Miner) {
+            return false;
+        }
+
+        const acceptorSlot = entity.components.ItemAcceptor.slots[slot];
+        const slotTile = staticComp.localTileToWorld(acceptorSlot.pos);
+        for (let i = 0; i < acceptorSlot.directions.length; ++i) {
+            const direction = staticComp.localDirectionToWorld(acceptorSlot.directions[i]);
+            const supplierTile = slotTile.add(enumDirectionToVector[direction]);
+            if (isOutside(this.root.map.getLayerContentXY(supplierTile.x, supplierTile.y, "regular"))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Finds the underground belt which sends its items to the given receiver
+     * @param {Entity} receiver
+     * @returns {Entity|null}
+     */
+    findSenderForReceiver(receiver) {
+        const staticComp = receiver.components.StaticMapEntity;
+        const system = this.root.systemMgr.systems.undergroundBelt;
+        const searchVector = enumDirectionToVector[staticComp.localDirectionToWorld(enumDirection.bottom)];
+
+        const maxDistance = Math.max(...globalConfig.undergroundBeltMaxTilesByTier);
+
+        let tile = staticComp.origin;
+        for (let i = 0; i < maxDistance; ++i) {
+            tile = tile.add(searchVector);
+            const candidate = this.root.map.getLayerContentXY(tile.x, tile.y, "regular");
+            const undergroundComp = candidate && candidate.components.UndergroundBelt;
+            if (
+                undergroundComp &&
+                undergroundComp.mode === enumUndergroundBeltMode.sender &&
+                system.findRecieverForSender(candidate).entity === receiver
+            ) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Computes the throughput of a building from its inputs
+     * @param {ProductionNode} node
+     * @param {ProductionRates} result
+     */
+    processNode(node, result) {
+        node.processed = true;
+
+        const { entity, capacity, inputs, externallyFed } = node;
+        const internalInput = inputs.reduce((sum, rate) => sum + rate, 0);
+        const hasExternalInput = externallyFed.some(fed => fed);
+        let load = internalInput;
+
+        const minerComp = entity.components.Miner;
+        const processorComp = entity.components.ItemProcessor;
+
+        if (minerComp) {
+            // Miners pass on the items of chained miners too
+            const origin = entity.components.StaticMapEntity.origin;
+            const item = this.root.map.getLowerLayerContentXY(origin.x, origin.y);
+            node.throughput = internalInput;
+            if (item) {
+                const rate = this.root.hubGoals.getMinerBaseSpeed();
+                const key = item.getAsCopyableKey();
+                const entry = result.mined.get(key) || { item, rate: 0 };
+                entry.rate += rate;
+                result.mined.set(key, entry);
+                node.throughput += rate;
+            }
+        } else if (processorComp && capacity >= SINK_SPEED) {
+            node.throughput = 0;
+            result.consumed += internalInput;
+        } else if (processorComp) {
+            const inputsPerCharge = processorComp.inputsPerCharge;
+            let charges;
+
+            if (inputs.length > 1 && inputsPerCharge === inputs.length) {
+                // Every input is required for a charge, e.g. stacker or painter
+                charges = capacity;
+                load = 0;
+                for (let slot = 0; slot < inputs.length; ++slot) {
+                    if (!externallyFed[slot]) {
+                        charges = Math.min(charges, inputs[slot]);
+                        load = Math.max(load, inputs[slot]);
+                    }
+                }
+                result.externalInput += charges * externallyFed.filter(fed => fed).length;
+            } else {
+                load = internalInput / inputsPerCharge;
+                charges = hasExternalInput ? capacity : Math.min(capacity, load);
+                if (hasExternalInput) {
+                    result.externalInput += Math.max(0, capacity * inputsPerCharge - internalInput);
+                }
+            }
+
+            const outputsPerCharge =
+                OUTPUTS_PER_CHARGE[processorComp.type] !== undefined
+                    ? OUTPUTS_PER_CHARGE[processorComp.type]
+                    : 1;
+            node.throughput = charges * outputsPerCharge;
+        } else {
+            // Belts, tunnels and buildings just passing items through
+            let input = internalInput;
+            if (hasExternalInput && Number.isFinite(capacity)) {
+                input += capacity;
+                result.externalInput += capacity;
+            }
+            node.throughput = Math.min(input, capacity);
+        }
+
+        if (load > capacity + EPSILON) {
+            result.bottlenecks.push({
+                entity,
+                name: this.getBuildingName(entity),
+                load,
+                capacity,
+            });
+        }
+    }
+}
@@ -0,0 +1,165 @@
+/* typehints:start */
+import { GameRoot } from "./root";
+import { PuzzleGameMode } from "./modes/puzzle";
+/* typehints:end */
+
+import { globalConfig } from "../core/config";
+import { createLogger } from "../core/logging";
+import { SavegameSerializer } from "../savegame/savegame_serializer";
+import { T } from "../translations";
+import { getBuildingDataFromCode } from "./building_codes";
+import { GoalAcceptorComponent } from "./components/goal_acceptor";
+import { StaticMapEntityComponent } from "./components/static_map_entity";
+import { SimulationRunner } from "./simulation_runner";
+
+const logger = createLogger("puzzle_verifier");
+
+/**
+ * If the goals are fulfilled within this amount of ticks, the constant producers are most
+ * likely connected to the goal acceptors directly
+ */
+const AUTO_COMPLETE_MAX_TICKS = 500;
+
+/**
+ * @enum {string}
+ */
+export const enumPuzzleVerificationResult = {
+    solved: "solved",
+    notSolved: "notSolved",
+    unstable: "unstable",
+    autoComplete: "autoComplete",
+    loadFailed: "loadFailed",
+};
+
+/**
+ * @typedef {{
+ *   result: enumPuzzleVerificationResult,
+ *   buildingCount: number,
+ *   excludedBuildingsUsed: Array<string>
+ * }} PuzzleVerification
+ */
+
+/**
+ * Verifies that the solution the author built in the puzzle editor actually solves the
+ * puzzle. The solution is simulated on a headless copy of the editor, so the editor itself
+ * stays untouched, and every goal acceptor has to stay fulfilled for a while.
+ */
+export class PuzzleVerifier {
+    /**
+     * @param {GameRoot} root The root of the puzzle editor
+     */
+    constructor(root) {
+        this.root = root;
+    }
+
+    /**
+     * Returns whether all goal acceptors of the given root got enough items
+     * @param {GameRoot} root
+     * @returns {boolean}
+     */
+    static areAllGoalsFulfilled(root) {
+        const acceptors = root.entityMgr.getAllWithComponent(GoalAcceptorComponent);
+        return acceptors.every(entity => {
+            const goalComp = entity.components.GoalAcceptor;
+            return goalComp.item && goalComp.currentDeliveredItems >= globalConfig.goalAcceptorItemsRequired;
+        });
+    }
+
+    /**
+     * Verifies the solution of the author
+     * @param {Array<string>} excludedBuildings Ids of the buildings which are excluded in the puzzle
+     * @returns {PuzzleVerification}
+     */
+    verify(excludedBuildings) {
+        const mode = /** @type {PuzzleGameMode} */ (this.root.gameMode);
+        return {
+            result: this.simulateSolution(),
+            buildingCount: mode.getPlacedBuildingCount(),
+            excludedBuildingsUsed: this.findExcludedBuildings(excludedBuildings),
+        };
+    }
+
+    /**
+     * Simulates the solution until all goals stayed fulfilled for the required duration
+     * @returns {enumPuzzleVerificationResult}
+     */
+    simulateSolution() {
+        const mode = /** @type {PuzzleGameMode} */ (this.root.gameMode);
+        const runner = new SimulationRunner(this.root.app, {
+            dump: new SavegameSerializer().generateDumpFromGameRoot(this.root, false),
+            gameModeId: mode.getId(),
+        });
+
+        if (!runner.initialize()) {
+            return enumPuzzleVerificationResult.loadFailed;
+        }
+
+        try {
+            const root = runner.root;
+            const simulatedMode = /** @type {PuzzleGameMode} */ (root.gameMode);
+            simulatedMode.zoneWidth = mode.zoneWidth;
+            simulatedMode.zoneHeight = mode.zoneHeight;
+
+            // Items which are already on the belts must not count
+            root.logic.clearAllBeltsAndItems();
+
+            const tickRate = root.dynamicTickrate.currentTickRate;
+            const stableTicks = Math.round(tickRate * globalConfig.puzzleValidationStableSeconds);
+            const maxTicks =
+                Math.round(tickRate * globalConfig.puzzleValidationDurationSeconds) + stableTicks;
+
+            /** @type {number|null} */
+            let fulfilledSinceTick = null;
+            let everFulfilled = false;
+
+            for (let tick = 0; tick < maxTicks; ++tick) {
+                if (!runner.simulate(1 / tickRate)) {
+                    break;
+                }
+
+                if (!PuzzleVerifier.areAllGoalsFulfilled(root)) {
+                    fulfilledSinceTick = null;
+                    continue;
+                }
+
+                if (fulfilledSinceTick === null) {
+                    if (!everFulfilled && tick <= AUTO_COMPLETE_MAX_TICKS) {
+                        return enumPuzzleVerificationResult.autoComplete;
+                    }
+                    fulfilledSinceTick = tick;
+                    everFulfilled = true;
+                }
+
+                if (tick - fulfilledSinceTick >= stableTicks) {
+                    logger.log("Puzzle solved after", fulfilledSinceTick, "ticks");
+                    return enumPuzzleVerificationResult.solved;
+                }
+            }
+
+            return everFulfilled
+                ? enumPuzzleVerificationResult.unstable
+                : enumPuzzleVerificationResult.notSolved;
+        } finally {
+            runner.cleanup();
+        }
+    }
+
+    /**
+     * Returns the names of all buildings of the solution which players won't be able to place
+     * @param {Array<string>} excludedBuildings
+     * @returns {Array<string>}
+     */
+    findExcludedBuildings(excludedBuildings) {
+        const names = new Set();
+        const entities = this.root.entityMgr.getAllWithComponent(StaticMapEntityComponent);
+        for (let i = 0; i < entities.length; ++i) {
+            const staticComp = entities[i].components.StaticMapEntity;
+            const id = staticComp.getMetaBuilding().getId();
+            if (excludedBuildings.includes(id)) {
+                const variant = getBuildingDataFromCode(staticComp.code).variant;
+                names.add(T.buildings[id][variant].name);
+            }
+        }
+        return Array.from(names);
+    }
+}
@@ -0,0 +1,499 @@
+import { enumColorMixingResults, enumColors } from "./colors";
+import { enumItemProcessorTypes } from "./components/item_processor";
+import { GameRoot } from "./root";
+import { enumSubShape, enumSubShapeToShortcode, ShapeDefinition } from "./shape_definition";
+
+/**
+ * Building counts which differ by less than this from an integer are rounded down
+ */
+const EPSILON = 1e-4;
+
+/** @enum {string} */
+export const enumRecipeOperation = {
+    mine: "mine",
+    cut: "cut",
+    cutQuad: "cutQuad",
+    rotate: "rotate",
+    rotateCCW: "rotateCCW",
+    rotate180: "rotate180",
+    stack: "stack",
+    paint: "paint",
+    mix: "mix",
+};
+
+/**
+ * The processor which performs each operation, null for the extractor
+ * @type {Object<enumRecipeOperation, enumItemProcessorTypes|null>}
+ */
+export const enumRecipeOperationToProcessor = {
+    [enumRecipeOperation.mine]: null,
+    [enumRecipeOperation.cut]: enumItemProcessorTypes.cutter,
+    [enumRecipeOperation.cutQuad]: enumItemProcessorTypes.cutterQuad,
+    [enumRecipeOperation.rotate]: enumItemProcessorTypes.rotater,
+    [enumRecipeOperation.rotateCCW]: enumItemProcessorTypes.rotaterCCW,
+    [enumRecipeOperation.rotate180]: enumItemProcessorTypes.rotater180,
+    [enumRecipeOperation.stack]: enumItemProcessorTypes.stacker,
+    [enumRecipeOperation.paint]: enumItemProcessorTypes.painter,
+    [enumRecipeOperation.mix]: enumItemProcessorTypes.mixer,
+};
+
+/**
+ * Colors which can not be mined, and the two colors they are mixed from
+ * @type {Object<enumColors, [enumColors, enumColors]>}
+ */
+const MIXED_COLORS = {
+    [enumColors.yellow]: [enumColors.red, enumColors.green],
+    [enumColors.purple]: [enumColors.red, enumColors.blue],
+    [enumColors.cyan]: [enumColors.green, enumColors.blue],
+    [enumColors.white]: [enumColors.yellow, enumColors.blue],
+};
+
+/**
+ * The pairs of halves a shape can be split into, the first pair is what the cutter produces
+ */
+const HALVES = [
+    [
+        [0, 1],
+        [2, 3],
+    ],
+    [
+        [1, 2],
+        [3, 0],
+    ],
+];
+
+/**
+ * A step of a recipe. Nodes are shared if the same item is needed more than once, so a
+ * recipe is a tree when displayed but a graph when counting buildings.
+ * @typedef {{
+ *   operation: enumRecipeOperation,
+ *   shape: ShapeDefinition|null,
+ *   color: enumColors|null,
+ *   output: number,
+ *   inputs: Array<RecipeNode>
+ * }} RecipeNode
+ *
+ * @typedef {{
+ *   processor: enumItemProcessorTypes|null,
+ *   count: number,
+ * }} RecipeBuildingCount
+ */
+
+/**
+ * Finds a way to produce a shape from the resources on the map, using cutters, rotators,
+ * stackers, painters and color mixers. Every operation is simulated, so a recipe is only
+ * returned if it really produces the shape.
+ *
+ * Shapes are built layer by layer from painted quarters. Floating parts are built on top of
+ * a support which gets cut off afterwards, shapes which can not be built that way are
+ * reported as impossible.
+ */
+export class RecipePlanner {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+
+        /**
+         * Recipes by shape key, null if the shape can not be produced
+         * @type {Map<string, RecipeNode|null>}
+         */
+        this.shapeRecipes = new Map();
+
+        /** @type {Map<enumColors, RecipeNode>} */
+        this.colorRecipes = new Map();
+    }
+
+    /**
+     * Returns the recipe for the given shape, or null if it can not be produced
+     * @param {ShapeDefinition} definition
+     * @returns {RecipeNode|null}
+     */
+    plan(definition) {
+        // Windmills might have been disabled since the last time
+        this.shapeRecipes.clear();
+        return this.planShape(definition);
+    }
+
+    /**
+     * @param {ShapeDefinition} definition
+     * @returns {RecipeNode|null}
+     */
+    planShape(definition) {
+        const key = definition.getHash();
+        if (this.shapeRecipes.has(key)) {
+            return this.shapeRecipes.get(key);
+        }
+
+        // Marks the shape as impossible while it is being planned, which also prevents loops
+        this.shapeRecipes.set(key, null);
+        const recipe = this.findShapeRecipe(definition);
+        this.shapeRecipes.set(key, recipe);
+        return recipe;
+    }
+
+    /**
+     * @param {ShapeDefinition} definition
+     * @returns {RecipeNode|null}
+     */
+    findShapeRecipe(definition) {
+        const key = definition.getHash();
+        const layers = definition.layers;
+
+        if (layers.length === 1) {
+            return this.planLayer(layers[0]);
+        }
+
+        // Stack the top layer on the rest of the shape
+        const lower = new ShapeDefinition({ layers: definition.internalCloneLayers().slice(0, -1) });
+        const upper = new ShapeDefinition({ layers: definition.internalCloneLayers().slice(-1) });
+        if (lower.cloneAndStackWith(upper).getHash() === key) {
+            const recipe = this.stackRecipes(this.planShape(lower), this.planShape(upper));
+            if (recipe) {
+                return recipe;
+            }
+        }
+
+        // Stack two halves
+        for (let i = 0; i < HALVES.length; ++i) {
+            const first = definition.cloneFilteredByQuadrants(HALVES[i][0]);
+            const second = definition.cloneFilteredByQuadrants(HALVES[i][1]);
+            if (
+                first.isEntirelyEmpty() ||
+                second.isEntirelyEmpty() ||
+                first.cloneAndStackWith(second).getHash() !== key
+            ) {
+                continue;
+            }
+            const recipe = this.stackRecipes(this.planShape(first), this.planShape(second));
+            if (recipe) {
+                return recipe;
+            }
+        }
+
+        // Build the shape on a support and cut it off
+        for (let i = 0; i < HALVES.length; ++i) {
+            for (let half = 0; half < 2; ++half) {
+                const recipe = this.planOnSupport(definition, i, half);
+                if (recipe) {
+                    return recipe;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Builds a shape which only occupies one half by filling the other half with circles
+     * on every layer, and cutting them off afterwards
+     * @param {ShapeDefinition} definition
+     * @param {number} axis Index into HALVES
+     * @param {number} half Which half of the axis the shape occupies
+     * @returns {RecipeNode|null}
+     */
+    planOnSupport(definition, axis, half) {
+        const otherQuadrants = HALVES[axis][1 - half];
+        if (!definition.cloneFilteredByQuadrants(otherQuadrants).isEntirelyEmpty()) {
+            return null;
+        }
+
+        const layers = definition.internalCloneLayers();
+        for (let i = 0; i < layers.length; ++i) {
+            for (let j = 0; j < otherQuadrants.length; ++j) {
+                layers[i][otherQuadrants[j]] = { subShape: enumSubShape.circle, color: enumColors.uncolored };
+            }
+        }
+
+        let current = this.planShape(new ShapeDefinition({ layers }));
+        if (!current) {
+            return null;
+        }
+
+        // The cutter splits along the first axis only, so the other axis is rotated first
+        if (axis === 1) {
+            current = this.rotateRecipe(current, enumRecipeOperation.rotateCCW);
+        }
+
+        // The cutter outputs the left half (quadrants 2 and 3) first
+        const remaining = current.shape.cloneFilteredByQuadrants(half === 0 ? [0, 1] : [2, 3]);
+        const cut = this.createNode(enumRecipeOperation.cut, remaining, [current], half === 0 ? 1 : 0);
+
+        const result = axis === 1 ? this.rotateRecipe(cut, enumRecipeOperation.rotate) : cut;
+        return result.shape.getHash() === definition.getHash() ? result : null;
+    }
+
+    /**
+     * Builds a single layer by stacking its quarters
+     * @param {import("./shape_definition").ShapeLayer} layer
+     * @returns {RecipeNode|null}
+     */
+    planLayer(layer) {
+        const quadrants = [0, 1, 2, 3].filter(quadrant => layer[quadrant]);
+        const first = layer[quadrants[0]];
+        if (
+            quadrants.length === 1 ||
+            (first.subShape !== enumSubShape.windmill &&
+                [[0, 1, 2, 3], ...HALVES[0]].some(part => part.join() === quadrants.join()) &&
+                quadrants.every(
+                    quadrant =>
+                        layer[quadrant].subShape === first.subShape && layer[quadrant].color === first.color
+                ))
+        ) {
+            return this.planPart(quadrants, first);
+        }
+
+        // Quarters which do not overlap all end up on the lowest layer
+        let recipe = null;
+        for (let i = 0; i < quadrants.length; ++i) {
+            /** @type {import("./shape_definition").ShapeLayer} */
+            const quarterLayer = [null, null, null, null];
+            quarterLayer[quadrants[i]] = layer[quadrants[i]];
+            const quarter = this.planShape(new ShapeDefinition({ layers: [quarterLayer] }));
+            recipe = i === 0 ? quarter : this.stackRecipes(recipe, quarter);
+            if (!recipe) {
+                return null;
+            }
+        }
+        return recipe;
+    }
+
+    /**
+     * Produces a single colored part of a layer, which is either a quarter, a half the cutter
+     * produces or the whole layer
+     * @param {Array<number>} quadrants
+     * @param {import("./shape_definition").ShapeLayerItem} item
+     * @returns {RecipeNode|null}
+     */
+    planPart(quadrants, item) {
+        const { subShape, color } = item;
+
+        if (subShape === enumSubShape.windmill) {
+            // Windmills never spawn as a whole, their quarters have to be cut out of mixed patches
+            if (!this.root.map.generationSettings.windmills) {
+                return null;
+            }
+            let recipe = this.createNode(
+                enumRecipeOperation.mine,
+                ShapeDefinition.fromShortKey(enumSubShapeToShortcode[subShape] + "u------"),
+                []
+            );
+            const rotations = [
+                null,
+                enumRecipeOperation.rotate,
+                enumRecipeOperation.rotate180,
+                enumRecipeOperation.rotateCCW,
+            ];
+            if (rotations[quadrants[0]]) {
+                recipe = this.rotateRecipe(recipe, rotations[quadrants[0]]);
+            }
+            return this.paintRecipe(recipe, color);
+        }
+
+        const shortcode = enumSubShapeToShortcode[subShape] + "u";
+        let whole = this.createNode(
+            enumRecipeOperation.mine,
+            ShapeDefinition.fromShortKey(shortcode.repeat(4)),
+            []
+        );
+        whole = this.paintRecipe(whole, color);
+        const part = whole.shape.cloneFilteredByQuadrants(quadrants);
+        switch (quadrants.length) {
+            case 4:
+                return whole;
+            case 2:
+                return this.createNode(enumRecipeOperation.cut, part, [whole], quadrants[0] === 0 ? 1 : 0);
+            default:
+                return this.createNode(enumRecipeOperation.cutQuad, part, [whole], quadrants[0]);
+        }
+    }
+
+    /**
+     * Returns the recipe for the given color
+     * @param {enumColors} color
+     * @returns {RecipeNode}
+     */
+    planColor(color) {
+        let recipe = this.colorRecipes.get(color);
+        if (recipe) {
+            return recipe;
+        }
+
+        const ingredients = MIXED_COLORS[color];
+        if (ingredients) {
+            assert(
+                enumColorMixingResults[ingredients[0]][ingredients[1]] === color,
+                "Wrong ingredients for " + color
+            );
+            recipe = this.createNode(
+                enumRecipeOperation.mix,
+                null,
+                ingredients.map(c => this.planColor(c))
+            );
+        } else {
+            recipe = this.createNode(enumRecipeOperation.mine, null, []);
+        }
+        recipe.color = color;
+        this.colorRecipes.set(color, recipe);
+        return recipe;
+    }
+
+    /**
+     * @param {RecipeNode|null} lower
+     * @param {RecipeNode|null} upper
+     * @returns {RecipeNode|null}
+     */
+    stackRecipes(lower, upper) {
+        if (!lower || !upper) {
+            return null;
+        }
+        return this.createNode(enumRecipeOperation.stack, lower.shape.cloneAndStackWith(upper.shape), [
+            lower,
+            upper,
+        ]);
+    }
+
+    /**
+     * @param {RecipeNode} recipe
+     * @param {enumRecipeOperation} operation
+     * @returns {RecipeNode}
+     */
+    rotateRecipe(recipe, operation) {
+        let shape;
+        switch (operation) {
+            case enumRecipeOperation.rotate:
+                shape = recipe.shape.cloneRotateCW();
+                break;
+            case enumRecipeOperation.rotateCCW:
+                shape = recipe.shape.cloneRotateCCW();
+                break;
+            case enumRecipeOperation.rotate180:
+                shape = recipe.shape.cloneRotate180();
+                break;
+            default:
+                assertAlways(false, "Not a rotation: " + operation);
+        }
+        return this.createNode(operation, shape, [recipe]);
+    }
+
+    /**
+     * @param {RecipeNode} recipe
+     * @param {enumColors} color
+     * @returns {RecipeNode}
+     */
+    paintRecipe(recipe, color) {
+        if (color === enumColors.uncolored) {
+            return recipe;
+        }
+        return this.createNode(enumRecipeOperation.paint, recipe.shape.cloneAndPaintWith(color), [
+            recipe,
+            this.planColor(color),
+        ]);
+    }
+
+    /**
+     * @param {enumRecipeOperation} operation
+     * @param {ShapeDefinition|null} shape
+     * @param {Array<RecipeNode>} inputs
+     * @param {number=} output Which output of the building is used
+     * @returns {RecipeNode}
+     */
+    createNode(operation, shape, inputs, output = 0) {
+        return { operation, shape, color: null, output, inputs };
+    }
+
+    /**
+     * Returns the key of the building which performs the step, steps with the same key
+     * are performed by the same buildings
+     * @param {RecipeNode} node
+     * @returns {string}
+     */
+    getStepKey(node) {
+        const items = node.inputs.map(input => (input.shape ? input.shape.getHash() : input.color));
+        if (node.operation === enumRecipeOperation.mine) {
+            items.push(node.shape ? node.shape.getHash() : node.color);
+        }
+        return node.operation + "(" + items.join(",") + ")";
+    }
+
+    /**
+     * Estimates how many buildings are required to produce the given amount of shapes per
+     * second with the recipe, based on the current upgrades.
+     *
+     * Equal steps in different branches of the recipe add up, while different outputs of the
+     * same step are produced by the same operations. For example, one "CuCu----:Cu------" per
+     * second stacks the right half of a cut "CuCuCuCu" with the upper right quarter of a
+     * quad-cut "CuCuCuCu". Both branches mine their own "CuCuCuCu", so the miners have to
+     * extract two shapes per second:
+     *
+     *   stack(CuCu----,Cu------)  1/s
+     *   cut(CuCuCuCu)             1/s (right half, the left half is unused)
+     *   cutQuad(CuCuCuCu)         1/s (upper right quarter, the others are unused)
+     *   mine(CuCuCuCu)            2/s
+     *
+     * @param {RecipeNode} recipe
+     * @param {number} rate Shapes per second
+     * @returns {Array<RecipeBuildingCount>}
+     */
+    estimateBuildings(recipe, rate) {
+        // Order the nodes so that all consumers of a node come before it
+        /** @type {Array<RecipeNode>} */
+        const order = [];
+        const visited = new Set();
+        const visit = node => {
+            if (visited.has(node)) {
+                return;
+            }
+            visited.add(node);
+            node.inputs.forEach(visit);
+            order.push(node);
+        };
+        visit(recipe);
+        order.reverse();
+
+        /** @type {Map<RecipeNode, number>} */
+        const demand = new Map([[recipe, rate]]);
+
+        /**
+         * Required operations per second, for every step. The demand for each output of the
+         * step is summed up, and the operations produce all outputs at once.
+         * @type {Map<string, { operation: enumRecipeOperation, rate: number, outputs: Map<number, number> }>}
+         */
+        const steps = new Map();
+
+        for (let i = 0; i < order.length; ++i) {
+            const node = order[i];
+            const key = this.getStepKey(node);
+            const step = steps.get(key) || { operation: node.operation, rate: 0, outputs: new Map() };
+            steps.set(key, step);
+
+            const outputDemand = (step.outputs.get(node.output) || 0) + (demand.get(node) || 0);
+            step.outputs.set(node.output, outputDemand);
+
+            // The inputs of equal steps are the same items, so the additional operations can
+            // be requested from the inputs of this node
+            const additional = Math.max(0, outputDemand - step.rate);
+            step.rate += additional;
+
+            for (let k = 0; k < node.inputs.length; ++k) {
+                const input = node.inputs[k];
+                demand.set(input, (demand.get(input) || 0) + additional);
+            }
+        }
+
+        /** @type {Map<enumItemProcessorTypes|null, number>} */
+        const counts = new Map();
+        steps.forEach(({ operation, rate }) => {
+            const processor = enumRecipeOperationToProcessor[operation];
+            const speed =
+                processor === null
+                    ? this.root.hubGoals.getMinerBaseSpeed()
+                    : this.root.hubGoals.getProcessorBaseSpeed(processor);
+            const count = Math.max(1, Math.ceil(rate / speed - EPSILON));
+            counts.set(processor, (counts.get(processor) || 0) + count);
+        });
+
+        return Array.from(counts.entries()).map(([processor, count]) => ({ processor, count }));
+    }
+}
@@ -0,0 +1,309 @@
+/* typehints:start */
+import { GameCore } from "./core";
+/* typehints:end */
+
+import { createLogger } from "../core/logging";
+import { itemResolverSingleton } from "./item_resolver";
+import { Blueprint } from "./blueprint";
+import { Component } from "./component";
+
+const logger = createLogger("replay_player");
+
+/**
+ * @typedef {import("../savegame/savegame_replay").SavegameReplayData} SavegameReplayData
+ * @typedef {import("../savegame/savegame_replay").ReplayAction} ReplayAction
+ * @typedef {import("../savegame/savegame_replay").ReplayEntityRef} ReplayEntityRef
+ */
+
+/**
+ * Replays a recording (see ReplayRecorder) while it is watched from the main menu. The game has to
+ * be a new game with the seed and map generation settings of the recording, since the game logic
+ * is deterministic this reproduces the factory of the savegame the recording belongs to.
+ *
+ * The actions of the player get applied right before the tick they happened in. While watching,
+ * the player can not change the map (see GameLogic.getIsMapEditable) and nothing gets saved.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {GameCore} core
+     * @param {SavegameReplayData} replay
+     */
+    constructor(core, replay) {
+        this.core = core;
+        this.replay = replay;
+
+        /**
+         * Index of the next action to apply
+         */
+        this.actionIndex = 0;
+
+        /**
+         * How many actions could not be applied, which means the replay is out of sync
+         */
+        this.numDesyncs = 0;
+
+        /**
+         * Whether an action of the recording gets applied right now, only then the map may change
+         */
+        this.applyingAction = false;
+    }
+
+    get root() {
+        return this.core.root;
+    }
+
+    /**
+     * Performs the first logic update of the game, which is part of the recording since
+     * every session of the player started with one
+     * @returns {boolean}
+     */
+    performFirstUpdate() {
+        const firstAction = this.replay.actions[0];
+        if (firstAction && firstAction.type === "session") {
+            ++this.actionIndex;
+            return this.applySession(firstAction);
+        }
+        return this.core.updateLogic();
+    }
+
+    /**
+     * Performs a tick, after applying the actions which happened before it
+     * @returns {boolean}
+     */
+    tick() {
+        this.applyDueActions();
+        return this.core.updateLogic();
+    }
+
+    /**
+     * Returns how much of the recording has been replayed, from 0 to 1
+     */
+    getProgress() {
+        if (this.replay.ticks <= 0) {
+            return 1;
+        }
+        return Math.min(1, this.root.time.ticksPerformed / this.replay.ticks);
+    }
+
+    /**
+     * Returns whether all actions of the recording have been applied
+     */
+    getIsFinished() {
+        return this.actionIndex >= this.replay.actions.length && this.getProgress() >= 1;
+    }
+
+    /**
+     * Applies all actions which happened before the next tick
+     */
+    applyDueActions() {
+        const actions = this.replay.actions;
+        const tick = this.root.time.ticksPerformed;
+        while (this.actionIndex < actions.length && actions[this.actionIndex].tick <= tick) {
+            this.applyAction(actions[this.actionIndex++]);
+        }
+    }
+
+    /**
+     * @param {ReplayAction} action
+     */
+    applyAction(action) {
+        this.applyingAction = true;
+        try {
+            if (!this.applyActionInternal(action)) {
+                logger.warn("Failed to apply replay action at tick", action.tick, ":", action);
+                ++this.numDesyncs;
+            }
+        } finally {
+            this.applyingAction = false;
+        }
+    }
+
+    /**
+     * @param {ReplayAction} action
+     * @returns {boolean} Whether the action could be applied
+     */
+    applyActionInternal(action) {
+        let success;
+        switch (action.type) {
+            case "session":
+                success = this.applySession(action);
+                break;
+            case "place":
+                success = this.applyPlace(action);
+                break;
+            case "remove":
+                success = this.applyRemove(action);
+                break;
+            case "configure":
+                success = this.applyConfigure(action);
+                break;
+            case "clear":
+                success = this.applyClear(action);
+                break;
+            case "restore":
+                success = this.applyRestore(action);
+                break;
+            case "upgrade":
+                success = this.root.hubGoals.tryUnlockUpgrade(action.upgradeId);
+                break;
+            case "shapes":
+                success = this.applyShapes(action);
+                break;
+            case "goals":
+                success = this.applyGoals(action);
+                break;
+            default:
+                assertAlways(false, "Unknown replay action: " + /** @type {any} */ (action).type);
+        }
+        return success;
+    }
+
+    /**
+     * Returns the entity which has its origin at the given position
+     * @param {ReplayEntityRef} ref
+     */
+    findEntity({ x, y, layer }) {
+        const entity = this.root.map.getLayerContentXY(x, y, layer);
+        if (!entity || entity.queuedForDestroy || entity.destroyed) {
+            return null;
+        }
+        const origin = entity.components.StaticMapEntity.origin;
+        return origin.x === x && origin.y === y ? entity : null;
+    }
+
+    /**
+     * A new session started, which performs an additional logic update
+     * @param {import("../savegame/savegame_replay").ReplaySessionAction} action
+     */
+    applySession(action) {
+        if (this.root.dynamicTickrate.currentTickRate !== action.tickRate) {
+            this.root.dynamicTickrate.setTickRate(action.tickRate);
+        }
+        return this.core.updateLogic();
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayPlaceAction} action
+     */
+    applyPlace(action) {
+        const entity = Blueprint.deserializeEntity(this.root, action.entity);
+        if (typeof entity === "string" || !this.root.logic.checkCanPlaceEntity(entity)) {
+            return false;
+        }
+        this.root.logic.freeEntityAreaBeforeBuild(entity);
+        this.root.map.placeStaticEntity(entity);
+        this.root.entityMgr.registerEntity(entity);
+        return true;
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayRemoveAction} action
+     */
+    applyRemove(action) {
+        const entity = this.findEntity(action);
+        return Boolean(entity) && this.root.logic.tryDeleteBuilding(entity);
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayConfigureAction} action
+     */
+    applyConfigure(action) {
+        const entity = this.findEntity(action);
+        if (!entity) {
+            return false;
+        }
+
+        const { signal, toggled } = action.entity;
+        if (entity.components.ConstantSignal) {
+            entity.components.ConstantSignal.signal = signal
+                ? itemResolverSingleton(this.root, signal)
+                : null;
+        }
+        if (entity.components.Lever) {
+            entity.components.Lever.toggled = Boolean(toggled);
+        }
+        Blueprint.applyTimingSettings(entity, action.entity);
+        return true;
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayClearAction} action
+     */
+    applyClear(action) {
+        let success = true;
+        for (let i = 0; i < action.entities.length; ++i) {
+            const entity = this.findEntity(action.entities[i]);
+            if (!entity) {
+                success = false;
+                continue;
+            }
+            for (const componentId in entity.components) {
+                /** @type {Component} */ (entity.components[componentId]).clear();
+            }
+        }
+        return success;
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayRestoreAction} action
+     */
+    applyRestore(action) {
+        let success = true;
+        for (let i = 0; i < action.entities.length; ++i) {
+            const { components } = action.entities[i];
+            const entity = this.findEntity(action.entities[i]);
+            if (!entity) {
+                success = false;
+                continue;
+            }
+            for (const componentId in components) {
+                const component = /** @type {Component} */ (entity.components[componentId]);
+                if (!component || component.deserialize(components[componentId], this.root)) {
+                    success = false;
+                }
+            }
+        }
+
+        for (let i = 0; i < action.paths.length; ++i) {
+            const { items, spacingToFirstItem, numCompressedItemsAfterFirstItem } = action.paths[i];
+            const entity = this.findEntity(action.paths[i]);
+            const path = entity && entity.components.Belt && entity.components.Belt.assignedPath;
+            if (!path) {
+                success = false;
+                continue;
+            }
+            path.items = items.map(([distance, item]) => [distance, itemResolverSingleton(this.root, item)]);
+            path.spacingToFirstItem = spacingToFirstItem;
+            path.numCompressedItemsAfterFirstItem = numCompressedItemsAfterFirstItem;
+        }
+        return success;
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayShapesAction} action
+     */
+    applyShapes({ key, amount }) {
+        const hubGoals = this.root.hubGoals;
+        if (amount >= 0) {
+            hubGoals.putShapeByKey(key, amount);
+            return true;
+        }
+        if (hubGoals.getShapesStoredByKey(key) < -amount) {
+            return false;
+        }
+        hubGoals.takeShapeByKey(key, -amount);
+        return true;
+    }
+
+    /**
+     * @param {import("../savegame/savegame_replay").ReplayGoalsAction} action
+     */
+    applyGoals({ settings, queue, rerolls }) {
+        const hubGoals = this.root.hubGoals;
+        hubGoals.freeplaySettings = JSON.parse(JSON.stringify(settings));
+        hubGoals.freeplayQueue = queue.map(entry => ({ ...entry }));
+        hubGoals.freeplayRerolls = rerolls;
+        hubGoals.computeNextGoal();
+        return true;
+    }
+}
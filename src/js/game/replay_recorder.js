@@ -0,0 +1,270 @@
+import { createLogger } from "../core/logging";
+import { SavegameReplay } from "../savegame/savegame_replay";
+import { typeItemSingleton } from "./item_resolver";
+import { Blueprint } from "./blueprint";
+import { Component } from "./component";
+import { Entity } from "./entity";
+import { GameRoot } from "./root";
+
+const logger = createLogger("replay_recorder");
+
+/**
+ * Recordings can not be shortened since every action is required to replay them, so once a
+ * recording has this many actions it gets deleted and nothing more is recorded for the savegame
+ */
+const MAX_RECORDED_ACTIONS = 50000;
+
+/**
+ * @typedef {import("../savegame/savegame_replay").ReplayAction} ReplayAction
+ * @typedef {import("../savegame/savegame_replay").ReplayEntityRef} ReplayEntityRef
+ */
+
+/**
+ * Records every action of the player which changes the world, so the savegame can be replayed
+ * deterministically later on (see ReplayPlayer). The recording gets written together with the
+ * savegame. If the stored recording does not match the savegame, e.g. because the savegame was
+ * created before recordings existed, nothing is recorded for this savegame.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+
+        /** @type {SavegameReplay} */
+        this.replay = null;
+
+        /**
+         * Whether actions are currently recorded
+         */
+        this.recording = false;
+
+        /**
+         * Whether the stored recording has been read, until then the actions of this
+         * session are stored relative to the first tick of the session
+         */
+        this.loaded = false;
+
+        /**
+         * The tick of the recording this session started at
+         */
+        this.baseTick = 0;
+
+        /**
+         * Actions of this session which were not saved yet
+         * @type {Array<ReplayAction>}
+         */
+        this.pendingActions = [];
+
+        this.root.signals.postLoadHook.add(this.onPostLoad, this);
+        this.root.signals.entityAdded.add(this.onEntityAdded, this);
+        this.root.signals.entityQueuedForDestroy.add(this.onEntityQueuedForDestroy, this);
+        this.root.signals.entityConfigured.add(this.onEntityConfigured, this);
+        this.root.signals.entityContentsCleared.add(this.onEntityContentsCleared, this);
+        this.root.signals.entityContentsRestored.add(this.onEntityContentsRestored, this);
+        this.root.signals.upgradePurchased.add(this.onUpgradePurchased, this);
+        this.root.signals.storedShapesChanged.add(this.onStoredShapesChanged, this);
+        this.root.signals.freeplayGoalsChanged.add(this.onFreeplayGoalsChanged, this);
+    }
+
+    onPostLoad() {
+        const root = this.root;
+        if (!root.savegame || !root.gameMode.getIsSaveable() || root.replayPlayer) {
+            return;
+        }
+
+        this.replay = new SavegameReplay(root.app, root.savegame.internalId);
+        this.recording = true;
+
+        if (root.gameIsFresh) {
+            this.replay.currentData.gameModeId = root.gameMode.getId();
+            this.replay.currentData.seed = root.map.seed;
+            this.replay.currentData.generationSettings = root.map.generationSettings;
+            this.loaded = true;
+        } else {
+            const savegameTime = root.time.now();
+            this.replay.readAsync().then(
+                () => {
+                    if (!this.replay.getMatchesSavegame(savegameTime)) {
+                        logger.warn("Stored replay does not match the savegame, not recording");
+                        this.stopRecording();
+                        return;
+                    }
+
+                    this.baseTick = this.replay.currentData.ticks;
+                    this.pendingActions.forEach(action => (action.tick += this.baseTick));
+                    this.loaded = true;
+                },
+                err => {
+                    logger.warn("Failed to read replay, not recording:", err);
+                    this.stopRecording();
+                }
+            );
+        }
+
+        // The game performs a logic update when it gets loaded, which needs to be replayed too
+        this.record({
+            type: "session",
+            tickRate: root.dynamicTickrate.currentTickRate,
+        });
+    }
+
+    stopRecording() {
+        this.recording = false;
+        this.pendingActions = [];
+        this.root.savegame.metaDataRef.hasReplay = false;
+    }
+
+    /**
+     * Adds an action to the recording, the tick gets added automatically
+     * @param {object} action
+     */
+    record(action) {
+        if (!this.recording) {
+            return;
+        }
+        const tick = this.baseTick + this.root.time.ticksPerformed;
+        this.pendingActions.push(/** @type {ReplayAction} */ ({ tick, ...action }));
+
+        if (this.replay.currentData.actions.length + this.pendingActions.length > MAX_RECORDED_ACTIONS) {
+            logger.warn("Recording exceeded", MAX_RECORDED_ACTIONS, "actions, deleting it");
+            this.stopRecording();
+            this.replay.deleteAsync().catch(err => logger.warn("Failed to delete replay:", err));
+        }
+    }
+
+    /**
+     * Writes the recording, needs to be called at the same time the savegame data is updated
+     * @returns {Promise<void>}
+     */
+    save() {
+        if (!this.recording || !this.loaded) {
+            return Promise.resolve();
+        }
+
+        const data = this.replay.currentData;
+        data.actions.push(...this.pendingActions);
+        data.ticks = this.baseTick + this.root.time.ticksPerformed;
+        data.savedAt = this.root.time.now();
+        this.pendingActions = [];
+
+        // Written together with the savegame metadata, which allows the main menu to only offer
+        // watching savegames which have a replay
+        this.root.savegame.metaDataRef.hasReplay = true;
+        return this.replay.writeAsync();
+    }
+
+    /**
+     * @param {Entity} entity
+     * @returns {ReplayEntityRef}
+     */
+    getEntityRef(entity) {
+        const origin = entity.components.StaticMapEntity.origin;
+        return { x: origin.x, y: origin.y, layer: entity.layer };
+    }
+
+    /**
+     * @param {Entity} entity
+     */
+    onEntityAdded(entity) {
+        if (!this.root.gameInitialized || !entity.components.StaticMapEntity) {
+            return;
+        }
+        this.record({ type: "place", entity: Blueprint.serializeEntity(entity) });
+    }
+
+    /**
+     * @param {Entity} entity
+     */
+    onEntityQueuedForDestroy(entity) {
+        if (!this.root.gameInitialized || !entity.components.StaticMapEntity) {
+            return;
+        }
+        this.record({ type: "remove", ...this.getEntityRef(entity) });
+    }
+
+    /**
+     * @param {Entity} entity
+     */
+    onEntityConfigured(entity) {
+        this.record({
+            type: "configure",
+            ...this.getEntityRef(entity),
+            entity: Blueprint.serializeEntity(entity),
+        });
+    }
+
+    /**
+     * @param {Array<Entity>} entities
+     */
+    onEntityContentsCleared(entities) {
+        this.record({ type: "clear", entities: entities.map(entity => this.getEntityRef(entity)) });
+    }
+
+    /**
+     * Stores the complete contents of the entities, since the player restored an older state of them
+     * @param {Array<Entity>} entities
+     */
+    onEntityContentsRestored(entities) {
+        if (!this.recording) {
+            return;
+        }
+
+        const serializedEntities = [];
+        const paths = [];
+        const seenPaths = new Set();
+
+        for (let i = 0; i < entities.length; ++i) {
+            const entity = entities[i];
+            const components = {};
+            for (const componentId in entity.components) {
+                const component = /** @type {Component} */ (entity.components[componentId]);
+                components[componentId] = component.serialize();
+            }
+            serializedEntities.push({ ...this.getEntityRef(entity), components });
+
+            const beltComp = entity.components.Belt;
+            if (beltComp && beltComp.assignedPath && !seenPaths.has(beltComp.assignedPath)) {
+                const path = beltComp.assignedPath;
+                seenPaths.add(path);
+                paths.push({
+                    ...this.getEntityRef(path.entityPath[0]),
+                    items: path.items.map(([distance, item]) => [
+                        distance,
+                        typeItemSingleton.serialize(item),
+                    ]),
+                    spacingToFirstItem: path.spacingToFirstItem,
+                    numCompressedItemsAfterFirstItem: path.numCompressedItemsAfterFirstItem,
+                });
+            }
+        }
+
+        this.record({ type: "restore", entities: serializedEntities, paths });
+    }
+
+    /**
+     * @param {string} upgradeId
+     */
+    onUpgradePurchased(upgradeId) {
+        this.record({ type: "upgrade", upgradeId });
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} amount
+     */
+    onStoredShapesChanged(key, amount) {
+        this.record({ type: "shapes", key, amount });
+    }
+
+    onFreeplayGoalsChanged() {
+        const hubGoals = this.root.hubGoals;
+        this.record({
+            type: "goals",
+            settings: JSON.parse(JSON.stringify(hubGoals.freeplaySettings)),
+            queue: hubGoals.freeplayQueue.map(entry => ({ ...entry })),
+            rerolls: hubGoals.freeplayRerolls,
+        });
+    }
+}
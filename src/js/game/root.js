@@ -29,6 +29,11 @@ import { DynamicTickrate } from "./dynamic_tickrate";
 import { KeyActionMapper } from "./key_action_mapper";
 import { Vector } from "../core/vector";
 import { GameMode } from "./game_mode";
+import { UndoHistory } from "./undo_history";
+import { ReplayRecorder } from "./replay_recorder";
+import { ReplayPlayer } from "./replay_player";
+import { MapChunkView } from "./map_chunk_view";
+import { BaseGameSpeed } from "./time/base_game_speed";
 /* typehints:end */
 
 const logger = createLogger("game/root");
@@ -86,6 +91,13 @@ export class GameRoot {
 
         //////// Other properties ///////
 
+        /**
+         * Whether this root only simulates the game, without canvas, camera and HUD
+         * (see SimulationRunner). In this case all render related members stay null.
+         * @type {boolean}
+         */
+        this.headless = false;
+
         /** @type {Camera} */
         this.camera = null;
 
@@ -137,6 +149,18 @@ export class GameRoot {
         /** @type {DynamicTickrate} */
         this.dynamicTickrate = null;
 
+        /** @type {UndoHistory} */
+        this.undoHistory = null;
+
+        /** @type {ReplayRecorder} */
+        this.replayRecorder = null;
+
+        /**
+         * Only set while watching a replay
+         * @type {ReplayPlayer}
+         */
+        this.replayPlayer = null;
+
         /** @type {Layer} */
         this.currentLayer = "regular";
 
@@ -153,6 +177,13 @@ export class GameRoot {
             entityQueuedForDestroy: /** @type {TypedSignal<[Entity]>} */ (new Signal()),
             entityDestroyed: /** @type {TypedSignal<[Entity]>} */ (new Signal()),
 
+            // Called when the player changed the settings of an entity, e.g. toggled a lever
+            entityConfigured: /** @type {TypedSignal<[Entity]>} */ (new Signal()),
+
+            // Called when the contents of entities got cleared or restored by the player
+            entityContentsCleared: /** @type {TypedSignal<[Array<Entity>]>} */ (new Signal()),
+            entityContentsRestored: /** @type {TypedSignal<[Array<Entity>]>} */ (new Signal()),
+
             // Global
             resized: /** @type {TypedSignal<[number, number]>} */ (new Signal()),
             readyToRender: /** @type {TypedSignal<[]>} */ (new Signal()),
@@ -164,9 +195,18 @@ export class GameRoot {
 
             gameFrameStarted: /** @type {TypedSignal<[]>} */ (new Signal()), // New frame
 
+            // Called when the player paused, resumed or fast forwarded the game
+            gameSpeedChanged: /** @type {TypedSignal<[BaseGameSpeed]>} */ (new Signal()),
+
             storyGoalCompleted: /** @type {TypedSignal<[number, string]>} */ (new Signal()),
             upgradePurchased: /** @type {TypedSignal<[string]>} */ (new Signal()),
 
+            // Called when the player spent or got refunded shapes, e.g. for blueprints (key, delta)
+            storedShapesChanged: /** @type {TypedSignal<[string, number]>} */ (new Signal()),
+
+            // Called when the player changed the freeplay settings or the upcoming freeplay goals
+            freeplayGoalsChanged: /** @type {TypedSignal<[]>} */ (new Signal()),
+
             // Called right after game is initialized
             postLoadHook: /** @type {TypedSignal<[]>} */ (new Signal()),
 
@@ -178,6 +218,9 @@ export class GameRoot {
 
             editModeChanged: /** @type {TypedSignal<[Layer]>} */ (new Signal()),
 
+            // Called when the contents of a chunk changed, after it got marked dirty
+            mapChunkChanged: /** @type {TypedSignal<[MapChunkView]>} */ (new Signal()),
+
             // Called to check if an entity can be placed, second parameter is an additional offset.
             // Use to introduce additional placement checks
             prePlacementCheck: /** @type {TypedSignal<[Entity, Vector]>} */ (new Signal()),
@@ -0,0 +1,255 @@
+/* typehints:start */
+import { Application } from "../application";
+/* typehints:end */
+
+import { createLogger } from "../core/logging";
+import { enumGameModeIds } from "./game_mode";
+import { GameCore } from "./core";
+import { enumAnalyticsDataSource } from "./production_analytics";
+import { Blueprint } from "./blueprint";
+
+const logger = createLogger("simulation_runner");
+
+/**
+ * @typedef {import("../savegame/savegame_typedefs").SerializedGame} SerializedGame
+ * @typedef {import("../savegame/savegame_typedefs").PuzzleFullData} PuzzleFullData
+ *
+ * @typedef {{
+ *   completed: boolean,
+ *   simulatedSeconds: number,
+ *   measuredSeconds: number,
+ *   ticks: number,
+ *   tickRate: number,
+ *   level: number,
+ *   puzzleCompleted: boolean,
+ *   shapes: Object<string, { produced: number, delivered: number }>
+ * }} SimulationReport
+ */
+
+/**
+ * Runs the factory of a savegame without rendering anything. The game is ticked at a fixed
+ * rate as fast as possible, afterwards the produced and delivered rates of all shapes are
+ * reported. This allows to test factory designs and validate puzzle solutions without
+ * a running game, see `yarn simulate`.
+ *
+ * The runner only needs the application for its settings, restrictions and analytics,
+ * so it can run anywhere those are available, there is no canvas or DOM required.
+ */
+export class SimulationRunner {
+    /**
+     * @param {Application} app
+     * @param {object} param0
+     * @param {SerializedGame=} param0.dump The savegame dump to simulate
+     * @param {PuzzleFullData=} param0.puzzle A puzzle to simulate instead of a savegame
+     * @param {string=} param0.solution Blueprint string of the solution of the puzzle, which gets
+     *   placed where it was copied from
+     * @param {string=} param0.gameModeId Defaults to the game mode stored in the dump
+     * @param {object=} param0.gameModeParameters Required for puzzles
+     * @param {number=} param0.tickRate Ticks per simulated second, defaults to the tick rate of the game mode
+     */
+    constructor(
+        app,
+        {
+            dump = null,
+            puzzle = null,
+            solution = null,
+            gameModeId = null,
+            gameModeParameters = undefined,
+            tickRate = null,
+        }
+    ) {
+        assert(dump || puzzle, "Nothing to simulate");
+
+        this.app = app;
+        this.dump = dump;
+        this.puzzle = puzzle;
+        this.solution = solution;
+        this.tickRate = tickRate;
+
+        if (puzzle) {
+            this.gameModeId = enumGameModeIds.puzzlePlay;
+            this.gameModeParameters = { puzzle };
+        } else {
+            this.gameModeId = gameModeId || (dump.gameMode && dump.gameMode.$) || enumGameModeIds.regular;
+            this.gameModeParameters = gameModeParameters;
+        }
+
+        /**
+         * Why the simulation could not be loaded
+         * @type {string|null}
+         */
+        this.loadError = null;
+
+        /** @type {GameCore} */
+        this.core = null;
+
+        this.ticks = 0;
+        this.puzzleCompleted = false;
+    }
+
+    get root() {
+        return this.core.root;
+    }
+
+    /**
+     * Loads the savegame, needs to be called before running the simulation
+     * @returns {boolean} Whether the savegame could be loaded
+     */
+    initialize() {
+        assert(!this.core, "Simulation already initialized");
+
+        this.core = new GameCore(this.app);
+        this.core.initializeHeadlessRoot(this.gameModeId, this.gameModeParameters);
+        if (this.puzzle) {
+            // Goal acceptors also report completion when there are none, so only listen for puzzles
+            this.root.signals.puzzleComplete.add(this.onPuzzleComplete, this);
+
+            // The puzzle itself gets placed by the game mode once the game is loaded
+            this.core.initNewGame();
+        } else if (!this.core.initExistingGame(this.dump)) {
+            return this.failLoading("The savegame could not be deserialized");
+        }
+
+        if (this.tickRate) {
+            this.root.dynamicTickrate.setTickRate(this.tickRate);
+        }
+
+        try {
+            this.core.postLoadHook();
+        } catch (ex) {
+            return this.failLoading(ex.message || String(ex));
+        }
+
+        if (this.solution !== null) {
+            const error = this.placeSolution(this.solution);
+            if (error) {
+                return this.failLoading(error);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {string} error
+     * @returns {false}
+     */
+    failLoading(error) {
+        logger.error("Failed to load simulation:", error);
+        this.loadError = error;
+        this.cleanup();
+        return false;
+    }
+
+    /**
+     * Places the blueprint of a solution where it was copied from
+     * @param {string} solution
+     * @returns {string|null} The error, if it could not be placed
+     */
+    placeSolution(solution) {
+        const { blueprint, error } = Blueprint.deserializeFromString(this.root, solution);
+        if (error) {
+            return "Invalid solution: " + error;
+        }
+
+        if (!blueprint.origin) {
+            return "The solution does not store where it was copied from, please copy it again";
+        }
+
+        const { excluded } = blueprint.getRestrictedBuildings(this.root);
+        if (excluded.length > 0) {
+            return "The solution uses buildings which are excluded: " + excluded.join(", ");
+        }
+
+        const blocked = blueprint.entities.filter(
+            entity => !this.root.logic.checkCanPlaceEntity(entity, blueprint.origin)
+        );
+        if (blocked.length > 0) {
+            return blocked.length + " buildings of the solution can not be placed";
+        }
+
+        blueprint.tryPlace(this.root, blueprint.origin);
+        return null;
+    }
+
+    onPuzzleComplete() {
+        this.puzzleCompleted = true;
+    }
+
+    /**
+     * Simulates the given amount of seconds
+     * @param {number} seconds
+     * @returns {boolean} Whether all ticks were performed
+     */
+    simulate(seconds) {
+        assert(this.core, "Simulation not initialized");
+
+        const root = this.root;
+        const numTicks = Math.round(seconds * root.dynamicTickrate.currentTickRate);
+
+        for (let i = 0; i < numTicks; ++i) {
+            if (!root.time.performSingleTick(this.core.boundInternalTick)) {
+                logger.warn("Simulation stopped after", i, "of", numTicks, "ticks");
+                return false;
+            }
+            root.productionAnalytics.update();
+            ++this.ticks;
+        }
+        return true;
+    }
+
+    /**
+     * Simulates the factory and reports the average rates per second of all shapes.
+     * The warmup is simulated but not measured, so the factory can fill up first.
+     * @param {object} param0
+     * @param {number} param0.seconds How long to measure
+     * @param {number=} param0.warmupSeconds
+     * @returns {SimulationReport}
+     */
+    run({ seconds, warmupSeconds = 0 }) {
+        if (!this.core) {
+            assertAlways(this.initialize(), "Savegame could not be loaded");
+        }
+
+        const startTime = this.root.time.now();
+        const completed = this.simulate(warmupSeconds + seconds);
+
+        // The simulation might have stopped early
+        const measuredSeconds = Math.min(seconds, this.root.time.now() - startTime - warmupSeconds);
+        const analytics = this.root.productionAnalytics;
+        const produced = analytics.getAverageShapeRates(enumAnalyticsDataSource.produced, measuredSeconds);
+        const delivered = analytics.getAverageShapeRates(enumAnalyticsDataSource.delivered, measuredSeconds);
+
+        /** @type {SimulationReport} */
+        const report = {
+            completed,
+            simulatedSeconds: this.root.time.now() - startTime,
+            measuredSeconds,
+            ticks: this.ticks,
+            tickRate: this.root.dynamicTickrate.currentTickRate,
+            level: this.root.hubGoals.level,
+            puzzleCompleted: this.puzzleCompleted,
+            shapes: {},
+        };
+
+        const keys = new Set(Object.keys(produced).concat(Object.keys(delivered)));
+        keys.forEach(key => {
+            report.shapes[key] = {
+                produced: produced[key] || 0,
+                delivered: delivered[key] || 0,
+            };
+        });
+
+        return report;
+    }
+
+    /**
+     * Frees all resources of the simulation
+     */
+    cleanup() {
+        if (this.core) {
+            this.core.destruct();
+            this.core = null;
+        }
+    }
+}
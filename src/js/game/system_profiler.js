@@ -0,0 +1,392 @@
+import { createLogger } from "../core/logging";
+import { round3Digits } from "../core/utils";
+import { GameSystem } from "./game_system";
+
+/**
+ * @typedef {import("./root").GameRoot} GameRoot
+ *
+ * @typedef {{
+ *   frameMs: number,
+ *   update: Object<string, number>,
+ *   draw: Object<string, number>,
+ *   beltPaths: number,
+ *   wireNetworks: number
+ * }} ProfilerFrame
+ *
+ * @typedef {{
+ *   id: string,
+ *   updateAvg: number,
+ *   updateMax: number,
+ *   drawAvg: number,
+ *   drawMax: number,
+ *   totalAvg: number,
+ *   totalMax: number,
+ *   spikes: number,
+ *   lastSpike: number|null
+ * }} SystemProfile
+ */
+
+const logger = createLogger("system_profiler");
+
+/**
+ * How many frames the rolling averages span
+ */
+export const PROFILER_WINDOW_FRAMES = 300;
+
+/**
+ * A frame of a system is a spike if it takes this many times longer than the average, and at
+ * least SPIKE_MIN_MS milliseconds
+ */
+const SPIKE_FACTOR = 3;
+const SPIKE_MIN_MS = 1;
+
+/**
+ * Spikes are only detected once the average is meaningful
+ */
+const SPIKE_MIN_FRAMES = 60;
+
+/**
+ * Measures how long the update and draw methods of every game system take per frame.
+ * The methods are only wrapped while the profiler is enabled, so it costs nothing otherwise.
+ */
+export class SystemProfiler {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+        this.enabled = false;
+
+        /**
+         * The methods which got replaced, to restore them once disabled
+         * @type {Array<{ system: GameSystem, name: string, original: Function, hadOwn: boolean }>}
+         */
+        this.wrappedMethods = [];
+
+        /**
+         * The recorded frames, the oldest first
+         * @type {Array<ProfilerFrame>}
+         */
+        this.frames = [];
+
+        /** @type {ProfilerFrame} */
+        this.currentFrame = null;
+        this.currentFrameStart = 0;
+
+        /**
+         * The summed up time of every system over the recorded frames, for the rolling averages
+         * @type {{ update: Object<string, number>, draw: Object<string, number> }}
+         */
+        this.sums = { update: {}, draw: {} };
+
+        /**
+         * How many frames were recorded in total, used to tell how recent a spike is
+         */
+        this.frameCount = 0;
+
+        /**
+         * The frame of the last spike of each system
+         * @type {Object<string, number>}
+         */
+        this.lastSpikes = {};
+
+        this.root.signals.gameFrameStarted.add(this.onFrameStarted, this);
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) {
+            return;
+        }
+
+        this.enabled = enabled;
+        if (enabled) {
+            this.wrapSystems();
+            this.startFrame();
+        } else {
+            this.unwrapSystems();
+            this.currentFrame = null;
+        }
+    }
+
+    /**
+     * Clears all recorded frames
+     */
+    reset() {
+        this.frames = [];
+        this.sums = { update: {}, draw: {} };
+        this.lastSpikes = {};
+    }
+
+    /**
+     * Replaces the update and draw methods of all systems with ones which measure their time
+     */
+    wrapSystems() {
+        const systems = this.root.systemMgr.systems;
+        for (const id in systems) {
+            const system = systems[id];
+            const names = this.getDrawMethodNames(system);
+            names.push("update");
+
+            // Methods of the same system can call each other, only the outermost call is measured
+            const depth = { update: 0, draw: 0 };
+
+            for (let i = 0; i < names.length; ++i) {
+                const name = names[i];
+                const original = system[name];
+                const kind = name === "update" ? "update" : "draw";
+                const profiler = this;
+
+                this.wrappedMethods.push({
+                    system,
+                    name,
+                    original,
+                    hadOwn: Object.prototype.hasOwnProperty.call(system, name),
+                });
+
+                system[name] = function () {
+                    if (depth[kind] > 0 || !profiler.currentFrame) {
+                        return original.apply(this, arguments);
+                    }
+
+                    ++depth[kind];
+                    const start = performance.now();
+                    try {
+                        return original.apply(this, arguments);
+                    } finally {
+                        --depth[kind];
+                        const times = profiler.currentFrame[kind];
+                        times[id] = (times[id] || 0) + performance.now() - start;
+                    }
+                };
+            }
+        }
+        logger.log("Profiling", Object.keys(systems).length, "systems");
+    }
+
+    /**
+     * Restores the original methods of the systems
+     */
+    unwrapSystems() {
+        for (let i = 0; i < this.wrappedMethods.length; ++i) {
+            const { system, name, original, hadOwn } = this.wrappedMethods[i];
+            if (hadOwn) {
+                system[name] = original;
+            } else {
+                delete system[name];
+            }
+        }
+        this.wrappedMethods = [];
+    }
+
+    /**
+     * Returns the names of all draw methods of a system, which are called from different
+     * places while rendering the map (drawChunk, drawWiresChunk, drawBeltItems, ...)
+     * @param {GameSystem} system
+     * @returns {Array<string>}
+     */
+    getDrawMethodNames(system) {
+        const names = new Set(["draw"]);
+        let proto = Object.getPrototypeOf(system);
+        while (proto && proto !== GameSystem.prototype && proto !== Object.prototype) {
+            for (const name of Object.getOwnPropertyNames(proto)) {
+                if (name.startsWith("draw") && typeof system[name] === "function") {
+                    names.add(name);
+                }
+            }
+            proto = Object.getPrototypeOf(proto);
+        }
+        return Array.from(names);
+    }
+
+    onFrameStarted() {
+        if (!this.enabled) {
+            return;
+        }
+
+        if (this.currentFrame) {
+            this.currentFrame.frameMs = performance.now() - this.currentFrameStart;
+            this.finishFrame(this.currentFrame);
+        }
+        this.startFrame();
+    }
+
+    startFrame() {
+        const systems = this.root.systemMgr.systems;
+        this.currentFrameStart = performance.now();
+        this.currentFrame = {
+            frameMs: 0,
+            update: {},
+            draw: {},
+            beltPaths: systems.belt.beltPaths.length,
+            wireNetworks: systems.wire.networks.length,
+        };
+    }
+
+    /**
+     * @param {ProfilerFrame} frame
+     */
+    finishFrame(frame) {
+        if (this.frames.length >= SPIKE_MIN_FRAMES) {
+            for (const id in this.root.systemMgr.systems) {
+                const total = (frame.update[id] || 0) + (frame.draw[id] || 0);
+                if (total > this.getSpikeThreshold(this.getTotalAverage(id))) {
+                    this.lastSpikes[id] = this.frameCount;
+                }
+            }
+        }
+
+        this.frames.push(frame);
+        this.addToSums(frame, 1);
+        if (this.frames.length > PROFILER_WINDOW_FRAMES) {
+            this.addToSums(this.frames.shift(), -1);
+        }
+        ++this.frameCount;
+    }
+
+    /**
+     * @param {ProfilerFrame} frame
+     * @param {number} sign 1 to add the frame, -1 to remove it
+     */
+    addToSums(frame, sign) {
+        for (const kind of ["update", "draw"]) {
+            const sums = this.sums[kind];
+            const times = frame[kind];
+            for (const id in times) {
+                sums[id] = (sums[id] || 0) + sign * times[id];
+            }
+        }
+    }
+
+    /**
+     * Returns the rolling average of the update and draw time of a system
+     * @param {string} id
+     * @returns {number}
+     */
+    getTotalAverage(id) {
+        if (this.frames.length === 0) {
+            return 0;
+        }
+        return ((this.sums.update[id] || 0) + (this.sums.draw[id] || 0)) / this.frames.length;
+    }
+
+    /**
+     * A frame of a system is a spike if it takes a lot longer than the average
+     * @param {number} average
+     * @returns {number}
+     */
+    getSpikeThreshold(average) {
+        return Math.max(SPIKE_MIN_MS, average * SPIKE_FACTOR);
+    }
+
+    /**
+     * Returns the rolling averages and peaks of all systems over the recorded frames
+     * @returns {Array<SystemProfile>}
+     */
+    computeProfiles() {
+        const frameCount = Math.max(1, this.frames.length);
+
+        /** @type {Array<SystemProfile>} */
+        const result = [];
+        for (const id in this.root.systemMgr.systems) {
+            const updateAvg = (this.sums.update[id] || 0) / frameCount;
+            const drawAvg = (this.sums.draw[id] || 0) / frameCount;
+
+            /** @type {SystemProfile} */
+            const profile = {
+                id,
+                updateAvg,
+                updateMax: 0,
+                drawAvg,
+                drawMax: 0,
+                totalAvg: updateAvg + drawAvg,
+                totalMax: 0,
+                spikes: 0,
+                lastSpike: this.lastSpikes[id] === undefined ? null : this.lastSpikes[id],
+            };
+
+            // Spikes are counted against the average of the whole window
+            const threshold = this.getSpikeThreshold(profile.totalAvg);
+            for (let i = 0; i < this.frames.length; ++i) {
+                const frame = this.frames[i];
+                const update = frame.update[id] || 0;
+                const draw = frame.draw[id] || 0;
+                profile.updateMax = Math.max(profile.updateMax, update);
+                profile.drawMax = Math.max(profile.drawMax, draw);
+                profile.totalMax = Math.max(profile.totalMax, update + draw);
+                if (this.frames.length >= SPIKE_MIN_FRAMES && update + draw > threshold) {
+                    ++profile.spikes;
+                }
+            }
+            result.push(profile);
+        }
+        return result;
+    }
+
+    /**
+     * Returns whether the system had a spike within the given amount of frames
+     * @param {SystemProfile} profile
+     * @param {number} frames
+     * @returns {boolean}
+     */
+    hadRecentSpike(profile, frames) {
+        return profile.lastSpike !== null && this.frameCount - profile.lastSpike <= frames;
+    }
+
+    /**
+     * Returns the average duration of the recorded frames
+     * @returns {number}
+     */
+    getAverageFrameMs() {
+        if (this.frames.length === 0) {
+            return 0;
+        }
+        return this.frames.reduce((sum, frame) => sum + frame.frameMs, 0) / this.frames.length;
+    }
+
+    /**
+     * Returns the recorded profile as plain object, to be attached to performance bug reports
+     * @returns {object}
+     */
+    exportProfile() {
+        const systems = this.root.systemMgr.systems;
+        const roundTimes = times => {
+            const result = {};
+            for (const id in times) {
+                result[id] = round3Digits(times[id]);
+            }
+            return result;
+        };
+
+        return {
+            version: G_BUILD_VERSION,
+            commit: G_BUILD_COMMIT_HASH,
+            environment: G_APP_ENVIRONMENT,
+            exportedAt: new Date().toISOString(),
+            tickRate: this.root.dynamicTickrate.currentTickRate,
+            averageFps: round3Digits(this.root.dynamicTickrate.averageFps),
+            averageTickMs: round3Digits(this.root.dynamicTickrate.averageTickDuration),
+            averageFrameMs: round3Digits(this.getAverageFrameMs()),
+            entities: this.root.entityMgr.entities.length,
+            beltPaths: systems.belt.beltPaths.length,
+            wireNetworks: systems.wire.networks.length,
+            systems: this.computeProfiles().map(profile => ({
+                id: profile.id,
+                updateAvgMs: round3Digits(profile.updateAvg),
+                updateMaxMs: round3Digits(profile.updateMax),
+                drawAvgMs: round3Digits(profile.drawAvg),
+                drawMaxMs: round3Digits(profile.drawMax),
+                spikes: profile.spikes,
+            })),
+            frames: this.frames.map(frame => ({
+                frameMs: round3Digits(frame.frameMs),
+                beltPaths: frame.beltPaths,
+                wireNetworks: frame.wireNetworks,
+                update: roundTimes(frame.update),
+                draw: roundTimes(frame.draw),
+            })),
+        };
+    }
+}
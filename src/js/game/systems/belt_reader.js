@@ -1,7 +1,8 @@
 import { GameSystemWithFilter } from "../game_system_with_filter";
-import { BeltReaderComponent } from "../components/belt_reader";
+import { BeltReaderComponent, enumBeltReaderMode } from "../components/belt_reader";
 import { globalConfig } from "../../core/config";
 import { BOOL_TRUE_SINGLETON, BOOL_FALSE_SINGLETON } from "../items/boolean_item";
+import { getNumberItem } from "../items/number_item";
 
 export class BeltReaderSystem extends GameSystemWithFilter {
     constructor(root) {
@@ -24,11 +25,15 @@ export class BeltReaderSystem extends GameSystemWithFilter {
 
             if (pinsComp) {
                 pinsComp.slots[1].value = readerComp.lastItem;
-                pinsComp.slots[0].value =
-                    (readerComp.lastItemTimes[readerComp.lastItemTimes.length - 1] || 0) >
-                    minimumTimeForThroughput
-                        ? BOOL_TRUE_SINGLETON
-                        : BOOL_FALSE_SINGLETON;
+                if (readerComp.mode === enumBeltReaderMode.throughput) {
+                    pinsComp.slots[0].value = getNumberItem(Math.round(readerComp.lastThroughput * 60));
+                } else {
+                    pinsComp.slots[0].value =
+                        (readerComp.lastItemTimes[readerComp.lastItemTimes.length - 1] || 0) >
+                        minimumTimeForThroughput
+                            ? BOOL_TRUE_SINGLETON
+                            : BOOL_FALSE_SINGLETON;
+                }
             }
 
             if (now - readerComp.lastThroughputComputation > 0.5) {
@@ -0,0 +1,121 @@
+import { globalConfig } from "../../core/config";
+import { drawLabelBadge } from "../../core/draw_utils";
+import { DialogWithForm } from "../../core/modal_dialog_elements";
+import { FormElementInput } from "../../core/modal_dialog_forms";
+import { T } from "../../translations";
+import { ClockComponent, MAX_CLOCK_PERIOD, MIN_CLOCK_PERIOD } from "../components/clock";
+import { Entity } from "../entity";
+import { GameSystemWithFilter } from "../game_system_with_filter";
+import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON } from "../items/boolean_item";
+import { MapChunkView } from "../map_chunk_view";
+
+export class ClockSystem extends GameSystemWithFilter {
+    constructor(root) {
+        super(root, [ClockComponent]);
+    }
+
+    update() {
+        for (let i = 0; i < this.allEntities.length; ++i) {
+            const entity = this.allEntities[i];
+            const clockComp = entity.components.Clock;
+            const pinsComp = entity.components.WiredPins;
+
+            // The period might have been shortened since the last tick
+            const tick = clockComp.tick % clockComp.period;
+
+            pinsComp.slots[0].value =
+                tick < clockComp.pulseLength ? BOOL_TRUE_SINGLETON : BOOL_FALSE_SINGLETON;
+            clockComp.tick = (tick + 1) % clockComp.period;
+        }
+    }
+
+    /**
+     * Draws the period of the clocks
+     * @param {import("../../core/draw_utils").DrawParameters} parameters
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(parameters, chunk) {
+        const contents = chunk.containedEntitiesByLayer.wires;
+        for (let i = 0; i < contents.length; ++i) {
+            const entity = contents[i];
+            const clockComp = entity.components.Clock;
+            if (!clockComp) {
+                continue;
+            }
+
+            const origin = entity.components.StaticMapEntity.origin;
+            const x = (origin.x + 0.5) * globalConfig.tileSize;
+            const y = (origin.y + 0.5) * globalConfig.tileSize;
+            if (!parameters.visibleRect.containsCircle(x, y, globalConfig.halfTileSize)) {
+                continue;
+            }
+
+            drawLabelBadge({ parameters, x, y: y + 5, text: "" + clockComp.period });
+        }
+    }
+
+    /**
+     * Asks for the period and pulse length of the clock
+     * @param {Entity} entity
+     */
+    editClock(entity) {
+        if (!entity.components.Clock) {
+            return;
+        }
+
+        // Save the uid because the entity could get stale
+        const uid = entity.uid;
+        const clockComp = entity.components.Clock;
+
+        const periodInput = new FormElementInput({
+            id: "clockPeriod",
+            label: T.dialogs.editClock.period
+                .replace("<min>", "" + MIN_CLOCK_PERIOD)
+                .replace("<max>", "" + MAX_CLOCK_PERIOD),
+            placeholder: "",
+            defaultValue: "" + clockComp.period,
+            validator: val => ClockComponent.isValidTiming(Number(val), 1),
+        });
+
+        const pulseLengthInput = new FormElementInput({
+            id: "clockPulseLength",
+            label: T.dialogs.editClock.pulseLength,
+            placeholder: "",
+            defaultValue: "" + clockComp.pulseLength,
+            validator: val => ClockComponent.isValidTiming(Number(periodInput.getValue()), Number(val)),
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.editClock.title,
+            desc: T.dialogs.editClock.desc,
+            formElements: [periodInput, pulseLengthInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+            closeButton: false,
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            if (!this.root || !this.root.entityMgr) {
+                // Game got stopped
+                return;
+            }
+
+            const entityRef = this.root.entityMgr.findByUid(uid, false);
+            if (!entityRef || !entityRef.components.Clock) {
+                // outdated
+                return;
+            }
+
+            const period = Number(periodInput.getValue());
+            const pulseLength = Number(pulseLengthInput.getValue());
+            if (!ClockComponent.isValidTiming(period, pulseLength)) {
+                return;
+            }
+
+            entityRef.components.Clock.period = period;
+            entityRef.components.Clock.pulseLength = pulseLength;
+            this.root.signals.entityConfigured.dispatch(entityRef);
+        });
+    }
+}
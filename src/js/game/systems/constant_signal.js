@@ -11,6 +11,7 @@ import { Entity } from "../entity";
 import { GameSystemWithFilter } from "../game_system_with_filter";
 import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON } from "../items/boolean_item";
 import { COLOR_ITEM_SINGLETONS } from "../items/color_item";
+import { getNumberItem } from "../items/number_item";
 import { ShapeDefinition } from "../shape_definition";
 
 export class ConstantSignalSystem extends GameSystemWithFilter {
@@ -50,9 +51,14 @@ export class ConstantSignalSystem extends GameSystemWithFilter {
         const uid = entity.uid;
 
         const signal = entity.components.ConstantSignal.signal;
+        let label = fillInLinkIntoTranslation(T.dialogs.editSignal.descShortKey, THIRDPARTY_URLS.shapeViewer);
+        if (entity.components.WiredPins) {
+            label += " " + T.dialogs.editSignal.descNumber;
+        }
+
         const signalValueInput = new FormElementInput({
             id: "signalValue",
-            label: fillInLinkIntoTranslation(T.dialogs.editSignal.descShortKey, THIRDPARTY_URLS.shapeViewer),
+            label,
             placeholder: "",
             defaultValue: signal ? signal.getAsCopyableKey() : "",
             validator: val => this.parseSignalCode(entity, val),
@@ -131,6 +137,7 @@ export class ConstantSignalSystem extends GameSystemWithFilter {
             } else {
                 constantComp.signal = this.parseSignalCode(entity, signalValueInput.getValue());
             }
+            this.root.signals.entityConfigured.dispatch(entityRef);
         };
 
         dialog.buttonSignals.ok.add(() => {
@@ -193,6 +200,14 @@ export class ConstantSignalSystem extends GameSystemWithFilter {
             if (code === "0" || codeLower === "false") {
                 return BOOL_FALSE_SINGLETON;
             }
+
+            // Numbers, with a leading # to distinguish 0 and 1 from booleans
+            if (/^#?-?\d+$/.test(code)) {
+                const value = Number(code.replace("#", ""));
+                if (value === (value | 0)) {
+                    return getNumberItem(value);
+                }
+            }
         }
 
         if (ShapeDefinition.isValidShortKey(code)) {
@@ -0,0 +1,113 @@
+import { globalConfig } from "../../core/config";
+import { drawLabelBadge } from "../../core/draw_utils";
+import { DialogWithForm } from "../../core/modal_dialog_elements";
+import { FormElementInput } from "../../core/modal_dialog_forms";
+import { T } from "../../translations";
+import { DelayComponent, MAX_DELAY_TICKS, MIN_DELAY_TICKS } from "../components/delay";
+import { Entity } from "../entity";
+import { GameSystemWithFilter } from "../game_system_with_filter";
+import { MapChunkView } from "../map_chunk_view";
+
+export class DelaySystem extends GameSystemWithFilter {
+    constructor(root) {
+        super(root, [DelayComponent]);
+    }
+
+    update() {
+        for (let i = 0; i < this.allEntities.length; ++i) {
+            const entity = this.allEntities[i];
+            const delayComp = entity.components.Delay;
+            const pinsComp = entity.components.WiredPins;
+
+            // Slot 0 is the output, slot 1 the input
+            const network = pinsComp.slots[1].linkedNetwork;
+            delayComp.buffer.push(network && !network.valueConflict ? network.currentValue : null);
+
+            // Emit what came in exactly "delay" ticks ago, nothing while the buffer fills up
+            let output = null;
+            while (delayComp.buffer.length > delayComp.delay) {
+                output = delayComp.buffer.shift();
+            }
+            pinsComp.slots[0].value = output;
+        }
+    }
+
+    /**
+     * Draws the delay of the delay lines
+     * @param {import("../../core/draw_utils").DrawParameters} parameters
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(parameters, chunk) {
+        const contents = chunk.containedEntitiesByLayer.wires;
+        for (let i = 0; i < contents.length; ++i) {
+            const entity = contents[i];
+            const delayComp = entity.components.Delay;
+            if (!delayComp) {
+                continue;
+            }
+
+            const origin = entity.components.StaticMapEntity.origin;
+            const x = (origin.x + 0.5) * globalConfig.tileSize;
+            const y = (origin.y + 0.5) * globalConfig.tileSize;
+            if (!parameters.visibleRect.containsCircle(x, y, globalConfig.halfTileSize)) {
+                continue;
+            }
+
+            drawLabelBadge({ parameters, x, y: y + 5, text: "" + delayComp.delay });
+        }
+    }
+
+    /**
+     * Asks for the delay in ticks
+     * @param {Entity} entity
+     */
+    editDelay(entity) {
+        if (!entity.components.Delay) {
+            return;
+        }
+
+        // Save the uid because the entity could get stale
+        const uid = entity.uid;
+
+        const delayInput = new FormElementInput({
+            id: "delayTicks",
+            label: T.dialogs.editDelay.ticks
+                .replace("<min>", "" + MIN_DELAY_TICKS)
+                .replace("<max>", "" + MAX_DELAY_TICKS),
+            placeholder: "",
+            defaultValue: "" + entity.components.Delay.delay,
+            validator: val => DelayComponent.isValidDelay(Number(val)),
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.editDelay.title,
+            desc: T.dialogs.editDelay.desc,
+            formElements: [delayInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+            closeButton: false,
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            if (!this.root || !this.root.entityMgr) {
+                // Game got stopped
+                return;
+            }
+
+            const entityRef = this.root.entityMgr.findByUid(uid, false);
+            if (!entityRef || !entityRef.components.Delay) {
+                // outdated
+                return;
+            }
+
+            const delay = Number(delayInput.getValue());
+            if (!DelayComponent.isValidDelay(delay)) {
+                return;
+            }
+
+            entityRef.components.Delay.delay = delay;
+            this.root.signals.entityConfigured.dispatch(entityRef);
+        });
+    }
+}
@@ -43,7 +43,8 @@ export class DisplaySystem extends GameSystemWithFilter {
                 return item.color === enumColors.uncolored ? null : item;
             }
 
-            case "shape": {
+            case "shape":
+            case "number": {
                 return value;
             }
 
@@ -83,7 +84,7 @@ export class DisplaySystem extends GameSystemWithFilter {
                         (origin.y + 0.5) * globalConfig.tileSize,
                         globalConfig.tileSize
                     );
-                } else if (value.getItemType() === "shape") {
+                } else {
                     value.drawItemCenteredClipped(
                         (origin.x + 0.5) * globalConfig.tileSize,
                         (origin.y + 0.5) * globalConfig.tileSize,
@@ -172,9 +172,10 @@ export class HubSystem extends GameSystemWithFilter {
         const deliveredText = "" + formatBigNumber(delivered);
 
         const dpi = smoothenDpi(globalConfig.shapesSharpness * parameters.zoomLevel);
+        const goalKey = this.root.hubGoals.currentGoal.definition.getHash();
         const canvas = parameters.root.buffers.getForKey({
             key: "hub",
-            subKey: dpi + "/" + this.root.hubGoals.level + "/" + deliveredText,
+            subKey: dpi + "/" + this.root.hubGoals.level + "/" + goalKey + "/" + deliveredText,
             w: globalConfig.tileSize * 4,
             h: globalConfig.tileSize * 4,
             dpi,
@@ -22,7 +22,7 @@ export class ItemAcceptorSystem extends GameSystemWithFilter {
 
         // This system doesn't render anything while in map overview,
         // so simply accumulate ticks
-        if (this.root.camera.getIsMapOverlayActive()) {
+        if (!this.root.headless && this.root.camera.getIsMapOverlayActive()) {
             ++this.accumulatedTicksWhileInMapOverview;
             return;
         }
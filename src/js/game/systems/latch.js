@@ -0,0 +1,138 @@
+import { globalConfig } from "../../core/config";
+import { drawLabelBadge } from "../../core/draw_utils";
+import { DialogWithForm } from "../../core/modal_dialog_elements";
+import { FormElementCheckbox } from "../../core/modal_dialog_forms";
+import { T } from "../../translations";
+import { BaseItem } from "../base_item";
+import { enumLatchMode, LatchComponent } from "../components/latch";
+import { WiredPinsComponent } from "../components/wired_pins";
+import { Entity } from "../entity";
+import { GameSystemWithFilter } from "../game_system_with_filter";
+import { isTruthyItem } from "../items/boolean_item";
+import { MapChunkView } from "../map_chunk_view";
+
+const modeLabels = {
+    [enumLatchMode.data]: "D",
+    [enumLatchMode.setReset]: "SR",
+};
+
+export class LatchSystem extends GameSystemWithFilter {
+    constructor(root) {
+        super(root, [LatchComponent]);
+    }
+
+    update() {
+        for (let i = 0; i < this.allEntities.length; ++i) {
+            const entity = this.allEntities[i];
+            const latchComp = entity.components.Latch;
+            const pinsComp = entity.components.WiredPins;
+
+            // Slot 0 is the output, 1 the data / set input and 2 the clock / reset input
+            const input = this.getInputValue(pinsComp, 1);
+            const control = isTruthyItem(this.getInputValue(pinsComp, 2));
+
+            if (latchComp.mode === enumLatchMode.data) {
+                if (control && !latchComp.lastClock) {
+                    latchComp.storedItem = input;
+                }
+            } else if (control) {
+                // Reset wins if both inputs are set
+                latchComp.storedItem = null;
+            } else if (isTruthyItem(input)) {
+                latchComp.storedItem = input;
+            }
+
+            latchComp.lastClock = control;
+            pinsComp.slots[0].value = latchComp.storedItem;
+        }
+    }
+
+    /**
+     * Returns the value of the network connected to the given slot, null on conflicts
+     * @param {WiredPinsComponent} pinsComp
+     * @param {number} slotIndex
+     * @returns {BaseItem}
+     */
+    getInputValue(pinsComp, slotIndex) {
+        const network = pinsComp.slots[slotIndex].linkedNetwork;
+        if (!network || network.valueConflict) {
+            return null;
+        }
+        return network.currentValue;
+    }
+
+    /**
+     * Draws the mode of the latches
+     * @param {import("../../core/draw_utils").DrawParameters} parameters
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(parameters, chunk) {
+        const contents = chunk.containedEntitiesByLayer.wires;
+        for (let i = 0; i < contents.length; ++i) {
+            const entity = contents[i];
+            const latchComp = entity.components.Latch;
+            if (!latchComp) {
+                continue;
+            }
+
+            const origin = entity.components.StaticMapEntity.origin;
+            const x = (origin.x + 0.5) * globalConfig.tileSize;
+            const y = (origin.y + 0.5) * globalConfig.tileSize;
+            if (!parameters.visibleRect.containsCircle(x, y, globalConfig.halfTileSize)) {
+                continue;
+            }
+
+            drawLabelBadge({ parameters, x, y: y + 5, text: modeLabels[latchComp.mode] });
+        }
+    }
+
+    /**
+     * Asks which mode the latch should use
+     * @param {Entity} entity
+     */
+    editLatch(entity) {
+        if (!entity.components.Latch) {
+            return;
+        }
+
+        // Save the uid because the entity could get stale
+        const uid = entity.uid;
+
+        const setResetInput = new FormElementCheckbox({
+            id: "latchSetReset",
+            label: T.dialogs.editLatch.setReset,
+            defaultValue: entity.components.Latch.mode === enumLatchMode.setReset,
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.root.app,
+            title: T.dialogs.editLatch.title,
+            desc: T.dialogs.editLatch.desc,
+            formElements: [setResetInput],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+            closeButton: false,
+        });
+        this.root.hud.parts.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            if (!this.root || !this.root.entityMgr) {
+                // Game got stopped
+                return;
+            }
+
+            const entityRef = this.root.entityMgr.findByUid(uid, false);
+            if (!entityRef || !entityRef.components.Latch) {
+                // outdated
+                return;
+            }
+
+            const latchComp = entityRef.components.Latch;
+            const mode = setResetInput.getValue() ? enumLatchMode.setReset : enumLatchMode.data;
+            if (mode !== latchComp.mode) {
+                latchComp.mode = mode;
+                latchComp.clear();
+            }
+            this.root.signals.entityConfigured.dispatch(entityRef);
+        });
+    }
+}
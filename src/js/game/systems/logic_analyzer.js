@@ -0,0 +1,203 @@
+import { globalConfig } from "../../core/config";
+import { drawLabelBadge } from "../../core/draw_utils";
+import { Vector } from "../../core/vector";
+import { BaseItem } from "../base_item";
+import { GameSystem } from "../game_system";
+import { MapChunkView } from "../map_chunk_view";
+
+/**
+ * How many networks can be probed at once
+ */
+export const MAX_WIRE_PROBES = 8;
+
+/**
+ * How many seconds of game time are kept in the recording
+ */
+export const RECORDING_SECONDS = 60;
+
+/**
+ * Recorded instead of an item while the network has a value conflict
+ */
+export const SAMPLE_CONFLICT = "conflict";
+
+/**
+ * Recorded while there is no wire at the probed tile
+ */
+export const SAMPLE_DISCONNECTED = "disconnected";
+
+const PROBE_LABELS = "ABCDEFGH";
+
+/**
+ * @typedef {BaseItem|"conflict"|"disconnected"} ProbeSample
+ *
+ * @typedef {{
+ *   tile: Vector,
+ *   label: string,
+ *   samples: Array<ProbeSample>
+ * }} WireProbe
+ */
+
+/**
+ * Records the values of the probed wire networks every tick, for the logic analyzer.
+ * Probes are attached to wire tiles, so they survive the networks getting rebuilt.
+ * Nothing is recorded while there are no probes.
+ */
+export class LogicAnalyzerSystem extends GameSystem {
+    constructor(root) {
+        super(root);
+
+        /** @type {Array<WireProbe>} */
+        this.probes = [];
+
+        /**
+         * The game time of every sample in seconds, shared by all probes
+         * @type {Array<number>}
+         */
+        this.sampleTimes = [];
+    }
+
+    /**
+     * Returns the probe at the given tile, if any
+     * @param {Vector} tile
+     * @returns {WireProbe|null}
+     */
+    findProbe(tile) {
+        return this.probes.find(probe => probe.tile.equals(tile)) || null;
+    }
+
+    /**
+     * Returns whether a probe can be attached to the given tile
+     * @param {Vector} tile
+     */
+    canAttachProbe(tile) {
+        const entity = this.root.map.getLayerContentXY(tile.x, tile.y, "wires");
+        return Boolean(entity && entity.components.Wire) && this.probes.length < MAX_WIRE_PROBES;
+    }
+
+    /**
+     * Attaches a probe to the wire at the given tile, or removes the probe which is already there.
+     * Returns whether a probe was added or removed.
+     * @param {Vector} tile
+     * @returns {boolean}
+     */
+    toggleProbe(tile) {
+        const existing = this.findProbe(tile);
+        if (existing) {
+            this.removeProbe(existing);
+            return true;
+        }
+
+        if (!this.canAttachProbe(tile)) {
+            return false;
+        }
+
+        const label = PROBE_LABELS.split("").find(char => !this.probes.some(probe => probe.label === char));
+        this.probes.push({
+            tile: tile.copy(),
+            label,
+            // Nothing was recorded before the probe got attached
+            samples: new Array(this.sampleTimes.length).fill(SAMPLE_DISCONNECTED),
+        });
+        this.probes.sort((a, b) => a.label.localeCompare(b.label));
+        return true;
+    }
+
+    /**
+     * @param {WireProbe} probe
+     */
+    removeProbe(probe) {
+        const index = this.probes.indexOf(probe);
+        if (index >= 0) {
+            this.probes.splice(index, 1);
+        }
+        if (this.probes.length === 0) {
+            this.sampleTimes = [];
+        }
+    }
+
+    /**
+     * Returns the current value of the network at the probed tile
+     * @param {WireProbe} probe
+     * @returns {ProbeSample}
+     */
+    sampleProbe(probe) {
+        const entity = this.root.map.getLayerContentXY(probe.tile.x, probe.tile.y, "wires");
+        const wireComp = entity ? entity.components.Wire : null;
+        if (!wireComp || !wireComp.linkedNetwork) {
+            return SAMPLE_DISCONNECTED;
+        }
+        if (wireComp.linkedNetwork.valueConflict) {
+            return SAMPLE_CONFLICT;
+        }
+        return wireComp.linkedNetwork.currentValue;
+    }
+
+    update() {
+        if (this.probes.length === 0) {
+            return;
+        }
+
+        const now = this.root.time.now();
+        this.sampleTimes.push(now);
+        for (let i = 0; i < this.probes.length; ++i) {
+            this.probes[i].samples.push(this.sampleProbe(this.probes[i]));
+        }
+
+        // Drop old samples in batches, instead of shifting the arrays every tick
+        if (this.sampleTimes[0] < now - RECORDING_SECONDS - 1) {
+            let count = 0;
+            while (this.sampleTimes[count] < now - RECORDING_SECONDS) {
+                ++count;
+            }
+            this.sampleTimes.splice(0, count);
+            for (let i = 0; i < this.probes.length; ++i) {
+                this.probes[i].samples.splice(0, count);
+            }
+        }
+    }
+
+    /**
+     * Returns the index of the first sample recorded at or after the given time
+     * @param {number} time
+     * @returns {number}
+     */
+    findSampleIndex(time) {
+        let low = 0;
+        let high = this.sampleTimes.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sampleTimes[mid] < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Draws the labels of the probes
+     * @param {import("../../core/draw_utils").DrawParameters} parameters
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(parameters, chunk) {
+        for (let i = 0; i < this.probes.length; ++i) {
+            const { tile, label } = this.probes[i];
+            if (
+                tile.x < chunk.tileX ||
+                tile.y < chunk.tileY ||
+                tile.x >= chunk.tileX + globalConfig.mapChunkSize ||
+                tile.y >= chunk.tileY + globalConfig.mapChunkSize
+            ) {
+                continue;
+            }
+
+            drawLabelBadge({
+                parameters,
+                x: (tile.x + 0.5) * globalConfig.tileSize,
+                y: (tile.y + 0.5) * globalConfig.tileSize,
+                text: label,
+            });
+        }
+    }
+}
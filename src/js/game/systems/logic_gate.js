@@ -1,3 +1,5 @@
+import { globalConfig } from "../../core/config";
+import { drawLabelBadge } from "../../core/draw_utils";
 import { BaseItem } from "../base_item";
 import { enumColors } from "../colors";
 import { enumLogicGateType, LogicGateComponent } from "../components/logic_gate";
@@ -5,9 +7,23 @@ import { enumPinSlotType } from "../components/wired_pins";
 import { GameSystemWithFilter } from "../game_system_with_filter";
 import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON, BooleanItem, isTruthyItem } from "../items/boolean_item";
 import { ColorItem, COLOR_ITEM_SINGLETONS } from "../items/color_item";
+import { getItemNumericValue, getNumberItem, NumberItem } from "../items/number_item";
 import { ShapeItem } from "../items/shape_item";
+import { MapChunkView } from "../map_chunk_view";
 import { ShapeDefinition } from "../shape_definition";
 
+/**
+ * Symbols drawn on top of the gates which share their sprite with other buildings
+ * @type {Object<string, string>}
+ */
+const gateSymbols = {
+    [enumLogicGateType.add]: "+",
+    [enumLogicGateType.subtract]: "\u2212",
+    [enumLogicGateType.multiply]: "\u00d7",
+    [enumLogicGateType.greater]: ">",
+    [enumLogicGateType.counter]: "+1",
+};
+
 export class LogicGateSystem extends GameSystemWithFilter {
     constructor(root) {
         super(root, [LogicGateComponent]);
@@ -26,6 +42,12 @@ export class LogicGateSystem extends GameSystemWithFilter {
             [enumLogicGateType.compare]: this.compute_COMPARE.bind(this),
             [enumLogicGateType.stacker]: this.compute_STACKER.bind(this),
             [enumLogicGateType.painter]: this.compute_PAINTER.bind(this),
+
+            [enumLogicGateType.add]: this.compute_ADD.bind(this),
+            [enumLogicGateType.subtract]: this.compute_SUBTRACT.bind(this),
+            [enumLogicGateType.multiply]: this.compute_MULTIPLY.bind(this),
+            [enumLogicGateType.greater]: this.compute_GREATER.bind(this),
+            [enumLogicGateType.counter]: this.compute_COUNTER.bind(this),
         };
     }
 
@@ -71,7 +93,7 @@ export class LogicGateSystem extends GameSystemWithFilter {
             }
 
             // Compute actual result
-            const result = this.boundOperations[logicComp.type](slotValues);
+            const result = this.boundOperations[logicComp.type](slotValues, logicComp);
 
             if (Array.isArray(result)) {
                 let resultIndex = 0;
@@ -94,6 +116,31 @@ export class LogicGateSystem extends GameSystemWithFilter {
         }
     }
 
+    /**
+     * Draws the symbols of the arithmetic gates
+     * @param {import("../../core/draw_utils").DrawParameters} parameters
+     * @param {MapChunkView} chunk
+     */
+    drawChunk(parameters, chunk) {
+        const contents = chunk.containedEntitiesByLayer.wires;
+        for (let i = 0; i < contents.length; ++i) {
+            const entity = contents[i];
+            const logicComp = entity.components.LogicGate;
+            if (!logicComp || !gateSymbols[logicComp.type]) {
+                continue;
+            }
+
+            const origin = entity.components.StaticMapEntity.origin;
+            const x = (origin.x + 0.5) * globalConfig.tileSize;
+            const y = (origin.y + 0.5) * globalConfig.tileSize;
+            if (!parameters.visibleRect.containsCircle(x, y, globalConfig.halfTileSize)) {
+                continue;
+            }
+
+            drawLabelBadge({ parameters, x, y: y + 5, text: gateSymbols[logicComp.type] });
+        }
+    }
+
     /**
      * @param {Array<BaseItem|null>} parameters
      * @returns {BaseItem}
@@ -350,9 +397,92 @@ export class LogicGateSystem extends GameSystemWithFilter {
                     : BOOL_FALSE_SINGLETON;
             }
 
+            case "number": {
+                return /** @type {NumberItem} */ (itemA).value === /** @type {NumberItem} */ (itemB).value
+                    ? BOOL_TRUE_SINGLETON
+                    : BOOL_FALSE_SINGLETON;
+            }
+
             default: {
                 assertAlways(false, "Bad item type: " + itemA.getItemType());
             }
         }
     }
+
+    /**
+     * Returns the numeric values of both parameters, or null if one of them is not a number
+     * @param {Array<BaseItem|null>} parameters
+     * @returns {[number, number]|null}
+     */
+    getNumericOperands(parameters) {
+        const valueA = getItemNumericValue(parameters[0]);
+        const valueB = getItemNumericValue(parameters[1]);
+        if (valueA === null || valueB === null) {
+            return null;
+        }
+        return [valueA, valueB];
+    }
+
+    /**
+     * @param {Array<BaseItem|null>} parameters
+     * @returns {BaseItem}
+     */
+    compute_ADD(parameters) {
+        assert(parameters.length === 2, "bad parameter count for ADD");
+        const operands = this.getNumericOperands(parameters);
+        return operands ? getNumberItem(operands[0] + operands[1]) : null;
+    }
+
+    /**
+     * @param {Array<BaseItem|null>} parameters
+     * @returns {BaseItem}
+     */
+    compute_SUBTRACT(parameters) {
+        assert(parameters.length === 2, "bad parameter count for SUBTRACT");
+        const operands = this.getNumericOperands(parameters);
+        return operands ? getNumberItem(operands[0] - operands[1]) : null;
+    }
+
+    /**
+     * @param {Array<BaseItem|null>} parameters
+     * @returns {BaseItem}
+     */
+    compute_MULTIPLY(parameters) {
+        assert(parameters.length === 2, "bad parameter count for MULTIPLY");
+        const operands = this.getNumericOperands(parameters);
+        return operands ? getNumberItem(Math.imul(operands[0], operands[1])) : null;
+    }
+
+    /**
+     * @param {Array<BaseItem|null>} parameters
+     * @returns {BaseItem}
+     */
+    compute_GREATER(parameters) {
+        assert(parameters.length === 2, "bad parameter count for GREATER");
+        const operands = this.getNumericOperands(parameters);
+        if (!operands) {
+            return null;
+        }
+        return operands[0] > operands[1] ? BOOL_TRUE_SINGLETON : BOOL_FALSE_SINGLETON;
+    }
+
+    /**
+     * Counts how often the first input became truthy, a truthy second input resets the counter
+     * @param {Array<BaseItem|null>} parameters
+     * @param {LogicGateComponent} logicComp
+     * @returns {BaseItem}
+     */
+    compute_COUNTER(parameters, logicComp) {
+        assert(parameters.length === 2, "bad parameter count for COUNTER");
+        const input = isTruthyItem(parameters[0]);
+
+        if (isTruthyItem(parameters[1])) {
+            logicComp.counterValue = 0;
+        } else if (input && !logicComp.counterInput) {
+            logicComp.counterValue = (logicComp.counterValue + 1) | 0;
+        }
+
+        logicComp.counterInput = input;
+        return getNumberItem(logicComp.counterValue);
+    }
 }
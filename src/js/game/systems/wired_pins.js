@@ -14,6 +14,7 @@ const enumTypeToSize = {
     boolean: 9,
     shape: 9,
     color: 14,
+    number: 12,
 };
 
 export class WiredPinsSystem extends GameSystemWithFilter {
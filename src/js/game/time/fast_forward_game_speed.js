@@ -1,16 +1,37 @@
+/* typehints:start */
+import { GameRoot } from "../root";
+/* typehints:end */
+
 import { BaseGameSpeed } from "./base_game_speed";
 import { globalConfig } from "../../core/config";
+import { types } from "../../savegame/serialization";
 
 export class FastForwardGameSpeed extends BaseGameSpeed {
+    /**
+     * @param {GameRoot} root
+     * @param {number=} multiplier One of globalConfig.fastForwardSpeeds
+     */
+    constructor(root, multiplier = globalConfig.fastForwardSpeeds[0]) {
+        super(root);
+        assert(globalConfig.fastForwardSpeeds.includes(multiplier), "Invalid multiplier: " + multiplier);
+        this.multiplier = multiplier;
+    }
+
     static getId() {
         return "fast-forward";
     }
 
+    static getSchema() {
+        return {
+            multiplier: types.uint,
+        };
+    }
+
     getTimeMultiplier() {
-        return globalConfig.fastForwardSpeed;
+        return this.multiplier;
     }
 
     getMaxLogicStepsInQueue() {
-        return 3 * globalConfig.fastForwardSpeed;
+        return 3 * this.multiplier;
     }
 }
@@ -34,6 +34,9 @@ export class GameTime extends BasicSerializableObject {
 
         // Store how much time we have in bucket
         this.logicTimeBudget = 0;
+
+        // How many ticks were performed since the game got loaded, not serialized
+        this.ticksPerformed = 0;
     }
 
     static getId() {
@@ -84,7 +87,7 @@ export class GameTime extends BasicSerializableObject {
      */
     internalAddDeltaToBudget(deltaMs) {
         // Only update if game is supposed to update
-        if (this.root.hud.shouldPauseGame()) {
+        if (!this.root.headless && this.root.hud.shouldPauseGame()) {
             this.logicTimeBudget = 0;
         } else {
             const multiplier = this.getSpeed().getTimeMultiplier();
@@ -131,9 +134,10 @@ export class GameTime extends BasicSerializableObject {
 
             // Step game time
             this.timeSeconds += this.root.dynamicTickrate.deltaSeconds;
+            ++this.ticksPerformed;
 
             // Game time speed changed, need to abort since our logic steps are no longer valid
-            if (speedAtStart.getId() !== this.speed.getId()) {
+            if (speedAtStart !== this.speed) {
                 logger.warn(
                     "Skipping update because speed changed from",
                     speedAtStart.getId(),
@@ -145,6 +149,20 @@ export class GameTime extends BasicSerializableObject {
         }
     }
 
+    /**
+     * Performs exactly one update tick, no matter how much real time passed
+     * @param {function():boolean} updateMethod
+     * @returns {boolean} Whether the tick was performed
+     */
+    performSingleTick(updateMethod) {
+        if (!updateMethod()) {
+            return false;
+        }
+        this.timeSeconds += this.root.dynamicTickrate.deltaSeconds;
+        ++this.ticksPerformed;
+        return true;
+    }
+
     /**
      * Returns ingame time in seconds
      * @returns {number} seconds
@@ -177,12 +195,23 @@ export class GameTime extends BasicSerializableObject {
         return this.speed;
     }
 
+    /**
+     * @param {BaseGameSpeed} speed
+     */
     setSpeed(speed) {
         assert(speed instanceof BaseGameSpeed, "Not a valid game speed");
-        if (this.speed.getId() === speed.getId()) {
-            logger.warn("Same speed set than current one:", speed.constructor.getId());
+        if (
+            this.speed.getId() === speed.getId() &&
+            this.speed.getTimeMultiplier() === speed.getTimeMultiplier()
+        ) {
+            logger.warn("Same speed set than current one:", speed.getId());
         }
         this.speed = speed;
+
+        // The budget was accumulated with the old multiplier, so don't spend it at the new speed
+        this.logicTimeBudget = 0;
+
+        this.root.signals.gameSpeedChanged.dispatch(speed);
     }
 
     deserialize(data) {
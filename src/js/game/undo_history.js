@@ -0,0 +1,414 @@
+import { createLogger } from "../core/logging";
+import { BeltPath } from "./belt_path";
+import { Component } from "./component";
+import { Entity } from "./entity";
+import { GameRoot } from "./root";
+
+const logger = createLogger("undo_history");
+
+/**
+ * How many operations can be undone at most, older ones are dropped
+ */
+const MAX_HISTORY_SIZE = 100;
+
+/**
+ * A set of entities which were placed and removed by a single user operation. Undoing
+ * and redoing are the same thing, the placed entities get removed and the removed ones placed
+ * again, which is why the entry simply swaps both lists when it is applied.
+ */
+class WorldChangeEntry {
+    /**
+     * @param {object} param0
+     * @param {Array<Entity>} param0.added Live entities which were placed
+     * @param {Array<Entity>} param0.removed Clones of the entities which were removed
+     * @param {number} param0.blueprintCost How many blueprint shapes the operation cost
+     */
+    constructor({ added, removed, blueprintCost }) {
+        this.added = added;
+        this.removed = removed;
+        this.blueprintCost = blueprintCost;
+    }
+}
+
+/**
+ * Stores the contents of all entities and belt paths before they got cleared
+ */
+class ClearContentsEntry {
+    /**
+     * @param {object} param0
+     * @param {Array<{ entity: Entity, components: Object<string, any> }>} param0.entities
+     * @param {Array<{ path: BeltPath, items: Array<[number, any]>, spacingToFirstItem: number, numCompressedItemsAfterFirstItem: number }>} param0.paths
+     */
+    constructor({ entities, paths }) {
+        this.entities = entities;
+        this.paths = paths;
+    }
+}
+
+/**
+ * Records the operations of the player and allows to undo and redo them. The history
+ * only lives in memory, so it is lost once the savegame gets closed.
+ */
+export class UndoHistory {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+
+        /** @type {Array<WorldChangeEntry|ClearContentsEntry>} */
+        this.undoStack = [];
+
+        /** @type {Array<WorldChangeEntry|ClearContentsEntry>} */
+        this.redoStack = [];
+
+        /**
+         * How many groups are currently open, nested groups get merged into the outer one
+         */
+        this.groupDepth = 0;
+
+        /**
+         * Whether we are currently applying an entry, in this case no new entries may be created
+         */
+        this.applyingEntry = false;
+
+        /** @type {Set<Entity>} */
+        this.currentAdded = new Set();
+
+        /** @type {Array<Entity>} */
+        this.currentRemoved = [];
+
+        this.currentBlueprintCost = 0;
+
+        this.root.signals.entityAdded.add(this.onEntityAdded, this);
+        this.root.signals.entityQueuedForDestroy.add(this.onEntityQueuedForDestroy, this);
+    }
+
+    /**
+     * Returns whether changes to the world are currently captured
+     */
+    isCapturing() {
+        return this.groupDepth > 0 || this.applyingEntry;
+    }
+
+    /**
+     * @param {Entity} entity
+     */
+    onEntityAdded(entity) {
+        if (!this.isCapturing() || !entity.components.StaticMapEntity) {
+            return;
+        }
+        this.currentAdded.add(entity);
+    }
+
+    /**
+     * @param {Entity} entity
+     */
+    onEntityQueuedForDestroy(entity) {
+        if (!this.isCapturing() || !entity.components.StaticMapEntity) {
+            return;
+        }
+
+        // Entities which were placed and removed within the same operation are not relevant
+        if (this.currentAdded.delete(entity)) {
+            return;
+        }
+        this.currentRemoved.push(entity.clone());
+    }
+
+    /**
+     * Starts a new group, all entities placed and removed until the group gets committed
+     * are undone together
+     */
+    beginGroup() {
+        assert(!this.applyingEntry, "Can not begin a group while applying an entry");
+        ++this.groupDepth;
+    }
+
+    /**
+     * Commits the current group
+     * @param {number=} blueprintCost How many blueprint shapes the operation cost, they get refunded on undo
+     */
+    commitGroup(blueprintCost = 0) {
+        assert(this.groupDepth > 0, "No group to commit");
+        this.currentBlueprintCost += blueprintCost;
+
+        if (--this.groupDepth > 0) {
+            return;
+        }
+
+        const { added, removed } = this.takeCapturedChanges();
+        const cost = this.currentBlueprintCost;
+        this.currentBlueprintCost = 0;
+
+        if (added.length === 0 && removed.length === 0) {
+            return;
+        }
+
+        this.pushEntry(new WorldChangeEntry({ added, removed, blueprintCost: cost }));
+    }
+
+    /**
+     * Runs the given operation and records all changes to the world as a single entry
+     * @template T
+     * @param {function() : T} operation
+     * @param {number=} blueprintCost
+     * @returns {T}
+     */
+    record(operation, blueprintCost = 0) {
+        this.beginGroup();
+        try {
+            return operation();
+        } finally {
+            this.commitGroup(blueprintCost);
+        }
+    }
+
+    /**
+     * Clears the contents of the given entities, storing them so the operation can be undone
+     * @param {Array<Entity>} entities
+     */
+    recordClearContents(entities) {
+        if (this.applyingEntry) {
+            return;
+        }
+
+        const entry = new ClearContentsEntry({ entities: [], paths: [] });
+        const seenPaths = new Set();
+
+        for (let i = 0; i < entities.length; ++i) {
+            const entity = entities[i];
+            const components = {};
+            for (const componentId in entity.components) {
+                const component = /** @type {Component} */ (entity.components[componentId]);
+                components[componentId] = component.serialize();
+            }
+            entry.entities.push({ entity, components });
+
+            const beltComp = entity.components.Belt;
+            if (beltComp && beltComp.assignedPath && !seenPaths.has(beltComp.assignedPath)) {
+                const path = beltComp.assignedPath;
+                seenPaths.add(path);
+                entry.paths.push({
+                    path,
+                    items: path.items.map(([distance, item]) => [distance, item]),
+                    spacingToFirstItem: path.spacingToFirstItem,
+                    numCompressedItemsAfterFirstItem: path.numCompressedItemsAfterFirstItem,
+                });
+            }
+        }
+
+        this.clearContents(entry);
+        this.pushEntry(entry);
+    }
+
+    /**
+     * Returns the captured changes and resets them
+     */
+    takeCapturedChanges() {
+        const added = Array.from(this.currentAdded).filter(
+            entity => !entity.queuedForDestroy && !entity.destroyed
+        );
+        const removed = this.currentRemoved;
+        this.currentAdded = new Set();
+        this.currentRemoved = [];
+        return { added, removed };
+    }
+
+    /**
+     * @param {WorldChangeEntry|ClearContentsEntry} entry
+     */
+    pushEntry(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > MAX_HISTORY_SIZE) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Returns whether there is anything to undo
+     */
+    canUndo() {
+        return this.groupDepth === 0 && this.undoStack.length > 0;
+    }
+
+    /**
+     * Returns whether there is anything to redo
+     */
+    canRedo() {
+        return this.groupDepth === 0 && this.redoStack.length > 0;
+    }
+
+    /**
+     * Undoes the last operation
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        const entry = this.undoStack.pop();
+        if (entry instanceof ClearContentsEntry) {
+            this.restoreContents(entry);
+        } else {
+            this.applyWorldChange(entry);
+            this.refundBlueprintCost(entry.blueprintCost);
+        }
+
+        this.redoStack.push(entry);
+        return true;
+    }
+
+    /**
+     * Redoes the last undone operation
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        const entry = this.redoStack[this.redoStack.length - 1];
+        if (entry instanceof ClearContentsEntry) {
+            this.clearContents(entry);
+        } else {
+            if (!this.canAffordBlueprintCost(entry.blueprintCost)) {
+                return false;
+            }
+            this.applyWorldChange(entry);
+            this.chargeBlueprintCost(entry.blueprintCost);
+        }
+
+        this.redoStack.pop();
+        this.undoStack.push(entry);
+        return true;
+    }
+
+    /**
+     * Removes all placed entities and places all removed ones again. Everything which
+     * changes while doing so is captured, so the entry can be applied again to revert it.
+     * @param {WorldChangeEntry} entry
+     */
+    applyWorldChange(entry) {
+        this.applyingEntry = true;
+        try {
+            this.root.logic.performBulkOperation(() => {
+                for (let i = 0; i < entry.added.length; ++i) {
+                    const entity = entry.added[i];
+                    if (entity.queuedForDestroy || entity.destroyed) {
+                        // Got removed in the meantime
+                        continue;
+                    }
+                    if (!this.root.logic.tryDeleteBuilding(entity)) {
+                        logger.warn("Could not remove entity while applying history entry");
+                    }
+                }
+
+                for (let i = 0; i < entry.removed.length; ++i) {
+                    const entity = entry.removed[i];
+                    if (!this.root.logic.checkCanPlaceEntity(entity)) {
+                        // Something else got built there in the meantime
+                        continue;
+                    }
+                    this.root.logic.freeEntityAreaBeforeBuild(entity);
+                    this.root.map.placeStaticEntity(entity);
+                    this.root.entityMgr.registerEntity(entity);
+                }
+            });
+        } finally {
+            this.applyingEntry = false;
+        }
+
+        const { added, removed } = this.takeCapturedChanges();
+        entry.added = added;
+        entry.removed = removed;
+    }
+
+    /**
+     * @param {ClearContentsEntry} entry
+     */
+    clearContents(entry) {
+        const cleared = [];
+        for (let i = 0; i < entry.entities.length; ++i) {
+            const entity = entry.entities[i].entity;
+            if (entity.queuedForDestroy || entity.destroyed) {
+                continue;
+            }
+            for (const componentId in entity.components) {
+                /** @type {Component} */ (entity.components[componentId]).clear();
+            }
+            cleared.push(entity);
+        }
+        this.root.signals.entityContentsCleared.dispatch(cleared);
+    }
+
+    /**
+     * @param {ClearContentsEntry} entry
+     */
+    restoreContents(entry) {
+        for (let i = 0; i < entry.entities.length; ++i) {
+            const { entity, components } = entry.entities[i];
+            if (entity.queuedForDestroy || entity.destroyed) {
+                continue;
+            }
+            for (const componentId in components) {
+                const component = /** @type {Component} */ (entity.components[componentId]);
+                const errorCode = component.deserialize(components[componentId], this.root);
+                if (errorCode) {
+                    logger.warn("Failed to restore", componentId, "contents:", errorCode);
+                }
+            }
+        }
+
+        for (let i = 0; i < entry.paths.length; ++i) {
+            const { path, items, spacingToFirstItem, numCompressedItemsAfterFirstItem } = entry.paths[i];
+
+            // Only restore the items if the path is still intact
+            const stillExists = path.entityPath.every(
+                entity => !entity.destroyed && entity.components.Belt.assignedPath === path
+            );
+            if (!stillExists) {
+                continue;
+            }
+            path.items = items.map(([distance, item]) => [distance, item]);
+            path.spacingToFirstItem = spacingToFirstItem;
+            path.numCompressedItemsAfterFirstItem = numCompressedItemsAfterFirstItem;
+        }
+
+        this.root.signals.entityContentsRestored.dispatch(
+            entry.entities
+                .map(({ entity }) => entity)
+                .filter(entity => !entity.queuedForDestroy && !entity.destroyed)
+        );
+    }
+
+    /**
+     * @param {number} cost
+     */
+    canAffordBlueprintCost(cost) {
+        if (cost === 0 || this.root.gameMode.getHasFreeCopyPaste()) {
+            return true;
+        }
+        return this.root.hubGoals.getShapesStoredByKey(this.root.gameMode.getBlueprintShapeKey()) >= cost;
+    }
+
+    /**
+     * @param {number} cost
+     */
+    chargeBlueprintCost(cost) {
+        if (cost > 0) {
+            this.root.hubGoals.takeShapeByKey(this.root.gameMode.getBlueprintShapeKey(), cost);
+        }
+    }
+
+    /**
+     * @param {number} cost
+     */
+    refundBlueprintCost(cost) {
+        if (cost > 0) {
+            this.root.hubGoals.putShapeByKey(this.root.gameMode.getBlueprintShapeKey(), cost);
+        }
+    }
+}
@@ -113,6 +113,19 @@ declare interface Document {
     fonts: any;
 }
 
+// Compression Streams API, not yet part of the dom typings
+declare class CompressionStream {
+    constructor(format: "deflate" | "gzip");
+    readonly readable: ReadableStream<Uint8Array>;
+    readonly writable: WritableStream<Uint8Array>;
+}
+
+declare class DecompressionStream {
+    constructor(format: "deflate" | "gzip");
+    readonly readable: ReadableStream<Uint8Array>;
+    readonly writable: WritableStream<Uint8Array>;
+}
+
 // Webpack
 declare interface WebpackContext {
     keys(): Array<string>;
@@ -195,7 +208,7 @@ declare interface TypedSignal<T extends Array<any>> {
 }
 
 declare type Layer = "regular" | "wires";
-declare type ItemType = "shape" | "color" | "boolean";
+declare type ItemType = "shape" | "color" | "boolean" | "number";
 
 declare module "worker-loader?inline=true&fallback=false!*" {
     class WebpackWorker extends Worker {
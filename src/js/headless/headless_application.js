@@ -0,0 +1,39 @@
+import { setGlobalApp } from "../core/globals";
+import { createLogger } from "../core/logging";
+import { NoAchievementProvider } from "../platform/browser/no_achievement_provider";
+import { NoGameAnalytics } from "../platform/browser/no_game_analytics";
+import { ApplicationSettings } from "../profile/application_settings";
+import { RestrictionManager } from "../core/restriction_manager";
+
+/**
+ * @typedef {import("../application").Application} Application
+ */
+
+const logger = createLogger("headless");
+
+/**
+ * Stands in for the Application when the game runs without a browser, e.g. from `yarn simulate`.
+ * It only provides what simulating a game requires: There are no states, no storage, no input
+ * and nothing gets rendered.
+ */
+export class HeadlessApplication {
+    constructor() {
+        logger.log("Creating headless application");
+        setGlobalApp(this.asApplication());
+
+        this.settings = new ApplicationSettings(this.asApplication());
+        this.settings.currentData = this.settings.getDefaultData();
+
+        this.restrictionMgr = new RestrictionManager(this.asApplication());
+        this.gameAnalytics = new NoGameAnalytics(this.asApplication());
+        this.achievementProvider = new NoAchievementProvider(this.asApplication());
+    }
+
+    /**
+     * The game only accesses the parts of the application which exist here while it is headless
+     * @returns {Application}
+     */
+    asApplication() {
+        return /** @type {Application} */ (/** @type {unknown} */ (this));
+    }
+}
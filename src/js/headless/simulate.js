@@ -0,0 +1,224 @@
+import "../core/assert";
+
+import { ReadWriteProxy } from "../core/read_write_proxy";
+import { initComponentRegistry } from "../game/component_registry";
+import { initGameModeRegistry } from "../game/game_mode_registry";
+import { initGameSpeedRegistry } from "../game/game_speed_registry";
+import { initItemRegistry } from "../game/item_registry";
+import {
+    initBuildingCodesAfterResourcesLoaded,
+    initMetaBuildingRegistry,
+} from "../game/meta_building_registry";
+import { SimulationRunner } from "../game/simulation_runner";
+import { PuzzleLibrary } from "../profile/puzzle_library";
+import { Savegame } from "../savegame/savegame";
+import { HeadlessApplication } from "./headless_application";
+
+/**
+ * @typedef {import("../game/simulation_runner").SimulationReport} SimulationReport
+ * @typedef {import("../savegame/savegame_typedefs").SavegameData} SavegameData
+ * @typedef {import("../savegame/savegame_typedefs").SavegameMetadata} SavegameMetadata
+ *
+ * @typedef {{
+ *   shortKey: string,
+ *   minRate: number
+ * }} SimulationExpectation
+ *
+ * @typedef {{
+ *   errors: Array<string>,
+ *   report: SimulationReport|null
+ * }} SimulationResult
+ */
+
+/**
+ * Entry of the headless build, which simulates savegames and puzzle solutions in node.
+ * See simulation/index.js for the command line interface (`yarn simulate`).
+ */
+
+initComponentRegistry();
+initItemRegistry();
+initMetaBuildingRegistry();
+initBuildingCodesAfterResourcesLoaded();
+initGameModeRegistry();
+initGameSpeedRegistry();
+
+const app = new HeadlessApplication().asApplication();
+
+/**
+ * Reads a savegame as exported from the main menu. Savegames as plain json are accepted too,
+ * which makes it easier to write them by hand.
+ * @param {string} contents
+ * @returns {Promise<SavegameData>}
+ */
+export function parseSavegameFile(contents) {
+    if (contents.trim().startsWith("{")) {
+        return Promise.resolve().then(() => decodeSavegame(JSON.parse(contents), null));
+    }
+    return ReadWriteProxy.deserializeObjectAsync(contents).then(({ data, attachment }) =>
+        decodeSavegame(data, attachment)
+    );
+}
+
+/**
+ * @param {SavegameData} data
+ * @param {Uint8Array|null} attachment
+ * @returns {SavegameData}
+ */
+function decodeSavegame(data, attachment) {
+    const savegame = new Savegame(app, {
+        internalId: "headless",
+        metaDataRef: /** @type {SavegameMetadata} */ ({
+            lastUpdate: Date.now(),
+            version: Savegame.getCurrentVersion(),
+            internalId: "headless",
+        }),
+    });
+
+    savegame.decodeFromStorage(data, attachment, false);
+
+    const migration = savegame.migrate(data);
+    if (migration.isBad()) {
+        throw new Error("Failed to migrate savegame: " + migration.reason);
+    }
+
+    const verification = savegame.verify(data);
+    if (verification.isBad()) {
+        throw new Error("Invalid savegame: " + verification.reason);
+    }
+
+    if (!data.dump) {
+        throw new Error("The savegame contains no game");
+    }
+    return data;
+}
+
+/**
+ * Returns whether the file is a puzzle instead of a savegame
+ * @param {string} contents
+ * @returns {boolean}
+ */
+export function isPuzzleFile(contents) {
+    try {
+        PuzzleLibrary.parsePuzzleFile(contents);
+        return true;
+    } catch (ex) {
+        return false;
+    }
+}
+
+/**
+ * Simulates the factory of a savegame, and checks that the hub receives at least the expected
+ * amount of shapes per second
+ * @param {object} param0
+ * @param {string} param0.contents The savegame file
+ * @param {number} param0.seconds How long to measure
+ * @param {number=} param0.warmupSeconds How long to simulate before measuring
+ * @param {number=} param0.tickRate
+ * @param {Array<SimulationExpectation>=} param0.expectations
+ * @returns {Promise<SimulationResult>}
+ */
+export function simulateSavegame({
+    contents,
+    seconds,
+    warmupSeconds = 0,
+    tickRate = null,
+    expectations = [],
+}) {
+    return parseSavegameFile(contents).then(
+        data => {
+            const runner = new SimulationRunner(app, { dump: data.dump, tickRate });
+            return runSimulation(runner, { seconds, warmupSeconds }, report =>
+                checkExpectations(report, expectations)
+            );
+        },
+        ex => ({ errors: [ex.message || String(ex)], report: null })
+    );
+}
+
+/**
+ * Returns which shapes are not delivered as often as expected
+ * @param {SimulationReport} report
+ * @param {Array<SimulationExpectation>} expectations
+ * @returns {Array<string>}
+ */
+function checkExpectations(report, expectations) {
+    const errors = [];
+    for (let i = 0; i < expectations.length; ++i) {
+        const { shortKey, minRate } = expectations[i];
+        const shape = report.shapes[shortKey];
+        const delivered = shape ? shape.delivered : 0;
+        if (delivered < minRate) {
+            errors.push(
+                shortKey + " is delivered at " + delivered.toFixed(2) + "/s, expected " + minRate + "/s"
+            );
+        }
+    }
+    return errors;
+}
+
+/**
+ * Simulates the solution of a puzzle and checks that it solves the puzzle
+ * @param {object} param0
+ * @param {string} param0.contents The exported puzzle file
+ * @param {string} param0.solution Blueprint string of the solution
+ * @param {number} param0.seconds The time the solution may take to complete the puzzle
+ * @returns {SimulationResult}
+ */
+export function simulatePuzzle({ contents, solution, seconds }) {
+    let file;
+    try {
+        file = PuzzleLibrary.parsePuzzleFile(contents);
+    } catch (ex) {
+        return { errors: [ex.message || String(ex)], report: null };
+    }
+
+    const runner = new SimulationRunner(app, {
+        puzzle: {
+            meta: {
+                id: 0,
+                shortKey: file.shortKey,
+                likes: 0,
+                downloads: 0,
+                completions: 0,
+                difficulty: null,
+                averageTime: null,
+                title: file.title,
+                author: "",
+                completed: false,
+            },
+            game: file.game,
+        },
+        solution: solution.trim(),
+    });
+
+    return runSimulation(runner, { seconds }, report =>
+        report.puzzleCompleted ? [] : ["The solution does not complete the puzzle within " + seconds + "s"]
+    );
+}
+
+/**
+ * @param {SimulationRunner} runner
+ * @param {object} param1
+ * @param {number} param1.seconds
+ * @param {number=} param1.warmupSeconds
+ * @param {function(SimulationReport) : Array<string>} check Returns why the report is not as expected
+ * @returns {SimulationResult}
+ */
+function runSimulation(runner, { seconds, warmupSeconds = 0 }, check) {
+    if (!runner.initialize()) {
+        return { errors: ["Failed to load: " + runner.loadError], report: null };
+    }
+
+    try {
+        const report = runner.run({ seconds, warmupSeconds });
+        const errors = check(report);
+        if (!report.completed) {
+            errors.unshift("The simulation stopped after " + report.simulatedSeconds.toFixed(2) + "s");
+        }
+        return { errors, report };
+    } catch (ex) {
+        return { errors: ["The simulation crashed: " + (ex.stack || ex)], report: null };
+    } finally {
+        runner.cleanup();
+    }
+}
@@ -0,0 +1,42 @@
+/* typehints:start */
+import { Application } from "../application";
+import { ModInterface } from "./mod_interface";
+/* typehints:end */
+
+/**
+ * Metadata every mod passes when registering itself
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   version: string,
+ *   author: string,
+ *   description?: string,
+ *   website?: string,
+ *   dependencies?: Array<string>,
+ *   loadAfter?: Array<string>,
+ *   affectsSavegame?: boolean
+ * }} ModMetadata
+ */
+
+/**
+ * Base class of all mods. A mod script extends this class (available as shapez.Mod) and passes
+ * it to window.$shapez_registerMod(ModClass, metadata). Mods listed as dependencies are always
+ * initialized before, mods listed in loadAfter only if they are installed.
+ */
+export class Mod {
+    /**
+     * @param {Application} app
+     * @param {ModMetadata} metadata
+     * @param {ModInterface} modInterface
+     */
+    constructor(app, metadata, modInterface) {
+        this.app = app;
+        this.metadata = metadata;
+        this.modInterface = modInterface;
+    }
+
+    /**
+     * Called once all dependencies are initialized, this is where the mod registers its content
+     */
+    init() {}
+}
@@ -0,0 +1,96 @@
+import { globalConfig } from "../core/config";
+import { DrawParameters } from "../core/draw_parameters";
+import { Loader } from "../core/loader";
+import { createLogger } from "../core/logging";
+import { Rectangle } from "../core/rectangle";
+import { makeButton, makeDiv } from "../core/utils";
+import {
+    arrayAllDirections,
+    enumDirection,
+    enumDirectionToAngle,
+    enumDirectionToVector,
+    enumInvertedDirections,
+    Vector,
+} from "../core/vector";
+import { BaseItem } from "../game/base_item";
+import { Component } from "../game/component";
+import { enumItemProcessorTypes, ItemProcessorComponent } from "../game/components/item_processor";
+import { ItemAcceptorComponent } from "../game/components/item_acceptor";
+import { ItemEjectorComponent } from "../game/components/item_ejector";
+import { StaticMapEntityComponent } from "../game/components/static_map_entity";
+import { enumPinSlotType, WiredPinsComponent } from "../game/components/wired_pins";
+import { Entity } from "../game/entity";
+import { GameSystem } from "../game/game_system";
+import { GameSystemWithFilter } from "../game/game_system_with_filter";
+import { BaseHUDPart } from "../game/hud/base_hud_part";
+import { DynamicDomAttach } from "../game/hud/dynamic_dom_attach";
+import { BOOL_FALSE_SINGLETON, BOOL_TRUE_SINGLETON, BooleanItem } from "../game/items/boolean_item";
+import { COLOR_ITEM_SINGLETONS, ColorItem } from "../game/items/color_item";
+import { ShapeItem } from "../game/items/shape_item";
+import { defaultBuildingVariant, MetaBuilding } from "../game/meta_building";
+import { enumCategories } from "../profile/application_settings";
+import { BoolSetting, EnumSetting, RangeSetting } from "../profile/setting_types";
+import { types } from "../savegame/serialization";
+import { T } from "../translations";
+import { Mod } from "./mod";
+import { MIN_MOD_BUILDING_CODE } from "./mod_interface";
+
+/**
+ * Everything mods can access via window.shapez. Only add to this list, removing or renaming
+ * entries breaks existing mods.
+ */
+export const MOD_API = {
+    Mod,
+    MIN_MOD_BUILDING_CODE,
+
+    // Core
+    globalConfig,
+    createLogger,
+    Loader,
+    DrawParameters,
+    Rectangle,
+    Vector,
+    enumDirection,
+    enumInvertedDirections,
+    enumDirectionToAngle,
+    enumDirectionToVector,
+    arrayAllDirections,
+    makeDiv,
+    makeButton,
+    types,
+    T,
+
+    // Game
+    Entity,
+    MetaBuilding,
+    defaultBuildingVariant,
+    Component,
+    GameSystem,
+    GameSystemWithFilter,
+    BaseHUDPart,
+    DynamicDomAttach,
+
+    // Components
+    StaticMapEntityComponent,
+    ItemAcceptorComponent,
+    ItemEjectorComponent,
+    ItemProcessorComponent,
+    enumItemProcessorTypes,
+    WiredPinsComponent,
+    enumPinSlotType,
+
+    // Items
+    BaseItem,
+    ShapeItem,
+    ColorItem,
+    COLOR_ITEM_SINGLETONS,
+    BooleanItem,
+    BOOL_TRUE_SINGLETON,
+    BOOL_FALSE_SINGLETON,
+
+    // Settings
+    enumCategories,
+    BoolSetting,
+    EnumSetting,
+    RangeSetting,
+};
@@ -0,0 +1,162 @@
+import {
+    gComponentRegistry,
+    gGameModeRegistry,
+    gItemRegistry,
+    gMetaBuildingRegistry,
+    gModGameSystems,
+    gModHudParts,
+    gModItemResolvers,
+    gModToolbarBuildings,
+} from "../core/global_registries";
+import { createLogger } from "../core/logging";
+import { BaseItem } from "../game/base_item";
+import { gBuildingVariants, registerBuildingVariant } from "../game/building_codes";
+import { Component } from "../game/component";
+import { GameMode } from "../game/game_mode";
+import { KEYMAPPINGS } from "../game/key_action_mapper";
+import { defaultBuildingVariant, MetaBuilding } from "../game/meta_building";
+import { registerModSetting } from "../profile/application_settings";
+import { BaseSetting } from "../profile/setting_types";
+import { registerTranslations } from "../translations";
+
+/**
+ * @typedef {import("./mod").ModMetadata} ModMetadata
+ * @typedef {import("../game/game_system").GameSystem} GameSystem
+ * @typedef {import("../game/hud/base_hud_part").BaseHUDPart} BaseHUDPart
+ * @typedef {import("../game/root").GameRoot} GameRoot
+ */
+
+/**
+ * Building codes below this are reserved for the base game
+ */
+export const MIN_MOD_BUILDING_CODE = 1000;
+
+/**
+ * The API mods use to register their content. Every mod gets its own instance, so
+ * registrations can be attributed to the mod.
+ */
+export class ModInterface {
+    /**
+     * @param {ModMetadata} metadata
+     */
+    constructor(metadata) {
+        this.metadata = metadata;
+
+        // Logger prefixed with the mod id, for the mod to use
+        this.logger = createLogger("mod/" + metadata.id);
+    }
+
+    /**
+     * Registers a new component. Its id must be unique, prefixing it with the mod id is recommended.
+     * @param {typeof Component} componentClass
+     */
+    registerComponent(componentClass) {
+        gComponentRegistry.register(componentClass);
+    }
+
+    /**
+     * Registers a new item type
+     * @param {typeof BaseItem} itemClass
+     * @param {function(GameRoot, any): BaseItem} resolver Returns the item for the serialized data,
+     *  should return shared instances where possible
+     */
+    registerItem(itemClass, resolver) {
+        gItemRegistry.register(itemClass);
+        gModItemResolvers[itemClass.getId()] = resolver;
+    }
+
+    /**
+     * Registers a new building with all of its variants. Since the mod is not part of the
+     * sprite atlas, its meta building should override the sprite getters.
+     * @param {object} param0
+     * @param {typeof MetaBuilding} param0.metaClass
+     * @param {Array<{ code: number, variant?: string, rotationVariant?: number }>} param0.variants
+     *  The building codes are stored in savegames, so they must never change and be at least
+     *  MIN_MOD_BUILDING_CODE
+     * @param {{ layer: Layer, secondary?: boolean }=} param0.toolbar Where to show the building,
+     *  it can only be placed via blueprints if not set
+     * @param {number=} param0.keyCode Default key to select the building
+     * @param {string=} param0.icon Url of the toolbar icon
+     */
+    registerBuilding({ metaClass, variants, toolbar = null, keyCode = 0, icon = null }) {
+        assertAlways(variants.length > 0, "Building has no variants");
+
+        gMetaBuildingRegistry.register(metaClass);
+        const metaInstance = gMetaBuildingRegistry.findByClass(metaClass);
+        const id = metaInstance.getId();
+
+        for (let i = 0; i < variants.length; ++i) {
+            const { code, variant = defaultBuildingVariant, rotationVariant = 0 } = variants[i];
+            assertAlways(
+                Number.isInteger(code) && code >= MIN_MOD_BUILDING_CODE,
+                "Building code " + code + " of " + id + " is reserved"
+            );
+            assertAlways(!gBuildingVariants[code], "Building code " + code + " is already used");
+            registerBuildingVariant(code, metaClass, variant, rotationVariant);
+            gBuildingVariants[code].metaInstance = metaInstance;
+        }
+
+        assertAlways(!KEYMAPPINGS.buildings[id], "Building " + id + " already has a keybinding");
+        KEYMAPPINGS.buildings[id] = { keyCode, id };
+
+        if (toolbar) {
+            gModToolbarBuildings.push({
+                metaClass,
+                layer: toolbar.layer,
+                secondary: !!toolbar.secondary,
+                icon,
+            });
+        }
+    }
+
+    /**
+     * Registers a new game system, which gets updated every tick
+     * @param {object} param0
+     * @param {string} param0.id
+     * @param {Class<GameSystem>} param0.systemClass
+     * @param {string=} param0.before Id of the system which should be updated after this one,
+     *  the system gets updated last if not set
+     */
+    registerGameSystem({ id, systemClass, before = null }) {
+        assertAlways(!gModGameSystems.some(entry => entry.id === id), "Duplicate game system id: " + id);
+        gModGameSystems.push({ id, systemClass, before });
+    }
+
+    /**
+     * Registers a new HUD part, which gets created in every game mode
+     * @param {string} id
+     * @param {Class<BaseHUDPart>} partClass
+     */
+    registerHudPart(id, partClass) {
+        assertAlways(!gModHudParts[id], "Duplicate hud part id: " + id);
+        gModHudParts[id] = partClass;
+    }
+
+    /**
+     * Registers a new game mode
+     * @param {typeof GameMode} gameModeClass
+     */
+    registerGameMode(gameModeClass) {
+        gGameModeRegistry.register(gameModeClass);
+    }
+
+    /**
+     * Registers a new setting. Use enumCategories.mods as category to show it next to the
+     * list of mods, its texts are read from T.settings.labels[id].
+     * @param {BaseSetting} setting
+     * @param {any} defaultValue
+     */
+    registerSetting(setting, defaultValue) {
+        registerModSetting(setting, defaultValue);
+    }
+
+    /**
+     * Registers translations, they get merged into the existing ones. English translations
+     * are used as fallback for all other languages.
+     * @param {string} languageId
+     * @param {object} translations
+     */
+    registerTranslations(languageId, translations) {
+        registerTranslations(languageId, translations);
+    }
+}
@@ -0,0 +1,381 @@
+/* typehints:start */
+import { Application } from "../application";
+/* typehints:end */
+
+import { createLogger } from "../core/logging";
+import { getIPCRenderer } from "../core/utils";
+import { Mod } from "./mod";
+import { MOD_API } from "./mod_api";
+import { ModInterface } from "./mod_interface";
+
+const logger = createLogger("mods");
+
+/**
+ * Name of the IndexedDB database which stores the mods in the browser
+ */
+const BROWSER_DATABASE_NAME = "mods";
+const BROWSER_STORE_NAME = "mods";
+
+/**
+ * @typedef {import("./mod").ModMetadata} ModMetadata
+ * @typedef {import("../savegame/savegame_typedefs").SavegameModInfo} SavegameModInfo
+ *
+ * @typedef {{
+ *   filename: string,
+ *   source: string
+ * }} ModSource
+ *
+ * @typedef {{
+ *   modClass: typeof Mod,
+ *   metadata: ModMetadata,
+ *   filename: string
+ * }} ModRegistration
+ *
+ * @typedef {{
+ *   mod: Mod,
+ *   metadata: ModMetadata,
+ *   filename: string
+ * }} LoadedMod
+ *
+ * @typedef {{
+ *   filename: string,
+ *   modId: string|null,
+ *   error: string
+ * }} ModError
+ */
+
+/**
+ * Loads the mod scripts from the mods directory (standalone) or from the IndexedDB (browser)
+ * and initializes them in the order of their dependencies
+ */
+export class ModLoader {
+    /**
+     * @param {Application} app
+     */
+    constructor(app) {
+        this.app = app;
+
+        /**
+         * All successfully initialized mods, in load order
+         * @type {Array<LoadedMod>}
+         */
+        this.mods = [];
+
+        /**
+         * All mods which failed to load, and why
+         * @type {Array<ModError>}
+         */
+        this.errors = [];
+
+        /** @type {IDBDatabase} */
+        this.database = null;
+    }
+
+    /**
+     * Loads and initializes all mods, must be called before the settings get initialized.
+     * Failing mods are skipped and reported in this.errors.
+     * @returns {Promise<void>}
+     */
+    initialize() {
+        return this.fetchModSources()
+            .then(sources => this.loadMods(sources))
+            .catch(err => {
+                logger.error("Failed to load mods:", err);
+            });
+    }
+
+    /**
+     * Returns whether mods are installed by the player through the game, instead of the mods folder
+     */
+    getIsBrowserStorage() {
+        return !G_IS_STANDALONE;
+    }
+
+    /**
+     * Opens the mods folder in the file explorer, standalone only
+     */
+    openModsFolder() {
+        assert(G_IS_STANDALONE, "The mods folder only exists in the standalone");
+        getIPCRenderer().invoke("open-mods-folder");
+    }
+
+    /**
+     * @returns {Promise<Array<ModSource>>}
+     */
+    fetchModSources() {
+        if (G_IS_STANDALONE) {
+            return getIPCRenderer().invoke("get-mods");
+        }
+        return this.openBrowserDatabase().then(() => this.readBrowserMods());
+    }
+
+    /**
+     * Evaluates all mod scripts and initializes the registered mods
+     * @param {Array<ModSource>} sources
+     */
+    loadMods(sources) {
+        logger.log("Loading", sources.length, "mod scripts");
+
+        // @ts-ignore
+        window.shapez = MOD_API;
+
+        /** @type {Array<ModRegistration>} */
+        const registrations = [];
+        for (let i = 0; i < sources.length; ++i) {
+            const { filename, source } = sources[i];
+            let registered = false;
+
+            // @ts-ignore
+            window.$shapez_registerMod = (modClass, metadata) => {
+                registrations.push({ modClass, metadata, filename });
+                registered = true;
+            };
+
+            try {
+                new Function(source)();
+            } catch (ex) {
+                this.reportError(filename, null, ex);
+                continue;
+            }
+
+            if (!registered) {
+                this.reportError(filename, null, "The script did not call $shapez_registerMod");
+            }
+        }
+
+        // @ts-ignore
+        delete window.$shapez_registerMod;
+
+        const ordered = this.sortByDependencies(this.filterValidRegistrations(registrations));
+        for (let i = 0; i < ordered.length; ++i) {
+            this.initMod(ordered[i]);
+        }
+
+        logger.log("Loaded", this.mods.length, "mods,", this.errors.length, "failed");
+    }
+
+    /**
+     * Removes all registrations with invalid metadata or duplicate ids
+     * @param {Array<ModRegistration>} registrations
+     * @returns {Array<ModRegistration>}
+     */
+    filterValidRegistrations(registrations) {
+        /** @type {Set<string>} */
+        const ids = new Set();
+        return registrations.filter(({ modClass, metadata, filename }) => {
+            const error = this.getMetadataError(metadata);
+            if (error) {
+                this.reportError(filename, null, error);
+                return false;
+            }
+            if (!modClass || !(modClass.prototype instanceof Mod)) {
+                this.reportError(filename, metadata.id, "The mod does not extend shapez.Mod");
+                return false;
+            }
+            if (ids.has(metadata.id)) {
+                this.reportError(filename, metadata.id, "A mod with the same id is already installed");
+                return false;
+            }
+            ids.add(metadata.id);
+            return true;
+        });
+    }
+
+    /**
+     * @param {ModMetadata} metadata
+     * @returns {string|null}
+     */
+    getMetadataError(metadata) {
+        if (!metadata || typeof metadata !== "object") {
+            return "Missing metadata";
+        }
+        for (const key of ["id", "name", "version", "author"]) {
+            if (typeof metadata[key] !== "string" || metadata[key].length === 0) {
+                return "Missing metadata field: " + key;
+            }
+        }
+        for (const key of ["dependencies", "loadAfter"]) {
+            if (metadata[key] !== undefined && !Array.isArray(metadata[key])) {
+                return "Metadata field " + key + " must be a list of mod ids";
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Orders the mods so every mod comes after its dependencies and the mods in its loadAfter
+     * list. Mods with missing or cyclic dependencies are removed.
+     * @param {Array<ModRegistration>} registrations
+     * @returns {Array<ModRegistration>}
+     */
+    sortByDependencies(registrations) {
+        /** @type {Map<string, ModRegistration>} */
+        const remaining = new Map();
+        registrations.forEach(registration => remaining.set(registration.metadata.id, registration));
+
+        // Remove mods with missing dependencies, until no mod depends on a removed one
+        let changed = true;
+        while (changed) {
+            changed = false;
+            remaining.forEach(({ metadata, filename }, id) => {
+                const missing = (metadata.dependencies || []).find(dependency => !remaining.has(dependency));
+                if (missing) {
+                    this.reportError(filename, id, "Missing dependency: " + missing);
+                    remaining.delete(id);
+                    changed = true;
+                }
+            });
+        }
+
+        /** @type {Array<ModRegistration>} */
+        const ordered = [];
+        while (remaining.size > 0) {
+            const next = Array.from(remaining.values()).find(({ metadata }) =>
+                (metadata.dependencies || [])
+                    .concat(metadata.loadAfter || [])
+                    .every(id => !remaining.has(id) || id === metadata.id)
+            );
+
+            if (!next) {
+                remaining.forEach(({ filename }, id) =>
+                    this.reportError(filename, id, "Cyclic dependencies between mods")
+                );
+                break;
+            }
+
+            ordered.push(next);
+            remaining.delete(next.metadata.id);
+        }
+        return ordered;
+    }
+
+    /**
+     * @param {ModRegistration} registration
+     */
+    initMod({ modClass, metadata, filename }) {
+        const failedDependency = (metadata.dependencies || []).find(
+            id => !this.mods.some(loaded => loaded.metadata.id === id)
+        );
+        if (failedDependency) {
+            this.reportError(filename, metadata.id, "Dependency failed to load: " + failedDependency);
+            return;
+        }
+
+        try {
+            const mod = new modClass(this.app, metadata, new ModInterface(metadata));
+            mod.init();
+            this.mods.push({ mod, metadata, filename });
+            logger.log("Initialized mod", metadata.id, metadata.version);
+        } catch (ex) {
+            // Notice: Whatever the mod registered before failing stays registered
+            this.reportError(filename, metadata.id, ex);
+        }
+    }
+
+    /**
+     * @param {string} filename
+     * @param {string|null} modId
+     * @param {any} error
+     */
+    reportError(filename, modId, error) {
+        logger.error("Failed to load mod", modId || filename, ":", error);
+        this.errors.push({
+            filename,
+            modId,
+            error: error instanceof Error ? error.message : String(error),
+        });
+    }
+
+    /**
+     * Returns the mods which should be recorded in savegames
+     * @returns {Array<SavegameModInfo>}
+     */
+    getSavegameModInfo() {
+        return this.mods
+            .filter(({ metadata }) => metadata.affectsSavegame !== false)
+            .map(({ metadata }) => ({ id: metadata.id, name: metadata.name, version: metadata.version }));
+    }
+
+    /**
+     * Returns all mods of the list which are not loaded
+     * @param {Array<SavegameModInfo>} mods
+     * @returns {Array<SavegameModInfo>}
+     */
+    getMissingMods(mods) {
+        return mods.filter(({ id }) => !this.mods.some(loaded => loaded.metadata.id === id));
+    }
+
+    // Browser storage
+
+    /**
+     * @returns {Promise<void>}
+     */
+    openBrowserDatabase() {
+        if (this.database) {
+            return Promise.resolve();
+        }
+        if (!window.indexedDB) {
+            return Promise.reject("IndexedDB is not available");
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(BROWSER_DATABASE_NAME, 1);
+            request.onerror = () => reject(request.error);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(BROWSER_STORE_NAME, { keyPath: "filename" });
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Runs a request on the mods object store
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} handler
+     * @returns {Promise<any>}
+     */
+    runBrowserRequest(mode, handler) {
+        return this.openBrowserDatabase().then(
+            () =>
+                new Promise((resolve, reject) => {
+                    const transaction = this.database.transaction([BROWSER_STORE_NAME], mode);
+                    const request = handler(transaction.objectStore(BROWSER_STORE_NAME));
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                })
+        );
+    }
+
+    /**
+     * @returns {Promise<Array<ModSource>>}
+     */
+    readBrowserMods() {
+        return this.runBrowserRequest("readonly", store => store.getAll()).then(mods =>
+            mods.sort((a, b) => a.filename.localeCompare(b.filename))
+        );
+    }
+
+    /**
+     * Stores a mod script in the browser, it gets loaded on the next start
+     * @param {string} filename
+     * @param {string} source
+     * @returns {Promise<void>}
+     */
+    installBrowserMod(filename, source) {
+        assert(this.getIsBrowserStorage(), "Mods can only be installed in the browser");
+        return this.runBrowserRequest("readwrite", store => store.put({ filename, source }));
+    }
+
+    /**
+     * Removes a mod script from the browser, it stays active until the next start
+     * @param {string} filename
+     * @returns {Promise<void>}
+     */
+    uninstallBrowserMod(filename) {
+        assert(this.getIsBrowserStorage(), "Mods can only be uninstalled in the browser");
+        return this.runBrowserRequest("readwrite", store => store.delete(filename));
+    }
+}
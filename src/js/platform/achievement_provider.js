@@ -132,6 +132,16 @@ export class AchievementProviderInterface {
         abstract;
         return false;
     }
+
+    /**
+     * Checks if unlocks and progress are stored locally, so they can be shown in the
+     * achievements screen
+     * @returns {boolean}
+     */
+    hasLocalProgress() {
+        abstract;
+        return false;
+    }
 }
 
 export class Achievement {
@@ -142,6 +152,18 @@ export class Achievement {
         this.activatePromise = null;
         this.receiver = null;
         this.signal = null;
+
+        /**
+         * For counted achievements, the value which has to be reached
+         * @type {number|null}
+         */
+        this.goal = null;
+
+        /**
+         * For counted achievements, computes the current value from the signal data
+         * @type {(function(any) : number)|null}
+         */
+        this.getProgress = null;
     }
 
     init() {}
@@ -162,14 +184,19 @@ export class Achievement {
 export class AchievementCollection {
     /**
      * @param {function} activate - Resolves when provider activation is complete
+     * @param {function(string, number, number) : void} [onProgress] - Called with the key,
+     * the current value and the goal whenever a counted achievement is checked but not yet valid
      */
-    constructor(activate) {
+    constructor(activate, onProgress = null) {
         this.map = new Map();
         this.activate = activate;
+        this.onProgress = onProgress;
 
         this.add(ACHIEVEMENTS.belt500Tiles, {
             isValid: this.isBelt500TilesValid,
             signal: "entityAdded",
+            goal: 500,
+            progress: this.getBelt500TilesProgress,
         });
         this.add(ACHIEVEMENTS.blueprint100k, this.createBlueprintOptions(100000));
         this.add(ACHIEVEMENTS.blueprint1m, this.createBlueprintOptions(1000000));
@@ -180,6 +207,8 @@ export class AchievementCollection {
         });
         this.add(ACHIEVEMENTS.destroy1000, {
             isValid: this.isDestroy1000Valid,
+            goal: 1000,
+            progress: count => count,
         });
         this.add(ACHIEVEMENTS.irrelevantShape, {
             isValid: this.isIrrelevantShapeValid,
@@ -196,6 +225,8 @@ export class AchievementCollection {
         });
         this.add(ACHIEVEMENTS.mapMarkers15, {
             isValid: this.isMapMarkers15Valid,
+            goal: 15,
+            progress: count => count,
         });
         this.add(ACHIEVEMENTS.noBeltUpgradesUntilBp, {
             isValid: this.isNoBeltUpgradesUntilBpValid,
@@ -214,12 +245,16 @@ export class AchievementCollection {
         this.add(ACHIEVEMENTS.paintShape);
         this.add(ACHIEVEMENTS.place5000Wires, {
             isValid: this.isPlace5000WiresValid,
+            goal: 5000,
+            progress: () => this.root.entityMgr.componentToEntity.Wire.length,
         });
         this.add(ACHIEVEMENTS.placeBlueprint, {
             isValid: this.isPlaceBlueprintValid,
         });
         this.add(ACHIEVEMENTS.placeBp1000, {
             isValid: this.isPlaceBp1000Valid,
+            goal: 1000,
+            progress: count => count,
         });
         this.add(ACHIEVEMENTS.play1h, this.createTimeOptions(HOUR_1));
         this.add(ACHIEVEMENTS.play10h, this.createTimeOptions(HOUR_10));
@@ -240,6 +275,8 @@ export class AchievementCollection {
             init: this.initStore100Unique,
             isValid: this.isStore100UniqueValid,
             signal: "shapeDelivered",
+            goal: 100,
+            progress: () => Object.keys(this.root.hubGoals.storedShapes).length,
         });
         this.add(ACHIEVEMENTS.storeShape, {
             init: this.initStoreShape,
@@ -254,6 +291,8 @@ export class AchievementCollection {
         this.add(ACHIEVEMENTS.trash1000, {
             init: this.initTrash1000,
             isValid: this.isTrash1000Valid,
+            goal: 1000,
+            progress: () => this.root.savegame.currentData.stats.trashedCount,
         });
         this.add(ACHIEVEMENTS.unlockWires, this.createLevelOptions(20));
         this.add(ACHIEVEMENTS.upgradesTier5, this.createUpgradeOptions(5));
@@ -289,6 +328,8 @@ export class AchievementCollection {
      * @param {function} [options.init]
      * @param {function} [options.isValid]
      * @param {string} [options.signal]
+     * @param {number} [options.goal] - For counted achievements, the value to reach
+     * @param {function(any) : number} [options.progress] - Computes the current value
      */
     add(key, options = {}) {
         if (G_IS_DEV) {
@@ -311,6 +352,11 @@ export class AchievementCollection {
             achievement.signal = options.signal;
         }
 
+        if (options.progress) {
+            achievement.goal = options.goal;
+            achievement.getProgress = options.progress.bind(this);
+        }
+
         this.map.set(key, achievement);
     }
 
@@ -332,6 +378,9 @@ export class AchievementCollection {
         const achievement = this.map.get(key);
 
         if (!achievement.isValid(data)) {
+            if (this.onProgress && achievement.getProgress) {
+                this.onProgress(key, achievement.getProgress(data), achievement.goal);
+            }
             return;
         }
 
@@ -406,6 +455,21 @@ export class AchievementCollection {
         return true;
     }
 
+    /**
+     * Returns the tier of the least upgraded upgrade, starting at 1
+     * @returns {number}
+     */
+    getLowestUpgradeTier() {
+        const upgrades = this.root.gameMode.getUpgrades();
+
+        let lowest = Infinity;
+        for (let upgradeId in upgrades) {
+            lowest = Math.min(lowest, this.root.hubGoals.getUpgradeLevel(upgradeId) + 1);
+        }
+
+        return lowest === Infinity ? 0 : lowest;
+    }
+
     /**
      * @param {ShapeItem} item
      * @param {string} shape
@@ -421,6 +485,8 @@ export class AchievementCollection {
             isValid: definition =>
                 definition.cachedHash === SHAPE_BP && this.root.hubGoals.storedShapes[SHAPE_BP] >= count,
             signal: "shapeDelivered",
+            goal: count,
+            progress: () => this.root.hubGoals.storedShapes[SHAPE_BP] || 0,
         };
     }
 
@@ -429,6 +495,8 @@ export class AchievementCollection {
             init: ({ key }) => this.unlock(key, this.root.hubGoals.level),
             isValid: currentLevel => currentLevel > level,
             signal: "storyGoalCompleted",
+            goal: level,
+            progress: () => this.root.hubGoals.level - 1,
         };
     }
 
@@ -464,6 +532,8 @@ export class AchievementCollection {
     createTimeOptions(duration) {
         return {
             isValid: () => this.root.time.now() >= duration,
+            goal: duration,
+            progress: () => Math.floor(this.root.time.now()),
         };
     }
 
@@ -472,6 +542,8 @@ export class AchievementCollection {
             init: ({ key }) => this.unlock(key, null),
             isValid: () => this.hasAllUpgradesAtLeastAtTier(tier),
             signal: "upgradePurchased",
+            goal: tier,
+            progress: () => this.getLowestUpgradeTier(),
         };
     }
 
@@ -480,6 +552,11 @@ export class AchievementCollection {
         return entity.components.Belt && entity.components.Belt.assignedPath.totalLength >= 500;
     }
 
+    /** @param {Entity} entity @returns {number} */
+    getBelt500TilesProgress(entity) {
+        return entity.components.Belt ? entity.components.Belt.assignedPath.totalLength : 0;
+    }
+
     /** @returns {boolean} */
     isDarkModeValid() {
         return this.root.app.settings.currentData.settings.theme === DARK_MODE;
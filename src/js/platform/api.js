@@ -8,6 +8,13 @@ import { T } from "../translations";
 
 const logger = createLogger("puzzle-api");
 
+const Rusha = require("rusha");
+
+/**
+ * Where the id is stored which identifies the player on self hosted puzzle servers
+ */
+const PLAYER_ID_STORAGE_KEY = "puzzle_player_id";
+
 export class ClientAPI {
     /**
      *
@@ -24,6 +31,10 @@ export class ClientAPI {
     }
 
     getEndpoint() {
+        const customEndpoint = this.getCustomEndpoint();
+        if (customEndpoint) {
+            return customEndpoint;
+        }
         if (G_IS_DEV) {
             return "http://localhost:15001";
         }
@@ -33,10 +44,46 @@ export class ClientAPI {
         return "https://api.shapez.io";
     }
 
+    /**
+     * Returns the url of the self hosted puzzle server, or null if the official one is used
+     * @returns {string|null}
+     */
+    getCustomEndpoint() {
+        const url = this.app.settings.getSetting("puzzleServer");
+        return url ? url.replace(/\/+$/, "") : null;
+    }
+
+    isUsingCustomServer() {
+        return Boolean(this.getCustomEndpoint());
+    }
+
     isLoggedIn() {
         return Boolean(this.token);
     }
 
+    /**
+     * Drops the current session, e.g. because the server changed
+     */
+    logout() {
+        this.token = null;
+    }
+
+    /**
+     * Returns the id which identifies this player on self hosted servers, it gets created
+     * on first use
+     * @returns {string}
+     */
+    getPlayerId() {
+        let playerId = window.localStorage.getItem(PLAYER_ID_STORAGE_KEY);
+        if (!playerId) {
+            playerId = Rusha.createHash()
+                .update(Date.now() + "/" + Math.random())
+                .digest("hex");
+            window.localStorage.setItem(PLAYER_ID_STORAGE_KEY, playerId);
+        }
+        return playerId;
+    }
+
     /**
      *
      * @param {string} endpoint
@@ -62,13 +109,30 @@ export class ClientAPI {
                 method: options.method || "GET",
                 body: options.body ? JSON.stringify(options.body) : undefined,
             })
+                .catch(err => {
+                    // No connection, or the server is down or misconfigured
+                    logger.warn("Could not reach", this.getEndpoint(), ":", err);
+                    throw T.backendErrors.unreachable;
+                })
                 .then(res => {
-                    if (res.status !== 200) {
-                        throw "bad-status: " + res.status + " / " + res.statusText;
+                    if (res.status === 200) {
+                        return res.json();
                     }
-                    return res;
-                })
-                .then(res => res.json()),
+
+                    // Errors may come with a body which explains them
+                    const badStatus = "bad-status: " + res.status + " / " + res.statusText;
+                    return res.json().then(
+                        data => {
+                            if (data && data.error) {
+                                return data;
+                            }
+                            throw badStatus;
+                        },
+                        () => {
+                            throw badStatus;
+                        }
+                    );
+                }),
             new Promise((resolve, reject) => setTimeout(() => reject("timeout"), 15000)),
         ])
             .then(data => {
@@ -100,6 +164,16 @@ export class ClientAPI {
      * @returns {Promise<{token: string}>}
      */
     apiTryLogin() {
+        if (this.isUsingCustomServer()) {
+            // Self hosted servers can't verify steam tickets, so the player id is used instead
+            return this._request("/v1/public/login", {
+                method: "POST",
+                body: {
+                    token: this.getPlayerId(),
+                },
+            });
+        }
+
         if (!G_IS_STANDALONE) {
             let token = window.localStorage.getItem("dev_api_auth_token");
             if (!token) {
@@ -0,0 +1,117 @@
+/* typehints:start */
+import { Application } from "../../application";
+import { GameRoot } from "../../game/root";
+/* typehints:end */
+
+import { createLogger } from "../../core/logging";
+import { enumNotificationType } from "../../game/hud/parts/notifications";
+import { T } from "../../translations";
+import { AchievementCollection, AchievementProviderInterface } from "../achievement_provider";
+
+const logger = createLogger("achievements/local");
+
+/**
+ * Tracks achievements without a platform, by storing unlocks and progress in the
+ * achievement storage of the app
+ */
+export class LocalAchievementProvider extends AchievementProviderInterface {
+    /** @param {Application} app */
+    constructor(app) {
+        super(app);
+
+        /** @type {GameRoot} */
+        this.root = null;
+    }
+
+    /** @returns {boolean} */
+    hasAchievements() {
+        return true;
+    }
+
+    /** @returns {boolean} */
+    hasLocalProgress() {
+        return true;
+    }
+
+    /** @returns {boolean} */
+    hasLoaded() {
+        return Boolean(this.collection);
+    }
+
+    /** @returns {Promise<void>} */
+    initialize() {
+        // The achievement storage gets initialized together with the other storages
+        return Promise.resolve();
+    }
+
+    /**
+     * @param {GameRoot} root
+     * @returns {Promise<void>}
+     */
+    onLoad(root) {
+        this.root = root;
+
+        try {
+            this.collection = new AchievementCollection(this.activate.bind(this), this.onProgress.bind(this));
+
+            // Unlocked achievements don't need to be checked anymore
+            const storage = this.app.achievementStorage;
+            for (const key of Array.from(this.collection.map.keys())) {
+                if (storage.isUnlocked(key)) {
+                    this.collection.map.delete(key);
+                }
+            }
+
+            this.collection.initialize(root);
+
+            // Progress is only written together with the savegame, since it changes often
+            root.signals.gameSaved.add(() => {
+                storage.writeAsync();
+            });
+
+            logger.log("Initialized", this.collection.map.size, "relevant achievements");
+            return Promise.resolve();
+        } catch (err) {
+            logger.error("Failed to initialize the collection");
+            return Promise.reject(err);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} value
+     * @param {number} goal
+     */
+    onProgress(key, value, goal) {
+        this.app.achievementStorage.setProgress(key, Math.min(value, goal));
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    activate(key) {
+        const storage = this.app.achievementStorage;
+        if (!storage.unlock(key)) {
+            return Promise.resolve();
+        }
+
+        const goal = this.collection && this.collection.map.has(key) && this.collection.map.get(key).goal;
+        if (goal) {
+            storage.setProgress(key, goal);
+        }
+
+        logger.log("Achievement unlocked:", key);
+        if (this.root && this.root.hud) {
+            this.root.hud.signals.notification.dispatch(
+                T.ingame.notifications.achievementUnlocked.replace(
+                    "<achievement>",
+                    T.achievements.entries[key].title
+                ),
+                enumNotificationType.success
+            );
+        }
+
+        return storage.writeAsync();
+    }
+}
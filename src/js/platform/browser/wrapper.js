@@ -6,6 +6,7 @@ import { GamedistributionAdProvider } from "../ad_providers/gamedistribution";
 import { NoAdProvider } from "../ad_providers/no_ad_provider";
 import { SteamAchievementProvider } from "../electron/steam_achievement_provider";
 import { PlatformWrapperInterface } from "../wrapper";
+import { LocalAchievementProvider } from "./local_achievement_provider";
 import { NoAchievementProvider } from "./no_achievement_provider";
 import { StorageImplBrowser } from "./storage";
 import { StorageImplBrowserIndexedDB } from "./storage_indexed_db";
@@ -210,6 +211,7 @@ export class PlatformWrapperImplBrowser extends PlatformWrapperInterface {
             });
         }
 
+        this.app.achievementProvider = new LocalAchievementProvider(this.app);
         return this.app.achievementProvider.initialize();
     }
 
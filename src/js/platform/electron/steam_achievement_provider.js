@@ -74,9 +74,17 @@ export class SteamAchievementProvider extends AchievementProviderInterface {
         logger.log("Collection created with", this.collection.map.size, "achievements");
     }
 
-    /** @returns {boolean} */
+    /**
+     * Only true once steam is initialized, initialize() also resolves without steam
+     * @returns {boolean}
+     */
     hasAchievements() {
-        return true;
+        return this.initialized;
+    }
+
+    /** @returns {boolean} */
+    hasLocalProgress() {
+        return false;
     }
 
     /**
@@ -1,4 +1,4 @@
-import { NoAchievementProvider } from "../browser/no_achievement_provider";
+import { LocalAchievementProvider } from "../browser/local_achievement_provider";
 import { PlatformWrapperImplBrowser } from "../browser/wrapper";
 import { getIPCRenderer } from "../../core/utils";
 import { createLogger } from "../../core/logging";
@@ -63,11 +63,23 @@ export class PlatformWrapperImplElectron extends PlatformWrapperImplBrowser {
     }
 
     initializeAchievementProvider() {
-        return this.app.achievementProvider.initialize().catch(err => {
-            logger.error("Failed to initialize achievement provider, disabling:", err);
+        return this.app.achievementProvider.initialize().then(
+            () => {
+                if (!this.app.achievementProvider.hasAchievements()) {
+                    logger.warn("Steam achievements are unavailable, tracking locally");
+                    return this.useLocalAchievementProvider();
+                }
+            },
+            err => {
+                logger.error("Failed to initialize achievement provider, tracking locally:", err);
+                return this.useLocalAchievementProvider();
+            }
+        );
+    }
 
-            this.app.achievementProvider = new NoAchievementProvider(this.app);
-        });
+    useLocalAchievementProvider() {
+        this.app.achievementProvider = new LocalAchievementProvider(this.app);
+        return this.app.achievementProvider.initialize();
     }
 
     initializeDlcStatus() {
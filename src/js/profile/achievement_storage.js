@@ -0,0 +1,129 @@
+import { ExplainedResult } from "../core/explained_result";
+import { ReadWriteProxy } from "../core/read_write_proxy";
+
+/**
+ * @typedef {{
+ *   version: number,
+ *   unlocked: Object<string, number>,
+ *   progress: Object<string, number>
+ * }} AchievementStorageData
+ */
+
+/**
+ * Stores unlocked achievements and the progress towards counted achievements, for builds
+ * where achievements are not tracked by a platform like Steam
+ */
+export class AchievementStorage extends ReadWriteProxy {
+    constructor(app) {
+        super(app, "achievements.bin");
+
+        /** @type {AchievementStorageData} */
+        this.currentData = this.getDefaultData();
+    }
+
+    // RW Proxy Impl
+    /**
+     * @returns {AchievementStorageData}
+     */
+    getDefaultData() {
+        return {
+            version: this.getCurrentVersion(),
+            unlocked: {},
+            progress: {},
+        };
+    }
+
+    getCurrentVersion() {
+        return 1;
+    }
+
+    /**
+     * @param {AchievementStorageData} data
+     */
+    verify(data) {
+        if (!data || typeof data.unlocked !== "object" || typeof data.progress !== "object") {
+            return ExplainedResult.bad("Bad achievement data");
+        }
+
+        for (const key in data.unlocked) {
+            if (!Number.isFinite(data.unlocked[key])) {
+                return ExplainedResult.bad("Bad unlock date for " + key);
+            }
+        }
+
+        for (const key in data.progress) {
+            if (!Number.isFinite(data.progress[key])) {
+                return ExplainedResult.bad("Bad progress for " + key);
+            }
+        }
+
+        return ExplainedResult.good();
+    }
+
+    /**
+     * @param {AchievementStorageData} data
+     */
+    migrate(data) {
+        return ExplainedResult.good();
+    }
+
+    // End rw proxy
+
+    initialize() {
+        // Read and directly write latest data back
+        return this.readAsync().then(() => this.writeAsync());
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    isUnlocked(key) {
+        return this.currentData.unlocked[key] !== undefined;
+    }
+
+    /**
+     * Returns when the achievement got unlocked, or null if it is still locked
+     * @param {string} key
+     * @returns {number|null}
+     */
+    getUnlockDate(key) {
+        return this.isUnlocked(key) ? this.currentData.unlocked[key] : null;
+    }
+
+    /**
+     * Marks the achievement as unlocked and returns whether it was locked before
+     * @param {string} key
+     * @returns {boolean}
+     */
+    unlock(key) {
+        if (this.isUnlocked(key)) {
+            return false;
+        }
+        this.currentData.unlocked[key] = new Date().getTime();
+        return true;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {number}
+     */
+    getProgress(key) {
+        return this.currentData.progress[key] || 0;
+    }
+
+    /**
+     * Stores the progress towards a counted achievement. Progress is shared by all savegames,
+     * so only the best value is kept. Returns whether the progress increased.
+     * @param {string} key
+     * @param {number} value
+     * @returns {boolean}
+     */
+    setProgress(key, value) {
+        if (!Number.isFinite(value) || value <= this.getProgress(key)) {
+            return false;
+        }
+        this.currentData.progress[key] = value;
+        return true;
+    }
+}
@@ -3,7 +3,7 @@ import { Application } from "../application";
 /* typehints:end */
 
 import { ReadWriteProxy } from "../core/read_write_proxy";
-import { BoolSetting, EnumSetting, RangeSetting, BaseSetting } from "./setting_types";
+import { BoolSetting, EnumSetting, RangeSetting, BaseSetting, TextSetting } from "./setting_types";
 import { createLogger } from "../core/logging";
 import { ExplainedResult } from "../core/explained_result";
 import { THEMES, applyGameTheme } from "../game/theme";
@@ -20,6 +20,7 @@ export const enumCategories = {
     userInterface: "userInterface",
     performance: "performance",
     advanced: "advanced",
+    mods: "mods",
 };
 
 export const uiScales = [
@@ -95,6 +96,29 @@ export const movementSpeeds = [
     },
 ];
 
+export const savegameBackupCounts = [
+    {
+        id: "disabled",
+        count: 0,
+    },
+    {
+        id: "one",
+        count: 1,
+    },
+    {
+        id: "three",
+        count: 3,
+    },
+    {
+        id: "five",
+        count: 5,
+    },
+    {
+        id: "ten",
+        count: 10,
+    },
+];
+
 export const autosaveIntervals = [
     {
         id: "one_minute",
@@ -234,6 +258,14 @@ export const allApplicationSettings = [
             (app, id) => null,
     }),
 
+    new EnumSetting("savegameBackups", {
+        options: savegameBackupCounts,
+        valueGetter: backups => backups.id,
+        textGetter: backups => T.settings.labels.savegameBackups.counts[backups.id],
+        category: enumCategories.advanced,
+        restartRequired: false,
+    }),
+
     new EnumSetting("scrollWheelSensitivity", {
         options: scrollWheelSensitivities.sort((a, b) => a.scale - b.scale),
         valueGetter: scale => scale.id,
@@ -269,6 +301,15 @@ export const allApplicationSettings = [
     new BoolSetting("pickMinerOnPatch", enumCategories.advanced, (app, value) => {}),
     new RangeSetting("mapResourcesScale", enumCategories.advanced, () => null),
 
+    new TextSetting("puzzleServer", {
+        category: enumCategories.advanced,
+        validator: url => url === "" || /^https?:\/\/[^\s/]+(\/\S*)?$/.test(url),
+        textGetter: url => url || T.settings.labels.puzzleServer.official,
+        changeCb: /**
+         * @param {Application} app
+         */ (app, url) => app.clientApi.logout(),
+    }),
+
     new EnumSetting("refreshRate", {
         options: refreshRateOptions,
         valueGetter: rate => rate,
@@ -291,6 +332,24 @@ export function getApplicationSettingById(id) {
     return allApplicationSettings.find(setting => setting.id === id);
 }
 
+/**
+ * Default values of the settings registered by mods
+ * @type {Object.<string, any>}
+ */
+const modSettingDefaults = {};
+
+/**
+ * Registers an additional setting, must be called before the settings are initialized
+ * @param {BaseSetting} setting
+ * @param {any} defaultValue
+ */
+export function registerModSetting(setting, defaultValue) {
+    assertAlways(!getApplicationSettingById(setting.id), "Duplicate setting id: " + setting.id);
+    assertAlways(setting.validate(defaultValue), "Bad default value for setting " + setting.id);
+    allApplicationSettings.push(setting);
+    modSettingDefaults[setting.id] = defaultValue;
+}
+
 class SettingsStorage {
     constructor() {
         this.uiScale = "regular";
@@ -305,6 +364,7 @@ class SettingsStorage {
         this.movementSpeed = "regular";
         this.language = "auto-detect";
         this.autosaveInterval = "two_minutes";
+        this.savegameBackups = "three";
 
         this.alwaysMultiplace = false;
         this.offerHints = true;
@@ -327,6 +387,11 @@ class SettingsStorage {
         this.zoomToCursor = true;
         this.mapResourcesScale = 0.5;
 
+        /**
+         * Url of a self hosted puzzle server, empty for the official one
+         */
+        this.puzzleServer = "";
+
         /**
          * @type {Object.<string, number>}
          */
@@ -343,8 +408,15 @@ export class ApplicationSettings extends ReadWriteProxy {
         // Read and directly write latest data back
         return this.readAsync()
             .then(() => {
-                // Apply default setting callbacks
+                // Settings of mods which were installed after the settings were saved
                 const settings = this.getAllSettings();
+                for (const id in modSettingDefaults) {
+                    if (!settings.hasOwnProperty(id)) {
+                        settings[id] = modSettingDefaults[id];
+                    }
+                }
+
+                // Apply default setting callbacks
                 for (let i = 0; i < allApplicationSettings.length; ++i) {
                     const handle = allApplicationSettings[i];
                     handle.apply(this.app, settings[handle.id]);
@@ -431,6 +503,21 @@ export class ApplicationSettings extends ReadWriteProxy {
         return 120;
     }
 
+    /**
+     * Returns how many backups are kept per savegame
+     * @returns {number}
+     */
+    getSavegameBackupCount() {
+        const id = this.getAllSettings().savegameBackups;
+        for (let i = 0; i < savegameBackupCounts.length; ++i) {
+            if (savegameBackupCounts[i].id === id) {
+                return savegameBackupCounts[i].count;
+            }
+        }
+        logger.error("Unknown savegame backup count id:", id);
+        return 3;
+    }
+
     getIsFullScreen() {
         return this.getAllSettings().fullscreen;
     }
@@ -511,6 +598,10 @@ export class ApplicationSettings extends ReadWriteProxy {
         for (let i = 0; i < allApplicationSettings.length; ++i) {
             const setting = allApplicationSettings[i];
             const storedValue = settings[setting.id];
+            if (storedValue === undefined && modSettingDefaults.hasOwnProperty(setting.id)) {
+                // Gets initialized with the default value
+                continue;
+            }
             if (!setting.validate(storedValue)) {
                 return ExplainedResult.bad(
                     "Bad setting value for " +
@@ -536,7 +627,7 @@ export class ApplicationSettings extends ReadWriteProxy {
     }
 
     getCurrentVersion() {
-        return 30;
+        return 32;
     }
 
     /** @param {{settings: SettingsStorage, version: number}} data */
@@ -683,6 +774,16 @@ export class ApplicationSettings extends ReadWriteProxy {
             data.version = 30;
         }
 
+        if (data.version < 31) {
+            data.settings.puzzleServer = "";
+            data.version = 31;
+        }
+
+        if (data.version < 32) {
+            data.settings.savegameBackups = "three";
+            data.version = 32;
+        }
+
         return ExplainedResult.good();
     }
 }
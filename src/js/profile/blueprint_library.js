@@ -0,0 +1,210 @@
+import { ExplainedResult } from "../core/explained_result";
+import { createLogger } from "../core/logging";
+import { ReadWriteProxy } from "../core/read_write_proxy";
+
+const logger = createLogger("blueprint_library");
+
+const Rusha = require("rusha");
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   tags: Array<string>,
+ *   layer: Layer,
+ *   data: string,
+ *   created: number,
+ *   lastUpdate: number
+ * }} BlueprintLibraryEntry
+ *
+ * @typedef {{
+ *   version: number,
+ *   blueprints: Array<BlueprintLibraryEntry>
+ * }} BlueprintLibraryData
+ */
+
+/**
+ * Stores the blueprints the player saved, independent of the savegame. The blueprints
+ * are stored as blueprint strings (see Blueprint.serializeToString), so they are only
+ * parsed once a game is running.
+ */
+export class BlueprintLibrary extends ReadWriteProxy {
+    constructor(app) {
+        super(app, "blueprints.bin");
+
+        /** @type {BlueprintLibraryData} */
+        this.currentData = this.getDefaultData();
+    }
+
+    // RW Proxy Impl
+    /**
+     * @returns {BlueprintLibraryData}
+     */
+    getDefaultData() {
+        return {
+            version: this.getCurrentVersion(),
+            blueprints: [],
+        };
+    }
+
+    getCurrentVersion() {
+        return 1;
+    }
+
+    /**
+     * @param {BlueprintLibraryData} data
+     */
+    verify(data) {
+        if (!data || !Array.isArray(data.blueprints)) {
+            return ExplainedResult.bad("Blueprints are not an array");
+        }
+
+        for (let i = 0; i < data.blueprints.length; ++i) {
+            const entry = data.blueprints[i];
+            if (
+                typeof entry.id !== "string" ||
+                typeof entry.name !== "string" ||
+                typeof entry.data !== "string" ||
+                !Array.isArray(entry.tags)
+            ) {
+                return ExplainedResult.bad("Bad blueprint entry: " + JSON.stringify(entry));
+            }
+        }
+
+        return ExplainedResult.good();
+    }
+
+    /**
+     * @param {BlueprintLibraryData} data
+     */
+    migrate(data) {
+        return ExplainedResult.good();
+    }
+
+    // End rw proxy
+
+    initialize() {
+        // Read and directly write latest data back
+        return this.readAsync().then(() => this.writeAsync());
+    }
+
+    /**
+     * Returns all stored blueprints, most recently updated first
+     * @returns {Array<BlueprintLibraryEntry>}
+     */
+    getEntries() {
+        return this.currentData.blueprints.slice().sort((a, b) => b.lastUpdate - a.lastUpdate);
+    }
+
+    /**
+     * Returns all tags which are used by at least one blueprint
+     * @returns {Array<string>}
+     */
+    getAllTags() {
+        const tags = new Set();
+        this.currentData.blueprints.forEach(entry => entry.tags.forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {BlueprintLibraryEntry}
+     */
+    getEntryById(id) {
+        const entry = this.currentData.blueprints.find(entry => entry.id === id);
+        if (!entry) {
+            logger.error("Blueprint not found:", id);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Adds a new blueprint to the library
+     * @param {object} param0
+     * @param {string} param0.name
+     * @param {Layer} param0.layer
+     * @param {string} param0.data The blueprint string
+     * @param {Array<string>=} param0.tags
+     * @returns {Promise<BlueprintLibraryEntry>}
+     */
+    addEntry({ name, layer, data, tags = [] }) {
+        /** @type {BlueprintLibraryEntry} */
+        const entry = {
+            id: this.generateId(),
+            name,
+            tags: BlueprintLibrary.normalizeTags(tags),
+            layer,
+            data,
+            created: Date.now(),
+            lastUpdate: Date.now(),
+        };
+        this.currentData.blueprints.push(entry);
+        return this.writeAsync().then(() => entry);
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} name
+     */
+    renameEntry(id, name) {
+        return this.updateEntry(id, entry => (entry.name = name));
+    }
+
+    /**
+     * @param {string} id
+     * @param {Array<string>} tags
+     */
+    setEntryTags(id, tags) {
+        return this.updateEntry(id, entry => (entry.tags = BlueprintLibrary.normalizeTags(tags)));
+    }
+
+    /**
+     * @param {string} id
+     */
+    deleteEntry(id) {
+        const index = this.currentData.blueprints.findIndex(entry => entry.id === id);
+        if (index < 0) {
+            logger.warn("Tried to delete unknown blueprint", id);
+            return Promise.resolve();
+        }
+        this.currentData.blueprints.splice(index, 1);
+        return this.writeAsync();
+    }
+
+    /**
+     * @param {string} id
+     * @param {function(BlueprintLibraryEntry) : void} modifier
+     */
+    updateEntry(id, modifier) {
+        const entry = this.getEntryById(id);
+        if (!entry) {
+            return Promise.resolve();
+        }
+        modifier(entry);
+        entry.lastUpdate = Date.now();
+        return this.writeAsync();
+    }
+
+    /**
+     * Trims the given tags and removes empty and duplicate ones
+     * @param {Array<string>} tags
+     * @returns {Array<string>}
+     */
+    static normalizeTags(tags) {
+        const result = [];
+        for (let i = 0; i < tags.length; ++i) {
+            const tag = tags[i].trim().toLowerCase();
+            if (tag.length > 0 && result.indexOf(tag) < 0) {
+                result.push(tag);
+            }
+        }
+        return result;
+    }
+
+    generateId() {
+        return Rusha.createHash()
+            .update(Date.now() + "/" + Math.random())
+            .digest("hex");
+    }
+}
@@ -0,0 +1,273 @@
+import { ExplainedResult } from "../core/explained_result";
+import { createLogger } from "../core/logging";
+import { ReadWriteProxy } from "../core/read_write_proxy";
+import { ShapeDefinition } from "../game/shape_definition";
+
+const logger = createLogger("puzzle_library");
+
+const Rusha = require("rusha");
+
+/**
+ * Extension of exported puzzle files
+ */
+export const PUZZLE_FILE_EXTENSION = ".puzzle";
+
+/**
+ * Identifies exported puzzle files, so other json files are rejected with a proper error
+ */
+const PUZZLE_FILE_FORMAT = "shapez-puzzle";
+
+/**
+ * @typedef {import("../savegame/savegame_typedefs").PuzzleGameData} PuzzleGameData
+ * @typedef {import("../savegame/savegame_typedefs").PuzzleMetadata} PuzzleMetadata
+ *
+ * @typedef {{
+ *   format: string,
+ *   version: number,
+ *   title: string,
+ *   shortKey: string,
+ *   game: PuzzleGameData
+ * }} PuzzleFile
+ *
+ * @typedef {{
+ *   id: string,
+ *   title: string,
+ *   shortKey: string,
+ *   game: PuzzleGameData,
+ *   imported: number,
+ *   completed: boolean,
+ *   bestBuildingCount: number|null,
+ *   bestTime: number|null
+ * }} PuzzleLibraryEntry
+ *
+ * @typedef {{
+ *   version: number,
+ *   puzzles: Array<PuzzleLibraryEntry>
+ * }} PuzzleLibraryData
+ */
+
+/**
+ * Stores imported puzzles together with the best result of the player, so puzzles can be
+ * played without the puzzle server
+ */
+export class PuzzleLibrary extends ReadWriteProxy {
+    constructor(app) {
+        super(app, "puzzles.bin");
+
+        /** @type {PuzzleLibraryData} */
+        this.currentData = this.getDefaultData();
+    }
+
+    // RW Proxy Impl
+    /**
+     * @returns {PuzzleLibraryData}
+     */
+    getDefaultData() {
+        return {
+            version: this.getCurrentVersion(),
+            puzzles: [],
+        };
+    }
+
+    getCurrentVersion() {
+        return 1;
+    }
+
+    /**
+     * @param {PuzzleLibraryData} data
+     */
+    verify(data) {
+        if (!data || !Array.isArray(data.puzzles)) {
+            return ExplainedResult.bad("Puzzles are not an array");
+        }
+
+        for (let i = 0; i < data.puzzles.length; ++i) {
+            const entry = data.puzzles[i];
+            if (typeof entry.id !== "string" || typeof entry.title !== "string" || !entry.game) {
+                return ExplainedResult.bad("Bad puzzle entry: " + JSON.stringify(entry));
+            }
+        }
+
+        return ExplainedResult.good();
+    }
+
+    /**
+     * @param {PuzzleLibraryData} data
+     */
+    migrate(data) {
+        return ExplainedResult.good();
+    }
+
+    // End rw proxy
+
+    initialize() {
+        // Read and directly write latest data back
+        return this.readAsync().then(() => this.writeAsync());
+    }
+
+    /**
+     * Returns all puzzles, most recently imported first
+     * @returns {Array<PuzzleLibraryEntry>}
+     */
+    getEntries() {
+        return this.currentData.puzzles.slice().sort((a, b) => b.imported - a.imported);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {PuzzleLibraryEntry}
+     */
+    getEntryById(id) {
+        const entry = this.currentData.puzzles.find(entry => entry.id === id);
+        if (!entry) {
+            logger.error("Puzzle not found:", id);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Adds the puzzle of an exported file to the library
+     * @param {PuzzleFile} file
+     * @returns {Promise<PuzzleLibraryEntry>}
+     */
+    addEntry(file) {
+        /** @type {PuzzleLibraryEntry} */
+        const entry = {
+            id: this.generateId(),
+            title: file.title,
+            shortKey: file.shortKey,
+            game: file.game,
+            imported: Date.now(),
+            completed: false,
+            bestBuildingCount: null,
+            bestTime: null,
+        };
+        this.currentData.puzzles.push(entry);
+        return this.writeAsync().then(() => entry);
+    }
+
+    /**
+     * @param {string} id
+     */
+    deleteEntry(id) {
+        const index = this.currentData.puzzles.findIndex(entry => entry.id === id);
+        if (index < 0) {
+            logger.warn("Tried to delete unknown puzzle", id);
+            return Promise.resolve();
+        }
+        this.currentData.puzzles.splice(index, 1);
+        return this.writeAsync();
+    }
+
+    /**
+     * Marks the puzzle as completed and keeps the best result
+     * @param {string} id
+     * @param {object} param0
+     * @param {number} param0.buildingCount How many buildings the player placed
+     * @param {number} param0.time Seconds it took to complete the puzzle
+     */
+    recordCompletion(id, { buildingCount, time }) {
+        const entry = this.getEntryById(id);
+        if (!entry) {
+            return Promise.resolve();
+        }
+        entry.completed = true;
+        if (entry.bestBuildingCount === null || buildingCount < entry.bestBuildingCount) {
+            entry.bestBuildingCount = buildingCount;
+        }
+        if (entry.bestTime === null || time < entry.bestTime) {
+            entry.bestTime = time;
+        }
+        return this.writeAsync();
+    }
+
+    /**
+     * Returns the metadata the puzzle is played with
+     * @param {PuzzleLibraryEntry} entry
+     * @returns {PuzzleMetadata}
+     */
+    static getMetadata(entry) {
+        return {
+            id: 0,
+            localId: entry.id,
+            shortKey: entry.shortKey,
+            likes: 0,
+            downloads: 0,
+            completions: 0,
+            difficulty: null,
+            averageTime: null,
+            title: entry.title,
+            author: "",
+            completed: entry.completed,
+        };
+    }
+
+    /**
+     * Creates the contents of an exported puzzle file
+     * @param {object} param0
+     * @param {string} param0.title
+     * @param {string} param0.shortKey Shape which is shown as the icon of the puzzle
+     * @param {PuzzleGameData} param0.game
+     * @returns {string}
+     */
+    static serializePuzzleFile({ title, shortKey, game }) {
+        /** @type {PuzzleFile} */
+        const file = {
+            format: PUZZLE_FILE_FORMAT,
+            version: 1,
+            title,
+            shortKey,
+            game,
+        };
+        return JSON.stringify(file);
+    }
+
+    /**
+     * Parses an exported puzzle file, throws if it is invalid. The buildings are only checked
+     * once the puzzle gets loaded.
+     * @param {string} text
+     * @returns {PuzzleFile}
+     */
+    static parsePuzzleFile(text) {
+        /** @type {PuzzleFile} */
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (ex) {
+            throw new Error("Not a puzzle file");
+        }
+
+        if (!file || file.format !== PUZZLE_FILE_FORMAT) {
+            throw new Error("Not a puzzle file");
+        }
+        if (file.version !== 1) {
+            throw new Error("Unsupported puzzle file version: " + file.version);
+        }
+        if (typeof file.title !== "string") {
+            throw new Error("Puzzle has no title");
+        }
+        if (!ShapeDefinition.isValidShortKey(file.shortKey)) {
+            throw new Error("Invalid puzzle icon: " + file.shortKey);
+        }
+
+        const game = file.game;
+        if (
+            !game ||
+            !game.bounds ||
+            !Number.isInteger(game.bounds.w) ||
+            !Number.isInteger(game.bounds.h) ||
+            !Array.isArray(game.buildings) ||
+            !Array.isArray(game.excludedBuildings)
+        ) {
+            throw new Error("Invalid puzzle data");
+        }
+        return file;
+    }
+
+    generateId() {
+        return Rusha.createHash()
+            .update(Date.now() + "/" + Math.random())
+            .digest("hex");
+    }
+}
@@ -3,6 +3,8 @@ import { Application } from "../application";
 /* typehints:end */
 
 import { createLogger } from "../core/logging";
+import { DialogWithForm } from "../core/modal_dialog_elements";
+import { FormElementInput } from "../core/modal_dialog_forms";
 import { T } from "../translations";
 
 const logger = createLogger("setting_types");
@@ -363,3 +365,76 @@ export class RangeSetting extends BaseSetting {
         return typeof value === "number" && value >= this.minValue && value <= this.maxValue;
     }
 }
+
+export class TextSetting extends BaseSetting {
+    /**
+     * @param {string} id
+     * @param {object} param0
+     * @param {string} param0.category
+     * @param {function(string) : boolean=} param0.validator
+     * @param {function(string) : string=} param0.textGetter Text which is shown for the value
+     * @param {function(Application, any):void=} param0.changeCb
+     * @param {function(Application) : boolean=} param0.enabledCb
+     */
+    constructor(id, { category, validator = null, textGetter = null, changeCb = null, enabledCb = null }) {
+        super(id, category, changeCb, enabledCb);
+
+        this.validator = validator || (() => true);
+        this.textGetter = textGetter || (value => value);
+    }
+
+    /**
+     * @param {Application} app
+     */
+    getHtml(app) {
+        const available = this.getIsAvailable(app);
+        return `
+            <div class="setting cardbox ${available ? "enabled" : "disabled"}">
+                ${available ? "" : `<span class="standaloneOnlyHint">${T.demo.settingNotAvailable}</span>`}
+                <div class="row">
+                    <label>${T.settings.labels[this.id].title}</label>
+                    <div class="value enum" data-setting="${this.id}"></div>
+                </div>
+                <div class="desc">
+                    ${T.settings.labels[this.id].description}
+                </div>
+            </div>`;
+    }
+
+    syncValueToElement() {
+        this.element.innerText = this.textGetter(this.app.settings.getSetting(this.id));
+    }
+
+    modify() {
+        const input = new FormElementInput({
+            id: this.id,
+            label: null,
+            placeholder: "",
+            defaultValue: this.app.settings.getSetting(this.id),
+            validator: value => this.validator(value.trim()),
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.app,
+            title: T.settings.labels[this.id].title,
+            desc: T.settings.labels[this.id].description,
+            formElements: [input],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+        });
+        this.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            const value = input.getValue().trim();
+            this.app.settings.updateSetting(this.id, value);
+            this.syncValueToElement();
+
+            if (this.changeCb) {
+                this.changeCb(this.app, value);
+            }
+        });
+    }
+
+    validate(value) {
+        return typeof value === "string" && this.validator(value);
+    }
+}
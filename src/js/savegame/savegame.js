@@ -5,6 +5,7 @@ import { BaseSavegameInterface } from "./savegame_interface";
 import { createLogger } from "../core/logging";
 import { globalConfig } from "../core/config";
 import { getSavegameInterface, savegameInterfaces } from "./savegame_interface_registry";
+import { computeDumpChecksums, findCorruptedSections } from "./savegame_integrity";
 import { SavegameInterface_V1001 } from "./schemas/1001";
 import { SavegameInterface_V1002 } from "./schemas/1002";
 import { SavegameInterface_V1003 } from "./schemas/1003";
@@ -14,6 +15,12 @@ import { SavegameInterface_V1006 } from "./schemas/1006";
 import { SavegameInterface_V1007 } from "./schemas/1007";
 import { SavegameInterface_V1008 } from "./schemas/1008";
 import { SavegameInterface_V1009 } from "./schemas/1009";
+import { SavegameInterface_V1010 } from "./schemas/1010";
+import { SavegameInterface_V1011 } from "./schemas/1011";
+import { SavegameInterface_V1012 } from "./schemas/1012";
+import { SavegameInterface_V1013 } from "./schemas/1013";
+import { decodeEntitiesBinary, encodeEntitiesBinary } from "./savegame_binary";
+import { isBinaryCompressionSupported } from "../core/async_compression";
 
 const logger = createLogger("savegame");
 
@@ -22,7 +29,9 @@ const logger = createLogger("savegame");
  * @typedef {import("../game/root").GameRoot} GameRoot
  * @typedef {import("./savegame_typedefs").SavegameData} SavegameData
  * @typedef {import("./savegame_typedefs").SavegameMetadata} SavegameMetadata
+ * @typedef {import("./savegame_typedefs").SavegameBackupMetadata} SavegameBackupMetadata
  * @typedef {import("./savegame_typedefs").SavegameStats} SavegameStats
+ * @typedef {import("./savegame_typedefs").SavegameModInfo} SavegameModInfo
  * @typedef {import("./savegame_typedefs").SerializedGame} SerializedGame
  */
 
@@ -42,6 +51,12 @@ export class Savegame extends ReadWriteProxy {
         /** @type {SavegameData} */
         this.currentData = this.getDefaultData();
 
+        /**
+         * The backup which got loaded because the savegame itself could not be read
+         * @type {SavegameBackupMetadata|null}
+         */
+        this.restoredBackup = null;
+
         assert(
             savegameInterfaces[Savegame.getCurrentVersion()],
             "Savegame interface not defined: " + Savegame.getCurrentVersion()
@@ -54,7 +69,7 @@ export class Savegame extends ReadWriteProxy {
      * @returns {number}
      */
     static getCurrentVersion() {
-        return 1009;
+        return 1013;
     }
 
     /**
@@ -85,6 +100,7 @@ export class Savegame extends ReadWriteProxy {
                 usedInverseRotater: false,
             },
             lastUpdate: Date.now(),
+            mods: [],
         };
     }
 
@@ -142,9 +158,91 @@ export class Savegame extends ReadWriteProxy {
             data.version = 1009;
         }
 
+        if (data.version === 1009) {
+            SavegameInterface_V1010.migrate1009to1010(data);
+            data.version = 1010;
+        }
+
+        if (data.version === 1010) {
+            SavegameInterface_V1011.migrate1010to1011(data);
+            data.version = 1011;
+        }
+
+        if (data.version === 1011) {
+            SavegameInterface_V1012.migrate1011to1012(data);
+            data.version = 1012;
+        }
+
+        if (data.version === 1012) {
+            SavegameInterface_V1013.migrate1012to1013(data);
+            data.version = 1013;
+        }
+
         return ExplainedResult.good();
     }
 
+    /**
+     * Stores the entities in the binary format as attachment, since they make up most of the
+     * savegame. Without the Compression Streams API they are stored as json.
+     * @param {SavegameData} data
+     * @returns {{ data: object, attachment: Uint8Array|null }}
+     */
+    encodeForStorage(data) {
+        if (!data.dump) {
+            return { data, attachment: null };
+        }
+
+        // Entities which were never decoded (e.g. when exporting the savegame) are stored as they are
+        let attachment = data.dump.entitiesBinary;
+        if (!attachment) {
+            if (!isBinaryCompressionSupported()) {
+                return { data, attachment: null };
+            }
+
+            try {
+                attachment = encodeEntitiesBinary(data.dump.entities);
+            } catch (ex) {
+                logger.error("Failed to encode entities, storing them as json:", ex);
+
+                // The checksums expected the entities to be stored in the binary format
+                if (data.checksums && data.checksums.version === data.version) {
+                    const checksums = computeDumpChecksums(data.dump, data.version);
+                    return { data: Object.assign({}, data, { checksums }), attachment: null };
+                }
+                return { data, attachment: null };
+            }
+        }
+
+        const dump = Object.assign({}, data.dump);
+        delete dump.entities;
+        delete dump.entitiesBinary;
+        return { data: Object.assign({}, data, { dump }), attachment };
+    }
+
+    /**
+     * Restores the entities from the binary format. Savegames before 1013, and savegames
+     * written without the Compression Streams API, store them as json.
+     *
+     * Decoding the entities of big savegames takes a while, so they are kept as dump.entitiesBinary
+     * and only get decoded while the game loads (see SavegameSerializer.deserializeAsync). Only
+     * migrations and the recovery of damaged savegames need them upfront.
+     * @param {any} data
+     * @param {Uint8Array|null} attachment
+     * @param {boolean} lenient
+     */
+    decodeFromStorage(data, attachment, lenient) {
+        const dump = data && data.dump;
+        if (!dump || !attachment) {
+            return;
+        }
+
+        if (lenient || data.version !== this.getCurrentVersion()) {
+            dump.entities = decodeEntitiesBinary(attachment, lenient);
+        } else {
+            dump.entitiesBinary = attachment;
+        }
+    }
+
     /**
      * Verifies the savegames data
      * @param {SavegameData} data
@@ -178,6 +276,14 @@ export class Savegame extends ReadWriteProxy {
         return this.currentData.stats;
     }
 
+    /**
+     * Returns the mods which were active when the savegame was last saved
+     * @returns {Array<SavegameModInfo>}
+     */
+    getMods() {
+        return this.currentData.mods || [];
+    }
+
     /**
      * Returns the *real* last update of the savegame, not the one of the metadata
      * which could also be the servers one
@@ -190,7 +296,8 @@ export class Savegame extends ReadWriteProxy {
      * Returns if this game has a serialized game dump
      */
     hasGameDump() {
-        return !!this.currentData.dump && this.currentData.dump.entities.length > 0;
+        const dump = this.currentData.dump;
+        return !!dump && (!!dump.entitiesBinary || dump.entities.length > 0);
     }
 
     /**
@@ -251,6 +358,12 @@ export class Savegame extends ReadWriteProxy {
         shadowData.dump = dump;
         shadowData.lastUpdate = new Date().getTime();
         shadowData.version = this.getCurrentVersion();
+        shadowData.mods = root.app.modLoader.getSavegameModInfo();
+        shadowData.checksums = computeDumpChecksums(
+            dump,
+            shadowData.version,
+            !isBinaryCompressionSupported()
+        );
 
         const reader = this.getDumpReaderForExternalData(shadowData);
 
@@ -267,10 +380,12 @@ export class Savegame extends ReadWriteProxy {
     }
 
     /**
-     * Writes the savegame as well as its metadata
+     * Writes the savegame as well as its metadata, and rotates the backups
      */
     writeSavegameAndMetadata() {
-        return this.writeAsync().then(() => this.saveMetadata());
+        return this.writeAsync()
+            .then(() => this.app.savegameMgr.rotateBackups(this))
+            .then(() => this.saveMetadata());
     }
 
     /**
@@ -288,6 +403,61 @@ export class Savegame extends ReadWriteProxy {
         return this.app.savegameMgr.writeAsync();
     }
 
+    /**
+     * Reads the savegame, and falls back to the newest valid backup if it is damaged
+     * @see ReadWriteProxy.readAsync
+     * @returns {Promise<any>}
+     */
+    readAsync() {
+        return this.readVerifiedAsync().catch(err => {
+            if (!this.metaDataRef || !this.metaDataRef.backups || this.metaDataRef.backups.length === 0) {
+                throw err;
+            }
+
+            logger.warn("Failed to read savegame, trying backups:", err);
+            return this.app.savegameMgr.readNewestValidBackup(this.metaDataRef).then(backup => {
+                if (!backup) {
+                    throw err;
+                }
+
+                logger.warn("Loaded backup from", new Date(backup.backup.timestamp), "instead");
+                this.currentData = backup.currentData;
+                this.restoredBackup = backup.backup;
+                return this.currentData;
+            });
+        });
+    }
+
+    /**
+     * Reads the savegame and additionally checks the checksums of the dump sections
+     * @returns {Promise<any>}
+     */
+    readVerifiedAsync() {
+        return super.readAsync().then(contents => {
+            const corrupted = findCorruptedSections(this.currentData);
+            if (corrupted.length > 0) {
+                this.currentData = this.getDefaultData();
+                throw "Failed to read " + this.filename + ": checksum-mismatch in " + corrupted.join(", ");
+            }
+            return contents;
+        });
+    }
+
+    /**
+     * Reads the savegame even if it is damaged, ignoring checksums and verification, so it
+     * can be recovered with SavegameRecovery
+     * @returns {Promise<any>}
+     */
+    readForRecoveryAsync() {
+        return this.readUnverifiedAsync().then(contents => {
+            if (!contents.dump || !Array.isArray(contents.dump.entities)) {
+                throw "Failed to read " + this.filename + ": dump is missing";
+            }
+            this.currentData = contents;
+            return contents;
+        });
+    }
+
     /**
      * @see ReadWriteProxy.writeAsync
      * @returns {Promise<any>}
@@ -0,0 +1,40 @@
+import { Savegame } from "./savegame";
+
+/**
+ * @typedef {import("../application").Application} Application
+ * @typedef {import("./savegame_typedefs").SavegameMetadata} SavegameMetadata
+ * @typedef {import("./savegame_typedefs").SavegameBackupMetadata} SavegameBackupMetadata
+ */
+
+/**
+ * A copy of a savegame at a given time, which is stored next to the savegame. The backups
+ * are rotated by the SavegameManager each time the savegame gets written.
+ */
+export class SavegameBackup extends Savegame {
+    /**
+     * @param {Application} app
+     * @param {object} param0
+     * @param {string} param0.internalId The internal id of the savegame
+     * @param {SavegameMetadata} param0.metaDataRef Handle to the meta data of the savegame
+     * @param {SavegameBackupMetadata} param0.backup
+     */
+    constructor(app, { internalId, metaDataRef, backup }) {
+        super(app, { internalId, metaDataRef });
+        this.filename = "savegame-" + internalId + ".backup-" + backup.timestamp + ".bin";
+        this.backup = backup;
+    }
+
+    /**
+     * Reads the backup without falling back to other backups. Fails if the backup contains no
+     * game, e.g. because its file is missing, so it never replaces the savegame.
+     * @returns {Promise<any>}
+     */
+    readAsync() {
+        return this.readVerifiedAsync().then(contents => {
+            if (!this.hasGameDump()) {
+                throw "Backup " + this.filename + " contains no game";
+            }
+            return contents;
+        });
+    }
+}
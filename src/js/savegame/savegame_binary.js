@@ -0,0 +1,954 @@
+import { gComponentRegistry } from "../core/global_registries";
+import { createLogger } from "../core/logging";
+import { StaticMapEntityComponent } from "../game/components/static_map_entity";
+import { schemaToBinaryLayout } from "./serialization_data_types";
+
+/**
+ * @typedef {import("./serialization_data_types").BinaryLayout} BinaryLayout
+ * @typedef {import("../game/component").StaticComponent} StaticComponent
+ *
+ * @typedef {{
+ *   componentId: string,
+ *   layout: BinaryLayout
+ * }} ComponentSlot
+ *
+ * @typedef {{
+ *   code: number,
+ *   slots: Array<number>
+ * }} EntityArchetype
+ */
+
+const logger = createLogger("savegame_binary");
+
+/**
+ * Increased whenever the binary format changes in an incompatible way
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * All layout kinds, the index is stored in the file
+ */
+const LAYOUT_KINDS = [
+    "any",
+    "int",
+    "uint",
+    "float",
+    "bool",
+    "string",
+    "vector",
+    "nullable",
+    "array",
+    "tuple",
+    "map",
+    "struct",
+    "class",
+    "buildingCode",
+];
+
+/**
+ * Tags of values stored with the "any" layout
+ */
+const enumValueTag = {
+    null: 0,
+    false: 1,
+    true: 2,
+    int: 3,
+    float: 4,
+    string: 5,
+    array: 6,
+    object: 7,
+};
+
+/**
+ * Layouts of the components, derived from their schemas
+ * @type {Map<string, BinaryLayout>}
+ */
+const componentLayoutCache = new Map();
+
+/**
+ * Returns the layout of the serialized data of the given component
+ * @param {string} componentId
+ * @returns {BinaryLayout}
+ */
+function getComponentLayout(componentId) {
+    let layout = componentLayoutCache.get(componentId);
+    if (layout) {
+        return layout;
+    }
+
+    if (!gComponentRegistry.hasId(componentId)) {
+        layout = { kind: "any" };
+    } else {
+        const componentClass = /** @type {StaticComponent} */ (gComponentRegistry.findById(componentId));
+        layout = schemaToBinaryLayout(componentClass.getCachedSchema());
+
+        // The building code is already stored with the archetype of the entity
+        if (componentId === StaticMapEntityComponent.getId()) {
+            layout.fields.code = { kind: "buildingCode" };
+        }
+    }
+
+    componentLayoutCache.set(componentId, layout);
+    return layout;
+}
+
+/**
+ * Returns whether the object has exactly the given keys in the given order, which is required
+ * to restore the same object from the binary data
+ * @param {any} value
+ * @param {Array<string>} keys
+ * @returns {boolean}
+ */
+function hasExactKeys(value, keys) {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        return false;
+    }
+    const actualKeys = Object.keys(value);
+    if (actualKeys.length !== keys.length) {
+        return false;
+    }
+    for (let i = 0; i < keys.length; ++i) {
+        if (actualKeys[i] !== keys[i] || value[keys[i]] === undefined) {
+            return false;
+        }
+    }
+    return true;
+}
+
+class BinaryWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.length = 0;
+        this.floatView = new DataView(new ArrayBuffer(8));
+    }
+
+    /**
+     * Makes sure there is room for the given amount of bytes
+     * @param {number} bytes
+     */
+    reserve(bytes) {
+        if (this.length + bytes > this.buffer.length) {
+            const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + bytes));
+            grown.set(this.buffer.subarray(0, this.length));
+            this.buffer = grown;
+        }
+    }
+
+    /**
+     * @param {number} value
+     */
+    writeByte(value) {
+        this.reserve(1);
+        this.buffer[this.length++] = value;
+    }
+
+    /**
+     * Writes a non-negative integer as varint. Uses arithmetic instead of bit operations,
+     * since those are limited to 32 bits.
+     * @param {number} value
+     */
+    writeUint(value) {
+        this.reserve(8);
+        while (value >= 0x80) {
+            this.buffer[this.length++] = value % 0x80 | 0x80;
+            value = Math.floor(value / 0x80);
+        }
+        this.buffer[this.length++] = value;
+    }
+
+    /**
+     * Writes a signed integer as zigzag encoded varint
+     * @param {number} value
+     */
+    writeInt(value) {
+        this.writeUint(value < 0 ? -value * 2 - 1 : value * 2);
+    }
+
+    /**
+     * @param {number} value
+     */
+    writeFloat(value) {
+        this.floatView.setFloat64(0, value);
+        this.reserve(8);
+        for (let i = 0; i < 8; ++i) {
+            this.buffer[this.length++] = this.floatView.getUint8(i);
+        }
+    }
+
+    /**
+     * @param {string} value
+     */
+    writeString(value) {
+        this.writeUint(value.length);
+        for (let i = 0; i < value.length; ++i) {
+            this.writeUint(value.charCodeAt(i));
+        }
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     */
+    writeBytes(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    getBytes() {
+        return this.buffer.subarray(0, this.length);
+    }
+}
+
+class BinaryReader {
+    /**
+     * @param {Uint8Array} bytes
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+        this.floatView = new DataView(new ArrayBuffer(8));
+    }
+
+    /**
+     * @returns {number}
+     */
+    readByte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error("unexpected end of data");
+        }
+        return this.bytes[this.offset++];
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint() {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            byte = this.readByte();
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 0x80;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    /**
+     * @returns {number}
+     */
+    readInt() {
+        const value = this.readUint();
+        return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    }
+
+    /**
+     * @returns {number}
+     */
+    readFloat() {
+        for (let i = 0; i < 8; ++i) {
+            this.floatView.setUint8(i, this.readByte());
+        }
+        return this.floatView.getFloat64(0);
+    }
+
+    /**
+     * @returns {string}
+     */
+    readString() {
+        const length = this.readUint();
+        const charCodes = new Array(length);
+        for (let i = 0; i < length; ++i) {
+            charCodes[i] = this.readUint();
+        }
+        return String.fromCharCode.apply(null, charCodes);
+    }
+}
+
+/**
+ * Encodes serialized entities into the binary format. All strings are stored once in a table,
+ * component data is stored according to the layout of the component schema, and entities which
+ * share the same building code and components share an archetype. The layouts are stored in
+ * the file, so it can be decoded even after the component schemas changed.
+ */
+class EntityEncoder {
+    constructor() {
+        /** @type {Map<string, number>} */
+        this.stringIndices = new Map();
+
+        /** @type {Array<ComponentSlot>} */
+        this.slots = [];
+
+        /** @type {Map<string, number>} */
+        this.slotIndices = new Map();
+
+        /** @type {Array<EntityArchetype>} */
+        this.archetypes = [];
+
+        /** @type {Map<string, number>} */
+        this.archetypeIndices = new Map();
+
+        /** The building code of the entity which currently gets encoded */
+        this.currentCode = 0;
+
+        this.record = new BinaryWriter();
+    }
+
+    /**
+     * @param {Array<object>} entities
+     * @returns {Uint8Array}
+     */
+    encode(entities) {
+        const body = new BinaryWriter();
+        body.writeUint(entities.length);
+        for (let i = 0; i < entities.length; ++i) {
+            this.record.length = 0;
+            this.encodeEntity(this.record, entities[i]);
+            body.writeUint(this.record.length);
+            body.writeBytes(this.record.getBytes());
+        }
+
+        // Encode the tables first, since they add to the strings
+        const tables = new BinaryWriter();
+        tables.writeUint(this.slots.length);
+        for (let i = 0; i < this.slots.length; ++i) {
+            tables.writeUint(this.internString(this.slots[i].componentId));
+            this.writeLayout(tables, this.slots[i].layout);
+        }
+
+        tables.writeUint(this.archetypes.length);
+        for (let i = 0; i < this.archetypes.length; ++i) {
+            const archetype = this.archetypes[i];
+            tables.writeUint(archetype.code);
+            tables.writeUint(archetype.slots.length);
+            for (let k = 0; k < archetype.slots.length; ++k) {
+                tables.writeUint(archetype.slots[k]);
+            }
+        }
+
+        const result = new BinaryWriter();
+        result.writeUint(FORMAT_VERSION);
+        result.writeUint(this.stringIndices.size);
+        this.stringIndices.forEach((index, value) => result.writeString(value));
+        result.writeBytes(tables.getBytes());
+        result.writeBytes(body.getBytes());
+        return result.getBytes();
+    }
+
+    /**
+     * @param {string} value
+     * @returns {number}
+     */
+    internString(value) {
+        let index = this.stringIndices.get(value);
+        if (index === undefined) {
+            index = this.stringIndices.size;
+            this.stringIndices.set(value, index);
+        }
+        return index;
+    }
+
+    /**
+     * @param {BinaryWriter} writer
+     * @param {BinaryLayout} layout
+     */
+    writeLayout(writer, layout) {
+        writer.writeUint(LAYOUT_KINDS.indexOf(layout.kind));
+        switch (layout.kind) {
+            case "nullable":
+            case "array":
+            case "map":
+            case "class":
+                this.writeLayout(writer, layout.inner);
+                break;
+            case "tuple":
+                writer.writeUint(layout.items.length);
+                for (let i = 0; i < layout.items.length; ++i) {
+                    this.writeLayout(writer, layout.items[i]);
+                }
+                break;
+            case "struct": {
+                const keys = Object.keys(layout.fields);
+                writer.writeUint(keys.length);
+                for (let i = 0; i < keys.length; ++i) {
+                    writer.writeUint(this.internString(keys[i]));
+                    this.writeLayout(writer, layout.fields[keys[i]]);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * @param {BinaryWriter} writer
+     * @param {any} entity
+     */
+    encodeEntity(writer, entity) {
+        if (
+            !hasExactKeys(entity, ["uid", "components"]) ||
+            !Number.isSafeInteger(entity.uid) ||
+            entity.uid < 0
+        ) {
+            throw new Error("Can not encode entity: " + JSON.stringify(entity).substr(0, 100));
+        }
+        writer.writeUint(entity.uid);
+
+        const components = entity.components;
+        const staticData = components.StaticMapEntity;
+        this.currentCode =
+            staticData && Number.isSafeInteger(staticData.code) && staticData.code >= 0 ? staticData.code : 0;
+
+        // Encode the components first, since the archetype depends on which could be stored
+        // with their layout
+        const data = new BinaryWriter();
+        const slots = [];
+        for (const componentId in components) {
+            slots.push(this.encodeComponent(data, componentId, components[componentId]));
+        }
+
+        const archetypeKey = this.currentCode + ":" + slots.join(",");
+        let archetype = this.archetypeIndices.get(archetypeKey);
+        if (archetype === undefined) {
+            archetype = this.archetypes.length;
+            this.archetypes.push({ code: this.currentCode, slots });
+            this.archetypeIndices.set(archetypeKey, archetype);
+        }
+
+        writer.writeUint(archetype);
+        writer.writeBytes(data.getBytes());
+    }
+
+    /**
+     * Encodes the component with the layout of its schema, or stores it with its structure
+     * if its data doesn't match the schema
+     * @param {BinaryWriter} writer
+     * @param {string} componentId
+     * @param {any} data
+     * @returns {number} The slot of the component
+     */
+    encodeComponent(writer, componentId, data) {
+        const layout = getComponentLayout(componentId);
+        if (layout.kind !== "any") {
+            const start = writer.length;
+            try {
+                this.writeValue(writer, layout, data);
+                return this.getSlot(componentId, layout);
+            } catch (ex) {
+                logger.warn("Storing", componentId, "without layout:", ex.message);
+                writer.length = start;
+            }
+        }
+
+        this.writeAny(writer, data);
+        return this.getSlot(componentId, { kind: "any" });
+    }
+
+    /**
+     * @param {string} componentId
+     * @param {BinaryLayout} layout
+     * @returns {number}
+     */
+    getSlot(componentId, layout) {
+        const key = componentId + (layout.kind === "any" ? "/any" : "");
+        let slot = this.slotIndices.get(key);
+        if (slot === undefined) {
+            slot = this.slots.length;
+            this.slots.push({ componentId, layout });
+            this.slotIndices.set(key, slot);
+        }
+        return slot;
+    }
+
+    /**
+     * Writes a value according to its layout, throws if it doesn't match the layout
+     * @param {BinaryWriter} writer
+     * @param {BinaryLayout} layout
+     * @param {any} value
+     */
+    writeValue(writer, layout, value) {
+        switch (layout.kind) {
+            case "int":
+                if (!Number.isSafeInteger(value)) {
+                    throw new Error("Not an integer: " + value);
+                }
+                writer.writeInt(value);
+                break;
+
+            case "uint":
+                if (!Number.isSafeInteger(value) || value < 0) {
+                    throw new Error("Not a positive integer: " + value);
+                }
+                writer.writeUint(value);
+                break;
+
+            case "float":
+                this.writeNumber(writer, value);
+                break;
+
+            case "bool":
+                if (value !== true && value !== false) {
+                    throw new Error("Not a boolean: " + value);
+                }
+                writer.writeByte(value ? 1 : 0);
+                break;
+
+            case "string":
+                if (typeof value !== "string") {
+                    throw new Error("Not a string: " + value);
+                }
+                writer.writeUint(this.internString(value));
+                break;
+
+            case "vector":
+                if (!hasExactKeys(value, ["x", "y"])) {
+                    throw new Error("Not a vector: " + value);
+                }
+                this.writeNumber(writer, value.x);
+                this.writeNumber(writer, value.y);
+                break;
+
+            case "nullable":
+                if (value === null) {
+                    writer.writeByte(0);
+                } else {
+                    writer.writeByte(1);
+                    this.writeValue(writer, layout.inner, value);
+                }
+                break;
+
+            case "array":
+                if (!Array.isArray(value)) {
+                    throw new Error("Not an array: " + value);
+                }
+                writer.writeUint(value.length);
+                for (let i = 0; i < value.length; ++i) {
+                    this.writeValue(writer, layout.inner, value[i]);
+                }
+                break;
+
+            case "tuple":
+                if (!Array.isArray(value) || value.length !== layout.items.length) {
+                    throw new Error("Not a tuple of length " + layout.items.length + ": " + value);
+                }
+                for (let i = 0; i < value.length; ++i) {
+                    this.writeValue(writer, layout.items[i], value[i]);
+                }
+                break;
+
+            case "map": {
+                const keys = Object.keys(value || {});
+                if (!hasExactKeys(value, keys)) {
+                    throw new Error("Not a map: " + value);
+                }
+                writer.writeUint(keys.length);
+                for (let i = 0; i < keys.length; ++i) {
+                    writer.writeUint(this.internString(keys[i]));
+                    this.writeValue(writer, layout.inner, value[keys[i]]);
+                }
+                break;
+            }
+
+            case "struct": {
+                const keys = Object.keys(layout.fields);
+                if (!hasExactKeys(value, keys)) {
+                    throw new Error("Object doesn't match schema: " + JSON.stringify(value));
+                }
+                for (let i = 0; i < keys.length; ++i) {
+                    this.writeValue(writer, layout.fields[keys[i]], value[keys[i]]);
+                }
+                break;
+            }
+
+            case "class":
+                if (!hasExactKeys(value, ["$", "data"]) || typeof value.$ !== "string") {
+                    throw new Error("Not a class instance: " + JSON.stringify(value));
+                }
+                writer.writeUint(this.internString(value.$));
+                this.writeValue(writer, layout.inner, value.data);
+                break;
+
+            case "buildingCode":
+                if (value !== this.currentCode) {
+                    throw new Error("Building code mismatch: " + value);
+                }
+                break;
+
+            default:
+                this.writeAny(writer, value);
+        }
+    }
+
+    /**
+     * Integers are stored as varints, everything else as float
+     * @param {BinaryWriter} writer
+     * @param {any} value
+     */
+    writeNumber(writer, value) {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+            throw new Error("Not a number: " + value);
+        }
+        if (Number.isSafeInteger(value)) {
+            writer.writeByte(0);
+            writer.writeInt(value);
+        } else {
+            writer.writeByte(1);
+            writer.writeFloat(value);
+        }
+    }
+
+    /**
+     * Writes any value together with its structure, the same way JSON would store it
+     * @param {BinaryWriter} writer
+     * @param {any} value
+     */
+    writeAny(writer, value) {
+        if (value === true) {
+            writer.writeByte(enumValueTag.true);
+        } else if (value === false) {
+            writer.writeByte(enumValueTag.false);
+        } else if (typeof value === "number" && Number.isFinite(value)) {
+            if (Number.isSafeInteger(value)) {
+                writer.writeByte(enumValueTag.int);
+                writer.writeInt(value);
+            } else {
+                writer.writeByte(enumValueTag.float);
+                writer.writeFloat(value);
+            }
+        } else if (typeof value === "string") {
+            writer.writeByte(enumValueTag.string);
+            writer.writeUint(this.internString(value));
+        } else if (Array.isArray(value)) {
+            writer.writeByte(enumValueTag.array);
+            writer.writeUint(value.length);
+            for (let i = 0; i < value.length; ++i) {
+                this.writeAny(writer, value[i]);
+            }
+        } else if (typeof value === "object" && value !== null) {
+            // Like JSON, skip undefined values
+            const keys = Object.keys(value).filter(
+                key => value[key] !== undefined && typeof value[key] !== "function"
+            );
+            writer.writeByte(enumValueTag.object);
+            writer.writeUint(keys.length);
+            for (let i = 0; i < keys.length; ++i) {
+                writer.writeUint(this.internString(keys[i]));
+                this.writeAny(writer, value[keys[i]]);
+            }
+        } else {
+            writer.writeByte(enumValueTag.null);
+        }
+    }
+}
+
+/**
+ * Decodes the entities encoded by the EntityEncoder. The entities can be read one by one
+ * after the header, so big savegames can be restored over multiple frames.
+ */
+export class EntityDecoder {
+    /**
+     * @param {Uint8Array} bytes
+     */
+    constructor(bytes) {
+        this.reader = new BinaryReader(bytes);
+
+        /** @type {Array<string>} */
+        this.strings = [];
+
+        /** @type {Array<ComponentSlot>} */
+        this.slots = [];
+
+        /** @type {Array<EntityArchetype>} */
+        this.archetypes = [];
+
+        /** The building code of the entity which currently gets decoded */
+        this.currentCode = 0;
+
+        /** How many entities are left after the header was read */
+        this.remainingEntities = 0;
+    }
+
+    /**
+     * @param {boolean} lenient Whether to skip entities which can't be decoded instead of failing
+     * @returns {Array<object>}
+     */
+    decode(lenient) {
+        this.readHeader();
+
+        const entities = [];
+        while (this.remainingEntities > 0) {
+            const entity = this.readNextEntity(lenient);
+            if (entity) {
+                entities.push(entity);
+            }
+        }
+        return entities;
+    }
+
+    /**
+     * Reads the strings, component layouts and archetypes which precede the entities
+     * @returns {number} The amount of entities
+     */
+    readHeader() {
+        const reader = this.reader;
+
+        const formatVersion = reader.readUint();
+        if (formatVersion !== FORMAT_VERSION) {
+            throw new Error("Unsupported binary format: " + formatVersion);
+        }
+
+        const stringCount = reader.readUint();
+        for (let i = 0; i < stringCount; ++i) {
+            this.strings.push(reader.readString());
+        }
+
+        const slotCount = reader.readUint();
+        for (let i = 0; i < slotCount; ++i) {
+            const componentId = this.readStringRef();
+            this.slots.push({ componentId, layout: this.readLayout() });
+        }
+
+        const archetypeCount = reader.readUint();
+        for (let i = 0; i < archetypeCount; ++i) {
+            const code = reader.readUint();
+            const slots = new Array(reader.readUint());
+            for (let k = 0; k < slots.length; ++k) {
+                slots[k] = reader.readUint();
+                if (!this.slots[slots[k]]) {
+                    throw new Error("Invalid component slot: " + slots[k]);
+                }
+            }
+            this.archetypes.push({ code, slots });
+        }
+
+        this.remainingEntities = reader.readUint();
+        return this.remainingEntities;
+    }
+
+    /**
+     * Reads the next entity, requires readHeader() to be called first
+     * @param {boolean} lenient Whether to skip entities which can't be decoded instead of failing
+     * @returns {object|null} The entity, or null if it was skipped
+     */
+    readNextEntity(lenient) {
+        assert(this.remainingEntities > 0, "No entities left");
+        --this.remainingEntities;
+
+        const reader = this.reader;
+        const length = reader.readUint();
+        const end = reader.offset + length;
+        let entity = null;
+        try {
+            entity = this.readEntity();
+            if (reader.offset !== end) {
+                throw new Error("Entity has wrong length");
+            }
+        } catch (ex) {
+            if (!lenient) {
+                throw ex;
+            }
+            logger.warn("Skipping entity which can't be decoded:", ex.message);
+            entity = null;
+            if (end > reader.bytes.length) {
+                // The following entities are cut off as well
+                this.remainingEntities = 0;
+            }
+        }
+        reader.offset = end;
+        return entity;
+    }
+
+    /**
+     * @returns {string}
+     */
+    readStringRef() {
+        const index = this.reader.readUint();
+        if (index >= this.strings.length) {
+            throw new Error("Invalid string index: " + index);
+        }
+        return this.strings[index];
+    }
+
+    /**
+     * @returns {BinaryLayout}
+     */
+    readLayout() {
+        const kind = LAYOUT_KINDS[this.reader.readUint()];
+        switch (kind) {
+            case undefined:
+                throw new Error("Invalid layout");
+            case "nullable":
+            case "array":
+            case "map":
+            case "class":
+                return { kind, inner: this.readLayout() };
+            case "tuple": {
+                const items = new Array(this.reader.readUint());
+                for (let i = 0; i < items.length; ++i) {
+                    items[i] = this.readLayout();
+                }
+                return { kind, items };
+            }
+            case "struct": {
+                const count = this.reader.readUint();
+                /** @type {Object<string, BinaryLayout>} */
+                const fields = {};
+                for (let i = 0; i < count; ++i) {
+                    const key = this.readStringRef();
+                    fields[key] = this.readLayout();
+                }
+                return { kind, fields };
+            }
+            default:
+                return { kind };
+        }
+    }
+
+    /**
+     * @returns {object}
+     */
+    readEntity() {
+        const uid = this.reader.readUint();
+        const archetype = this.archetypes[this.reader.readUint()];
+        if (!archetype) {
+            throw new Error("Invalid archetype");
+        }
+
+        this.currentCode = archetype.code;
+        const components = {};
+        for (let i = 0; i < archetype.slots.length; ++i) {
+            const slot = this.slots[archetype.slots[i]];
+            components[slot.componentId] = this.readValue(slot.layout);
+        }
+        return { uid, components };
+    }
+
+    /**
+     * @param {BinaryLayout} layout
+     * @returns {any}
+     */
+    readValue(layout) {
+        const reader = this.reader;
+        switch (layout.kind) {
+            case "int":
+                return reader.readInt();
+            case "uint":
+                return reader.readUint();
+            case "float":
+                return this.readNumber();
+            case "bool":
+                return reader.readByte() === 1;
+            case "string":
+                return this.readStringRef();
+            case "vector": {
+                const x = this.readNumber();
+                return { x, y: this.readNumber() };
+            }
+            case "nullable":
+                return reader.readByte() === 0 ? null : this.readValue(layout.inner);
+            case "array": {
+                const result = new Array(reader.readUint());
+                for (let i = 0; i < result.length; ++i) {
+                    result[i] = this.readValue(layout.inner);
+                }
+                return result;
+            }
+            case "tuple":
+                return layout.items.map(item => this.readValue(item));
+            case "map": {
+                const count = reader.readUint();
+                const result = {};
+                for (let i = 0; i < count; ++i) {
+                    const key = this.readStringRef();
+                    result[key] = this.readValue(layout.inner);
+                }
+                return result;
+            }
+            case "struct": {
+                const result = {};
+                for (const key in layout.fields) {
+                    result[key] = this.readValue(layout.fields[key]);
+                }
+                return result;
+            }
+            case "class": {
+                const id = this.readStringRef();
+                return { $: id, data: this.readValue(layout.inner) };
+            }
+            case "buildingCode":
+                return this.currentCode;
+            default:
+                return this.readAny();
+        }
+    }
+
+    /**
+     * @returns {number}
+     */
+    readNumber() {
+        return this.reader.readByte() === 0 ? this.reader.readInt() : this.reader.readFloat();
+    }
+
+    /**
+     * @returns {any}
+     */
+    readAny() {
+        const reader = this.reader;
+        const tag = reader.readByte();
+        switch (tag) {
+            case enumValueTag.null:
+                return null;
+            case enumValueTag.false:
+                return false;
+            case enumValueTag.true:
+                return true;
+            case enumValueTag.int:
+                return reader.readInt();
+            case enumValueTag.float:
+                return reader.readFloat();
+            case enumValueTag.string:
+                return this.readStringRef();
+            case enumValueTag.array: {
+                const result = new Array(reader.readUint());
+                for (let i = 0; i < result.length; ++i) {
+                    result[i] = this.readAny();
+                }
+                return result;
+            }
+            case enumValueTag.object: {
+                const count = reader.readUint();
+                const result = {};
+                for (let i = 0; i < count; ++i) {
+                    const key = this.readStringRef();
+                    result[key] = this.readAny();
+                }
+                return result;
+            }
+            default:
+                throw new Error("Invalid value tag: " + tag);
+        }
+    }
+}
+
+/**
+ * Encodes the serialized entities of a savegame dump into the compact binary format
+ * @param {Array<object>} entities
+ * @returns {Uint8Array}
+ */
+export function encodeEntitiesBinary(entities) {
+    return new EntityEncoder().encode(entities);
+}
+
+/**
+ * Decodes entities encoded with encodeEntitiesBinary(), which are equal to the serialized
+ * entities they were encoded from
+ * @param {Uint8Array} bytes
+ * @param {boolean=} lenient Whether to skip entities which can't be decoded instead of
+ * failing, used to recover damaged savegames
+ * @returns {Array<object>}
+ */
+export function decodeEntitiesBinary(bytes, lenient = false) {
+    return new EntityDecoder(bytes).decode(lenient);
+}
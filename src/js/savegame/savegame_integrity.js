@@ -0,0 +1,62 @@
+import { computeCrc } from "../core/sensitive_utils.encrypt";
+
+/**
+ * @typedef {import("./savegame_typedefs").SavegameData} SavegameData
+ * @typedef {import("./savegame_typedefs").SavegameChecksums} SavegameChecksums
+ * @typedef {import("./savegame_typedefs").SerializedGame} SerializedGame
+ */
+
+/**
+ * Computes a checksum for every section of the dump (entities, belt paths, map, ...), so a
+ * damaged savegame tells which parts of it are still intact
+ * @param {SerializedGame} dump
+ * @param {number} version The savegame version the dump belongs to
+ * @param {boolean=} includeEntities False if the entities get stored in the binary format, which
+ * is covered by the checksum of the file
+ * @returns {SavegameChecksums}
+ */
+export function computeDumpChecksums(dump, version, includeEntities = true) {
+    /** @type {Object<string, string>} */
+    const sections = {};
+    for (const key in dump) {
+        if (key === "entities" && !includeEntities) {
+            continue;
+        }
+        sections[key] = computeSectionChecksum(dump[key]);
+    }
+    return { version, sections };
+}
+
+/**
+ * Returns the sections of the dump which don't match their checksum anymore. Savegames
+ * without checksums, or which got migrated since they were written, can't be checked.
+ * Entities which are not decoded yet are covered by the checksum of the file instead.
+ * @param {SavegameData} data
+ * @returns {Array<string>}
+ */
+export function findCorruptedSections(data) {
+    const dump = data.dump;
+    const checksums = data.checksums;
+    if (!dump || !checksums || checksums.version !== data.version) {
+        return [];
+    }
+
+    const corrupted = [];
+    for (const key in checksums.sections) {
+        if (key === "entities" && dump.entitiesBinary) {
+            continue;
+        }
+        if (computeSectionChecksum(dump[key]) !== checksums.sections[key]) {
+            corrupted.push(key);
+        }
+    }
+    return corrupted;
+}
+
+/**
+ * @param {any} section
+ * @returns {string}
+ */
+function computeSectionChecksum(section) {
+    return computeCrc(JSON.stringify(section) || "");
+}
@@ -10,6 +10,10 @@ import { SavegameInterface_V1006 } from "./schemas/1006";
 import { SavegameInterface_V1007 } from "./schemas/1007";
 import { SavegameInterface_V1008 } from "./schemas/1008";
 import { SavegameInterface_V1009 } from "./schemas/1009";
+import { SavegameInterface_V1010 } from "./schemas/1010";
+import { SavegameInterface_V1011 } from "./schemas/1011";
+import { SavegameInterface_V1012 } from "./schemas/1012";
+import { SavegameInterface_V1013 } from "./schemas/1013";
 
 /** @type {Object.<number, typeof BaseSavegameInterface>} */
 export const savegameInterfaces = {
@@ -23,6 +27,10 @@ export const savegameInterfaces = {
     1007: SavegameInterface_V1007,
     1008: SavegameInterface_V1008,
     1009: SavegameInterface_V1009,
+    1010: SavegameInterface_V1010,
+    1011: SavegameInterface_V1011,
+    1012: SavegameInterface_V1012,
+    1013: SavegameInterface_V1013,
 };
 
 const logger = createLogger("savegame_interface_registry");
@@ -3,6 +3,8 @@ import { createLogger } from "../core/logging";
 import { ReadWriteProxy } from "../core/read_write_proxy";
 import { globalConfig } from "../core/config";
 import { Savegame } from "./savegame";
+import { SavegameBackup } from "./savegame_backup";
+import { SavegameReplay } from "./savegame_replay";
 const logger = createLogger("savegame_manager");
 
 const Rusha = require("rusha");
@@ -10,6 +12,7 @@ const Rusha = require("rusha");
 /**
  * @typedef {import("./savegame_typedefs").SavegamesData} SavegamesData
  * @typedef {import("./savegame_typedefs").SavegameMetadata} SavegameMetadata
+ * @typedef {import("./savegame_typedefs").SavegameBackupMetadata} SavegameBackupMetadata
  */
 
 /** @enum {string} */
@@ -107,17 +110,24 @@ export class SavegameManager extends ReadWriteProxy {
             metaDataRef: game,
         });
 
-        return handle.deleteAsync().then(() => {
-            for (let i = 0; i < this.currentData.savegames.length; ++i) {
-                const potentialGame = this.currentData.savegames[i];
-                if (potentialGame.internalId === handle.internalId) {
-                    this.currentData.savegames.splice(i, 1);
-                    break;
+        return handle
+            .deleteAsync()
+            .then(() =>
+                // Most savegames have no replay, so this is allowed to fail
+                new SavegameReplay(this.app, game.internalId).deleteAsync().catch(() => null)
+            )
+            .then(() => this.deleteBackups(game, game.backups || []))
+            .then(() => {
+                for (let i = 0; i < this.currentData.savegames.length; ++i) {
+                    const potentialGame = this.currentData.savegames[i];
+                    if (potentialGame.internalId === handle.internalId) {
+                        this.currentData.savegames.splice(i, 1);
+                        break;
+                    }
                 }
-            }
 
-            return this.writeAsync();
-        });
+                return this.writeAsync();
+            });
     }
 
     /**
@@ -163,10 +173,17 @@ export class SavegameManager extends ReadWriteProxy {
     /**
      * Attempts to import a savegame
      * @param {object} data
+     * @param {Uint8Array|null=} attachment See Savegame.encodeForStorage()
      */
-    importSavegame(data) {
+    importSavegame(data, attachment = null) {
         const savegame = this.createNewSavegame();
 
+        try {
+            savegame.decodeFromStorage(data, attachment, false);
+        } catch (ex) {
+            return Promise.reject("Failed to decode: " + ex);
+        }
+
         // Track legacy savegames
         const isOldSavegame = data.version < 1006;
 
@@ -213,6 +230,8 @@ export class SavegameManager extends ReadWriteProxy {
             });
             promiseChain = promiseChain
                 .then(() => game.deleteAsync())
+                .then(() => new SavegameReplay(this.app, toRemove.internalId).deleteAsync().catch(() => null))
+                .then(() => this.deleteBackups(toRemove, toRemove.backups || []))
                 .then(
                     () => {},
                     err => {
@@ -224,6 +243,131 @@ export class SavegameManager extends ReadWriteProxy {
         return promiseChain;
     }
 
+    /**
+     * Returns the backups of a savegame, newest first
+     * @param {SavegameMetadata} game
+     * @returns {Array<SavegameBackupMetadata>}
+     */
+    getBackups(game) {
+        return (game.backups || []).slice().sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Returns a handle to read or write the given backup
+     * @param {SavegameMetadata} game
+     * @param {SavegameBackupMetadata} backup
+     * @returns {SavegameBackup}
+     */
+    getBackupHandle(game, backup) {
+        return new SavegameBackup(this.app, { internalId: game.internalId, metaDataRef: game, backup });
+    }
+
+    /**
+     * Stores a copy of the savegame as backup, and removes the oldest backups which exceed
+     * the configured amount. Writing the metadata is up to the caller.
+     * @param {Savegame} savegame
+     * @returns {Promise<void>}
+     */
+    rotateBackups(savegame) {
+        const game = savegame.metaDataRef;
+        const backups = this.getBackups(game);
+        const maxBackups = this.app.settings.getSavegameBackupCount();
+
+        let promise = Promise.resolve();
+        if (maxBackups > 0 && savegame.hasGameDump()) {
+            const dump = savegame.getCurrentDump();
+
+            /** @type {SavegameBackupMetadata} */
+            const backup = {
+                timestamp: Date.now(),
+                level: dump.hubGoals.level,
+                playtime: dump.time.timeSeconds,
+            };
+
+            const handle = this.getBackupHandle(game, backup);
+            handle.currentData = savegame.currentData;
+            promise = handle.writeAsync().then(
+                () => {
+                    backups.unshift(backup);
+                },
+                err => {
+                    logger.error("Failed to write backup of", game.internalId, ":", err);
+                }
+            );
+        }
+
+        return promise.then(() => {
+            const removed = backups.splice(maxBackups);
+            game.backups = backups;
+            return this.deleteBackups(game, removed);
+        });
+    }
+
+    /**
+     * Deletes the given backups of a savegame, failures are only logged
+     * @param {SavegameMetadata} game
+     * @param {Array<SavegameBackupMetadata>} backups
+     * @returns {Promise<void>}
+     */
+    deleteBackups(game, backups) {
+        let promise = Promise.resolve();
+        for (let i = 0; i < backups.length; ++i) {
+            const handle = this.getBackupHandle(game, backups[i]);
+            promise = promise.then(() =>
+                handle.deleteAsync().catch(err => {
+                    logger.error("Failed to remove backup", handle.filename, ":", err);
+                })
+            );
+        }
+        return promise;
+    }
+
+    /**
+     * Reads the newest backup of the savegame which is still valid
+     * @param {SavegameMetadata} game
+     * @returns {Promise<SavegameBackup|null>}
+     */
+    readNewestValidBackup(game) {
+        const backups = this.getBackups(game);
+
+        /** @type {Promise<SavegameBackup|null>} */
+        let promise = Promise.resolve(null);
+        for (let i = 0; i < backups.length; ++i) {
+            const handle = this.getBackupHandle(game, backups[i]);
+            promise = promise.then(found => {
+                if (found) {
+                    return found;
+                }
+                return handle.readAsync().then(
+                    () => handle,
+                    err => {
+                        logger.warn("Backup", handle.filename, "is not valid either:", err);
+                        return null;
+                    }
+                );
+            });
+        }
+        return promise;
+    }
+
+    /**
+     * Replaces the savegame with the given backup. The backup itself is kept.
+     * @param {SavegameMetadata} game
+     * @param {SavegameBackupMetadata} backup
+     * @returns {Promise<void>}
+     */
+    restoreBackup(game, backup) {
+        const handle = this.getBackupHandle(game, backup);
+        return handle.readAsync().then(() => {
+            const savegame = this.getSavegameById(game.internalId);
+            savegame.currentData = handle.currentData;
+            return savegame
+                .writeAsync()
+                .then(() => savegame.saveMetadata())
+                .then(() => this.updateAfterSavegamesChanged());
+        });
+    }
+
     /**
      * Helper method to generate a new internal savegame id
      */
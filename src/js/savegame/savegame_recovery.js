@@ -0,0 +1,251 @@
+import { gComponentRegistry } from "../core/global_registries";
+import { createLogger } from "../core/logging";
+import { gBuildingVariants } from "../game/building_codes";
+import { StaticMapEntityComponent } from "../game/components/static_map_entity";
+import { T } from "../translations";
+import { SerializerInternal } from "./serializer_internal";
+
+/**
+ * @typedef {import("../game/component").StaticComponent} StaticComponent
+ * @typedef {import("../game/entity").Entity} Entity
+ * @typedef {import("../game/root").GameRoot} GameRoot
+ * @typedef {import("./savegame_typedefs").SerializedGame} SerializedGame
+ *
+ * @typedef {{
+ *   sections: Array<string>,
+ *   entitiesTotal: number,
+ *   entitiesDropped: number,
+ *   componentsReset: Object<string, number>
+ * }} SavegameRecoveryReport
+ */
+
+const logger = createLogger("savegame_recovery");
+
+/**
+ * Restores as much as possible of a damaged savegame. Unlike the SavegameSerializer, which
+ * rejects the whole savegame on the first error, everything is restored on its own:
+ * Sections which fail are kept at their defaults, components which fail are reset to the
+ * state of a freshly placed building, and entities which can't be restored are dropped.
+ * Belt paths and wire networks are rebuilt from the restored entities.
+ */
+export class SavegameRecovery {
+    /**
+     * @param {GameRoot} root
+     */
+    constructor(root) {
+        this.root = root;
+        this.internal = new SerializerInternal();
+
+        /** @type {SavegameRecoveryReport} */
+        this.report = {
+            sections: [],
+            entitiesTotal: 0,
+            entitiesDropped: 0,
+            componentsReset: {},
+        };
+    }
+
+    /**
+     * @param {SerializedGame} dump
+     * @returns {SavegameRecoveryReport}
+     */
+    recover(dump) {
+        const root = this.root;
+
+        this.recoverSection("entityMgr", () => root.entityMgr.deserialize(dump.entityMgr));
+        this.recoverSection("time", () => root.time.deserialize(dump.time));
+        if (root.camera) {
+            this.recoverSection("camera", () => root.camera.deserialize(dump.camera));
+        }
+        this.recoverSection("map", () => root.map.deserialize(dump.map));
+        this.recoverSection("gameMode", () => root.gameMode.deserialize(dump.gameMode));
+        this.recoverSection("hubGoals", () => root.hubGoals.deserialize(dump.hubGoals, root));
+
+        this.recoverEntities(Array.isArray(dump.entities) ? dump.entities : []);
+
+        // The stored paths reference entities which might be gone, so the items on the belts
+        // can't be restored
+        root.systemMgr.systems.belt.recomputeAllBeltPaths();
+        root.systemMgr.systems.wire.needsRecompute = true;
+
+        if (root.hud && root.hud.parts.pinnedShapes) {
+            this.recoverSection("pinnedShapes", () =>
+                root.hud.parts.pinnedShapes.deserialize(dump.pinnedShapes)
+            );
+        }
+
+        if (root.hud && root.hud.parts.waypoints) {
+            this.recoverSection("waypoints", () => root.hud.parts.waypoints.deserialize(dump.waypoints));
+        }
+
+        logger.warn("Recovered savegame:", this.report);
+        return this.report;
+    }
+
+    /**
+     * Deserializes a section of the dump, and records it if it fails
+     * @param {string} id
+     * @param {function() : string|void} handler Returns an error or throws if it fails
+     */
+    recoverSection(id, handler) {
+        let error;
+        try {
+            error = handler();
+        } catch (ex) {
+            error = ex;
+        }
+
+        if (error) {
+            logger.warn("Failed to recover", id, ":", error);
+            this.report.sections.push(id);
+        }
+    }
+
+    /**
+     * @param {Array<Entity>} entities
+     */
+    recoverEntities(entities) {
+        let maxUid = -1;
+        for (let i = 0; i < entities.length; ++i) {
+            const entity = this.recoverEntity(entities[i]);
+            if (!entity) {
+                ++this.report.entitiesDropped;
+                continue;
+            }
+
+            this.root.entityMgr.registerEntity(entity, entity.uid);
+            this.root.map.placeStaticEntity(entity);
+            maxUid = Math.max(maxUid, entity.uid);
+        }
+
+        this.report.entitiesTotal = entities.length;
+
+        // The entity manager might have been lost, so make sure new entities get unique ids
+        this.root.entityMgr.nextUid = Math.max(this.root.entityMgr.nextUid, maxUid + 1);
+    }
+
+    /**
+     * Creates the entity from its payload, or returns null if it can't be restored
+     * @param {Entity} payload
+     * @returns {Entity|null}
+     */
+    recoverEntity(payload) {
+        if (!payload || !payload.components || !Number.isInteger(payload.uid) || payload.uid < 0) {
+            return null;
+        }
+
+        if (this.root.entityMgr.findByUid(payload.uid, false)) {
+            return null;
+        }
+
+        const staticData = payload.components.StaticMapEntity;
+        if (
+            !staticData ||
+            StaticMapEntityComponent.verify(staticData) ||
+            !gBuildingVariants[staticData.code]
+        ) {
+            return null;
+        }
+
+        let entity;
+        try {
+            entity = this.internal.createEntityFromStaticData(this.root, staticData);
+        } catch (ex) {
+            logger.warn("Failed to create entity", payload.uid, ":", ex);
+            return null;
+        }
+        entity.uid = payload.uid;
+
+        for (const componentId in payload.components) {
+            if (!entity.components[componentId]) {
+                continue;
+            }
+
+            const data = payload.components[componentId];
+            const componentClass = /** @type {StaticComponent} */ (gComponentRegistry.findById(componentId));
+
+            let error = componentClass.verify(data);
+            if (!error) {
+                try {
+                    error = entity.components[componentId].deserialize(data, this.root);
+                } catch (ex) {
+                    error = ex;
+                }
+            }
+
+            if (!error) {
+                continue;
+            }
+
+            if (componentId === StaticMapEntityComponent.getId()) {
+                return null;
+            }
+
+            // Use the state of a freshly placed building instead
+            const fresh = this.internal.createEntityFromStaticData(this.root, staticData);
+            entity.components[componentId] = fresh.components[componentId];
+            this.report.componentsReset[componentId] = (this.report.componentsReset[componentId] || 0) + 1;
+        }
+
+        // Entities which overlap other entities can't be placed
+        const staticComp = entity.components.StaticMapEntity;
+        const rect = staticComp.getTileSpaceBounds();
+        for (let x = rect.x; x < rect.right(); ++x) {
+            for (let y = rect.y; y < rect.bottom(); ++y) {
+                if (this.root.map.getLayerContentXY(x, y, entity.layer)) {
+                    return null;
+                }
+            }
+        }
+
+        return entity;
+    }
+}
+
+/**
+ * Describes what got lost during the recovery, to be shown to the player
+ * @param {SavegameRecoveryReport} report
+ * @returns {string}
+ */
+export function formatRecoveryReport(report) {
+    const lines = [];
+
+    if (report.entitiesDropped > 0) {
+        lines.push(
+            T.dialogs.savegameRecovered.entities
+                .replace("<dropped>", String(report.entitiesDropped))
+                .replace("<total>", String(report.entitiesTotal))
+        );
+    }
+
+    const componentIds = Object.keys(report.componentsReset);
+    if (componentIds.length > 0) {
+        lines.push(
+            T.dialogs.savegameRecovered.components.replace(
+                "<components>",
+                componentIds.map(id => id + " (" + report.componentsReset[id] + ")").join(", ")
+            )
+        );
+    }
+
+    if (report.sections.length > 0) {
+        lines.push(
+            T.dialogs.savegameRecovered.sections.replace(
+                "<sections>",
+                report.sections.map(id => T.dialogs.savegameRecovered.sectionNames[id] || id).join(", ")
+            )
+        );
+    }
+
+    if (lines.length === 0) {
+        lines.push(T.dialogs.savegameRecovered.nothingLost);
+    }
+
+    return (
+        T.dialogs.savegameRecovered.desc +
+        "<ul>" +
+        lines.map(line => "<li>" + line + "</li>").join("") +
+        "</ul>" +
+        T.dialogs.savegameRecovered.beltItems
+    );
+}
@@ -0,0 +1,112 @@
+import { ExplainedResult } from "../core/explained_result";
+import { ReadWriteProxy } from "../core/read_write_proxy";
+
+/**
+ * @typedef {import("../application").Application} Application
+ * @typedef {import("../game/blueprint").SerializedBlueprintEntity} SerializedBlueprintEntity
+ *
+ * @typedef {{ x: number, y: number, layer: Layer }} ReplayEntityRef
+ *
+ * @typedef {{ tick: number, type: "session", tickRate: number }} ReplaySessionAction
+ * @typedef {{ tick: number, type: "place", entity: SerializedBlueprintEntity }} ReplayPlaceAction
+ * @typedef {{ tick: number, type: "remove" } & ReplayEntityRef} ReplayRemoveAction
+ * @typedef {{ tick: number, type: "configure", entity: SerializedBlueprintEntity } & ReplayEntityRef} ReplayConfigureAction
+ * @typedef {{ tick: number, type: "clear", entities: Array<ReplayEntityRef> }} ReplayClearAction
+ * @typedef {{
+ *   tick: number,
+ *   type: "restore",
+ *   entities: Array<ReplayEntityRef & { components: Object<string, any> }>,
+ *   paths: Array<ReplayEntityRef & { items: Array<[number, any]>, spacingToFirstItem: number, numCompressedItemsAfterFirstItem: number }>
+ * }} ReplayRestoreAction
+ * @typedef {{ tick: number, type: "upgrade", upgradeId: string }} ReplayUpgradeAction
+ * @typedef {{ tick: number, type: "shapes", key: string, amount: number }} ReplayShapesAction
+ * @typedef {{
+ *   tick: number,
+ *   type: "goals",
+ *   settings: import("../game/freeplay_goals").FreeplaySettings,
+ *   queue: Array<import("../game/freeplay_goals").FreeplayQueueEntry>,
+ *   rerolls: number
+ * }} ReplayGoalsAction
+ *
+ * @typedef {ReplaySessionAction|ReplayPlaceAction|ReplayRemoveAction|ReplayConfigureAction|ReplayClearAction|ReplayRestoreAction|ReplayUpgradeAction|ReplayShapesAction|ReplayGoalsAction} ReplayAction
+ *
+ * @typedef {{
+ *   version: number,
+ *   gameModeId: string,
+ *   seed: number,
+ *   generationSettings: import("../game/map_generation_settings").MapGenerationSettings,
+ *   savedAt: number,
+ *   ticks: number,
+ *   actions: Array<ReplayAction>
+ * }} SavegameReplayData
+ */
+
+/**
+ * Stores all actions the player performed in a savegame, together with the tick they happened
+ * in. Replaying them on a new map with the same seed reproduces the factory of the savegame
+ * (see ReplayPlayer). The replay is stored next to the savegame.
+ */
+export class SavegameReplay extends ReadWriteProxy {
+    /**
+     * @param {Application} app
+     * @param {string} internalId The internal id of the savegame
+     */
+    constructor(app, internalId) {
+        super(app, "savegame-" + internalId + ".replay.bin");
+        this.internalId = internalId;
+
+        /** @type {SavegameReplayData} */
+        this.currentData = this.getDefaultData();
+    }
+
+    // RW Proxy Impl
+    /**
+     * @returns {SavegameReplayData}
+     */
+    getDefaultData() {
+        return {
+            version: this.getCurrentVersion(),
+            gameModeId: null,
+            seed: 0,
+            generationSettings: null,
+            savedAt: -1,
+            ticks: 0,
+            actions: [],
+        };
+    }
+
+    getCurrentVersion() {
+        return 1;
+    }
+
+    /**
+     * @param {SavegameReplayData} data
+     */
+    verify(data) {
+        if (!data || !Array.isArray(data.actions)) {
+            return ExplainedResult.bad("Replay actions are not an array");
+        }
+        if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+            return ExplainedResult.bad("Bad replay tick count: " + data.ticks);
+        }
+        return ExplainedResult.good();
+    }
+
+    /**
+     * @param {SavegameReplayData} data
+     */
+    migrate(data) {
+        return ExplainedResult.good();
+    }
+
+    // End rw proxy
+
+    /**
+     * Returns whether the replay was saved together with the savegame at the given time, otherwise
+     * it is incomplete (e.g. because the savegame is older than the replays)
+     * @param {number} savegameTime The ingame time of the savegame in seconds
+     */
+    getMatchesSavegame(savegameTime) {
+        return this.currentData.savedAt >= 0 && Math.abs(this.currentData.savedAt - savegameTime) < 1e-3;
+    }
+}
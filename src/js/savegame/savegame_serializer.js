@@ -2,6 +2,7 @@ import { ExplainedResult } from "../core/explained_result";
 import { createLogger } from "../core/logging";
 import { gComponentRegistry } from "../core/global_registries";
 import { SerializerInternal } from "./serializer_internal";
+import { decodeEntitiesBinary, EntityDecoder } from "./savegame_binary";
 import { HUDPinnedShapes } from "../game/hud/parts/pinned_shapes";
 import { HUDWaypoints } from "../game/hud/parts/waypoints";
 
@@ -64,55 +65,67 @@ export class SavegameSerializer {
      */
     verifyLogicalErrors(savegame) {
         if (!savegame.entities) {
+            if (savegame.entitiesBinary) {
+                // Verified one by one while they get decoded, see deserializeEntitiesBinaryAsync()
+                return ExplainedResult.good();
+            }
             return ExplainedResult.bad("Savegame has no entities");
         }
 
         const seenUids = new Set();
+        for (let i = 0; i < savegame.entities.length; ++i) {
+            const error = this.verifyEntity(savegame.entities[i], seenUids);
+            if (error) {
+                return ExplainedResult.bad(error);
+            }
+        }
+
+        return ExplainedResult.good();
+    }
 
+    /**
+     * Verifies a single serialized entity
+     * @param {Entity} entity
+     * @param {Set<number>} seenUids The uids of the previous entities, the uid of the entity gets added
+     * @returns {string|null} The error, if any
+     */
+    verifyEntity(entity, seenUids) {
         // Check for duplicate UIDS
-        for (let i = 0; i < savegame.entities.length; ++i) {
-            /** @type {Entity} */
-            const entity = savegame.entities[i];
+        const uid = entity.uid;
+        if (!Number.isInteger(uid)) {
+            return "Entity has invalid uid: " + uid;
+        }
+        if (seenUids.has(uid)) {
+            return "Duplicate uid " + uid;
+        }
+        seenUids.add(uid);
 
-            const uid = entity.uid;
-            if (!Number.isInteger(uid)) {
-                return ExplainedResult.bad("Entity has invalid uid: " + uid);
-            }
-            if (seenUids.has(uid)) {
-                return ExplainedResult.bad("Duplicate uid " + uid);
-            }
-            seenUids.add(uid);
+        // Verify components
+        if (!entity.components) {
+            return "Entity is missing key 'components': " + JSON.stringify(entity);
+        }
 
-            // Verify components
-            if (!entity.components) {
-                return ExplainedResult.bad("Entity is missing key 'components': " + JSON.stringify(entity));
-            }
+        const components = entity.components;
+        for (const componentId in components) {
+            const componentClass = gComponentRegistry.findById(componentId);
 
-            const components = entity.components;
-            for (const componentId in components) {
-                const componentClass = gComponentRegistry.findById(componentId);
+            // Check component id is known
+            if (!componentClass) {
+                return "Unknown component id: " + componentId;
+            }
 
-                // Check component id is known
-                if (!componentClass) {
-                    return ExplainedResult.bad("Unknown component id: " + componentId);
-                }
+            // Verify component data
+            const componentData = components[componentId];
+            const componentVerifyError = /** @type {StaticComponent} */ (componentClass).verify(
+                componentData
+            );
 
-                // Verify component data
-                const componentData = components[componentId];
-                const componentVerifyError = /** @type {StaticComponent} */ (componentClass).verify(
-                    componentData
-                );
-
-                // Check component data is ok
-                if (componentVerifyError) {
-                    return ExplainedResult.bad(
-                        "Component " + componentId + " has invalid data: " + componentVerifyError
-                    );
-                }
+            // Check component data is ok
+            if (componentVerifyError) {
+                return "Component " + componentId + " has invalid data: " + componentVerifyError;
             }
         }
-
-        return ExplainedResult.good();
+        return null;
     }
 
     /**
@@ -122,6 +135,13 @@ export class SavegameSerializer {
      * @returns {ExplainedResult}
      */
     deserialize(savegame, root) {
+        if (savegame.entitiesBinary) {
+            // Everything gets restored at once here, so the entities can be decoded upfront
+            savegame = Object.assign({}, savegame, {
+                entities: decodeEntitiesBinary(savegame.entitiesBinary),
+            });
+        }
+
         // Sanity
         const verifyResult = this.verifyLogicalErrors(savegame);
         if (!verifyResult.result) {
@@ -129,28 +149,117 @@ export class SavegameSerializer {
         }
         let errorReason = null;
 
+        errorReason = errorReason || this.deserializeSections(savegame, root);
+        errorReason = errorReason || this.internal.deserializeEntityArray(root, savegame.entities);
+        errorReason = errorReason || this.deserializeEntitySections(savegame, root);
+
+        // Check for errors
+        if (errorReason) {
+            return ExplainedResult.bad(errorReason);
+        }
+
+        return ExplainedResult.good();
+    }
+
+    /**
+     * Same as deserialize(), but restores the entities over multiple frames so large
+     * savegames don't block the game while loading
+     * @param {SerializedGame} savegame
+     * @param {GameRoot} root
+     * @param {function(number) : void=} onProgress Called with the progress from 0 to 1
+     * @returns {Promise<ExplainedResult>}
+     */
+    deserializeAsync(savegame, root, onProgress = null) {
+        const verifyResult = this.verifyLogicalErrors(savegame);
+        if (!verifyResult.result) {
+            return Promise.resolve(ExplainedResult.bad(verifyResult.reason));
+        }
+
+        const errorReason = this.deserializeSections(savegame, root);
+        if (errorReason) {
+            return Promise.resolve(ExplainedResult.bad(errorReason));
+        }
+
+        const entitiesPromise = savegame.entitiesBinary
+            ? this.deserializeEntitiesBinaryAsync(savegame.entitiesBinary, root, onProgress)
+            : this.internal.deserializeEntityArrayAsync(root, savegame.entities, onProgress);
+
+        return entitiesPromise.then(() => {
+            const errorReason = this.deserializeEntitySections(savegame, root);
+            if (errorReason) {
+                return ExplainedResult.bad(errorReason);
+            }
+            return ExplainedResult.good();
+        });
+    }
+
+    /**
+     * Decodes and restores the entities stored in the binary format over multiple frames,
+     * so big savegames don't decode all entities within a single frame
+     * @param {Uint8Array} bytes
+     * @param {GameRoot} root
+     * @param {function(number) : void=} onProgress Called with the progress from 0 to 1
+     * @returns {Promise<void>}
+     */
+    deserializeEntitiesBinaryAsync(bytes, root, onProgress = null) {
+        const decoder = new EntityDecoder(bytes);
+        const seenUids = new Set();
+
+        return Promise.resolve().then(() =>
+            this.internal.deserializeEntitiesAsync(
+                root,
+                decoder.readHeader(),
+                () => {
+                    const entity = decoder.readNextEntity(false);
+                    const error = this.verifyEntity(entity, seenUids);
+                    if (error) {
+                        throw new Error(error);
+                    }
+                    return entity;
+                },
+                onProgress
+            )
+        );
+    }
+
+    /**
+     * Deserializes the sections which need to be restored before the entities
+     * @param {SerializedGame} savegame
+     * @param {GameRoot} root
+     * @returns {string|void}
+     */
+    deserializeSections(savegame, root) {
+        let errorReason = null;
+
         errorReason = errorReason || root.entityMgr.deserialize(savegame.entityMgr);
         errorReason = errorReason || root.time.deserialize(savegame.time);
-        errorReason = errorReason || root.camera.deserialize(savegame.camera);
+        if (root.camera) {
+            errorReason = errorReason || root.camera.deserialize(savegame.camera);
+        }
         errorReason = errorReason || root.map.deserialize(savegame.map);
         errorReason = errorReason || root.gameMode.deserialize(savegame.gameMode);
         errorReason = errorReason || root.hubGoals.deserialize(savegame.hubGoals, root);
-        errorReason = errorReason || this.internal.deserializeEntityArray(root, savegame.entities);
+        return errorReason;
+    }
+
+    /**
+     * Deserializes the sections which reference the entities
+     * @param {SerializedGame} savegame
+     * @param {GameRoot} root
+     * @returns {string|void}
+     */
+    deserializeEntitySections(savegame, root) {
+        let errorReason = null;
+
         errorReason = errorReason || root.systemMgr.systems.belt.deserializePaths(savegame.beltPaths);
 
-        if (root.hud.parts.pinnedShapes) {
+        if (root.hud && root.hud.parts.pinnedShapes) {
             errorReason = errorReason || root.hud.parts.pinnedShapes.deserialize(savegame.pinnedShapes);
         }
 
-        if (root.hud.parts.waypoints) {
+        if (root.hud && root.hud.parts.waypoints) {
             errorReason = errorReason || root.hud.parts.waypoints.deserialize(savegame.waypoints);
         }
-
-        // Check for errors
-        if (errorReason) {
-            return ExplainedResult.bad(errorReason);
-        }
-
-        return ExplainedResult.good();
+        return errorReason;
     }
 }
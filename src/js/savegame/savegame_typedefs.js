@@ -17,22 +17,44 @@
  *   pinnedShapes: any,
  *   waypoints: any,
  *   entities: Array<Entity>,
+ *   entitiesBinary?: Uint8Array,
  *   beltPaths: Array<any>
  * }} SerializedGame
  *
  * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   version: string
+ * }} SavegameModInfo
+ *
+ * @typedef {{
+ *   version: number,
+ *   sections: Object<string, string>
+ * }} SavegameChecksums
+ *
+ * @typedef {{
  *   version: number,
  *   dump: SerializedGame,
  *   stats: SavegameStats,
  *   lastUpdate: number,
+ *   mods?: Array<SavegameModInfo>,
+ *   checksums?: SavegameChecksums
  * }} SavegameData
  *
  * @typedef {{
+ *   timestamp: number,
+ *   level: number,
+ *   playtime: number
+ * }} SavegameBackupMetadata
+ *
+ * @typedef {{
  *   lastUpdate: number,
  *   version: number,
  *   internalId: string,
  *   level: number
- *   name: string|null
+ *   name: string|null,
+ *   backups?: Array<SavegameBackupMetadata>,
+ *   hasReplay?: boolean
  * }} SavegameMetadata
  *
  * @typedef {{
@@ -56,6 +78,7 @@ import { MetaBuilding } from "../game/meta_building";
  * title: string;
  * author: string;
  * completed: boolean;
+ * localId?: string;
  * }} PuzzleMetadata
  */
 
@@ -88,6 +111,7 @@ import { MetaBuilding } from "../game/meta_building";
  *   bounds: { w: number; h: number; },
  *   buildings: (PuzzleGameBuildingGoal | PuzzleGameBuildingConstantProducer | PuzzleGameBuildingBlock)[],
  *   excludedBuildings: Array<string>,
+ *   par?: number,
  * }} PuzzleGameData
  */
 
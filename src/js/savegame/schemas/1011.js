@@ -0,0 +1,32 @@
+import { createLogger } from "../../core/logging.js";
+import { getDefaultFreeplaySettings } from "../../game/freeplay_goals.js";
+import { SavegameInterface_V1010 } from "./1010.js";
+
+const schema = require("./1011.json");
+const logger = createLogger("savegame_interface/1011");
+
+export class SavegameInterface_V1011 extends SavegameInterface_V1010 {
+    getVersion() {
+        return 1011;
+    }
+
+    getSchemaUncached() {
+        return schema;
+    }
+
+    /**
+     * @param {import("../savegame_typedefs.js").SavegameData} data
+     */
+    static migrate1010to1011(data) {
+        logger.log("Migrating 1010 to 1011");
+        const dump = data.dump;
+        if (!dump) {
+            return true;
+        }
+
+        // The default settings generate the same freeplay goals as before
+        dump.hubGoals.freeplaySettings = getDefaultFreeplaySettings();
+        dump.hubGoals.freeplayQueue = [];
+        dump.hubGoals.freeplayRerolls = 0;
+    }
+}
@@ -0,0 +1,36 @@
+import { createLogger } from "../../core/logging.js";
+import { SavegameInterface_V1011 } from "./1011.js";
+
+const schema = require("./1012.json");
+const logger = createLogger("savegame_interface/1012");
+
+export class SavegameInterface_V1012 extends SavegameInterface_V1011 {
+    getVersion() {
+        return 1012;
+    }
+
+    getSchemaUncached() {
+        return schema;
+    }
+
+    /**
+     * @param {import("../savegame_typedefs.js").SavegameData} data
+     */
+    static migrate1011to1012(data) {
+        logger.log("Migrating 1011 to 1012");
+        const dump = data.dump;
+        if (!dump) {
+            return true;
+        }
+
+        // Logic gates store the state of the counter now
+        const entities = dump.entities;
+        for (let i = 0; i < entities.length; ++i) {
+            const logicGate = entities[i].components.LogicGate;
+            if (logicGate) {
+                logicGate.counterValue = 0;
+                logicGate.counterInput = false;
+            }
+        }
+    }
+}
@@ -0,0 +1,25 @@
+import { createLogger } from "../../core/logging.js";
+import { SavegameInterface_V1012 } from "./1012.js";
+
+const schema = require("./1013.json");
+const logger = createLogger("savegame_interface/1013");
+
+export class SavegameInterface_V1013 extends SavegameInterface_V1012 {
+    getVersion() {
+        return 1013;
+    }
+
+    getSchemaUncached() {
+        return schema;
+    }
+
+    /**
+     * @param {import("../savegame_typedefs.js").SavegameData} data
+     */
+    static migrate1012to1013(data) {
+        logger.log("Migrating 1012 to 1013");
+
+        // Only the way the entities are stored changed, which is handled by
+        // Savegame.decodeFromStorage(), the dump itself stays the same
+    }
+}
@@ -28,6 +28,30 @@ export function schemaToJsonSchema(schema) {
     return jsonSchema;
 }
 
+/**
+ * Describes how serialized values are stored in the binary savegame format, see savegame_binary.js
+ * @typedef {{
+ *   kind: string,
+ *   inner?: BinaryLayout,
+ *   items?: Array<BinaryLayout>,
+ *   fields?: Object<string, BinaryLayout>
+ * }} BinaryLayout
+ */
+
+/**
+ * Returns the binary layout of data serialized with the given schema
+ * @param {import("./serialization").Schema} schema
+ * @returns {BinaryLayout}
+ */
+export function schemaToBinaryLayout(schema) {
+    /** @type {Object<string, BinaryLayout>} */
+    const fields = {};
+    for (const key in schema) {
+        fields[key] = schema[key].getBinaryLayout();
+    }
+    return { kind: "struct", fields };
+}
+
 /**
  * Helper function to create a json schema object
  * @param {any} properties
@@ -105,6 +129,15 @@ export class BaseDataType {
         return false;
     }
 
+    /**
+     * Returns how serialized values are stored in the binary savegame format. Values of types
+     * without a fixed layout are stored together with their structure.
+     * @returns {BinaryLayout}
+     */
+    getBinaryLayout() {
+        return { kind: "any" };
+    }
+
     // Helper methods
 
     /**
@@ -168,6 +201,11 @@ export class TypeInteger extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "int" };
+    }
+
     getCacheKey() {
         return "int";
     }
@@ -208,6 +246,11 @@ export class TypePositiveInteger extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "uint" };
+    }
+
     getCacheKey() {
         return "uint";
     }
@@ -243,6 +286,11 @@ export class TypeBoolean extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "bool" };
+    }
+
     getCacheKey() {
         return "bool";
     }
@@ -277,6 +325,11 @@ export class TypeString extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "string" };
+    }
+
     getCacheKey() {
         return "string";
     }
@@ -320,6 +373,11 @@ export class TypeVector extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "vector" };
+    }
+
     getCacheKey() {
         return "vector";
     }
@@ -369,6 +427,11 @@ export class TypeTileVector extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "vector" };
+    }
+
     getCacheKey() {
         return "tilevector";
     }
@@ -405,6 +468,11 @@ export class TypeNumber extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "float" };
+    }
+
     getCacheKey() {
         return "float";
     }
@@ -445,6 +513,11 @@ export class TypePositiveNumber extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "float" };
+    }
+
     getCacheKey() {
         return "ufloat";
     }
@@ -489,6 +562,11 @@ export class TypeEnum extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "string" };
+    }
+
     getCacheKey() {
         return "enum." + this.availableValues.join(",");
     }
@@ -533,6 +611,11 @@ export class TypeEntity extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "int" };
+    }
+
     getCacheKey() {
         return "entity";
     }
@@ -586,6 +669,11 @@ export class TypeEntityWeakref extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "nullable", inner: { kind: "int" } };
+    }
+
     getCacheKey() {
         return "entity-weakref";
     }
@@ -673,6 +761,11 @@ export class TypeClass extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "class", inner: { kind: "any" } };
+    }
+
     getCacheKey() {
         return "class." + this.registry.getId();
     }
@@ -794,6 +887,11 @@ export class TypeClassFromMetaclass extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "class", inner: schemaToBinaryLayout(this.classHandle.getCachedSchema()) };
+    }
+
     getCacheKey() {
         return "classofmetaclass." + this.registry.getId();
     }
@@ -850,6 +948,11 @@ export class TypeMetaClass extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "string" };
+    }
+
     getCacheKey() {
         return "metaclass." + this.registry.getId();
     }
@@ -911,6 +1014,11 @@ export class TypeArray extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "array", inner: this.innerType.getBinaryLayout() };
+    }
+
     getCacheKey() {
         return "array." + this.innerType.getCacheKey();
     }
@@ -960,6 +1068,11 @@ export class TypeFixedClass extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return schemaToBinaryLayout(this.baseclass.getCachedSchema());
+    }
+
     getCacheKey() {
         return "fixedclass." + this.baseclass.getId();
     }
@@ -1030,6 +1143,11 @@ export class TypeKeyValueMap extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "map", inner: this.valueType.getBinaryLayout() };
+    }
+
     getCacheKey() {
         return "kvmap." + this.valueType.getCacheKey();
     }
@@ -1078,6 +1196,11 @@ export class TypeClassId extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "string" };
+    }
+
     getCacheKey() {
         return "classid." + this.registry.getId();
     }
@@ -1151,6 +1274,11 @@ export class TypePair extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "tuple", items: [this.type1.getBinaryLayout(), this.type2.getBinaryLayout()] };
+    }
+
     getCacheKey() {
         return "pair.(" + this.type1.getCacheKey() + "," + this.type2.getCacheKey + ")";
     }
@@ -1210,6 +1338,11 @@ export class TypeNullable extends BaseDataType {
         return true;
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        return { kind: "nullable", inner: this.wrapped.getBinaryLayout() };
+    }
+
     getCacheKey() {
         return "nullable." + this.wrapped.getCacheKey();
     }
@@ -1285,6 +1418,16 @@ export class TypeStructuredObject extends BaseDataType {
         }
     }
 
+    /** @returns {BinaryLayout} */
+    getBinaryLayout() {
+        /** @type {Object<string, BinaryLayout>} */
+        const fields = {};
+        for (const key in this.descriptor) {
+            fields[key] = this.descriptor[key].getBinaryLayout();
+        }
+        return { kind: "struct", fields };
+    }
+
     getCacheKey() {
         let props = [];
         for (const key in this.descriptor) {
@@ -1,5 +1,6 @@
 import { globalConfig } from "../core/config";
 import { createLogger } from "../core/logging";
+import { waitNextFrame } from "../core/utils";
 import { Vector } from "../core/vector";
 import { getBuildingDataFromCode } from "../game/building_codes";
 import { Entity } from "../game/entity";
@@ -36,6 +37,46 @@ export class SerializerInternal {
         }
     }
 
+    /**
+     * Same as deserializeEntityArray(), but only restores as many entities per frame as fit
+     * into the loading budget
+     * @param {GameRoot} root
+     * @param {Array<Entity>} array
+     * @param {function(number) : void=} onProgress Called with the progress from 0 to 1
+     * @returns {Promise<void>}
+     */
+    deserializeEntityArrayAsync(root, array, onProgress = null) {
+        return this.deserializeEntitiesAsync(root, array.length, index => array[index], onProgress);
+    }
+
+    /**
+     * Restores the given amount of entities over multiple frames, fetching each entity only
+     * once it gets restored. This allows decoding the entities while loading.
+     * @param {GameRoot} root
+     * @param {number} count
+     * @param {function(number) : Entity} getEntity Returns the serialized entity at the given index
+     * @param {function(number) : void=} onProgress Called with the progress from 0 to 1
+     * @returns {Promise<void>}
+     */
+    deserializeEntitiesAsync(root, count, getEntity, onProgress = null) {
+        let index = 0;
+        const deserializeChunk = () => {
+            const budgetEnd = performance.now() + globalConfig.entityLoadingBudgetMs;
+            while (index < count && performance.now() < budgetEnd) {
+                this.deserializeEntity(root, getEntity(index++));
+            }
+
+            if (onProgress) {
+                onProgress(count > 0 ? index / count : 1);
+            }
+
+            if (index < count) {
+                return waitNextFrame().then(deserializeChunk);
+            }
+        };
+        return Promise.resolve().then(deserializeChunk);
+    }
+
     /**
      *
      * @param {GameRoot} root
@@ -45,12 +86,25 @@ export class SerializerInternal {
         const staticData = payload.components.StaticMapEntity;
         assert(staticData, "entity has no static data");
 
-        const code = staticData.code;
-        const data = getBuildingDataFromCode(code);
+        const entity = this.createEntityFromStaticData(root, staticData);
+        entity.uid = payload.uid;
+
+        this.deserializeComponents(root, entity, payload.components);
 
-        const metaBuilding = data.metaInstance;
+        root.entityMgr.registerEntity(entity, payload.uid);
+        root.map.placeStaticEntity(entity);
+    }
 
-        const entity = metaBuilding.createEntity({
+    /**
+     * Creates the building described by the serialized static map entity, without
+     * deserializing its other components
+     * @param {GameRoot} root
+     * @param {any} staticData
+     * @returns {Entity}
+     */
+    createEntityFromStaticData(root, staticData) {
+        const data = getBuildingDataFromCode(staticData.code);
+        return data.metaInstance.createEntity({
             root,
             origin: Vector.fromSerializedObject(staticData.origin),
             rotation: staticData.rotation,
@@ -58,13 +112,6 @@ export class SerializerInternal {
             rotationVariant: data.rotationVariant,
             variant: data.variant,
         });
-
-        entity.uid = payload.uid;
-
-        this.deserializeComponents(root, entity, payload.components);
-
-        root.entityMgr.registerEntity(entity, payload.uid);
-        root.map.placeStaticEntity(entity);
     }
 
     /////// COMPONENTS ////
@@ -0,0 +1,81 @@
+import { TextualGameState } from "../core/textual_game_state";
+import { formatBigNumberFull, formatSeconds } from "../core/utils";
+import { ACHIEVEMENTS, AchievementCollection } from "../platform/achievement_provider";
+import { T } from "../translations";
+
+/**
+ * Achievements where the progress is the play time in seconds
+ */
+const PLAY_TIME_ACHIEVEMENTS = [ACHIEVEMENTS.play1h, ACHIEVEMENTS.play10h, ACHIEVEMENTS.play20h];
+
+export class AchievementsState extends TextualGameState {
+    constructor() {
+        super("AchievementsState");
+    }
+
+    getStateHeaderTitle() {
+        return T.achievements.title;
+    }
+
+    getMainContentHTML() {
+        const storage = this.app.achievementStorage;
+
+        // Only used to look up the goals of counted achievements
+        const collection = new AchievementCollection(() => Promise.resolve());
+
+        const keys = Object.keys(ACHIEVEMENTS);
+        const unlockedCount = keys.filter(key => storage.isUnlocked(key)).length;
+
+        let html = `
+            <div class="summary">${T.achievements.summary
+                .replace("<unlocked>", String(unlockedCount))
+                .replace("<total>", String(keys.length))}</div>
+        `;
+
+        for (let i = 0; i < keys.length; ++i) {
+            const key = keys[i];
+            const { title, description } = T.achievements.entries[key];
+            const unlockDate = storage.getUnlockDate(key);
+
+            const status =
+                unlockDate === null
+                    ? T.achievements.locked
+                    : T.achievements.unlockedAt.replace("<date>", new Date(unlockDate).toLocaleDateString());
+
+            const achievement = collection.map.get(key);
+            let progressHtml = "";
+            if (unlockDate === null && achievement && achievement.goal) {
+                progressHtml = this.getProgressHtml(key, storage.getProgress(key), achievement.goal);
+            }
+
+            html += `
+                <div class="achievement ${unlockDate === null ? "locked" : "unlocked"}">
+                    <span class="title">${title}</span>
+                    <span class="description">${description}</span>
+                    <span class="status">${status}</span>
+                    ${progressHtml}
+                </div>
+            `;
+        }
+
+        return html;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} value
+     * @param {number} goal
+     * @returns {string}
+     */
+    getProgressHtml(key, value, goal) {
+        const format = PLAY_TIME_ACHIEVEMENTS.includes(key) ? formatSeconds : formatBigNumberFull;
+        const percent = Math.floor((Math.min(value, goal) / goal) * 100);
+
+        return `
+            <div class="progress">
+                <div class="bar"><span style="width: ${percent}%"></span></div>
+                <span class="label">${format(value)} / ${format(goal)} (${percent}%)</span>
+            </div>
+        `;
+    }
+}
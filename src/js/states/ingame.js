@@ -9,6 +9,8 @@ import { Savegame } from "../savegame/savegame";
 import { GameCore } from "../game/core";
 import { MUSIC } from "../platform/sound";
 import { enumGameModeIds } from "../game/game_mode";
+import { formatRecoveryReport } from "../savegame/savegame_recovery";
+import { T } from "../translations";
 
 const logger = createLogger("state/ingame");
 
@@ -48,6 +50,25 @@ export class GameCreationPayload {
 
         /** @type {object|undefined} */
         this.gameModeParameters;
+
+        /** @type {number|undefined} */
+        this.seed;
+
+        /** @type {import("../game/map_generation_settings").MapGenerationSettings|undefined} */
+        this.mapGenerationSettings;
+
+        /**
+         * Whether the savegame is damaged and should be restored as far as possible
+         * @type {boolean|undefined}
+         */
+        this.recover;
+
+        /**
+         * Recording to watch, the seed and map generation settings need to match it.
+         * Nothing gets saved while watching.
+         * @type {import("../savegame/savegame_replay").SavegameReplayData|undefined}
+         */
+        this.replay;
     }
 }
 
@@ -73,6 +94,12 @@ export class InGameState extends GameState {
         /** @type {Savegame} */
         this.savegame = null;
 
+        /**
+         * What got lost when recovering a damaged savegame, shown once the game runs
+         * @type {import("../savegame/savegame_recovery").SavegameRecoveryReport|null}
+         */
+        this.recoveryReport = null;
+
         this.boundInputFilter = this.filterInput.bind(this);
 
         /**
@@ -220,7 +247,10 @@ export class InGameState extends GameState {
         if (this.switchStage(stages.initFailed)) {
             logger.error("Init failure:", err);
             this.stageDestroyed();
-            this.moveToState("MainMenuState", { loadError: err });
+            this.moveToState("MainMenuState", {
+                loadError: err,
+                loadErrorSavegameId: this.savegame ? this.savegame.internalId : null,
+            });
         }
     }
 
@@ -236,7 +266,9 @@ export class InGameState extends GameState {
 
             this.core.initializeRoot(this, this.savegame, this.gameModeId);
 
-            if (this.savegame.hasGameDump()) {
+            if (this.creationPayload.replay) {
+                this.stage4aInitEmptyGame();
+            } else if (this.savegame.hasGameDump()) {
                 this.stage4bResumeGame();
             } else {
                 this.app.gameAnalytics.handleGameStarted();
@@ -250,7 +282,7 @@ export class InGameState extends GameState {
      */
     stage4aInitEmptyGame() {
         if (this.switchStage(stages.s4_A_initEmptyGame)) {
-            this.core.initNewGame();
+            this.core.initNewGame(this.creationPayload.seed, this.creationPayload.mapGenerationSettings);
             this.stage5FirstUpdate();
         }
     }
@@ -260,12 +292,24 @@ export class InGameState extends GameState {
      */
     stage4bResumeGame() {
         if (this.switchStage(stages.s4_B_resumeGame)) {
-            if (!this.core.initExistingGame()) {
-                this.onInitializationFailure("Savegame is corrupt and can not be restored.");
-                return;
+            let loadPromise;
+            if (this.creationPayload.recover) {
+                this.recoveryReport = this.core.recoverExistingGame();
+                loadPromise = Promise.resolve(!!this.recoveryReport);
+            } else {
+                loadPromise = this.core.initExistingGameAsync(progress =>
+                    this.loadingOverlay.setProgress(progress)
+                );
             }
-            this.app.gameAnalytics.handleGameResumed();
-            this.stage5FirstUpdate();
+
+            this.asyncChannel.watch(loadPromise).then(success => {
+                if (!success) {
+                    this.onInitializationFailure("Savegame is corrupt and can not be restored.");
+                    return;
+                }
+                this.app.gameAnalytics.handleGameResumed();
+                this.stage5FirstUpdate();
+            });
         }
     }
 
@@ -275,7 +319,11 @@ export class InGameState extends GameState {
     stage5FirstUpdate() {
         if (this.switchStage(stages.s5_firstUpdate)) {
             this.core.root.logicInitialized = true;
-            this.core.updateLogic();
+            if (this.core.root.replayPlayer) {
+                this.core.root.replayPlayer.performFirstUpdate();
+            } else {
+                this.core.updateLogic();
+            }
             this.stage6PostLoadHook();
         }
     }
@@ -318,6 +366,14 @@ export class InGameState extends GameState {
 
             // Initial resize, might have changed during loading (this is possible)
             this.core.resize(this.app.screenWidth, this.app.screenHeight);
+
+            if (this.recoveryReport) {
+                this.core.root.hud.parts.dialogs.showInfo(
+                    T.dialogs.savegameRecovered.title,
+                    formatRecoveryReport(this.recoveryReport)
+                );
+                this.recoveryReport = null;
+            }
         }
     }
 
@@ -432,7 +488,7 @@ export class InGameState extends GameState {
      */
 
     doSave() {
-        if (!this.savegame || !this.savegame.isSaveable()) {
+        if (!this.savegame || !this.savegame.isSaveable() || this.creationPayload.replay) {
             return Promise.resolve();
         }
 
@@ -462,12 +518,18 @@ export class InGameState extends GameState {
         logger.log("Starting to save game ...");
         this.savegame.updateData(this.core.root);
 
+        // Needs to happen right away, so the replay matches the savegame data
+        const replayPromise = this.core.root.replayRecorder.save().catch(err => {
+            logger.warn("Failed to save replay:", err);
+        });
+
         this.currentSavePromise = this.savegame
             .writeSavegameAndMetadata()
             .catch(err => {
                 // Catch errors
                 logger.warn("Failed to save:", err);
             })
+            .then(() => replayPromise)
             .then(() => {
                 // Clear promise
                 logger.log("Saved!");
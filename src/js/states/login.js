@@ -54,6 +54,12 @@ export class LoginState extends GameState {
             console.log("Logged in:", success);
 
             if (!success) {
+                const customEndpoint = this.app.clientApi.getCustomEndpoint();
+                if (customEndpoint) {
+                    this.showCustomServerOffline(customEndpoint);
+                    return;
+                }
+
                 const signals = this.dialogs.showWarning(
                     T.dialogs.offlineMode.title,
                     T.dialogs.offlineMode.desc,
@@ -67,6 +73,24 @@ export class LoginState extends GameState {
         });
     }
 
+    /**
+     * Offers to switch back to the official servers when the self hosted one can't be reached
+     * @param {string} endpoint
+     */
+    showCustomServerOffline(endpoint) {
+        const signals = this.dialogs.showWarning(
+            T.dialogs.customServerOffline.title,
+            T.dialogs.customServerOffline.desc.replace("<server>", endpoint),
+            ["retry", "officialServer", "playOffline:bad"]
+        );
+        signals.retry.add(() => setTimeout(() => this.tryLogin(), 2000), this);
+        signals.officialServer.add(() => {
+            this.app.settings.updateSetting("puzzleServer", "");
+            this.tryLogin();
+        }, this);
+        signals.playOffline.add(this.finishLoading, this);
+    }
+
     finishLoading() {
         this.moveToState(this.payload.nextStateId);
     }
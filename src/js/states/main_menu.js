@@ -3,9 +3,10 @@ import { cachebust } from "../core/cachebust";
 import { A_B_TESTING_LINK_TYPE, globalConfig, THIRDPARTY_URLS } from "../core/config";
 import { GameState } from "../core/game_state";
 import { DialogWithForm } from "../core/modal_dialog_elements";
-import { FormElementInput } from "../core/modal_dialog_forms";
+import { FormElementCheckbox, FormElementInput } from "../core/modal_dialog_forms";
 import { ReadWriteProxy } from "../core/read_write_proxy";
 import {
+    formatSeconds,
     formatSecondsToTimeAgo,
     generateFileDownload,
     isSupportedBrowser,
@@ -17,8 +18,15 @@ import {
     waitNextFrame,
 } from "../core/utils";
 import { HUDModalDialogs } from "../game/hud/parts/modal_dialogs";
+import {
+    clampMapGenerationSettings,
+    getDefaultMapGenerationSettings,
+    MAP_GENERATION_LIMITS,
+} from "../game/map_generation_settings";
 import { PlatformWrapperImplElectron } from "../platform/electron/wrapper";
 import { getApplicationSettingById } from "../profile/application_settings";
+import { Savegame } from "../savegame/savegame";
+import { SavegameReplay } from "../savegame/savegame_replay";
 import { T } from "../translations";
 
 const trim = require("trim");
@@ -55,6 +63,12 @@ export class MainMenuState extends GameState {
                         : `<button class="languageChoose" data-languageicon="${this.app.settings.getLanguage()}"></button>`
                 }
 
+                ${
+                    this.app.achievementProvider.hasLocalProgress()
+                        ? `<button class="achievementsButton"></button>`
+                        : ""
+                }
+
                 <button class="settingsButton"></button>
             ${
                 G_IS_STANDALONE || G_IS_DEV
@@ -208,39 +222,31 @@ export class MainMenuState extends GameState {
                     this.app.analytics.trackUiClick("import_savegame");
                     const reader = new FileReader();
                     reader.addEventListener("load", event => {
-                        const contents = event.target.result;
-                        let realContent;
-
-                        try {
-                            realContent = ReadWriteProxy.deserializeObject(contents);
-                        } catch (err) {
-                            closeLoader();
-                            this.dialogs.showWarning(
-                                T.dialogs.importSavegameError.title,
-                                T.dialogs.importSavegameError.text + "<br><br>" + err
+                        const contents = /** @type {string} */ (event.target.result);
+
+                        ReadWriteProxy.deserializeObjectAsync(contents)
+                            .then(({ data, attachment }) =>
+                                this.app.savegameMgr.importSavegame(data, attachment)
+                            )
+                            .then(
+                                () => {
+                                    closeLoader();
+                                    this.dialogs.showWarning(
+                                        T.dialogs.importSavegameSuccess.title,
+                                        T.dialogs.importSavegameSuccess.text
+                                    );
+
+                                    this.renderMainMenu();
+                                    this.renderSavegames();
+                                },
+                                err => {
+                                    closeLoader();
+                                    this.dialogs.showWarning(
+                                        T.dialogs.importSavegameError.title,
+                                        T.dialogs.importSavegameError.text + ":<br><br>" + err
+                                    );
+                                }
                             );
-                            return;
-                        }
-
-                        this.app.savegameMgr.importSavegame(realContent).then(
-                            () => {
-                                closeLoader();
-                                this.dialogs.showWarning(
-                                    T.dialogs.importSavegameSuccess.title,
-                                    T.dialogs.importSavegameSuccess.text
-                                );
-
-                                this.renderMainMenu();
-                                this.renderSavegames();
-                            },
-                            err => {
-                                closeLoader();
-                                this.dialogs.showWarning(
-                                    T.dialogs.importSavegameError.title,
-                                    T.dialogs.importSavegameError.text + ":<br><br>" + err
-                                );
-                            }
-                        );
                     });
                     reader.addEventListener("error", error => {
                         this.dialogs.showWarning(
@@ -264,10 +270,10 @@ export class MainMenuState extends GameState {
         this.dialogs.initializeToElement(dialogsElement);
 
         if (payload.loadError) {
-            this.dialogs.showWarning(
-                T.dialogs.gameLoadFailure.title,
-                T.dialogs.gameLoadFailure.text + "<br><br>" + payload.loadError
-            );
+            const game = payload.loadErrorSavegameId
+                ? this.app.savegameMgr.getGameMetaDataByInternalId(payload.loadErrorSavegameId)
+                : null;
+            this.showGameLoadFailure(payload.loadError, game);
         }
 
         const qs = this.htmlElement.querySelector.bind(this.htmlElement);
@@ -297,6 +303,10 @@ export class MainMenuState extends GameState {
 
         this.trackClicks(qs(".settingsButton"), this.onSettingsButtonClicked);
 
+        if (this.app.achievementProvider.hasLocalProgress()) {
+            this.trackClicks(qs(".achievementsButton"), this.onAchievementsButtonClicked);
+        }
+
         if (!G_CHINA_VERSION && !G_WEGAME_VERSION) {
             this.trackClicks(qs(".languageChoose"), this.onLanguageChooseClicked);
             this.trackClicks(qs(".redditLink"), this.onRedditClicked);
@@ -539,6 +549,20 @@ export class MainMenuState extends GameState {
                 renameButton.classList.add("styledButton", "renameGame");
                 name.appendChild(renameButton);
 
+                if (this.app.savegameMgr.getBackups(games[i]).length > 0) {
+                    const backupsButton = document.createElement("button");
+                    backupsButton.classList.add("styledButton", "restoreBackup");
+                    name.appendChild(backupsButton);
+                    this.trackClicks(backupsButton, () => this.showSavegameBackups(games[i]));
+                }
+
+                if (games[i].hasReplay) {
+                    const replayButton = document.createElement("button");
+                    replayButton.classList.add("styledButton", "watchReplay");
+                    name.appendChild(replayButton);
+                    this.trackClicks(replayButton, () => this.watchReplay(games[i]));
+                }
+
                 const resumeButton = document.createElement("button");
                 resumeButton.classList.add("styledButton", "resumeGame");
                 elem.appendChild(resumeButton);
@@ -593,16 +617,157 @@ export class MainMenuState extends GameState {
             savegame
                 .readAsync()
                 .then(() => {
-                    this.moveToState("InGameState", {
-                        savegame,
-                    });
+                    if (!savegame.restoredBackup) {
+                        this.startSavegame(savegame);
+                        return;
+                    }
+
+                    const { ok } = this.dialogs.showWarning(
+                        T.dialogs.savegameBackupLoaded.title,
+                        T.dialogs.savegameBackupLoaded.desc.replace(
+                            "<date>",
+                            new Date(savegame.restoredBackup.timestamp).toLocaleString()
+                        )
+                    );
+                    ok.add(() => this.startSavegame(savegame));
                 })
-                .catch(err => {
+                .catch(err => this.showGameLoadFailure(err, game));
+        });
+    }
+
+    /**
+     * Watches how the savegame was built, from the recording stored next to it (see ReplayPlayer)
+     * @param {SavegameMetadata} game
+     */
+    watchReplay(game) {
+        this.app.analytics.trackUiClick("watch_replay");
+
+        const replay = new SavegameReplay(this.app, game.internalId);
+        replay.readAsync().then(
+            () => {
+                const data = replay.currentData;
+                if (data.savedAt < 0 || !data.gameModeId) {
+                    // The replay file is missing, e.g. because the recording got too long
                     this.dialogs.showWarning(
-                        T.dialogs.gameLoadFailure.title,
-                        T.dialogs.gameLoadFailure.text + "<br><br>" + err
+                        T.dialogs.replayNotAvailable.title,
+                        T.dialogs.replayNotAvailable.desc
                     );
+                    return;
+                }
+
+                // The replay never gets saved, but the game requires a savegame
+                const savegame = new Savegame(this.app, {
+                    internalId: "replay",
+                    metaDataRef: {
+                        internalId: "replay",
+                        lastUpdate: 0,
+                        version: 0,
+                        level: 0,
+                        name: game.name,
+                    },
                 });
+
+                this.moveToState("InGameState", {
+                    savegame,
+                    gameModeId: data.gameModeId,
+                    seed: data.seed,
+                    mapGenerationSettings: data.generationSettings || getDefaultMapGenerationSettings(),
+                    replay: data,
+                });
+            },
+            err => {
+                this.dialogs.showWarning(
+                    T.dialogs.replayNotAvailable.title,
+                    T.dialogs.replayNotAvailable.desc + "<br><br>" + err
+                );
+            }
+        );
+    }
+
+    /**
+     * Shows why a savegame could not be loaded, and offers to recover it
+     * @param {string} err
+     * @param {SavegameMetadata|null} game
+     */
+    showGameLoadFailure(err, game) {
+        if (!game) {
+            this.dialogs.showWarning(
+                T.dialogs.gameLoadFailure.title,
+                T.dialogs.gameLoadFailure.text + "<br><br>" + err
+            );
+            return;
+        }
+
+        const { recover } = this.dialogs.showWarning(
+            T.dialogs.gameLoadFailure.title,
+            T.dialogs.gameLoadFailure.text +
+                "<br><br>" +
+                err +
+                "<br><br>" +
+                T.dialogs.gameLoadFailure.recover,
+            ["cancel:bad", "recover:good"]
+        );
+        recover.add(() => this.recoverGame(game));
+    }
+
+    /**
+     * Loads a damaged savegame, restoring as much of it as possible
+     * @param {SavegameMetadata} game
+     */
+    recoverGame(game) {
+        this.app.analytics.trackUiClick("recover_game");
+
+        const savegame = this.app.savegameMgr.getSavegameById(game.internalId);
+        savegame
+            .readForRecoveryAsync()
+            .then(() => this.moveToState("InGameState", { savegame, recover: true }))
+            .catch(err => {
+                this.dialogs.showWarning(
+                    T.dialogs.savegameRecoveryFailed.title,
+                    T.dialogs.savegameRecoveryFailed.desc + "<br><br>" + err
+                );
+            });
+    }
+
+    /**
+     * Shows the backups of a savegame and restores the chosen one
+     * @param {SavegameMetadata} game
+     */
+    showSavegameBackups(game) {
+        this.app.analytics.trackUiClick("savegame_backups");
+
+        const now = new Date().getTime();
+        const { optionSelected } = this.dialogs.showOptionChooser(T.dialogs.savegameBackups.title, {
+            active: null,
+            options: this.app.savegameMgr.getBackups(game).map(backup => ({
+                value: String(backup.timestamp),
+                text: T.dialogs.savegameBackups.entry
+                    .replace("<level>", String(backup.level))
+                    .replace("<playtime>", formatSeconds(backup.playtime)),
+                desc: formatSecondsToTimeAgo((now - backup.timestamp) / 1000.0),
+            })),
+        });
+
+        optionSelected.add(value => {
+            const backup = game.backups.find(backup => String(backup.timestamp) === value);
+            const closeLoading = this.dialogs.showLoadingDialog();
+            this.app.savegameMgr.restoreBackup(game, backup).then(
+                () => {
+                    closeLoading();
+                    this.renderSavegames();
+                    this.dialogs.showInfo(
+                        T.dialogs.savegameBackupRestored.title,
+                        T.dialogs.savegameBackupRestored.desc
+                    );
+                },
+                err => {
+                    closeLoading();
+                    this.dialogs.showWarning(
+                        T.dialogs.savegameBackupRestoreFailed.title,
+                        T.dialogs.savegameBackupRestoreFailed.desc + "<br><br>" + err
+                    );
+                }
+            );
         });
     }
 
@@ -643,11 +808,16 @@ export class MainMenuState extends GameState {
         this.app.analytics.trackUiClick("download_game");
 
         const savegame = this.app.savegameMgr.getSavegameById(game.internalId);
-        savegame.readAsync().then(() => {
-            const data = ReadWriteProxy.serializeObject(savegame.currentData);
-            const filename = (game.name || "unnamed") + ".bin";
-            generateFileDownload(filename, data);
-        });
+        savegame
+            .readAsync()
+            .then(() => {
+                const { data, attachment } = savegame.encodeForStorage(savegame.currentData);
+                return ReadWriteProxy.serializeObjectAsync(data, attachment);
+            })
+            .then(contents => {
+                const filename = (game.name || "unnamed") + ".bin";
+                generateFileDownload(filename, contents);
+            });
     }
 
     /**
@@ -671,6 +841,10 @@ export class MainMenuState extends GameState {
         this.moveToState("SettingsState");
     }
 
+    onAchievementsButtonClicked() {
+        this.moveToState("AchievementsState");
+    }
+
     onTranslationHelpLinkClicked() {
         this.app.analytics.trackUiClick("translation_help_link");
         this.app.platformWrapper.openExternalLink(
@@ -689,13 +863,106 @@ export class MainMenuState extends GameState {
         }
 
         this.app.analytics.trackUiClick("startgame");
-        this.app.adProvider.showVideoAd().then(() => {
-            const savegame = this.app.savegameMgr.createNewSavegame();
+        this.requestNewGameSettings();
+    }
+
+    /**
+     * Asks for the seed and the map generation settings of the new game, then starts it
+     */
+    requestNewGameSettings() {
+        const defaults = getDefaultMapGenerationSettings();
+        const texts = T.dialogs.newGame;
+
+        /**
+         * Creates an input for a setting which is entered in percent
+         * @param {"resourceAbundance"|"patchSize"|"colorPatchFrequency"} key
+         */
+        const makePercentInput = key => {
+            const { min, max } = MAP_GENERATION_LIMITS[key];
+            return new FormElementInput({
+                id: key,
+                label: texts[key]
+                    .replace("<min>", String(Math.round(min * 100)))
+                    .replace("<max>", String(Math.round(max * 100))),
+                placeholder: "100",
+                defaultValue: String(Math.round(defaults[key] * 100)),
+                validator: val => {
+                    const percent = Number(trim(val));
+                    return Number.isInteger(percent) && percent >= min * 100 && percent <= max * 100;
+                },
+            });
+        };
 
-            this.moveToState("InGameState", {
-                savegame,
+        const seedInput = new FormElementInput({
+            id: "seed",
+            label: texts.seed,
+            placeholder: "",
+            defaultValue: "",
+            validator: val => trim(val).length === 0 || /^[0-9]{1,9}$/.test(trim(val)),
+        });
+        const abundanceInput = makePercentInput("resourceAbundance");
+        const patchSizeInput = makePercentInput("patchSize");
+        const colorFrequencyInput = makePercentInput("colorPatchFrequency");
+
+        const distanceLimits = MAP_GENERATION_LIMITS.complexShapeDistance;
+        const distanceInput = new FormElementInput({
+            id: "complexShapeDistance",
+            label: texts.complexShapeDistance
+                .replace("<min>", String(distanceLimits.min))
+                .replace("<max>", String(distanceLimits.max)),
+            placeholder: String(defaults.complexShapeDistance),
+            defaultValue: String(defaults.complexShapeDistance),
+            validator: val => {
+                const distance = Number(trim(val));
+                return (
+                    Number.isInteger(distance) &&
+                    distance >= distanceLimits.min &&
+                    distance <= distanceLimits.max
+                );
+            },
+        });
+        const windmillsCheckbox = new FormElementCheckbox({
+            id: "windmills",
+            label: texts.windmills,
+            defaultValue: defaults.windmills,
+        });
+
+        const dialog = new DialogWithForm({
+            app: this.app,
+            title: texts.title,
+            desc: texts.desc,
+            formElements: [
+                seedInput,
+                abundanceInput,
+                patchSizeInput,
+                colorFrequencyInput,
+                distanceInput,
+                windmillsCheckbox,
+            ],
+            buttons: ["cancel:bad:escape", "ok:good:enter"],
+        });
+        this.dialogs.internalShowDialog(dialog);
+
+        dialog.buttonSignals.ok.add(() => {
+            const seedValue = trim(seedInput.getValue());
+            const mapGenerationSettings = clampMapGenerationSettings({
+                resourceAbundance: Number(trim(abundanceInput.getValue())) / 100,
+                patchSize: Number(trim(patchSizeInput.getValue())) / 100,
+                colorPatchFrequency: Number(trim(colorFrequencyInput.getValue())) / 100,
+                complexShapeDistance: Number(trim(distanceInput.getValue())),
+                windmills: windmillsCheckbox.getValue(),
+            });
+
+            this.app.adProvider.showVideoAd().then(() => {
+                const savegame = this.app.savegameMgr.createNewSavegame();
+
+                this.moveToState("InGameState", {
+                    savegame,
+                    seed: seedValue.length > 0 ? Number(seedValue) : undefined,
+                    mapGenerationSettings,
+                });
+                this.app.analytics.trackUiClick("startgame_adcomplete");
             });
-            this.app.analytics.trackUiClick("startgame_adcomplete");
         });
     }
 
@@ -726,11 +993,29 @@ export class MainMenuState extends GameState {
         });
 
         const savegame = this.app.savegameMgr.getSavegameById(latestInternalId);
-        savegame.readAsync().then(() => {
-            this.moveToState("InGameState", {
-                savegame,
-            });
-        });
+        savegame.readAsync().then(() => this.startSavegame(savegame));
+    }
+
+    /**
+     * Starts the given savegame, after asking for confirmation if mods it was saved with are missing
+     * @param {Savegame} savegame
+     */
+    startSavegame(savegame) {
+        const missingMods = this.app.modLoader.getMissingMods(savegame.getMods());
+        if (missingMods.length === 0) {
+            this.moveToState("InGameState", { savegame });
+            return;
+        }
+
+        const { continue: continueSignal } = this.dialogs.showWarning(
+            T.dialogs.savegameModsMissing.title,
+            T.dialogs.savegameModsMissing.desc.replace(
+                "<mods>",
+                missingMods.map(({ name, version }) => name + " " + version).join("<br>")
+            ),
+            ["cancel:good", "continue:bad"]
+        );
+        continueSignal.add(() => this.moveToState("InGameState", { savegame }));
     }
 
     onLeave() {
@@ -99,6 +99,9 @@ export class PreloadState extends GameState {
             .then(() => this.app.analytics.initialize())
             .then(() => this.app.gameAnalytics.initialize())
 
+            .then(() => this.setStatus("Loading mods"))
+            .then(() => this.app.modLoader.initialize())
+
             .then(() => this.setStatus("Initializing settings"))
             .then(() => {
                 return this.app.settings.initialize();
@@ -154,6 +157,30 @@ export class PreloadState extends GameState {
                 });
             })
 
+            .then(() => this.setStatus("Initializing blueprints"))
+            .then(() => {
+                return this.app.blueprintLibrary.initialize().catch(err => {
+                    logger.error("Failed to initialize blueprint library:", err);
+                    return this.app.blueprintLibrary.backupUnreadableFile();
+                });
+            })
+
+            .then(() => this.setStatus("Initializing puzzles"))
+            .then(() => {
+                return this.app.puzzleLibrary.initialize().catch(err => {
+                    logger.error("Failed to initialize puzzle library:", err);
+                    return this.app.puzzleLibrary.backupUnreadableFile();
+                });
+            })
+
+            .then(() => this.setStatus("Initializing achievements"))
+            .then(() => {
+                return this.app.achievementStorage.initialize().catch(err => {
+                    logger.error("Failed to initialize achievement storage:", err);
+                    return this.app.achievementStorage.writeAsync();
+                });
+            })
+
             .then(() => this.setStatus("Downloading resources"))
             .then(() => {
                 return this.app.backgroundResourceLoader.getPromiseForBareGame();
@@ -2,10 +2,11 @@ import { createLogger } from "../core/logging";
 import { DialogWithForm } from "../core/modal_dialog_elements";
 import { FormElementInput } from "../core/modal_dialog_forms";
 import { TextualGameState } from "../core/textual_game_state";
-import { formatBigNumberFull } from "../core/utils";
+import { formatBigNumberFull, formatSeconds, startFileChoose } from "../core/utils";
 import { enumGameModeIds } from "../game/game_mode";
 import { ShapeDefinition } from "../game/shape_definition";
 import { MUSIC } from "../platform/sound";
+import { PUZZLE_FILE_EXTENSION, PuzzleLibrary } from "../profile/puzzle_library";
 import { Savegame } from "../savegame/savegame";
 import { T } from "../translations";
 
@@ -13,6 +14,7 @@ const navigation = {
     categories: ["official", "top-rated", "trending", "trending-weekly", "new"],
     difficulties: ["easy", "medium", "hard"],
     account: ["mine", "completed"],
+    local: ["local"],
 };
 
 const logger = createLogger("puzzle-menu");
@@ -42,6 +44,7 @@ export class PuzzleMenuState extends TextualGameState {
                 <h1><button class="backButton"></button> ${this.getStateHeaderTitle()}</h1>
 
                 <div class="actions">
+                    <button class="styledButton importPuzzle">${T.puzzleMenu.importPuzzle}</button>
                     <button class="styledButton loadPuzzle">${T.puzzleMenu.loadPuzzle}</button>
                     <button class="styledButton createPuzzle">+ ${T.puzzleMenu.createPuzzle}</button>
                 </div>
@@ -185,7 +188,7 @@ export class PuzzleMenuState extends TextualGameState {
         for (const puzzle of puzzles) {
             const elem = document.createElement("div");
             elem.classList.add("puzzle");
-            elem.setAttribute("data-puzzle-id", String(puzzle.id));
+            elem.setAttribute("data-puzzle-id", puzzle.localId || String(puzzle.id));
 
             if (this.activeCategory !== "mine") {
                 elem.classList.toggle("completed", puzzle.completed);
@@ -243,10 +246,23 @@ export class PuzzleMenuState extends TextualGameState {
                 stats.classList.add("withDownloads");
             }
 
-            const likes = document.createElement("div");
-            likes.classList.add("likes");
-            likes.innerText = formatBigNumberFull(puzzle.likes);
-            stats.appendChild(likes);
+            if (puzzle.localId) {
+                // Local puzzles have no ratings, show the best result instead
+                const entry = this.app.puzzleLibrary.getEntryById(puzzle.localId);
+                if (entry && entry.bestBuildingCount !== null) {
+                    const best = document.createElement("div");
+                    best.classList.add("bestResult");
+                    best.innerText = T.puzzleMenu.bestResult
+                        .replace("<buildings>", formatBigNumberFull(entry.bestBuildingCount))
+                        .replace("<time>", formatSeconds(entry.bestTime));
+                    stats.appendChild(best);
+                }
+            } else {
+                const likes = document.createElement("div");
+                likes.classList.add("likes");
+                likes.innerText = formatBigNumberFull(puzzle.likes);
+                stats.appendChild(likes);
+            }
 
             const definition = ShapeDefinition.fromShortKey(puzzle.shortKey);
             const canvas = definition.generateAsCanvas(100 * this.app.getEffectiveUiScale());
@@ -256,7 +272,7 @@ export class PuzzleMenuState extends TextualGameState {
             icon.appendChild(canvas);
             elem.appendChild(icon);
 
-            if (this.activeCategory === "mine") {
+            if (this.activeCategory === "mine" || puzzle.localId) {
                 const deleteButton = document.createElement("button");
                 deleteButton.classList.add("styledButton", "delete");
                 this.trackClicks(
@@ -298,10 +314,15 @@ export class PuzzleMenuState extends TextualGameState {
         signals.delete.add(() => {
             const closeLoading = this.dialogs.showLoadingDialog();
 
+            const id = puzzle.localId || String(puzzle.id);
             this.asyncChannel
-                .watch(this.app.clientApi.apiDeletePuzzle(puzzle.id))
+                .watch(
+                    puzzle.localId
+                        ? this.app.puzzleLibrary.deleteEntry(puzzle.localId)
+                        : this.app.clientApi.apiDeletePuzzle(puzzle.id)
+                )
                 .then(() => {
-                    const element = this.htmlElement.querySelector("[data-puzzle-id='" + puzzle.id + "']");
+                    const element = this.htmlElement.querySelector("[data-puzzle-id='" + id + "']");
                     if (element) {
                         element.remove();
                     }
@@ -319,6 +340,12 @@ export class PuzzleMenuState extends TextualGameState {
      * @returns {Promise<import("../savegame/savegame_typedefs").PuzzleMetadata[]>}
      */
     getPuzzlesForCategory(category) {
+        if (category === "local") {
+            return Promise.resolve(
+                this.app.puzzleLibrary.getEntries().map(entry => PuzzleLibrary.getMetadata(entry))
+            );
+        }
+
         const result = this.app.clientApi.apiListPuzzles(category);
         return result.catch(err => {
             logger.error("Failed to get", category, ":", err);
@@ -331,6 +358,14 @@ export class PuzzleMenuState extends TextualGameState {
      * @param {import("../savegame/savegame_typedefs").PuzzleMetadata} puzzle
      */
     playPuzzle(puzzle) {
+        if (puzzle.localId) {
+            const entry = this.app.puzzleLibrary.getEntryById(puzzle.localId);
+            if (entry) {
+                this.startLoadedPuzzle({ meta: puzzle, game: entry.game });
+            }
+            return;
+        }
+
         const closeLoading = this.dialogs.showLoadingDialog();
 
         this.app.clientApi.apiDownloadPuzzle(puzzle.id).then(
@@ -366,6 +401,11 @@ export class PuzzleMenuState extends TextualGameState {
     }
 
     onEnter(payload) {
+        // The server can not be reached without being logged in
+        if (!this.app.clientApi.isLoggedIn()) {
+            lastCategory = "local";
+        }
+
         // Find old category
         let rootCategory = "categories";
         for (const [id, children] of Object.entries(navigation)) {
@@ -388,6 +428,35 @@ export class PuzzleMenuState extends TextualGameState {
 
         this.trackClicks(this.htmlElement.querySelector("button.createPuzzle"), () => this.createNewPuzzle());
         this.trackClicks(this.htmlElement.querySelector("button.loadPuzzle"), () => this.loadPuzzle());
+        this.trackClicks(this.htmlElement.querySelector("button.importPuzzle"), () => this.importPuzzle());
+    }
+
+    /**
+     * Adds a puzzle file to the local library
+     */
+    importPuzzle() {
+        startFileChoose(PUZZLE_FILE_EXTENSION).then(file => {
+            if (!file) {
+                return;
+            }
+
+            file.text()
+                .then(text => this.app.puzzleLibrary.addEntry(PuzzleLibrary.parsePuzzleFile(text)))
+                .then(
+                    () => {
+                        // Force the list to get rerendered
+                        this.activeCategory = "";
+                        this.selectRootCategory("local");
+                    },
+                    err => {
+                        logger.error("Failed to import puzzle:", err);
+                        this.dialogs.showWarning(
+                            T.dialogs.puzzleImportError.title,
+                            T.dialogs.puzzleImportError.desc + " " + (err.message || err)
+                        );
+                    }
+                );
+        });
     }
 
     createEmptySavegame() {
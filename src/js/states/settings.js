@@ -1,5 +1,5 @@
 import { TextualGameState } from "../core/textual_game_state";
-import { formatSecondsToTimeAgo } from "../core/utils";
+import { formatSecondsToTimeAgo, makeButton, makeDiv, startFileChoose } from "../core/utils";
 import { allApplicationSettings, enumCategories } from "../profile/application_settings";
 import { T } from "../translations";
 
@@ -119,6 +119,7 @@ export class SettingsState extends TextualGameState {
 
         this.initSettings();
         this.initCategoryButtons();
+        this.renderMods();
 
         this.htmlElement.querySelector(".category").classList.add("active");
         this.htmlElement.querySelector(".categoryButton").classList.add("active");
@@ -176,6 +177,91 @@ export class SettingsState extends TextualGameState {
         });
     }
 
+    /**
+     * Renders the list of installed mods on top of the mods category
+     */
+    renderMods() {
+        const texts = T.settings.mods;
+        const modLoader = this.app.modLoader;
+        const category = this.htmlElement.querySelector("[data-category='" + enumCategories.mods + "']");
+        const container = document.createElement("div");
+        container.classList.add("modList");
+        category.insertBefore(container, category.firstChild);
+
+        if (modLoader.mods.length === 0 && modLoader.errors.length === 0) {
+            makeDiv(container, null, ["noMods"], texts.noMods);
+        }
+
+        for (let i = 0; i < modLoader.mods.length; ++i) {
+            const { metadata, filename } = modLoader.mods[i];
+            const element = makeDiv(container, null, ["setting", "cardbox", "mod"]);
+            const row = makeDiv(element, null, ["row"]);
+            makeDiv(row, null, ["name"]).innerText = metadata.name + " " + metadata.version;
+            this.renderUninstallButton(row, filename);
+
+            makeDiv(element, null, ["desc"]).innerText = [
+                texts.author.replace("<author>", metadata.author),
+                metadata.description || "",
+            ]
+                .filter(text => text.length > 0)
+                .join(" - ");
+        }
+
+        for (let i = 0; i < modLoader.errors.length; ++i) {
+            const { filename, modId, error } = modLoader.errors[i];
+            const element = makeDiv(container, null, ["setting", "cardbox", "mod", "failed"]);
+            const row = makeDiv(element, null, ["row"]);
+            makeDiv(row, null, ["name"]).innerText = modId || filename;
+            this.renderUninstallButton(row, filename);
+            makeDiv(element, null, ["desc"]).innerText = texts.failed.replace("<error>", error);
+        }
+
+        const actions = makeDiv(container, null, ["actions"]);
+        if (modLoader.getIsBrowserStorage()) {
+            const installButton = makeButton(actions, ["styledButton", "installMod"], texts.install);
+            this.trackClicks(installButton, this.onInstallModClicked);
+        } else {
+            makeDiv(actions, null, ["hint"], texts.folderHint);
+            const folderButton = makeButton(actions, ["styledButton", "openModsFolder"], texts.openFolder);
+            this.trackClicks(folderButton, () => modLoader.openModsFolder());
+        }
+    }
+
+    /**
+     * @param {HTMLElement} parent
+     * @param {string} filename
+     */
+    renderUninstallButton(parent, filename) {
+        if (!this.app.modLoader.getIsBrowserStorage()) {
+            return;
+        }
+        const button = makeButton(parent, ["styledButton", "uninstallMod"], T.settings.mods.uninstall);
+        this.trackClicks(button, () => {
+            this.app.modLoader.uninstallBrowserMod(filename).then(
+                () => this.showModsRestartRequired(),
+                err => this.dialogs.showWarning(T.global.error, String(err))
+            );
+        });
+    }
+
+    onInstallModClicked() {
+        startFileChoose(".js").then(file => {
+            if (!file) {
+                return;
+            }
+            file.text()
+                .then(source => this.app.modLoader.installBrowserMod(file.name, source))
+                .then(
+                    () => this.showModsRestartRequired(),
+                    err => this.dialogs.showWarning(T.global.error, String(err))
+                );
+        });
+    }
+
+    showModsRestartRequired() {
+        this.dialogs.showInfo(T.dialogs.restartRequired.title, T.settings.mods.restartRequired);
+    }
+
     onAboutClicked() {
         this.moveToStateAddGoBack("AboutState");
     }
@@ -9,6 +9,12 @@ const baseTranslations = require("./built-temp/base-en.json");
 
 export let T = baseTranslations;
 
+/**
+ * Translations which got registered at runtime (e.g. by mods), by language id
+ * @type {Object.<string, Array<object>>}
+ */
+const additionalTranslations = {};
+
 if (G_IS_DEV && globalConfig.debug.testTranslations) {
     // Replaces all translations by fake translations to see whats translated and what not
     const mapTranslations = obj => {
@@ -118,6 +124,38 @@ function matchDataRecursive(dest, src) {
     }
 }
 
+/**
+ * Copies all keys of src into dest, including the ones which don't exist yet
+ * @param {object} dest
+ * @param {object} src
+ */
+function addDataRecursive(dest, src) {
+    for (const key in src) {
+        if (typeof src[key] === "object" && typeof dest[key] === "object") {
+            addDataRecursive(dest[key], src[key]);
+        } else {
+            dest[key] = src[key];
+        }
+    }
+}
+
+/**
+ * Registers additional translations. English translations are applied directly and serve
+ * as fallback, the others once the language gets applied.
+ * @param {string} languageId
+ * @param {object} translations
+ */
+export function registerTranslations(languageId, translations) {
+    if (!additionalTranslations[languageId]) {
+        additionalTranslations[languageId] = [];
+    }
+    additionalTranslations[languageId].push(translations);
+
+    if (languageId === "en") {
+        addDataRecursive(T, translations);
+    }
+}
+
 export function updateApplicationLanguage(id) {
     logger.log("Setting application language:", id);
 
@@ -132,4 +170,8 @@ export function updateApplicationLanguage(id) {
         logger.log("Applying translations ...");
         matchDataRecursive(T, data.data);
     }
+
+    if (id !== "en" && additionalTranslations[id]) {
+        additionalTranslations[id].forEach(translations => addDataRecursive(T, translations));
+    }
 }
@@ -32,8 +32,10 @@ function performJob(job, data) {
             const optimized = compressObject(data.obj);
             const stringified = JSON.stringify(optimized);
 
-            const checksum = computeCrc(stringified + salt);
-            return data.compressionPrefix + compressX64(checksum + stringified);
+            // The checksum also covers the attachment, which is stored as it is
+            const checksum = computeCrc(stringified + data.attachment + salt);
+            const compressed = data.compressionPrefix + compressX64(checksum + stringified);
+            return data.attachment ? compressed + data.attachmentSeparator + data.attachment : compressed;
         }
         default:
             throw new Error("Webworker: Unknown job: " + job);